@@ -93,6 +93,28 @@ function renderTemplate(templateId, context) {
   };
 }
 
+/**
+ * Turn a plain-text body (as edited in the chat widget) into the same email
+ * layout the templates use. Blank lines separate paragraphs.
+ */
+function textToHtml(text) {
+  const escape = (str) => str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  const paragraphs = String(text || '')
+    .trim()
+    .split(/\n\s*\n/)
+    .map(p => `  <p>${escape(p.trim()).replace(/\n/g, '<br/>')}</p>`);
+
+  return `
+<div style="font-family: Arial, sans-serif; max-width: 600px;">
+${paragraphs.join('\n')}
+</div>`;
+}
+
 /**
  * Get available template IDs.
  */
@@ -100,4 +122,4 @@ function getAvailableTemplates() {
   return Object.keys(TEMPLATES);
 }
 
-module.exports = { TEMPLATES, renderTemplate, getAvailableTemplates };
+module.exports = { TEMPLATES, renderTemplate, textToHtml, getAvailableTemplates };
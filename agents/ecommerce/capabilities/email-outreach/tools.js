@@ -0,0 +1,111 @@
+/**
+ * Outreach Tools - Chat tool handlers for team lookup and email drafting
+ *
+ * Drafts created from chat are never sent directly: they are saved as
+ * pending_approval so a person reviews them through /api/outreach/:id/approve.
+ */
+
+const { getSupabaseClient } = require('../../../../shared/supabase-client');
+const { DEFAULT_CONTACTS, getTeamForField } = require('./contacts-config');
+const { renderTemplate } = require('./email-templates');
+
+/**
+ * Find the contact for a team, preferring the team_contacts table over the seed config
+ */
+async function findContact(teamName, agentId) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase
+    .from('team_contacts')
+    .select('team_name, contact_name, email, data_domains')
+    .eq('agent_id', agentId)
+    .eq('team_name', teamName)
+    .eq('is_active', true)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`[outreach-tools] team_contacts lookup failed: ${error.message}`);
+  }
+  if (data) return { ...data, source: 'team_contacts' };
+
+  const seed = DEFAULT_CONTACTS.find(c => c.team_name === teamName);
+  return seed ? { ...seed, source: 'default_config' } : null;
+}
+
+/**
+ * Look up who owns a field (or a team by name) and how to reach them
+ */
+async function lookup_team_contact({ field_name, team_name }, context = {}) {
+  const agentId = context.agentId || 'ecommerce';
+  const team = team_name || (field_name ? getTeamForField(field_name) : null);
+
+  if (!team) {
+    return {
+      found: false,
+      reason: field_name ? `No team owns "${field_name}"` : 'Provide field_name or team_name',
+      known_teams: DEFAULT_CONTACTS.map(c => c.team_name)
+    };
+  }
+
+  const contact = await findContact(team, agentId);
+  if (!contact) return { found: false, reason: `No contact on file for team "${team}"` };
+
+  return {
+    found: true,
+    team_name: contact.team_name,
+    contact_name: contact.contact_name,
+    email: contact.email || null,
+    has_email: !!contact.email,
+    data_domains: contact.data_domains || [],
+    source: contact.source
+  };
+}
+
+/**
+ * Render an email template for a team and save it as a draft awaiting approval
+ */
+async function draft_outreach(input, context = {}) {
+  const { template_id, recipient_team, job_id, missing_fields, style_numbers } = input;
+  const agentId = context.agentId || 'ecommerce';
+  const contact = await findContact(recipient_team, agentId);
+
+  if (!contact || !contact.email) {
+    throw new Error(`No email address on file for team "${recipient_team}" - add one via /api/team-contacts first`);
+  }
+
+  const emailContext = {
+    contactName: contact.contact_name,
+    missingFields: missing_fields || [],
+    styleNumbers: style_numbers || [],
+    styleCount: (style_numbers || []).length,
+    topic: input.topic || '',
+    message: input.message || '',
+    originalSubject: input.original_subject || '',
+    daysSince: input.days_since || 0
+  };
+  const { subject, html, risk } = renderTemplate(template_id, emailContext);
+
+  const supabase = getSupabaseClient();
+  const { data, error } = await supabase
+    .from('outreach_emails')
+    .insert({
+      agent_id: agentId,
+      job_id: job_id || null,
+      template_id,
+      recipient_email: contact.email,
+      recipient_team: contact.team_name,
+      subject,
+      html_body: html,
+      status: 'pending_approval',
+      risk_level: risk,
+      context: emailContext
+    })
+    .select('id, subject, recipient_email, recipient_team, status')
+    .single();
+
+  if (error) throw new Error(`Failed to save draft: ${error.message}`);
+
+  return { draft_id: data.id, ...data, requires_approval: true };
+}
+
+module.exports = { lookup_team_contact, draft_outreach };
@@ -0,0 +1,107 @@
+/**
+ * Feedback Actions - Chat action handlers for learned extraction rules
+ *
+ * Registered in core/chat-actions.js. Each export takes (params, context) with
+ * params already validated against the action's schema.
+ */
+
+const { getSupabaseClient } = require('../../../../shared/supabase-client');
+
+/**
+ * Save (or replace) the learned rule for a field
+ */
+async function set_extraction_rule({ field_name, rule_description, confidence }, context = {}) {
+  const supabase = getSupabaseClient();
+  const agentId = context.agentId || 'ecommerce';
+
+  // Kept in the result so the rule can be undone (undo_set_extraction_rule)
+  const { data: previous, error: previousError } = await supabase
+    .from('learned_preferences')
+    .select('rule, confidence, evidence_count, is_active')
+    .eq('agent_id', agentId)
+    .eq('preference_type', 'extraction_rule')
+    .eq('field_name', field_name)
+    .maybeSingle();
+
+  if (previousError) throw new Error(`Failed to load current rule: ${previousError.message}`);
+
+  const { data, error } = await supabase
+    .from('learned_preferences')
+    .upsert(
+      {
+        agent_id: agentId,
+        preference_type: 'extraction_rule',
+        field_name,
+        rule: rule_description,
+        evidence_count: 1,
+        confidence: confidence || 0.8,
+        is_active: true,
+        source_feedback_ids: []
+      },
+      { onConflict: 'agent_id,preference_type,field_name' }
+    )
+    .select('id, field_name, rule, confidence')
+    .single();
+
+  if (error) throw new Error(`Failed to save rule: ${error.message}`);
+  return {
+    rule_id: data.id,
+    field_name: data.field_name,
+    rule: data.rule,
+    confidence: data.confidence,
+    previous: previous || null
+  };
+}
+
+/**
+ * Undo set_extraction_rule: put back the rule it replaced, or remove the one it added.
+ * Called with the result set_extraction_rule returned.
+ */
+async function undo_set_extraction_rule({ rule_id, previous }) {
+  const supabase = getSupabaseClient();
+
+  if (previous) {
+    const { error } = await supabase
+      .from('learned_preferences')
+      .update({
+        rule: previous.rule,
+        confidence: previous.confidence,
+        evidence_count: previous.evidence_count,
+        is_active: previous.is_active
+      })
+      .eq('id', rule_id);
+
+    if (error) throw new Error(`Failed to restore rule: ${error.message}`);
+    return { rule_id, restored: true, rule: previous.rule };
+  }
+
+  const { error } = await supabase.from('learned_preferences').delete().eq('id', rule_id);
+  if (error) throw new Error(`Failed to remove rule: ${error.message}`);
+  return { rule_id, removed: true };
+}
+
+/**
+ * Turn off active rules, by ID or for every rule on a field
+ */
+async function deactivate_rule({ field_name, rule_id }, context = {}) {
+  const supabase = getSupabaseClient();
+
+  let query = supabase
+    .from('learned_preferences')
+    .update({ is_active: false })
+    .eq('agent_id', context.agentId || 'ecommerce')
+    .eq('is_active', true);
+
+  query = rule_id ? query.eq('id', rule_id) : query.eq('field_name', field_name);
+
+  const { data, error } = await query.select('id, field_name, rule');
+  if (error) throw new Error(`Failed to deactivate rule: ${error.message}`);
+
+  if (!data || data.length === 0) {
+    throw new Error(`No active rule found for ${rule_id || field_name}`);
+  }
+
+  return { deactivated: data.length, rules: data };
+}
+
+module.exports = { set_extraction_rule, undo_set_extraction_rule, deactivate_rule };
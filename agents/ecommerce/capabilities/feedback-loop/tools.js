@@ -0,0 +1,28 @@
+/**
+ * Feedback Tools - Chat tool handlers for inspecting learned rules
+ */
+
+const { getSupabaseClient } = require('../../../../shared/supabase-client');
+
+/**
+ * List learned extraction rules, optionally filtered to one field
+ */
+async function list_learned_rules({ field_name, include_inactive }, context = {}) {
+  const supabase = getSupabaseClient();
+
+  let query = supabase
+    .from('learned_preferences')
+    .select('id, field_name, rule, confidence, evidence_count, is_active, updated_at')
+    .eq('agent_id', context.agentId || 'ecommerce')
+    .order('confidence', { ascending: false });
+
+  if (!include_inactive) query = query.eq('is_active', true);
+  if (field_name) query = query.eq('field_name', field_name);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to load learned rules: ${error.message}`);
+
+  return { count: (data || []).length, rules: data || [] };
+}
+
+module.exports = { list_learned_rules };
@@ -8,6 +8,7 @@
 const Anthropic = require('@anthropic-ai/sdk');
 const { getSupabaseClient } = require('../../../../shared/supabase-client');
 const { detectDocumentType, getExtractionPrompt } = require('./document-types');
+const { getModelConfig, toRequestParams } = require('../../../../core/model-config');
 
 const anthropic = new Anthropic();
 
@@ -16,9 +17,10 @@ const anthropic = new Anthropic();
  *
  * @param {string} storagePath - Path in the 'documents' storage bucket
  * @param {string} [documentType] - Override document type detection
+ * @param {string} [agentId] - Agent whose model settings to use
  * @returns {Promise<Object>} Extracted data as a JSON object
  */
-async function extractFromPdf(storagePath, documentType) {
+async function extractFromPdf(storagePath, documentType, agentId = 'ecommerce') {
   const supabase = getSupabaseClient();
 
   // 1. Download from Supabase storage
@@ -38,8 +40,7 @@ async function extractFromPdf(storagePath, documentType) {
 
   // 4. Call Claude Vision
   const response = await anthropic.messages.create({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 8192,
+    ...toRequestParams(getModelConfig('document_extraction', { agent: agentId, capability: 'pdf-ingestion' })),
     messages: [{
       role: 'user',
       content: [
@@ -68,12 +69,14 @@ async function extractFromPdf(storagePath, documentType) {
       return {
         extracted_data: JSON.parse(jsonMatch[0]),
         document_type: detectedType,
+        model: response.model,
         tokens_used: response.usage?.input_tokens + response.usage?.output_tokens
       };
     } catch (parseError) {
       return {
         extracted_data: { raw_text: text },
         document_type: detectedType,
+        model: response.model,
         parse_error: parseError.message
       };
     }
@@ -81,7 +84,8 @@ async function extractFromPdf(storagePath, documentType) {
 
   return {
     extracted_data: { raw_text: text },
-    document_type: detectedType
+    document_type: detectedType,
+    model: response.model
   };
 }
 
@@ -111,7 +115,7 @@ async function processDocument(documentId) {
     .eq('id', documentId);
 
   try {
-    const result = await extractFromPdf(doc.storage_path, doc.document_type);
+    const result = await extractFromPdf(doc.storage_path, doc.document_type, doc.agent_id || 'ecommerce');
 
     // Save extracted data
     await supabase
@@ -119,7 +123,8 @@ async function processDocument(documentId) {
       .update({
         status: 'extracted',
         extracted_data: result.extracted_data,
-        document_type: result.document_type
+        document_type: result.document_type,
+        model_used: result.model
       })
       .eq('id', documentId);
 
@@ -0,0 +1,168 @@
+/**
+ * Tech Pack Actions - Chat action handlers that change a job's results
+ *
+ * Registered in core/chat-actions.js as destructive, so they only run after
+ * the user confirms. Each export takes (params, context).
+ */
+
+const { getSupabaseClient } = require('../../../../shared/supabase-client');
+const { spawnJobProcessor } = require('./tools');
+
+const RUNNING_STATUSES = ['pending', 'processing'];
+
+// Rows are keyed by canonical field name; a style can span several rows (one per ITEM ID)
+function rowMatchesStyle(row, styleNumber) {
+  const itemId = String(row['ITEM ID'] || '').trim().toUpperCase();
+  const wanted = styleNumber.trim().toUpperCase();
+  return itemId === wanted || itemId.split('-')[0] === wanted;
+}
+
+async function loadJob(jobId, fields) {
+  const supabase = getSupabaseClient();
+  const { data: job, error } = await supabase.from('jobs').select(fields).eq('id', jobId).maybeSingle();
+  if (error) throw new Error(`Failed to load job: ${error.message}`);
+  if (!job) throw new Error(`Job ${jobId} not found`);
+  return job;
+}
+
+// A correction for a style is dropped once that style is re-extracted
+function correctionStyle(correction) {
+  return correction.style_number.trim().toUpperCase().split('-')[0];
+}
+
+/**
+ * Overwrite extracted values and log each change as a field correction.
+ * The corrections are also kept in extracted_data.corrections, which the job
+ * processor re-applies when a rerun rebuilds the rows.
+ */
+async function correct_field({ job_id, corrections, reason }, context = {}) {
+  const job = await loadJob(job_id, 'id, status, extracted_data');
+  const extracted = job.extracted_data;
+
+  if (!extracted?.headers || !extracted?.rows) {
+    throw new Error(`Job ${job_id} has no extracted data yet (status: ${job.status})`);
+  }
+
+  const applied = [];
+  const skipped = [];
+
+  for (const { style_number, field_name, value } of corrections) {
+    if (!extracted.headers.includes(field_name)) {
+      skipped.push({ style_number, field_name, reason: 'Unknown field' });
+      continue;
+    }
+
+    const rows = extracted.rows.filter(row => rowMatchesStyle(row, style_number));
+    if (rows.length === 0) {
+      skipped.push({ style_number, field_name, reason: 'Style not in this job' });
+      continue;
+    }
+
+    const originalValue = rows[0][field_name] || '';
+    rows.forEach(row => { row[field_name] = value; });
+    applied.push({ style_number, field_name, original_value: originalValue, value, rows: rows.length });
+  }
+
+  if (applied.length === 0) {
+    throw new Error(`No corrections applied: ${skipped.map(s => `${s.style_number}/${s.field_name} (${s.reason})`).join(', ')}`);
+  }
+
+  // The latest correction of a style's field wins
+  const corrected = new Set(applied.map(c => `${c.style_number.toUpperCase()}|${c.field_name}`));
+  extracted.corrections = [
+    ...(extracted.corrections || []).filter(c => !corrected.has(`${c.style_number.toUpperCase()}|${c.field_name}`)),
+    ...applied.map(({ style_number, field_name, value }) => ({ style_number, field_name, value }))
+  ];
+
+  const supabase = getSupabaseClient();
+  const { error: updateError } = await supabase
+    .from('jobs')
+    .update({ extracted_data: extracted })
+    .eq('id', job_id);
+
+  if (updateError) throw new Error(`Failed to save corrections: ${updateError.message}`);
+
+  // Feed the corrections into the learning loop like manual ones
+  const { error: feedbackError } = await supabase.from('user_feedback').insert(
+    applied.map(c => ({
+      agent_id: context.agentId || 'ecommerce',
+      feedback_type: 'field_correction',
+      job_id,
+      field_name: c.field_name,
+      original_value: c.original_value,
+      corrected_value: c.value,
+      style_number: c.style_number,
+      user_comment: reason || null,
+      chat_context: { source: 'chat_action' }
+    }))
+  );
+
+  if (feedbackError) {
+    console.error(`[tech-pack-actions] Failed to log corrections as feedback: ${feedbackError.message}`);
+  }
+
+  return { job_id, applied, skipped };
+}
+
+/**
+ * Clear the selected styles from a finished job's progress and run the
+ * processor again; it resumes, so only those styles are downloaded and extracted.
+ * With refresh, their tech packs are fetched again rather than taken from the cache.
+ */
+async function rerun_styles({ job_id, style_numbers, refresh = false }) {
+  const job = await loadJob(job_id, 'id, status, completed_downloads, completed_extractions, partial_extractions, extracted_data');
+
+  if (RUNNING_STATUSES.includes(job.status)) {
+    throw new Error(`Job ${job_id} is still ${job.status} - wait for it to finish first`);
+  }
+
+  const downloads = job.completed_downloads || [];
+  const extractions = job.completed_extractions || [];
+  const partial = { ...(job.partial_extractions || {}) };
+  const known = new Set([...downloads, ...extractions].map(s => s.toUpperCase()));
+
+  const wanted = new Set(style_numbers.map(s => s.trim().toUpperCase()));
+  const rerun = [...wanted].filter(s => known.has(s));
+  const notFound = [...wanted].filter(s => !known.has(s));
+
+  if (rerun.length === 0) {
+    throw new Error(`None of these styles were processed in job ${job_id}: ${style_numbers.join(', ')}`);
+  }
+
+  const keep = s => !wanted.has(s.toUpperCase());
+  const refreshStyles = [...new Set([...downloads, ...extractions].filter(s => !keep(s)))];
+  for (const styleNo of Object.keys(partial)) {
+    if (!keep(styleNo)) delete partial[styleNo];
+  }
+  // Corrections to the other styles survive the rebuild; these get fresh values
+  const extracted = job.extracted_data?.corrections
+    ? { ...job.extracted_data, corrections: job.extracted_data.corrections.filter(c => keep(correctionStyle(c))) }
+    : job.extracted_data;
+
+  const supabase = getSupabaseClient();
+  const { error } = await supabase
+    .from('jobs')
+    .update({
+      status: 'pending',
+      progress_percent: 0,
+      current_style: `re-running ${rerun.length} style(s)`,
+      error_message: null,
+      completed_downloads: downloads.filter(keep),
+      completed_extractions: extractions.filter(keep),
+      partial_extractions: partial,
+      extracted_data: extracted,
+      // The job's own force refresh already happened on its first run
+      force_refresh: false,
+      force_refresh_styles: refresh ? refreshStyles : []
+    })
+    .eq('id', job_id);
+
+  if (error) throw new Error(`Failed to reset styles: ${error.message}`);
+
+  const processor = spawnJobProcessor(job_id);
+  console.log(`[tech-pack-actions] Re-running ${rerun.length} style(s) in job ${job_id} (pid: ${processor.pid})`);
+
+  return { job_id, status: 'pending', rerun, not_found: notFound, refreshed: refresh };
+}
+
+module.exports = { correct_field, rerun_styles };
@@ -3,18 +3,19 @@
  * Called by job-server.js: node job-processor-full.js <job-id>
  */
 
-const { chromium } = require("playwright");
 const { createClient } = require("@supabase/supabase-js");
 const Anthropic = require("@anthropic-ai/sdk");
 const fs = require("fs");
 const path = require("path");
-const { execSync } = require("child_process");
 const {
   buildExtractionPrompt,
   getTechPackFields,
   getInputCsvFields,
   getAllFieldDefinitions
 } = require("./extraction-config");
+const { createTechPackSources, downloadFromSources, techPackPath, safe } = require("./tech-pack-sources");
+const { restoreCachedTechPacks, recordTechPack, hashFile } = require("./tech-pack-cache");
+const { recordRevision } = require("./tech-pack-revisions");
 
 // Feedback loop integration: load learned preferences for extraction
 let learnedPreferences = [];
@@ -33,6 +34,18 @@ try {
 // Email outreach integration: detect missing data and draft outreach emails
 const { groupFieldsByTeam } = require("../email-outreach/contacts-config");
 
+// Model settings come from agent.json / capability.json "models" (plus env overrides)
+const { getModelConfig, toRequestParams } = require("../../../../core/model-config");
+const EXTRACTION_MODEL = getModelConfig("tech_pack_extraction", { agent: "ecommerce", capability: "tech-pack-extraction" });
+const LINE_SHEET_MODEL = getModelConfig("line_sheet_parsing", { agent: "ecommerce", capability: "tech-pack-extraction" });
+
+// Models the API actually served, by task - saved on the job as models_used
+const modelsUsed = {};
+function recordModel(task, response) {
+  if (!response?.model) return;
+  modelsUsed[task] = [...new Set([...(modelsUsed[task] || []), response.model])];
+}
+
 const JOB_ID = process.argv[2];
 if (!JOB_ID) {
   console.error("Usage: node job-processor-full.js <job-id>");
@@ -40,13 +53,7 @@ if (!JOB_ID) {
 }
 
 // ========== CONFIG ==========
-const ENTRY = "https://lagence.yuniquecloud.com/plmOn/Default.aspx?SW=1280&SH=720&OS=MAC";
 const OUT_DIR = path.resolve("./out");
-const PARALLEL_WORKERS = parseInt(process.env.PARALLEL_WORKERS) || 1;
-const HEADLESS = process.env.HEADLESS !== "false";
-
-const USER = process.env.GERBER_USER;
-const PASS = process.env.GERBER_PASS;
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -137,33 +144,6 @@ async function updateJob(updates) {
   }
 }
 
-// ========== PDF DOWNLOAD FUNCTIONS ==========
-function safe(s) { return s.replace(/[^a-zA-Z0-9._-]/g, "_"); }
-
-// Check if a PDF is fresh (created within last N days)
-// Tech packs get updated, so we only reuse recent downloads
-const PDF_FRESHNESS_DAYS = 15;
-
-function isPdfFresh(filePath) {
-  try {
-    const stats = fs.statSync(filePath);
-    const ageMs = Date.now() - stats.mtime.getTime();
-    const ageDays = ageMs / (1000 * 60 * 60 * 24);
-    return ageDays <= PDF_FRESHNESS_DAYS;
-  } catch {
-    return false;
-  }
-}
-
-function getSeasonPriority(season) {
-  const s = (season || "").toUpperCase();
-  if (s.includes("FALL") || s.includes("FW") || s.includes("HOLIDAY")) return 4;
-  if (s.includes("SUMMER") || s.includes("SS")) return 3;
-  if (s.includes("SPRING") || s.includes("PRE")) return 2;
-  if (s.includes("WINTER") || s.includes("RESORT")) return 1;
-  return 0;
-}
-
 // Parse CSV line preserving empty columns (handles quoted fields)
 function parseCSVLine(line) {
   const cols = [];
@@ -349,8 +329,7 @@ async function parseLineSheetPdf(pdfPath) {
   log("INFO", "Parsing line sheet PDF via Claude Vision...");
 
   const response = await anthropic.messages.create({
-    model: "claude-sonnet-4-20250514",
-    max_tokens: 16000,
+    ...toRequestParams(LINE_SHEET_MODEL),
     messages: [{
       role: "user",
       content: [
@@ -389,6 +368,7 @@ Your response must start with [ and end with ] - no other text.`
     }]
   });
 
+  recordModel("line_sheet_parsing", response);
   const text = response.content[0]?.text || "";
   let styles = [];
   try {
@@ -537,325 +517,6 @@ function buildLineSheetExtractionResult(lineSheetEntry) {
   };
 }
 
-async function uploadPdfToSupabase(filePath, styleNo) {
-  const fileName = `Tech_Pack_${safe(styleNo)}.pdf`;
-  const fileBuffer = fs.readFileSync(filePath);
-  const { error } = await supabase.storage.from("tech-packs").upload(fileName, fileBuffer, { contentType: "application/pdf", upsert: true });
-  if (error) log("ERROR", `Upload failed: ${error.message}`);
-  return `Tech_Pack_${safe(styleNo)}.pdf`;
-}
-
-async function selectMostRecentResult(mainFrame, styleNo) {
-  await new Promise(r => setTimeout(r, 1000));
-  const rows = await mainFrame.locator("table tr").all();
-  let bestRow = null, bestYear = 0, bestSeasonPriority = -1, bestSeasonText = "";
-
-  for (const row of rows) {
-    const text = await row.textContent().catch(() => "");
-    if (!text.includes(styleNo)) continue;
-    const yearMatch = text.match(/20(\d{2})/);
-    const year = yearMatch ? parseInt("20" + yearMatch[1]) : 0;
-    const seasonMatch = text.match(/(FALL|SPRING|SUMMER|WINTER|HOLIDAY|RESORT|PRE-FALL|PRE-SPRING)/i);
-    const seasonText = seasonMatch ? seasonMatch[1].toUpperCase() : "";
-    const seasonPriority = getSeasonPriority(text);
-    if (year > bestYear || (year === bestYear && seasonPriority > bestSeasonPriority)) {
-      bestYear = year; bestSeasonPriority = seasonPriority; bestSeasonText = seasonText; bestRow = row;
-    }
-  }
-
-  if (bestRow && bestSeasonText) {
-    try {
-      await bestRow.scrollIntoViewIfNeeded();
-      await new Promise(r => setTimeout(r, 300));
-      const cells = await bestRow.locator("td").all();
-      for (let i = Math.min(5, cells.length - 1); i < cells.length; i++) {
-        try {
-          const cell = cells[i];
-          const cellText = await cell.textContent();
-          if (cellText && cellText.trim()) {
-            await cell.click();
-            return { success: true, season: `${bestSeasonText} ${bestYear}` };
-          }
-        } catch {}
-      }
-      await bestRow.getByText(bestSeasonText, { exact: true }).first().click();
-      return { success: true, season: `${bestSeasonText} ${bestYear}` };
-    } catch {
-      try {
-        await bestRow.locator("a").first().click();
-        return { success: true, season: `${bestSeasonText} ${bestYear}` };
-      } catch { return { success: false }; }
-    }
-  }
-  return { success: false };
-}
-
-async function downloadTechPack(page, context, mainFrame, styleNo, workerId) {
-  log("STYLE", `[W${workerId}] Processing: ${styleNo}`);
-
-  try {
-    // Retry the search-and-popup flow up to 3 times (popup can be flaky)
-    const MAX_POPUP_RETRIES = 3;
-    let page2 = null;
-
-    for (let attempt = 1; attempt <= MAX_POPUP_RETRIES; attempt++) {
-      // Track the popup promise so we can always clean it up
-      let page2Promise = null;
-      try {
-        await mainFrame.locator("#txtStyleNo").fill("");
-        await mainFrame.locator("#txtStyleNo").fill(styleNo);
-        await mainFrame.getByRole("link", { name: "Search", exact: true }).click();
-        await page.waitForTimeout(2000);
-
-        // IMPORTANT: Use .catch(()=>null) so this promise NEVER rejects unhandled.
-        // We check the result after awaiting instead.
-        page2Promise = page.waitForEvent("popup", { timeout: 30000 }).catch(() => null);
-        const selectResult = await selectMostRecentResult(mainFrame, styleNo);
-
-        if (!selectResult.success) {
-          try { await mainFrame.getByText(styleNo, { exact: true }).first().click(); }
-          catch {
-            const seasons = ["FALL", "SPRING", "SUMMER", "WINTER", "HOLIDAY", "RESORT"];
-            let clicked = false;
-            for (const season of seasons) { try { await mainFrame.getByText(season, { exact: true }).first().click({ timeout: 2000 }); clicked = true; break; } catch {} }
-            if (!clicked) throw new Error("No clickable search result");
-          }
-        } else { log("SEARCH", `[W${workerId}] Selected: ${selectResult.season}`); }
-
-        page2 = await page2Promise;
-        if (!page2) throw new Error("Popup never opened");
-        break; // Success - exit retry loop
-      } catch (retryErr) {
-        // Always await the popup promise to prevent unhandled rejections
-        if (page2Promise) await page2Promise.catch(() => {});
-
-        // Close any stray popups before retrying
-        const pages = context.pages();
-        for (const p of pages) { if (p !== page) await p.close().catch(() => {}); }
-
-        if (attempt < MAX_POPUP_RETRIES) {
-          log("RETRY", `[W${workerId}] Popup attempt ${attempt}/${MAX_POPUP_RETRIES} failed for ${styleNo}: ${retryErr.message}. Retrying...`);
-          await page.waitForTimeout(3000);
-        } else {
-          throw retryErr; // All retries exhausted
-        }
-      }
-    }
-
-    if (!page2) throw new Error("Popup never opened after retries");
-    await page2.waitForLoadState("domcontentloaded");
-    await page2.waitForSelector('frame[name="menu"]', { timeout: 30000 });
-    const menuFrame2 = page2.locator('frame[name="menu"]').contentFrame();
-    await menuFrame2.getByRole("link", { name: "Tech Pack" }).click();
-    await page2.waitForTimeout(1000);
-    await page2.waitForSelector("#mainF", { timeout: 30000 });
-    const mainF = page2.locator("#mainF").contentFrame();
-
-    log("TECHPACK", `[W${workerId}] Creating tech pack...`);
-    const page3Promise = page2.waitForEvent("popup", { timeout: 30000 });
-    await mainF.getByRole("button", { name: "add_circle_outline" }).click({ force: true });
-    const page3 = await page3Promise;
-    await page3.waitForLoadState("domcontentloaded");
-    await page3.getByText("Predefined", { exact: true }).click({ force: true });
-    await page3.getByRole("button", { name: "save" }).click({ force: true });
-
-    // Close the tech pack creation popup - it's no longer needed
-    await page3.close().catch(() => {});
-
-    log("TECHPACK", `[W${workerId}] Waiting for generation...`);
-    await mainF.locator('text=/created successfully/i').first().waitFor({ timeout: 180000 });
-    await mainF.getByText(/The Tech Pack \(Collection\).*created successfully/i).first().click({ force: true });
-
-    const downloadPromise = page2.waitForEvent("download", { timeout: 60000 }).catch(() => null);
-    const page4Promise = page2.waitForEvent("popup", { timeout: 60000 }).catch(() => null);
-    await mainF.getByRole("button", { name: "vertical_align_bottom" }).first().click({ force: true });
-
-    const download = await downloadPromise;
-    const page4 = await page4Promise;
-    const filePath = path.join(OUT_DIR, `Tech_Pack_${safe(styleNo)}.pdf`);
-
-    if (download) { await download.saveAs(filePath); }
-    else if (page4) {
-      await page4.waitForLoadState("domcontentloaded", { timeout: 30000 });
-      const resp = await context.request.get(page4.url(), { maxRedirects: 20 });
-      fs.writeFileSync(filePath, await resp.body());
-      await page4.close().catch(() => {});
-    } else { throw new Error("No download"); }
-
-    // Also close page4 if it exists but download was used
-    if (page4 && download) {
-      await page4.close().catch(() => {});
-    }
-
-    log("DOWNLOAD", `[W${workerId}] Saved: ${styleNo}`);
-    await uploadPdfToSupabase(filePath, styleNo);
-    await page2.close();
-    return { styleNo, success: true, filePath };
-  } catch (error) {
-    log("ERROR", `[W${workerId}] Failed ${styleNo}: ${error.message}`);
-    const pages = context.pages();
-    for (const p of pages) { if (p !== page) await p.close().catch(() => {}); }
-    return { styleNo, success: false, error: error.message };
-  }
-}
-
-// Helper to create a logged-in browser session
-async function createBrowserSession(browser, workerId) {
-  const context = await browser.newContext({
-    acceptDownloads: true,
-    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-    viewport: { width: 1280, height: 720 },
-    locale: 'en-US',
-    timezoneId: 'America/Los_Angeles'
-  });
-  const page = await context.newPage();
-
-  // Hide webdriver property
-  await page.addInitScript(() => {
-    Object.defineProperty(navigator, 'webdriver', { get: () => false });
-  });
-
-  await page.goto(ENTRY, { waitUntil: "domcontentloaded" });
-  await page.locator("#txtUserName").fill(USER);
-  await page.locator("#txtUserPass").fill(PASS);
-  await page.getByRole("button", { name: "Logon" }).click();
-  await page.waitForSelector('frame[name="dbody"]', { timeout: 60000 });
-  await page.waitForTimeout(3000);
-
-  const dbodyFrame = page.locator('frame[name="dbody"]').contentFrame();
-  const menuFrame = dbodyFrame.locator('frame[name="menu"]').contentFrame();
-  const mainFrame = dbodyFrame.locator('frame[name="main"]').contentFrame();
-
-  await menuFrame.locator('text=Style').first().waitFor({ timeout: 30000 });
-  await menuFrame.getByText("Style", { exact: true }).click();
-  await page.waitForTimeout(1000);
-  await menuFrame.getByRole("link", { name: "Style Search" }).click();
-  await page.waitForTimeout(1500);
-
-  log("LOGIN", `[W${workerId}] Session ready`);
-  return { context, page, menuFrame, mainFrame };
-}
-
-async function runDownloadWorker(workerId, browser, styleQueue, downloadResults, updateProgress) {
-  let session = null;
-  let consecutiveFailures = 0;
-  const MAX_CONSECUTIVE_FAILURES = 5;
-  const MAX_STYLE_ATTEMPTS = 4; // Max times we'll try a single style
-  const styleAttempts = {}; // Track per-style retry count
-
-  while (true) {
-    const styleNo = styleQueue.shift();
-    if (!styleNo) break;
-
-    // Track attempts per style
-    styleAttempts[styleNo] = (styleAttempts[styleNo] || 0) + 1;
-
-    // Check for existing fresh PDF
-    const existingPdf = path.join(OUT_DIR, `Tech_Pack_${styleNo}.pdf`);
-    if (fs.existsSync(existingPdf) && isPdfFresh(existingPdf)) {
-      log("SKIP", `[W${workerId}] Recent PDF exists (< ${PDF_FRESHNESS_DAYS} days): ${styleNo}`);
-      downloadResults.push({ styleNo, success: true, skipped: true, filePath: existingPdf });
-      await updateProgress("download", styleNo, true);
-      continue;
-    } else if (fs.existsSync(existingPdf)) {
-      log("REFRESH", `[W${workerId}] PDF is stale (> ${PDF_FRESHNESS_DAYS} days), re-downloading: ${styleNo}`);
-    }
-
-    // Create session if needed (first time or after crash)
-    if (!session) {
-      try {
-        session = await createBrowserSession(browser, workerId);
-        consecutiveFailures = 0; // Reset on successful session creation
-      } catch (err) {
-        log("ERROR", `[W${workerId}] Failed to create session: ${err.message}`);
-        // Re-queue the style if we haven't exhausted attempts
-        if (styleAttempts[styleNo] < MAX_STYLE_ATTEMPTS) {
-          styleQueue.push(styleNo);
-        } else {
-          log("SKIP", `[W${workerId}] Giving up on ${styleNo} after ${styleAttempts[styleNo]} attempts, moving on`);
-          downloadResults.push({ styleNo, success: false, error: `Session creation failed: ${err.message}` });
-          await updateProgress("download", styleNo, false);
-        }
-        await new Promise(r => setTimeout(r, 5000));
-        continue;
-      }
-    }
-
-    try {
-      const result = await downloadTechPack(session.page, session.context, session.mainFrame, styleNo, workerId);
-      downloadResults.push(result);
-      await updateProgress("download", styleNo, result.success);
-
-      if (result.success) {
-        consecutiveFailures = 0;
-      } else {
-        consecutiveFailures++;
-
-        // Re-queue the style if we haven't exhausted per-style attempts
-        if (styleAttempts[styleNo] < MAX_STYLE_ATTEMPTS) {
-          log("RETRY", `[W${workerId}] Re-queuing ${styleNo} attempt ${styleAttempts[styleNo]}/${MAX_STYLE_ATTEMPTS} (error: ${result.error})`);
-          styleQueue.push(styleNo); // Put at end of queue
-          downloadResults.pop(); // Remove the failed result
-        } else {
-          log("SKIP", `[W${workerId}] Giving up on ${styleNo} after ${styleAttempts[styleNo]} attempts, moving on`);
-        }
-
-        // Try to reset to Style Search for next attempt
-        let navResetOk = false;
-        try {
-          await session.menuFrame.getByText("Style", { exact: true }).click();
-          await session.menuFrame.getByRole("link", { name: "Style Search" }).click();
-          await session.page.waitForTimeout(1000);
-          navResetOk = true;
-        } catch {}
-
-        // If nav reset failed, session is probably broken - recreate it
-        if (!navResetOk) {
-          log("WARN", `[W${workerId}] Nav reset failed, recreating session`);
-          try { await session.context.close().catch(() => {}); } catch {}
-          session = null;
-        }
-      }
-
-      await new Promise(r => setTimeout(r, 1000));
-
-    } catch (err) {
-      // Likely browser/context crashed
-      log("ERROR", `[W${workerId}] Browser error for ${styleNo}: ${err.message}`);
-      consecutiveFailures++;
-
-      // Close crashed session and force recreation
-      try { await session.context.close().catch(() => {}); } catch {}
-      session = null;
-
-      // Re-queue the style if we haven't exhausted per-style attempts
-      if (styleAttempts[styleNo] < MAX_STYLE_ATTEMPTS) {
-        log("RETRY", `[W${workerId}] Re-queuing ${styleNo} after crash, attempt ${styleAttempts[styleNo]}/${MAX_STYLE_ATTEMPTS}`);
-        styleQueue.push(styleNo);
-      } else {
-        log("SKIP", `[W${workerId}] Giving up on ${styleNo} after ${styleAttempts[styleNo]} attempts, moving on`);
-        downloadResults.push({ styleNo, success: false, error: err.message });
-        await updateProgress("download", styleNo, false);
-      }
-
-      // If many consecutive failures, wait before retrying
-      if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
-        log("WARN", `[W${workerId}] ${consecutiveFailures} consecutive failures, waiting 60s before retry...`);
-        await new Promise(r => setTimeout(r, 60000));
-        consecutiveFailures = 0;
-      } else {
-        await new Promise(r => setTimeout(r, 3000));
-      }
-    }
-  }
-
-  // Cleanup
-  if (session) {
-    await session.context.close().catch(() => {});
-  }
-  log("DONE", `[W${workerId}] Download worker finished`);
-}
-
 // ========== CLAUDE EXTRACTION ==========
 // Uses extraction-config.js as the source of truth for field definitions
 
@@ -887,8 +548,7 @@ async function extractAttributesFromPdf(pdfPath, styleNo, retryCount = 0) {
     log("DEBUG", `Extraction prompt length: ${extractionPrompt.length} chars`);
 
     const response = await anthropic.messages.create({
-      model: "claude-sonnet-4-20250514",
-      max_tokens: 4096,
+      ...toRequestParams(EXTRACTION_MODEL),
       messages: [{
         role: "user",
         content: [
@@ -908,6 +568,7 @@ async function extractAttributesFromPdf(pdfPath, styleNo, retryCount = 0) {
       }]
     });
 
+    recordModel("tech_pack_extraction", response);
     const text = response.content[0].text;
 
     try {
@@ -1092,6 +753,25 @@ function prepareExtractedData(extractionResults, styleToRows, originalHeader, fa
   };
 }
 
+// Put back values corrected in chat (correct_field in actions.js) on the
+// rebuilt rows; matching is the same: the whole ITEM ID or its style prefix
+function applyCorrections(extractedData, corrections = []) {
+  let applied = 0;
+  for (const { style_number, field_name, value } of corrections) {
+    if (!extractedData.headers.includes(field_name)) continue;
+    const wanted = style_number.trim().toUpperCase();
+    for (const row of extractedData.rows) {
+      const itemId = String(row["ITEM ID"] || "").trim().toUpperCase();
+      if (itemId === wanted || itemId.split("-")[0] === wanted) {
+        row[field_name] = value;
+        applied++;
+      }
+    }
+  }
+  extractedData.corrections = corrections;
+  return applied;
+}
+
 // ========== MAIN ==========
 async function main() {
   log("START", `Processing job: ${JOB_ID}`);
@@ -1110,6 +790,7 @@ async function main() {
   let completedDownloads = new Set(job.completed_downloads || []);
   let completedExtractions = new Set(job.completed_extractions || []);
   let partialExtractions = job.partial_extractions || {}; // Map of styleNo -> extracted data
+  const resumedExtractions = new Set(completedExtractions);
 
   // Check if this is a resume
   if (completedDownloads.size > 0 || completedExtractions.size > 0) {
@@ -1118,6 +799,12 @@ async function main() {
 
   let totalProcessed = 0;
   let totalStyles = 0;
+  let lineSheetCount = 0;
+  const failedStyles = new Set();
+  // Changes found on an earlier run of this job stay flagged for styles it kept
+  const changedStyles = new Map(
+    (job.changed_styles || []).filter(c => completedExtractions.has(c.style_no)).map(c => [c.style_no, c])
+  );
 
   // Save progress after each style completes
   const saveCompletedStyle = async (phase, styleNo, extractionData = null) => {
@@ -1140,15 +827,39 @@ async function main() {
 
   const updateProgress = async (phase, styleNo, success, extractionData = null) => {
     totalProcessed++;
+
+    // Save completed style for resume capability
+    if (success) {
+      await saveCompletedStyle(phase, styleNo, extractionData);
+    }
+
     const percent = Math.round((totalProcessed / (totalStyles * 2)) * 100); // *2 for download + extract phases
     await updateJob({
+      phase,
       current_style: `${phase}: ${styleNo}`,
-      progress_percent: Math.min(percent, 99)
+      progress_percent: Math.min(percent, 99),
+      successful_count: lineSheetCount + completedExtractions.size
     });
+  };
 
-    // Save completed style for resume capability
-    if (success) {
-      await saveCompletedStyle(phase, styleNo, extractionData);
+  // A style that won't be retried any more in this run
+  const markFailed = async (styleNo) => {
+    failedStyles.add(styleNo);
+    await updateJob({ failed_styles: Array.from(failedStyles), failed_count: failedStyles.size });
+  };
+
+  // Keep this revision of a style's tech pack; flag it if exported fields changed
+  const trackRevision = async (download, data) => {
+    try {
+      const changed = await recordRevision(
+        { styleNo: download.styleNo, season: download.season, contentHash: download.contentHash, data },
+        { supabase, jobId: JOB_ID }
+      );
+      if (!changed) return;
+      changedStyles.set(download.styleNo, changed);
+      await updateJob({ changed_styles: Array.from(changedStyles.values()) });
+    } catch (err) {
+      log("ERROR", err.message);
     }
   };
 
@@ -1162,7 +873,16 @@ async function main() {
 
     const { uniqueStyles, styleToRows, header: originalHeader } = readStylesFromCSV(inputPath);
     totalStyles = uniqueStyles.length;
-    await updateJob({ style_count: totalStyles, status: "processing" });
+    await updateJob({
+      style_count: totalStyles,
+      status: "processing",
+      phase: null,
+      started_at: new Date().toISOString(),
+      successful_count: completedExtractions.size,
+      failed_count: 0,
+      failed_styles: [],
+      changed_styles: Array.from(changedStyles.values())
+    });
 
     log("INFO", `Found ${totalStyles} styles`);
 
@@ -1175,7 +895,7 @@ async function main() {
     if (supplementaryFiles.line_sheet) {
       try {
         log("PHASE", "Parsing line sheet PDF...");
-        await updateJob({ current_style: "Parsing line sheet..." });
+        await updateJob({ phase: "line_sheet", current_style: "Parsing line sheet..." });
         const lsPath = path.join(OUT_DIR, `linesheet_${JOB_ID}.pdf`);
         const { data: lsData, error: lsError } = await supabase.storage.from("job-inputs").download(supplementaryFiles.line_sheet);
         if (lsError) throw new Error(`Failed to download line sheet: ${lsError.message}`);
@@ -1190,7 +910,7 @@ async function main() {
     if (supplementaryFiles.fabric_workbook) {
       try {
         log("PHASE", "Parsing fabric workbook...");
-        await updateJob({ current_style: "Parsing fabric workbook..." });
+        await updateJob({ phase: "fabric_workbook", current_style: "Parsing fabric workbook..." });
         const fwPath = path.join(OUT_DIR, `fabric_${JOB_ID}.csv`);
         const { data: fwData, error: fwError } = await supabase.storage.from("job-inputs").download(supplementaryFiles.fabric_workbook);
         if (fwError) throw new Error(`Failed to download fabric workbook: ${fwError.message}`);
@@ -1201,11 +921,11 @@ async function main() {
       }
     }
 
-    // Determine which styles are in the line sheet (skip Gerber for these)
+    // Determine which styles are in the line sheet (no tech pack download for these)
     // We need to map the styleNo (which may include fabric code) to the numeric-only style number
     const lineSheetStyleSet = new Set(Object.keys(lineSheetMap));
     const lineSheetResults = []; // Synthetic extraction results for line sheet styles
-    const nonLineSheetStyles = []; // Styles that need Gerber tech pack download
+    const nonLineSheetStyles = []; // Styles that need a tech pack download
 
     for (const styleNo of uniqueStyles) {
       // styleNo from CSV might be "2789NGX" — extract numeric part
@@ -1229,11 +949,13 @@ async function main() {
     }
 
     if (lineSheetResults.length > 0) {
-      log("PHASE", `${lineSheetResults.length} styles sourced from line sheet, ${nonLineSheetStyles.length} need Gerber download`);
+      log("PHASE", `${lineSheetResults.length} styles sourced from line sheet, ${nonLineSheetStyles.length} need a tech pack download`);
     }
+    lineSheetCount = lineSheetResults.length;
 
     // ========== PHASE 1: DOWNLOAD PDFS (only for non-line-sheet styles) ==========
     log("PHASE", "Starting PDF downloads...");
+    await updateJob({ phase: "download", successful_count: lineSheetCount + completedExtractions.size });
 
     // Filter out already-completed downloads and line-sheet styles for resume capability
     const stylesToDownload = nonLineSheetStyles.filter(s => !completedDownloads.has(s));
@@ -1242,15 +964,12 @@ async function main() {
 
     // Pre-populate results for already-completed downloads
     for (const styleNo of completedDownloads) {
-      const existingPdf = path.join(OUT_DIR, `Tech_Pack_${safe(styleNo)}.pdf`);
-      if (fs.existsSync(existingPdf) && isPdfFresh(existingPdf)) {
+      const existingPdf = techPackPath(OUT_DIR, styleNo);
+      if (fs.existsSync(existingPdf)) {
         downloadResults.push({ styleNo, success: true, skipped: true, filePath: existingPdf });
         totalProcessed++; // Count toward progress
       } else {
-        // PDF file is missing or stale, need to re-download
-        if (fs.existsSync(existingPdf)) {
-          log("REFRESH", `PDF is stale (> ${PDF_FRESHNESS_DAYS} days), will re-download: ${styleNo}`);
-        }
+        // Resumed on another host - the cache has it
         styleQueue.push(styleNo);
         completedDownloads.delete(styleNo); // Remove from completed
       }
@@ -1260,36 +979,83 @@ async function main() {
       log("RESUME", `Skipping ${nonLineSheetStyles.length - stylesToDownload.length} already-downloaded styles`);
     }
 
-    // Only launch browser if there are styles that need Gerber download
-    if (styleQueue.length > 0) {
-      const browser = await chromium.launch({
-        headless: HEADLESS,
-        args: [
-          '--disable-blink-features=AutomationControlled',
-          '--disable-dev-shm-usage',
-          '--no-sandbox'
-        ]
+    const sources = createTechPackSources(job.tech_pack_sources, { outDir: OUT_DIR, supabase });
+    // The job's own files (uploaded zip, local folder) come before the cache -
+    // they're what the user wants extracted. They aren't cached for other jobs.
+    const ownSources = sources.filter(source => source.name === "local");
+    const fetchSources = sources.filter(source => source.name !== "local");
+    let queue = styleQueue;
+    if (ownSources.length > 0 && queue.length > 0) {
+      const found = new Set();
+      await downloadFromSources(ownSources, queue, {
+        onResult: async (result) => {
+          if (!result.success) return;
+          found.add(result.styleNo);
+          downloadResults.push(result);
+          await updateProgress("download", result.styleNo, true);
+        }
       });
-      const workerCount = Math.min(PARALLEL_WORKERS, styleQueue.length);
-      const workerPromises = [];
-      for (let i = 1; i <= workerCount; i++) {
-        workerPromises.push(runDownloadWorker(i, browser, styleQueue, downloadResults, updateProgress));
+      queue = queue.filter(styleNo => !found.has(styleNo));
+      log("SOURCE", `${found.size}/${styleQueue.length} tech packs from the job's own files, ${queue.length} left`);
+    }
+
+    // Tech packs any job fetched recently enough come from the shared cache
+    const { hits: cachedDownloads, misses: stylesToFetch } = await restoreCachedTechPacks(queue, {
+      supabase,
+      outDir: OUT_DIR,
+      forceRefresh: !!job.force_refresh,
+      forceRefreshStyles: job.force_refresh_styles || []
+    });
+    for (const result of cachedDownloads) {
+      downloadResults.push({ ...result, skipped: true });
+      await updateProgress("download", result.styleNo, true);
+    }
+    if (cachedDownloads.length > 0) {
+      log("CACHE", `${cachedDownloads.length}/${queue.length} tech packs from cache, ${stylesToFetch.length} to fetch`);
+    }
+
+    if (stylesToFetch.length > 0 && fetchSources.length > 0) {
+      log("PHASE", `Tech pack sources: ${fetchSources.map(source => source.name).join(" -> ")}`);
+
+      await downloadFromSources(fetchSources, stylesToFetch, {
+        onResult: async (result) => {
+          downloadResults.push(result);
+          // Cache new fetches for later jobs; a supabase-source copy is already stored
+          if (result.success && result.source !== "supabase") {
+            try {
+              result.contentHash = await recordTechPack(result, { supabase, jobId: JOB_ID });
+            } catch (err) {
+              log("ERROR", err.message);
+            }
+          }
+          await updateProgress("download", result.styleNo, result.success);
+          if (!result.success) await markFailed(result.styleNo);
+        }
+      });
+    } else if (stylesToFetch.length > 0) {
+      // Only the job's own files were asked for, and they didn't have these
+      for (const styleNo of stylesToFetch) {
+        downloadResults.push({ styleNo, success: false, error: "No PDF named after this style", source: "local" });
+        await updateProgress("download", styleNo, false);
+        await markFailed(styleNo);
       }
-      await Promise.all(workerPromises);
-      await browser.close();
     } else {
-      log("INFO", "No styles need Gerber download — all sourced from line sheet or already downloaded");
+      log("INFO", "No styles need a tech pack download — all sourced from line sheet, the job's files, cache or already downloaded");
     }
 
     const successfulDownloads = downloadResults.filter(r => r.success);
     const failedDownloads = downloadResults.filter(r => !r.success);
-    log("PHASE", `Downloads complete: ${successfulDownloads.length}/${nonLineSheetStyles.length} Gerber styles succeeded, ${failedDownloads.length} failed`);
+    log("PHASE", `Downloads complete: ${successfulDownloads.length}/${nonLineSheetStyles.length} styles succeeded, ${failedDownloads.length} failed`);
     if (failedDownloads.length > 0) {
       log("INFO", `Failed downloads: ${failedDownloads.map(r => r.styleNo).join(', ')}`);
     }
+    for (const download of successfulDownloads) {
+      if (!download.contentHash) download.contentHash = hashFile(download.filePath);
+    }
 
     // ========== PHASE 2: EXTRACT ATTRIBUTES ==========
     log("PHASE", "Starting attribute extraction...");
+    await updateJob({ phase: "extract" });
 
     const extractionResults = [];
 
@@ -1314,11 +1080,14 @@ async function main() {
         extractionResults.push(result);
         // Pass extraction data for saving (for resume capability)
         await updateProgress("extract", download.styleNo, result.success, result.success ? result.data : null);
+        if (result.success) await trackRevision(download, result.data);
+        else await markFailed(download.styleNo);
       } catch (extractErr) {
         // Never let a single extraction kill the whole job
         log("ERROR", `Extraction crashed for ${download.styleNo}: ${extractErr.message}`);
         extractionResults.push({ styleNo: download.styleNo, success: false, error: extractErr.message });
         await updateProgress("extract", download.styleNo, false);
+        await markFailed(download.styleNo);
       }
 
       // Rate limit: wait 5 seconds between API calls to avoid 429 errors
@@ -1387,6 +1156,7 @@ async function main() {
 
     // ========== PHASE 3: SAVE EXTRACTED DATA ==========
     log("PHASE", "Saving extracted data to Supabase...");
+    await updateJob({ phase: "save", current_style: null });
 
     // Combine all extraction sources: line sheet + tech pack + resumed partial extractions
     const allExtractionResults = [...lineSheetResults, ...extractionResults];
@@ -1403,6 +1173,21 @@ async function main() {
     log("DEBUG", `Total extraction results: ${allExtractionResults.length} (${lineSheetResults.length} line sheet + ${extractionResults.length} tech pack + ${Object.keys(partialExtractions).length} resumed)`);
 
     const extractedData = prepareExtractedData(allExtractionResults, styleToRows, originalHeader, fabricMap);
+    const corrections = job.extracted_data?.corrections || [];
+    if (corrections.length > 0) {
+      log("DEBUG", `Re-applied ${corrections.length} chat correction(s) to ${applyCorrections(extractedData, corrections)} cell(s)`);
+    }
+    // Which tech pack each style's values came from, so exporting can stamp those revisions.
+    // Styles extracted on an earlier run keep the hash that run recorded.
+    extractedData.revisions = {};
+    for (const download of successfulDownloads) {
+      if (completedExtractions.has(download.styleNo)) {
+        extractedData.revisions[download.styleNo] = { content_hash: download.contentHash, season: download.season || null };
+      }
+    }
+    for (const [styleNo, revision] of Object.entries(job.extracted_data?.revisions || {})) {
+      if (resumedExtractions.has(styleNo)) extractedData.revisions[styleNo] = revision;
+    }
     log("DEBUG", `Extracted data: ${extractedData.rows.length} rows, ${extractedData.headers.length} headers`);
     log("DEBUG", `Logic tab: ${extractedData.logicRows.length} logic rows, ${extractedData.logicHeaders.length} headers`);
     if (extractedData.logicRows.length > 0) {
@@ -1422,12 +1207,18 @@ async function main() {
       progress_percent: 100,
       successful_count: totalSuccessful,
       failed_count: failedCount,
+      failed_styles: failedStylesList,
+      changed_styles: Array.from(changedStyles.values()),
       extracted_data: extractedData,
+      models_used: modelsUsed,
       error_message: failedCount > 0
         ? `Completed with ${failedCount} failed style(s): ${failedStylesList.join(', ')}`
         : null
     });
 
+    if (changedStyles.size > 0) {
+      log("CHANGED", `${changedStyles.size} style(s) changed since their last export: ${Array.from(changedStyles.keys()).join(', ')}`);
+    }
     log("COMPLETE", `Job finished: ${totalSuccessful}/${totalStyles} styles extracted (${lineSheetResults.length} from line sheet, ${successfulExtractions.length} from tech packs). ${failedCount > 0 ? `Failed: ${failedStylesList.join(', ')}` : 'All successful!'}`);
     stopHeartbeat();
 
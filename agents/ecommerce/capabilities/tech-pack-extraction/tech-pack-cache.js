@@ -0,0 +1,173 @@
+/**
+ * Tech Pack Cache - Reuse tech packs any job on any host already fetched
+ *
+ * Each PDF is stored once in the tech-packs bucket under its sha256
+ * (by-hash/<hash>.pdf). The tech_pack_cache table (migration
+ * 019_tech_pack_cache.sql) points each style + PLM season at the current hash,
+ * with when and where it was fetched. Jobs check it after their own local or
+ * zip files and before their other sources (see tech-pack-sources.js), so only
+ * stale or missing styles reach Gerber. Local and zip files are one-off uploads
+ * and never stored here.
+ *
+ * Freshness comes from TECH_PACK_FRESHNESS_DAYS: a number of days, or JSON by
+ * season, e.g. {"default": 15, "FALL": 30, "SPRING 2024": 365}. A full season
+ * beats the season name alone, which beats default. A job's force_refresh (or
+ * force_refresh_styles) skips the cache.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const { techPackPath, safe, log } = require("./tech-pack-sources");
+
+const BUCKET = "tech-packs";
+const DEFAULT_FRESHNESS_DAYS = 15;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function hashFile(filePath) {
+  return crypto.createHash("sha256").update(fs.readFileSync(filePath)).digest("hex");
+}
+
+/**
+ * Days a season's tech packs stay fresh, by season label ("FALL 2024")
+ */
+function parseFreshnessConfig(value = process.env.TECH_PACK_FRESHNESS_DAYS) {
+  if (!value) return { default: DEFAULT_FRESHNESS_DAYS };
+  const text = String(value).trim();
+  if (!text.startsWith("{")) {
+    const days = parseFloat(text);
+    if (Number.isNaN(days)) throw new Error(`TECH_PACK_FRESHNESS_DAYS must be a number or JSON object, got "${text}"`);
+    return { default: days };
+  }
+  const config = {};
+  for (const [season, days] of Object.entries(JSON.parse(text))) {
+    config[season.trim().toUpperCase()] = Number(days);
+  }
+  if (config.DEFAULT !== undefined) {
+    config.default = config.DEFAULT;
+    delete config.DEFAULT;
+  }
+  return { default: DEFAULT_FRESHNESS_DAYS, ...config };
+}
+
+function freshnessDays(season, config = parseFreshnessConfig()) {
+  const label = (season || "").trim().toUpperCase();
+  if (label && config[label] !== undefined) return config[label];
+  const name = label.split(/\s+/)[0];
+  if (name && config[name] !== undefined) return config[name];
+  return config.default;
+}
+
+function isFresh(entry, { config, now = Date.now() } = {}) {
+  const downloadedAt = Date.parse(entry.downloaded_at || "");
+  if (!downloadedAt) return false;
+  return now - downloadedAt <= freshnessDays(entry.season, config) * DAY_MS;
+}
+
+/**
+ * Most recently fetched cache row per style
+ */
+async function latestEntries(supabase, styles) {
+  const { data, error } = await supabase
+    .from("tech_pack_cache")
+    .select("style_no, season, content_hash, storage_path, source, downloaded_at")
+    .in("style_no", styles)
+    .order("downloaded_at", { ascending: false });
+  if (error) throw new Error(`Failed to load tech pack cache: ${error.message}`);
+
+  const latest = new Map();
+  for (const entry of data || []) {
+    if (!latest.has(entry.style_no)) latest.set(entry.style_no, entry);
+  }
+  return latest;
+}
+
+/**
+ * Put cached PDFs for fresh styles in outDir. A local copy with the right hash
+ * is used as is; otherwise it's fetched from the bucket.
+ * Returns { hits: [{ styleNo, success, filePath, season, contentHash, source: "cache" }], misses: [styleNo] }.
+ */
+async function restoreCachedTechPacks(styles, { supabase, outDir, forceRefresh = false, forceRefreshStyles = [], config = parseFreshnessConfig() }) {
+  const forced = new Set(forceRefreshStyles);
+  const candidates = forceRefresh ? [] : styles.filter(styleNo => !forced.has(styleNo));
+  const hits = [];
+  const misses = styles.filter(styleNo => !candidates.includes(styleNo));
+  if (candidates.length === 0) return { hits, misses };
+
+  let latest;
+  try {
+    latest = await latestEntries(supabase, candidates);
+  } catch (err) {
+    // The cache only saves work; without it every style goes to the sources
+    log("WARN", `${err.message} - fetching every style`);
+    return { hits, misses: styles };
+  }
+
+  fs.mkdirSync(outDir, { recursive: true });
+  for (const styleNo of candidates) {
+    const entry = latest.get(styleNo);
+    if (!entry || !isFresh(entry, { config })) {
+      if (entry) log("REFRESH", `Cached tech pack is stale (${entry.season || "no season"}, fetched ${entry.downloaded_at}): ${styleNo}`);
+      misses.push(styleNo);
+      continue;
+    }
+
+    const filePath = techPackPath(outDir, styleNo);
+    try {
+      if (!fs.existsSync(filePath) || hashFile(filePath) !== entry.content_hash) {
+        const { data, error } = await supabase.storage.from(BUCKET).download(entry.storage_path);
+        if (error || !data) throw new Error(error?.message || "no file");
+        fs.writeFileSync(filePath, Buffer.from(await data.arrayBuffer()));
+      }
+      log("CACHE", `${styleNo}: ${entry.season || "no season"}, fetched ${entry.downloaded_at}`);
+      hits.push({ styleNo, success: true, filePath, season: entry.season || null, contentHash: entry.content_hash, source: "cache" });
+    } catch (err) {
+      log("WARN", `Failed to restore cached tech pack for ${styleNo}: ${err.message}`);
+      misses.push(styleNo);
+    }
+  }
+
+  return { hits, misses };
+}
+
+/**
+ * Store a freshly fetched PDF: the content-addressed copy, the
+ * Tech_Pack_<style>.pdf copy the supabase source reads, and the cache row.
+ * Returns the content hash.
+ */
+async function recordTechPack({ styleNo, filePath, season = null, source = null }, { supabase, jobId = null }) {
+  const buffer = fs.readFileSync(filePath);
+  const contentHash = crypto.createHash("sha256").update(buffer).digest("hex");
+  const storagePath = `by-hash/${contentHash}.pdf`;
+
+  // Same hash, same bytes - an existing object is fine
+  const { error: hashError } = await supabase.storage.from(BUCKET).upload(storagePath, buffer, { contentType: "application/pdf", upsert: false });
+  if (hashError && !/exists|duplicate/i.test(hashError.message)) {
+    throw new Error(`Failed to upload tech pack ${styleNo}: ${hashError.message}`);
+  }
+
+  const { error: styleError } = await supabase.storage.from(BUCKET).upload(`Tech_Pack_${safe(styleNo)}.pdf`, buffer, { contentType: "application/pdf", upsert: true });
+  if (styleError) log("ERROR", `Upload failed: ${styleError.message}`);
+
+  const { error } = await supabase.from("tech_pack_cache").upsert({
+    style_no: styleNo,
+    season: season || "",
+    content_hash: contentHash,
+    storage_path: storagePath,
+    size_bytes: buffer.length,
+    source,
+    job_id: jobId,
+    downloaded_at: new Date().toISOString()
+  }, { onConflict: "style_no,season" });
+  if (error) throw new Error(`Failed to save tech pack cache entry for ${styleNo}: ${error.message}`);
+
+  return contentHash;
+}
+
+module.exports = {
+  parseFreshnessConfig,
+  freshnessDays,
+  isFresh,
+  hashFile,
+  restoreCachedTechPacks,
+  recordTechPack
+};
@@ -0,0 +1,243 @@
+/**
+ * Tech Pack Revisions - What changed in a style's tech pack since we last exported it
+ *
+ * Every distinct PDF (by content hash, see tech-pack-cache.js) a job extracts
+ * is kept in tech_pack_revisions (migration 020_tech_pack_revisions.sql) with
+ * its extracted values. Exporting a job (Google Sheet or CSV) stamps its
+ * revisions exported_at. When a later job extracts a different PDF for a style
+ * that's been exported, the fields whose value moved are stored on the new
+ * revision and the style is flagged in the job's changed_styles:
+ *   { style_no, season, content_hash, previous_hash, last_exported_at, changes: [{ field, before, after }] }
+ * Exporting the job stamps those entries exported_at rather than dropping them,
+ * so the job keeps a record of what changed.
+ *
+ * listChangedSinceExport() is the "changed since last export" report: the
+ * newest unexported revision of each style that has changes.
+ */
+
+const { log } = require("./tech-pack-sources");
+
+const REVISION_COLUMNS = "id, style_no, season, content_hash, job_id, extracted_values, previous_revision_id, changes, change_count, created_at, exported_at";
+
+/**
+ * { field: value } from an extraction result ({ field: { value, logic, ... } })
+ */
+function revisionValues(data) {
+  const values = {};
+  for (const [field, entry] of Object.entries(data || {})) {
+    const value = entry && typeof entry === "object" ? entry.value : entry;
+    if (value === undefined || value === null || typeof value === "object") continue;
+    values[field] = String(value);
+  }
+  return values;
+}
+
+// "N/A", case and spacing differences aren't changes
+function normalizeValue(value) {
+  const text = String(value ?? "").trim().replace(/\s+/g, " ");
+  return /^n\/a$/i.test(text) ? "" : text.toLowerCase();
+}
+
+/**
+ * Fields whose value differs between two revisions. Only fields the exported
+ * revision had are compared - a field added to the extraction since isn't a
+ * change to the tech pack.
+ */
+function diffValues(exported, current) {
+  const changes = [];
+  for (const [field, before] of Object.entries(exported || {})) {
+    const after = current[field] ?? "";
+    if (normalizeValue(before) !== normalizeValue(after)) {
+      changes.push({ field, before, after });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Store a style's revision and diff it against the last exported one.
+ * Returns the changed_styles entry, or null when there's nothing to flag.
+ */
+async function recordRevision({ styleNo, season = null, contentHash, data }, { supabase, jobId = null }) {
+  const values = revisionValues(data);
+
+  const { data: existing, error: findError } = await supabase
+    .from("tech_pack_revisions")
+    .select(REVISION_COLUMNS)
+    .eq("style_no", styleNo)
+    .eq("content_hash", contentHash)
+    .maybeSingle();
+  if (findError) throw new Error(`Failed to load tech pack revision for ${styleNo}: ${findError.message}`);
+
+  const { data: lastExported, error: exportError } = await supabase
+    .from("tech_pack_revisions")
+    .select(REVISION_COLUMNS)
+    .eq("style_no", styleNo)
+    .not("exported_at", "is", null)
+    .order("exported_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (exportError) throw new Error(`Failed to load exported revision for ${styleNo}: ${exportError.message}`);
+
+  // The same PDF as the export (or nothing exported yet) has nothing to flag
+  const isExported = lastExported?.content_hash === contentHash;
+  // A PDF seen before keeps its first extraction - the tech pack didn't change, whatever the model says this time
+  const changes = lastExported && !isExported
+    ? diffValues(lastExported.extracted_values, existing ? existing.extracted_values : values)
+    : [];
+  const diff = { previous_revision_id: lastExported?.id || null, changes, change_count: changes.length };
+
+  let revision;
+  if (existing) {
+    if (isExported) return null;
+    // e.g. back to an older PDF after a newer one was exported
+    const { data, error } = await supabase
+      .from("tech_pack_revisions")
+      .update({ ...diff, ...(changes.length > 0 ? { exported_at: null } : {}) })
+      .eq("id", existing.id)
+      .select(REVISION_COLUMNS)
+      .single();
+    if (error) throw new Error(`Failed to update tech pack revision for ${styleNo}: ${error.message}`);
+    revision = data;
+  } else {
+    const { data, error } = await supabase
+      .from("tech_pack_revisions")
+      .insert({
+        style_no: styleNo,
+        season: season || "",
+        content_hash: contentHash,
+        job_id: jobId,
+        extracted_values: values,
+        ...diff
+      })
+      .select(REVISION_COLUMNS)
+      .single();
+    if (error) throw new Error(`Failed to save tech pack revision for ${styleNo}: ${error.message}`);
+    revision = data;
+  }
+
+  if (changes.length === 0) return null;
+  log("CHANGED", `${styleNo}: ${changes.map(c => c.field).join(", ")} changed since the ${lastExported.exported_at} export`);
+  return changedStyle(revision, lastExported);
+}
+
+function changedStyle(revision, lastExported) {
+  return {
+    style_no: revision.style_no,
+    season: revision.season || null,
+    content_hash: revision.content_hash,
+    previous_hash: lastExported?.content_hash || null,
+    last_exported_at: lastExported?.exported_at || null,
+    changes: revision.changes || []
+  };
+}
+
+/**
+ * Stamp a job's revisions as exported. revisions is extracted_data.revisions
+ * ({ styleNo: { content_hash } }) as the processor saved it.
+ */
+async function markRevisionsExported(revisions, { supabase, jobId = null }) {
+  const entries = Object.entries(revisions || {});
+  const exportedAt = new Date().toISOString();
+  let marked = 0;
+
+  for (const [styleNo, { content_hash: contentHash }] of entries) {
+    const { error } = await supabase
+      .from("tech_pack_revisions")
+      .update({ exported_at: exportedAt, export_job_id: jobId })
+      .eq("style_no", styleNo)
+      .eq("content_hash", contentHash);
+    if (error) throw new Error(`Failed to mark ${styleNo} exported: ${error.message}`);
+    marked++;
+  }
+
+  // The job's changes stay as its history, marked as gone out with this export
+  if (jobId) {
+    const { data: job, error: loadError } = await supabase.from("jobs").select("changed_styles").eq("id", jobId).maybeSingle();
+    if (loadError) throw new Error(`Failed to load changed styles: ${loadError.message}`);
+    const changedStyles = job?.changed_styles || [];
+    if (changedStyles.some(style => !style.exported_at)) {
+      const { error } = await supabase
+        .from("jobs")
+        .update({ changed_styles: changedStyles.map(style => ({ ...style, exported_at: style.exported_at || exportedAt })) })
+        .eq("id", jobId);
+      if (error) throw new Error(`Failed to mark changed styles exported: ${error.message}`);
+    }
+  }
+  return marked;
+}
+
+/**
+ * Styles whose newest tech pack changed exported fields and hasn't been
+ * exported since, newest first. jobId limits it to one job's styles.
+ */
+async function listChangedSinceExport({ supabase, jobId = null, limit = 500 }) {
+  let query = supabase
+    .from("tech_pack_revisions")
+    .select(REVISION_COLUMNS)
+    .is("exported_at", null)
+    .gt("change_count", 0)
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  if (jobId) query = query.eq("job_id", jobId);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to load changed tech packs: ${error.message}`);
+
+  const latest = new Map();
+  for (const revision of data || []) {
+    if (!latest.has(revision.style_no)) latest.set(revision.style_no, revision);
+  }
+  if (latest.size === 0) return [];
+
+  // Previous exports, for the "before" side of each entry
+  const previousIds = [...latest.values()].map(r => r.previous_revision_id).filter(Boolean);
+  const { data: previous, error: previousError } = previousIds.length > 0
+    ? await supabase.from("tech_pack_revisions").select(REVISION_COLUMNS).in("id", previousIds)
+    : { data: [], error: null };
+  if (previousError) throw new Error(`Failed to load exported revisions: ${previousError.message}`);
+  const previousById = new Map((previous || []).map(r => [r.id, r]));
+
+  return [...latest.values()].map(revision => ({
+    ...changedStyle(revision, previousById.get(revision.previous_revision_id)),
+    job_id: revision.job_id,
+    detected_at: revision.created_at
+  }));
+}
+
+function escapeCsv(value) {
+  const text = String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The report as CSV, one line per changed field
+ */
+function changesToCsv(changedStyles) {
+  const lines = [["STYLE NO", "SEASON", "FIELD", "LAST EXPORTED", "NOW", "LAST EXPORTED AT", "DETECTED AT", "JOB ID", "EXPORTED AT"]];
+  for (const style of changedStyles) {
+    for (const change of style.changes) {
+      lines.push([
+        style.style_no,
+        style.season,
+        change.field,
+        change.before,
+        change.after,
+        style.last_exported_at,
+        style.detected_at,
+        style.job_id,
+        style.exported_at
+      ]);
+    }
+  }
+  return lines.map(line => line.map(escapeCsv).join(",")).join("\n");
+}
+
+module.exports = {
+  revisionValues,
+  diffValues,
+  recordRevision,
+  markRevisionsExported,
+  listChangedSinceExport,
+  changesToCsv
+};
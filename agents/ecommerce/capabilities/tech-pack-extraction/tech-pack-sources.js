@@ -0,0 +1,669 @@
+/**
+ * Tech Pack Sources - Where a job gets each style's tech pack PDF
+ *
+ *   gerber   - log in to Gerber PLM (GERBER_USER / GERBER_PASS) and generate the
+ *              tech pack with Playwright
+ *   local    - PDFs in TECH_PACK_LOCAL_DIR, or in a zip uploaded with the job
+ *              (a job-inputs storage path), matched to styles by file name
+ *   supabase - the copy an earlier job saved as tech-packs/Tech_Pack_<style>.pdf
+ *
+ * A job's tech_pack_sources (migration 018_tech_pack_sources.sql), or
+ * TECH_PACK_SOURCES when it has none, lists the sources to try in order. Styles a
+ * source can't supply go to the next one. Entries are source names; the one
+ * option is the zip /api/start-job uploaded, which it adds itself:
+ *   ["supabase", { "type": "local", "zip": "1718000000_techpacks_FA24.zip" }, "gerber"]
+ * TECH_PACK_SOURCES is a comma list (or JSON array) of names. Default: gerber.
+ * The Gerber URL and login, the local directory and the bucket come from the
+ * server only - a job can't point a source anywhere else.
+ *
+ * Every source has:
+ *   name
+ *   download(styles, { onResult }) -> [{ styleNo, success, filePath, season, error }]
+ * PDFs are saved as <outDir>/Tech_Pack_<style>.pdf; season is the PLM season
+ * when the source knows it. onResult(result) is awaited as each style is
+ * settled, for progress. Jobs check tech-pack-cache.js before any source runs.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const AdmZip = require("adm-zip");
+
+const TECH_PACK_SOURCES = ["gerber", "local", "supabase"];
+const DEFAULT_SOURCES = "gerber";
+
+const GERBER_ENTRY = "https://lagence.yuniquecloud.com/plmOn/Default.aspx?SW=1280&SH=720&OS=MAC";
+
+// Same format as job-processor.js so the job log reads as one; the cache and
+// revision modules log through it too
+function log(level, msg) {
+  const timestamp = new Date().toISOString().substr(11, 8);
+  console.log(`[${timestamp}] [${level}] ${msg}`);
+}
+
+function safe(s) { return s.replace(/[^a-zA-Z0-9._-]/g, "_"); }
+
+function techPackPath(outDir, styleNo) {
+  return path.join(outDir, `Tech_Pack_${safe(styleNo)}.pdf`);
+}
+
+// ========== GERBER (PLAYWRIGHT) ==========
+
+function getSeasonPriority(season) {
+  const s = (season || "").toUpperCase();
+  if (s.includes("FALL") || s.includes("FW") || s.includes("HOLIDAY")) return 4;
+  if (s.includes("SUMMER") || s.includes("SS")) return 3;
+  if (s.includes("SPRING") || s.includes("PRE")) return 2;
+  if (s.includes("WINTER") || s.includes("RESORT")) return 1;
+  return 0;
+}
+
+
+async function selectMostRecentResult(mainFrame, styleNo) {
+  await new Promise(r => setTimeout(r, 1000));
+  const rows = await mainFrame.locator("table tr").all();
+  let bestRow = null, bestYear = 0, bestSeasonPriority = -1, bestSeasonText = "";
+
+  for (const row of rows) {
+    const text = await row.textContent().catch(() => "");
+    if (!text.includes(styleNo)) continue;
+    const yearMatch = text.match(/20(\d{2})/);
+    const year = yearMatch ? parseInt("20" + yearMatch[1]) : 0;
+    const seasonMatch = text.match(/(FALL|SPRING|SUMMER|WINTER|HOLIDAY|RESORT|PRE-FALL|PRE-SPRING)/i);
+    const seasonText = seasonMatch ? seasonMatch[1].toUpperCase() : "";
+    const seasonPriority = getSeasonPriority(text);
+    if (year > bestYear || (year === bestYear && seasonPriority > bestSeasonPriority)) {
+      bestYear = year; bestSeasonPriority = seasonPriority; bestSeasonText = seasonText; bestRow = row;
+    }
+  }
+
+  if (bestRow && bestSeasonText) {
+    try {
+      await bestRow.scrollIntoViewIfNeeded();
+      await new Promise(r => setTimeout(r, 300));
+      const cells = await bestRow.locator("td").all();
+      for (let i = Math.min(5, cells.length - 1); i < cells.length; i++) {
+        try {
+          const cell = cells[i];
+          const cellText = await cell.textContent();
+          if (cellText && cellText.trim()) {
+            await cell.click();
+            return { success: true, season: `${bestSeasonText} ${bestYear}` };
+          }
+        } catch {}
+      }
+      await bestRow.getByText(bestSeasonText, { exact: true }).first().click();
+      return { success: true, season: `${bestSeasonText} ${bestYear}` };
+    } catch {
+      try {
+        await bestRow.locator("a").first().click();
+        return { success: true, season: `${bestSeasonText} ${bestYear}` };
+      } catch { return { success: false }; }
+    }
+  }
+  return { success: false };
+}
+
+async function downloadTechPack(page, context, mainFrame, styleNo, workerId, outDir) {
+  log("STYLE", `[W${workerId}] Processing: ${styleNo}`);
+
+  try {
+    // Retry the search-and-popup flow up to 3 times (popup can be flaky)
+    const MAX_POPUP_RETRIES = 3;
+    let page2 = null;
+    let season = null;
+
+    for (let attempt = 1; attempt <= MAX_POPUP_RETRIES; attempt++) {
+      // Track the popup promise so we can always clean it up
+      let page2Promise = null;
+      try {
+        await mainFrame.locator("#txtStyleNo").fill("");
+        await mainFrame.locator("#txtStyleNo").fill(styleNo);
+        await mainFrame.getByRole("link", { name: "Search", exact: true }).click();
+        await page.waitForTimeout(2000);
+
+        // IMPORTANT: Use .catch(()=>null) so this promise NEVER rejects unhandled.
+        // We check the result after awaiting instead.
+        page2Promise = page.waitForEvent("popup", { timeout: 30000 }).catch(() => null);
+        const selectResult = await selectMostRecentResult(mainFrame, styleNo);
+
+        if (!selectResult.success) {
+          try { await mainFrame.getByText(styleNo, { exact: true }).first().click(); }
+          catch {
+            const seasons = ["FALL", "SPRING", "SUMMER", "WINTER", "HOLIDAY", "RESORT"];
+            let clicked = false;
+            for (const season of seasons) { try { await mainFrame.getByText(season, { exact: true }).first().click({ timeout: 2000 }); clicked = true; break; } catch {} }
+            if (!clicked) throw new Error("No clickable search result");
+          }
+        } else { season = selectResult.season; log("SEARCH", `[W${workerId}] Selected: ${selectResult.season}`); }
+
+        page2 = await page2Promise;
+        if (!page2) throw new Error("Popup never opened");
+        break; // Success - exit retry loop
+      } catch (retryErr) {
+        // Always await the popup promise to prevent unhandled rejections
+        if (page2Promise) await page2Promise.catch(() => {});
+
+        // Close any stray popups before retrying
+        const pages = context.pages();
+        for (const p of pages) { if (p !== page) await p.close().catch(() => {}); }
+
+        if (attempt < MAX_POPUP_RETRIES) {
+          log("RETRY", `[W${workerId}] Popup attempt ${attempt}/${MAX_POPUP_RETRIES} failed for ${styleNo}: ${retryErr.message}. Retrying...`);
+          await page.waitForTimeout(3000);
+        } else {
+          throw retryErr; // All retries exhausted
+        }
+      }
+    }
+
+    if (!page2) throw new Error("Popup never opened after retries");
+    await page2.waitForLoadState("domcontentloaded");
+    await page2.waitForSelector('frame[name="menu"]', { timeout: 30000 });
+    const menuFrame2 = page2.locator('frame[name="menu"]').contentFrame();
+    await menuFrame2.getByRole("link", { name: "Tech Pack" }).click();
+    await page2.waitForTimeout(1000);
+    await page2.waitForSelector("#mainF", { timeout: 30000 });
+    const mainF = page2.locator("#mainF").contentFrame();
+
+    log("TECHPACK", `[W${workerId}] Creating tech pack...`);
+    const page3Promise = page2.waitForEvent("popup", { timeout: 30000 });
+    await mainF.getByRole("button", { name: "add_circle_outline" }).click({ force: true });
+    const page3 = await page3Promise;
+    await page3.waitForLoadState("domcontentloaded");
+    await page3.getByText("Predefined", { exact: true }).click({ force: true });
+    await page3.getByRole("button", { name: "save" }).click({ force: true });
+
+    // Close the tech pack creation popup - it's no longer needed
+    await page3.close().catch(() => {});
+
+    log("TECHPACK", `[W${workerId}] Waiting for generation...`);
+    await mainF.locator('text=/created successfully/i').first().waitFor({ timeout: 180000 });
+    await mainF.getByText(/The Tech Pack \(Collection\).*created successfully/i).first().click({ force: true });
+
+    const downloadPromise = page2.waitForEvent("download", { timeout: 60000 }).catch(() => null);
+    const page4Promise = page2.waitForEvent("popup", { timeout: 60000 }).catch(() => null);
+    await mainF.getByRole("button", { name: "vertical_align_bottom" }).first().click({ force: true });
+
+    const download = await downloadPromise;
+    const page4 = await page4Promise;
+    const filePath = techPackPath(outDir, styleNo);
+
+    if (download) { await download.saveAs(filePath); }
+    else if (page4) {
+      await page4.waitForLoadState("domcontentloaded", { timeout: 30000 });
+      const resp = await context.request.get(page4.url(), { maxRedirects: 20 });
+      fs.writeFileSync(filePath, await resp.body());
+      await page4.close().catch(() => {});
+    } else { throw new Error("No download"); }
+
+    // Also close page4 if it exists but download was used
+    if (page4 && download) {
+      await page4.close().catch(() => {});
+    }
+
+    log("DOWNLOAD", `[W${workerId}] Saved: ${styleNo}`);
+    await page2.close();
+    return { styleNo, success: true, filePath, season };
+  } catch (error) {
+    log("ERROR", `[W${workerId}] Failed ${styleNo}: ${error.message}`);
+    const pages = context.pages();
+    for (const p of pages) { if (p !== page) await p.close().catch(() => {}); }
+    return { styleNo, success: false, error: error.message };
+  }
+}
+
+// Helper to create a logged-in browser session
+async function createBrowserSession(browser, workerId, { entry, user, pass }) {
+  const context = await browser.newContext({
+    acceptDownloads: true,
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    viewport: { width: 1280, height: 720 },
+    locale: 'en-US',
+    timezoneId: 'America/Los_Angeles'
+  });
+  const page = await context.newPage();
+
+  // Hide webdriver property
+  await page.addInitScript(() => {
+    Object.defineProperty(navigator, 'webdriver', { get: () => false });
+  });
+
+  await page.goto(entry, { waitUntil: "domcontentloaded" });
+  await page.locator("#txtUserName").fill(user);
+  await page.locator("#txtUserPass").fill(pass);
+  await page.getByRole("button", { name: "Logon" }).click();
+  await page.waitForSelector('frame[name="dbody"]', { timeout: 60000 });
+  await page.waitForTimeout(3000);
+
+  const dbodyFrame = page.locator('frame[name="dbody"]').contentFrame();
+  const menuFrame = dbodyFrame.locator('frame[name="menu"]').contentFrame();
+  const mainFrame = dbodyFrame.locator('frame[name="main"]').contentFrame();
+
+  await menuFrame.locator('text=Style').first().waitFor({ timeout: 30000 });
+  await menuFrame.getByText("Style", { exact: true }).click();
+  await page.waitForTimeout(1000);
+  await menuFrame.getByRole("link", { name: "Style Search" }).click();
+  await page.waitForTimeout(1500);
+
+  log("LOGIN", `[W${workerId}] Session ready`);
+  return { context, page, menuFrame, mainFrame };
+}
+
+/**
+ * Work through the shared queue with one logged-in session. Failed styles go
+ * back on the queue until MAX_STYLE_ATTEMPTS; settle(result) is called once
+ * per style with its final result.
+ */
+async function runDownloadWorker(workerId, browser, styleQueue, settle, { outDir, login }) {
+  let session = null;
+  let consecutiveFailures = 0;
+  const MAX_CONSECUTIVE_FAILURES = 5;
+  const MAX_STYLE_ATTEMPTS = 4; // Max times we'll try a single style
+  const styleAttempts = {}; // Track per-style retry count
+
+  while (true) {
+    const styleNo = styleQueue.shift();
+    if (!styleNo) break;
+
+    // Track attempts per style
+    styleAttempts[styleNo] = (styleAttempts[styleNo] || 0) + 1;
+
+    // Create session if needed (first time or after crash)
+    if (!session) {
+      try {
+        session = await createBrowserSession(browser, workerId, login);
+        consecutiveFailures = 0; // Reset on successful session creation
+      } catch (err) {
+        log("ERROR", `[W${workerId}] Failed to create session: ${err.message}`);
+        // Re-queue the style if we haven't exhausted attempts
+        if (styleAttempts[styleNo] < MAX_STYLE_ATTEMPTS) {
+          styleQueue.push(styleNo);
+        } else {
+          log("SKIP", `[W${workerId}] Giving up on ${styleNo} after ${styleAttempts[styleNo]} attempts, moving on`);
+          await settle({ styleNo, success: false, error: `Session creation failed: ${err.message}` });
+        }
+        await new Promise(r => setTimeout(r, 5000));
+        continue;
+      }
+    }
+
+    try {
+      const result = await downloadTechPack(session.page, session.context, session.mainFrame, styleNo, workerId, outDir);
+
+      if (result.success) {
+        consecutiveFailures = 0;
+        await settle(result);
+      } else {
+        consecutiveFailures++;
+
+        // Re-queue the style if we haven't exhausted per-style attempts
+        if (styleAttempts[styleNo] < MAX_STYLE_ATTEMPTS) {
+          log("RETRY", `[W${workerId}] Re-queuing ${styleNo} attempt ${styleAttempts[styleNo]}/${MAX_STYLE_ATTEMPTS} (error: ${result.error})`);
+          styleQueue.push(styleNo); // Put at end of queue
+        } else {
+          log("SKIP", `[W${workerId}] Giving up on ${styleNo} after ${styleAttempts[styleNo]} attempts, moving on`);
+          await settle(result);
+        }
+
+        // Try to reset to Style Search for next attempt
+        let navResetOk = false;
+        try {
+          await session.menuFrame.getByText("Style", { exact: true }).click();
+          await session.menuFrame.getByRole("link", { name: "Style Search" }).click();
+          await session.page.waitForTimeout(1000);
+          navResetOk = true;
+        } catch {}
+
+        // If nav reset failed, session is probably broken - recreate it
+        if (!navResetOk) {
+          log("WARN", `[W${workerId}] Nav reset failed, recreating session`);
+          try { await session.context.close().catch(() => {}); } catch {}
+          session = null;
+        }
+      }
+
+      await new Promise(r => setTimeout(r, 1000));
+
+    } catch (err) {
+      // Likely browser/context crashed
+      log("ERROR", `[W${workerId}] Browser error for ${styleNo}: ${err.message}`);
+      consecutiveFailures++;
+
+      // Close crashed session and force recreation
+      try { await session.context.close().catch(() => {}); } catch {}
+      session = null;
+
+      // Re-queue the style if we haven't exhausted per-style attempts
+      if (styleAttempts[styleNo] < MAX_STYLE_ATTEMPTS) {
+        log("RETRY", `[W${workerId}] Re-queuing ${styleNo} after crash, attempt ${styleAttempts[styleNo]}/${MAX_STYLE_ATTEMPTS}`);
+        styleQueue.push(styleNo);
+      } else {
+        log("SKIP", `[W${workerId}] Giving up on ${styleNo} after ${styleAttempts[styleNo]} attempts, moving on`);
+        await settle({ styleNo, success: false, error: err.message });
+      }
+
+      // If many consecutive failures, wait before retrying
+      if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+        log("WARN", `[W${workerId}] ${consecutiveFailures} consecutive failures, waiting 60s before retry...`);
+        await new Promise(r => setTimeout(r, 60000));
+        consecutiveFailures = 0;
+      } else {
+        await new Promise(r => setTimeout(r, 3000));
+      }
+    }
+  }
+
+  // Cleanup
+  if (session) {
+    await session.context.close().catch(() => {});
+  }
+  log("DONE", `[W${workerId}] Download worker finished`);
+}
+
+class GerberSource {
+  constructor({ outDir }) {
+    this.name = "gerber";
+    this.outDir = outDir;
+    this.login = { entry: GERBER_ENTRY, user: process.env.GERBER_USER, pass: process.env.GERBER_PASS };
+    this.workers = parseInt(process.env.PARALLEL_WORKERS) || 1;
+    this.headless = process.env.HEADLESS !== "false";
+  }
+
+  async download(styles, { onResult = async () => {} } = {}) {
+    if (!this.login.user || !this.login.pass) {
+      throw new Error("GERBER_USER and GERBER_PASS must be set to use the gerber tech pack source");
+    }
+
+    // Loaded here so jobs that never reach Gerber don't need Playwright installed
+    const { chromium } = require("playwright");
+    const browser = await chromium.launch({
+      headless: this.headless,
+      args: [
+        '--disable-blink-features=AutomationControlled',
+        '--disable-dev-shm-usage',
+        '--no-sandbox'
+      ]
+    });
+
+    const results = [];
+    const settle = async (result) => {
+      results.push(result);
+      await onResult(result);
+    };
+
+    try {
+      const styleQueue = [...styles];
+      const workerCount = Math.min(this.workers, styleQueue.length);
+      const workerPromises = [];
+      for (let i = 1; i <= workerCount; i++) {
+        workerPromises.push(runDownloadWorker(i, browser, styleQueue, settle, { outDir: this.outDir, login: this.login }));
+      }
+      await Promise.all(workerPromises);
+    } finally {
+      await browser.close();
+    }
+    return results;
+  }
+}
+
+// ========== LOCAL DIRECTORY / ZIP ==========
+
+/**
+ * What a style can be called in a file name, most specific first:
+ * "2789NGX-BLK" -> ["2789NGX-BLK", "2789NGX"]. Not the bare number - 2789ABC
+ * and 2789NGX are different styles.
+ */
+function styleKeys(styleNo) {
+  const full = styleNo.toUpperCase().replace(/[^A-Z0-9-]/g, "");
+  const prefix = full.split("-")[0];
+  return [...new Set([full, prefix].filter(Boolean))];
+}
+
+function listPdfs(dir) {
+  const found = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) found.push(...listPdfs(entryPath));
+    else if (/\.pdf$/i.test(entry.name) && !entry.name.startsWith("._")) found.push(entryPath);
+  }
+  return found;
+}
+
+class LocalSource {
+  constructor({ outDir, zip = null, supabase = null }) {
+    const dir = process.env.TECH_PACK_LOCAL_DIR;
+    if (!dir && !zip) throw new Error("The local tech pack source needs TECH_PACK_LOCAL_DIR or an uploaded zip");
+    this.name = "local";
+    this.outDir = outDir;
+    this.dir = dir;
+    this.zip = zip;
+    this.supabase = supabase;
+    this.index = null;
+    this.tempDir = null;
+  }
+
+  /**
+   * Map each file-name token ("TECH_PACK_2789NGX.pdf" -> TECH, PACK, 2789NGX)
+   * and hyphenated run to the PDFs that contain it
+   */
+  async buildIndex() {
+    let root = this.dir;
+    if (this.zip) {
+      root = this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "tech-packs-"));
+      const { data, error } = await this.supabase.storage.from("job-inputs").download(this.zip);
+      if (error) throw new Error(`Failed to download tech pack zip: ${error.message}`);
+      // Only the PDFs, each in its own folder so same-named files in different
+      // zip folders don't overwrite each other
+      const entries = new AdmZip(Buffer.from(await data.arrayBuffer())).getEntries()
+        .filter(entry => !entry.isDirectory && /\.pdf$/i.test(entry.entryName));
+      entries.forEach((entry, i) => {
+        const dir = path.join(root, "files", String(i));
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, path.basename(entry.entryName)), entry.getData());
+      });
+      root = path.join(root, "files");
+      fs.mkdirSync(root, { recursive: true });
+    }
+    if (!fs.existsSync(root)) throw new Error(`Tech pack directory not found: ${root}`);
+
+    const pdfs = listPdfs(root);
+    const index = new Map();
+    for (const filePath of pdfs) {
+      const name = path.basename(filePath, path.extname(filePath)).toUpperCase();
+      const tokens = new Set([...name.split(/[^A-Z0-9]+/), ...name.split(/[^A-Z0-9-]+/)]);
+      for (const token of tokens) {
+        if (!token) continue;
+        if (!index.has(token)) index.set(token, []);
+        index.get(token).push(filePath);
+      }
+    }
+    log("SOURCE", `local: indexed ${pdfs.length} PDF(s) from ${this.zip ? `zip ${this.zip}` : root}`);
+    return index;
+  }
+
+  /**
+   * The newest PDF named after the style, trying its most specific key first
+   */
+  findPdf(styleNo) {
+    for (const key of styleKeys(styleNo)) {
+      const matches = this.index.get(key);
+      if (!matches) continue;
+      return matches.reduce((a, b) => (fs.statSync(b).mtimeMs > fs.statSync(a).mtimeMs ? b : a));
+    }
+    return null;
+  }
+
+  async download(styles, { onResult = async () => {} } = {}) {
+    const results = [];
+    try {
+      this.index = await this.buildIndex();
+      fs.mkdirSync(this.outDir, { recursive: true });
+
+      for (const styleNo of styles) {
+        const match = this.findPdf(styleNo);
+        let result;
+        if (match) {
+          const filePath = techPackPath(this.outDir, styleNo);
+          fs.copyFileSync(match, filePath);
+          log("DOWNLOAD", `local: ${styleNo} <- ${path.basename(match)}`);
+          result = { styleNo, success: true, filePath };
+        } else {
+          result = { styleNo, success: false, error: "No PDF named after this style" };
+        }
+        results.push(result);
+        await onResult(result);
+      }
+    } finally {
+      // Matches are copied to outDir, so the unzipped upload can go
+      if (this.tempDir) fs.rmSync(this.tempDir, { recursive: true, force: true });
+      this.tempDir = null;
+      this.index = null;
+    }
+    return results;
+  }
+}
+
+// ========== SUPABASE BUCKET ==========
+
+class SupabaseSource {
+  constructor({ outDir, supabase }) {
+    this.name = "supabase";
+    this.outDir = outDir;
+    this.supabase = supabase;
+    this.bucket = "tech-packs";
+  }
+
+  async download(styles, { onResult = async () => {} } = {}) {
+    fs.mkdirSync(this.outDir, { recursive: true });
+
+    const results = [];
+    for (const styleNo of styles) {
+      let result;
+      const { data, error } = await this.supabase.storage.from(this.bucket).download(`Tech_Pack_${safe(styleNo)}.pdf`);
+      if (error || !data) {
+        result = { styleNo, success: false, error: `Not in ${this.bucket}: ${error?.message || "no file"}` };
+      } else {
+        const filePath = techPackPath(this.outDir, styleNo);
+        fs.writeFileSync(filePath, Buffer.from(await data.arrayBuffer()));
+        log("DOWNLOAD", `supabase: ${styleNo}`);
+        result = { styleNo, success: true, filePath };
+      }
+      results.push(result);
+      await onResult(result);
+    }
+    return results;
+  }
+}
+
+// ========== SELECTION ==========
+
+// Where /api/start-job uploads a job's tech pack zip in job-inputs
+const TECH_PACK_ZIP_PATH = /^\d+_techpacks_[^/\\]+$/;
+
+/**
+ * Normalize a source list (array, JSON string or comma list) to [{ type }].
+ * Throws on unknown types and on options. allowZip lets through the
+ * { type: "local", zip } entry start-job stores - never set it for a list
+ * that came from a request.
+ */
+function parseSourceSpecs(value = DEFAULT_SOURCES, { allowZip = false } = {}) {
+  let list = value;
+  if (typeof list === "string") {
+    const text = list.trim();
+    list = text.startsWith("[") ? JSON.parse(text) : text.split(",").map(s => s.trim()).filter(Boolean);
+  }
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error("Tech pack sources must be a non-empty list");
+  }
+
+  return list.map((entry) => {
+    const type = typeof entry === "string" ? entry : entry?.type;
+    if (!TECH_PACK_SOURCES.includes(type)) {
+      throw new Error(`Unknown tech pack source "${type}" (expected one of: ${TECH_PACK_SOURCES.join(", ")})`);
+    }
+    if (typeof entry === "string") return { type };
+
+    const options = Object.keys(entry).filter(key => key !== "type");
+    const isUploadedZip = allowZip && type === "local" && options.length === 1 && options[0] === "zip"
+      && typeof entry.zip === "string" && TECH_PACK_ZIP_PATH.test(entry.zip);
+    if (!isUploadedZip) {
+      throw new Error(`Tech pack sources are names only (got options for "${type}")`);
+    }
+    return { type, zip: entry.zip };
+  });
+}
+
+function createTechPackSource(spec, { outDir, supabase }) {
+  const { type } = spec;
+  if (type === "gerber") return new GerberSource({ outDir });
+  if (type === "local") return new LocalSource({ outDir, supabase, zip: spec.zip || null });
+  if (type === "supabase") return new SupabaseSource({ outDir, supabase });
+  throw new Error(`Unknown tech pack source "${type}" (expected one of: ${TECH_PACK_SOURCES.join(", ")})`);
+}
+
+/**
+ * The sources for a job (its tech_pack_sources), in the order to try them
+ */
+function createTechPackSources(value, context) {
+  const specs = value
+    ? parseSourceSpecs(value, { allowZip: true })
+    : parseSourceSpecs(process.env.TECH_PACK_SOURCES || DEFAULT_SOURCES);
+  return specs.map(spec => createTechPackSource(spec, context));
+}
+
+/**
+ * Try each source in turn. onResult({ styleNo, success, filePath, error, source })
+ * is awaited once per style: on success, or after the last source failed.
+ * Returns every style's final result.
+ */
+async function downloadFromSources(sources, styles, { onResult = async () => {} } = {}) {
+  const finalResults = [];
+  let remaining = [...styles];
+
+  for (const [i, source] of sources.entries()) {
+    if (remaining.length === 0) break;
+    const isLast = i === sources.length - 1;
+    log("SOURCE", `${source.name}: fetching ${remaining.length} style(s)${isLast ? "" : " (falls back to the next source)"}`);
+
+    const failed = [];
+    const settle = async (result) => {
+      const tagged = { ...result, source: source.name };
+      if (tagged.success || isLast) {
+        finalResults.push(tagged);
+        await onResult(tagged);
+      } else {
+        failed.push(tagged);
+      }
+    };
+
+    try {
+      await source.download(remaining, { onResult: settle });
+    } catch (err) {
+      // A source that can't run at all (no credentials, missing directory) fails every style it had left
+      log("ERROR", `${source.name} source failed: ${err.message}`);
+      const settledStyles = new Set([...finalResults, ...failed].map(r => r.styleNo));
+      for (const styleNo of remaining) {
+        if (!settledStyles.has(styleNo)) await settle({ styleNo, success: false, error: err.message });
+      }
+    }
+
+    remaining = failed.map(r => r.styleNo);
+  }
+
+  return finalResults;
+}
+
+module.exports = {
+  TECH_PACK_SOURCES,
+  GerberSource,
+  LocalSource,
+  SupabaseSource,
+  parseSourceSpecs,
+  createTechPackSource,
+  createTechPackSources,
+  downloadFromSources,
+  techPackPath,
+  safe,
+  log
+};
@@ -0,0 +1,133 @@
+/**
+ * Tech Pack Tools - Chat tool handlers for starting and checking extraction jobs
+ *
+ * Declared in capability.json under "tools". Each export takes (input, context)
+ * and returns a JSON-serializable result for Claude.
+ */
+
+const path = require('path');
+const { spawn } = require('child_process');
+const { randomUUID } = require('crypto');
+const { getSupabaseClient } = require('../../../../shared/supabase-client');
+const { parseSourceSpecs } = require('./tech-pack-sources');
+
+const MAX_STYLES_PER_JOB = 500;
+
+/**
+ * Strip the "<timestamp>_" prefix storage paths get on upload
+ */
+function cleanFileName(fileName) {
+  const name = fileName || 'Untitled';
+  const underscoreIndex = name.indexOf('_');
+  if (underscoreIndex > 0 && /^\d+$/.test(name.substring(0, underscoreIndex))) {
+    return name.substring(underscoreIndex + 1);
+  }
+  return name;
+}
+
+/**
+ * Run the job processor for a job in the background
+ */
+function spawnJobProcessor(jobId) {
+  const processor = spawn('node', [path.join(__dirname, 'job-processor.js'), jobId], {
+    detached: true,
+    stdio: 'ignore',
+    env: { ...process.env }
+  });
+  processor.unref();
+  return processor;
+}
+
+/**
+ * Start a tech pack job from a list of style numbers / item IDs.
+ * Builds the same single-column CSV the upload flow produces and spawns the processor.
+ */
+async function start_tech_pack_job({ style_numbers, label, sources, force_refresh = false }, context = {}) {
+  const styles = [...new Set((style_numbers || []).map(s => String(s).trim()).filter(Boolean))];
+
+  if (styles.length === 0) {
+    throw new Error('style_numbers must contain at least one style');
+  }
+  if (styles.length > MAX_STYLES_PER_JOB) {
+    throw new Error(`Too many styles (${styles.length}); the limit is ${MAX_STYLES_PER_JOB} per job`);
+  }
+  const techPackSources = sources && sources.length > 0 ? parseSourceSpecs(sources) : null;
+
+  const supabase = getSupabaseClient();
+  const safeLabel = (label || 'chat-request').replace(/[^a-zA-Z0-9_-]+/g, '-');
+  const filePath = `${Date.now()}_${safeLabel}.csv`;
+  const csv = ['ITEM ID', ...styles].join('\n');
+
+  const { error: uploadError } = await supabase.storage
+    .from('job-inputs')
+    .upload(filePath, Buffer.from(csv, 'utf-8'), { contentType: 'text/csv', upsert: false });
+
+  if (uploadError) {
+    throw new Error(`Failed to upload style list: ${uploadError.message}`);
+  }
+
+  const jobId = randomUUID();
+  const { error: insertError } = await supabase.from('jobs').insert({
+    id: jobId,
+    status: 'pending',
+    progress_percent: 0,
+    input_file_name: filePath,
+    submitted_by: context.userId || 'chat',
+    tech_pack_sources: techPackSources,
+    force_refresh: !!force_refresh
+  });
+
+  if (insertError) {
+    throw new Error(`Failed to create job record: ${insertError.message}`);
+  }
+
+  const processor = spawnJobProcessor(jobId);
+  console.log(`[tech-pack-tools] Started job ${jobId} for ${styles.length} style(s) (pid: ${processor.pid})`);
+
+  return {
+    job_id: jobId,
+    status: 'pending',
+    style_count: styles.length,
+    file_name: cleanFileName(filePath),
+    sources: (techPackSources || []).map(source => source.type)
+  };
+}
+
+/**
+ * Get the status of a job, or of the most recent job when no ID is given
+ */
+async function get_job_status({ job_id }) {
+  const supabase = getSupabaseClient();
+
+  let query = supabase
+    .from('jobs')
+    .select('id, status, progress_percent, current_style, input_file_name, style_count, error_message, output_sheet_url, completed_extractions, changed_styles, created_at, updated_at');
+
+  query = job_id
+    ? query.eq('id', job_id)
+    : query.order('created_at', { ascending: false }).limit(1);
+
+  const { data, error } = await query.maybeSingle();
+
+  if (error) throw new Error(`Failed to load job: ${error.message}`);
+  if (!data) return { found: false, job_id: job_id || null };
+
+  return {
+    found: true,
+    job_id: data.id,
+    status: data.status,
+    progress_percent: data.progress_percent || 0,
+    current_style: data.current_style || null,
+    file_name: cleanFileName(data.input_file_name),
+    style_count: data.style_count || null,
+    completed_extractions: (data.completed_extractions || []).length,
+    output_sheet_url: data.output_sheet_url || null,
+    // Styles whose tech pack changed fields since they were last exported
+    changed_styles: data.changed_styles || [],
+    error_message: data.error_message || null,
+    created_at: data.created_at,
+    updated_at: data.updated_at
+  };
+}
+
+module.exports = { start_tech_pack_job, get_job_status, spawnJobProcessor };
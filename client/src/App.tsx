@@ -4,10 +4,12 @@ import { QueryClientProvider } from "@tanstack/react-query";
 import { Toaster } from "@/components/ui/toaster";
 import { Toaster as SonnerToaster } from "sonner";
 import { TooltipProvider } from "@/components/ui/tooltip";
+import { AuthProvider } from "@/components/auth-provider";
 import NotFound from "@/pages/not-found";
 import AdminDashboard from "@/pages/admin-dashboard";
 import AgentDashboard from "@/pages/results";
 import TaskPage from "@/pages/home";
+import ProposalsPage from "@/pages/proposals";
 
 function Router() {
   return (
@@ -15,6 +17,7 @@ function Router() {
       <Route path="/" component={AdminDashboard} />
       <Route path="/ecommerce-agent" component={AgentDashboard} />
       <Route path="/ecommerce-agent/Catsy-Metadata" component={TaskPage} />
+      <Route path="/admin/proposals" component={ProposalsPage} />
       <Route component={NotFound} />
     </Switch>
   );
@@ -26,7 +29,9 @@ function App() {
       <TooltipProvider>
         <Toaster />
         <SonnerToaster position="bottom-right" />
-        <Router />
+        <AuthProvider>
+          <Router />
+        </AuthProvider>
       </TooltipProvider>
     </QueryClientProvider>
   );
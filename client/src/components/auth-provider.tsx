@@ -0,0 +1,150 @@
+import { createContext, useCallback, useContext, useEffect, useState } from "react";
+import { Card, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Loader2, Mail } from "lucide-react";
+import { authFetch, getAuthClient, type AuthUser } from "@/lib/auth";
+
+interface AuthContextValue {
+  user: AuthUser | null;
+  signOut: () => Promise<void>;
+}
+
+const AuthContext = createContext<AuthContextValue>({
+  user: null,
+  signOut: async () => {},
+});
+
+export function useAuth() {
+  return useContext(AuthContext);
+}
+
+type AuthStatus = "loading" | "signed_in" | "signed_out" | "unavailable";
+
+// Renders children only once the server has accepted the user's session
+export function AuthProvider({ children }: { children: React.ReactNode }) {
+  const [status, setStatus] = useState<AuthStatus>("loading");
+  const [user, setUser] = useState<AuthUser | null>(null);
+
+  const loadUser = useCallback(async () => {
+    try {
+      const res = await authFetch("/api/auth/me");
+      if (res.ok) {
+        setUser((await res.json()).user);
+        setStatus("signed_in");
+        return;
+      }
+      setUser(null);
+      setStatus("signed_out");
+    } catch {
+      setUser(null);
+      setStatus("unavailable");
+    }
+  }, []);
+
+  useEffect(() => {
+    let unsubscribe = () => {};
+    getAuthClient()
+      .then((client) => {
+        if (client) {
+          const { data } = client.auth.onAuthStateChange(() => loadUser());
+          unsubscribe = () => data.subscription.unsubscribe();
+        }
+        return loadUser();
+      })
+      .catch(() => setStatus("unavailable"));
+    return () => unsubscribe();
+  }, [loadUser]);
+
+  const signOut = useCallback(async () => {
+    const client = await getAuthClient();
+    await client?.auth.signOut();
+    setUser(null);
+    setStatus("signed_out");
+  }, []);
+
+  if (status === "loading") {
+    return (
+      <div className="min-h-screen w-full flex items-center justify-center">
+        <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+      </div>
+    );
+  }
+
+  if (status !== "signed_in") {
+    return <SignIn unavailable={status === "unavailable"} />;
+  }
+
+  return (
+    <AuthContext.Provider value={{ user, signOut }}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
+
+// Email magic link sign-in (Supabase Auth)
+function SignIn({ unavailable }: { unavailable: boolean }) {
+  const [email, setEmail] = useState("");
+  const [sending, setSending] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState<string | null>(
+    unavailable ? "Couldn't reach the server. Try again in a moment." : null
+  );
+
+  const sendLink = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSending(true);
+    setError(null);
+    try {
+      const client = await getAuthClient();
+      if (!client) {
+        throw new Error("Sign-in isn't configured on this server (SUPABASE_ANON_KEY)");
+      }
+      const { error: otpError } = await client.auth.signInWithOtp({
+        email: email.trim(),
+        options: { emailRedirectTo: window.location.href },
+      });
+      if (otpError) throw otpError;
+      setSent(true);
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen w-full flex items-center justify-center bg-background">
+      <Card className="w-full max-w-sm mx-4">
+        <CardContent className="pt-6 space-y-4">
+          <div>
+            <h1 className="text-xl tracking-widest font-serif font-medium uppercase">L'Agence</h1>
+            <p className="text-sm text-muted-foreground mt-1">Sign in to continue</p>
+          </div>
+
+          {sent ? (
+            <p className="text-sm">
+              Check <strong>{email}</strong> for a sign-in link.
+            </p>
+          ) : (
+            <form onSubmit={sendLink} className="space-y-3">
+              <Input
+                type="email"
+                required
+                placeholder="you@lagence.com"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+              />
+              <Button type="submit" className="w-full" disabled={sending || !email.trim()}>
+                {sending ? <Loader2 className="h-4 w-4 animate-spin" /> : <Mail className="h-4 w-4" />}
+                Email me a sign-in link
+              </Button>
+            </form>
+          )}
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -1,12 +1,35 @@
 import { Link } from "wouter";
+import { LogOut } from "lucide-react";
+import { useAuth } from "@/components/auth-provider";
+import { hasRole } from "@/lib/auth";
 
 export default function Layout({ children }: { children: React.ReactNode }) {
+  const { user, signOut } = useAuth();
+
   return (
     <div className="h-screen bg-background flex flex-col font-sans selection:bg-black selection:text-white overflow-hidden">
       <header className="px-8 py-6 flex-none flex justify-between items-center bg-transparent relative z-50">
         <Link href="/" className="text-xl tracking-widest font-serif font-medium uppercase hover:opacity-70 transition-opacity">
           L'Agence
         </Link>
+        {user && (
+          <div className="flex items-center gap-3 text-xs text-muted-foreground">
+            {hasRole(user, "admin") && (
+              <Link href="/admin/proposals" className="uppercase tracking-widest text-[10px] hover:text-foreground transition-colors">
+                Proposals
+              </Link>
+            )}
+            <span>{user.email || user.name}</span>
+            <span className="uppercase tracking-widest text-[10px]">{user.role}</span>
+            <button
+              onClick={signOut}
+              className="hover:text-foreground transition-colors"
+              title="Sign out"
+            >
+              <LogOut className="h-4 w-4" />
+            </button>
+          </div>
+        )}
       </header>
 
       <main className="flex-1 flex flex-col relative overflow-hidden">
@@ -0,0 +1,54 @@
+// Supabase Auth session for API calls. The server publishes the project URL
+// and anon key at /api/auth/config; every API request carries the user's
+// access token as "Authorization: Bearer <token>".
+import { createClient, type SupabaseClient } from "@supabase/supabase-js";
+
+export type Role = "external" | "employee" | "admin";
+
+export interface AuthUser {
+  id: string;
+  email: string | null;
+  name: string;
+  role: Role;
+}
+
+const ROLE_ORDER: Role[] = ["external", "employee", "admin"];
+
+let clientPromise: Promise<SupabaseClient | null> | null = null;
+
+// null when the server runs with AUTH_DISABLED or has no anon key configured
+export function getAuthClient(): Promise<SupabaseClient | null> {
+  if (!clientPromise) {
+    clientPromise = fetch("/api/auth/config")
+      .then((res) => res.json())
+      .then((config) => {
+        if (config.authDisabled || !config.supabaseAnonKey) return null;
+        return createClient(config.supabaseUrl, config.supabaseAnonKey);
+      })
+      .catch((err) => {
+        clientPromise = null;
+        throw err;
+      });
+  }
+  return clientPromise;
+}
+
+export async function getAccessToken(): Promise<string | null> {
+  const client = await getAuthClient();
+  if (!client) return null;
+  const { data } = await client.auth.getSession();
+  return data.session?.access_token || null;
+}
+
+// fetch() with the signed-in user's token attached
+export async function authFetch(input: string, init: RequestInit = {}): Promise<Response> {
+  const token = await getAccessToken();
+  const headers = new Headers(init.headers);
+  if (token) headers.set("Authorization", `Bearer ${token}`);
+  return fetch(input, { ...init, headers });
+}
+
+export function hasRole(user: AuthUser | null, role: Role): boolean {
+  if (!user) return false;
+  return ROLE_ORDER.indexOf(user.role) >= ROLE_ORDER.indexOf(role);
+}
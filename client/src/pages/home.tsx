@@ -7,6 +7,7 @@ import ChatWidget from "@/components/chat-widget";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import { toast } from "sonner";
+import { authFetch } from "@/lib/auth";
 import {
   Loader2,
   CheckCircle2,
@@ -100,7 +101,7 @@ function SourceBadges({ jobId }: { jobId: string }) {
   const { data } = useQuery<{ sources: SourceInfo[] }>({
     queryKey: ["/api/jobs", jobId, "sources"],
     queryFn: async () => {
-      const res = await fetch(`/api/jobs/${jobId}/sources`);
+      const res = await authFetch(`/api/jobs/${jobId}/sources`);
       if (!res.ok) throw new Error("Failed to fetch sources");
       return res.json();
     },
@@ -166,8 +167,14 @@ export default function Home() {
   const supplementaryFileInputRef = useRef<HTMLInputElement>(null);
   const supplementaryTargetJobId = useRef<string | null>(null);
 
+  // ?review=<jobId> (from a chat job card) opens that job's review panel
   useEffect(() => {
-    fetch("/api/google-client-id")
+    const jobId = new URLSearchParams(window.location.search).get("review");
+    if (jobId) setReviewingJobId(jobId);
+  }, []);
+
+  useEffect(() => {
+    authFetch("/api/google-client-id")
       .then(res => res.json())
       .then(data => setGoogleClientId(data.clientId))
       .catch(err => console.error("Failed to fetch Google Client ID:", err));
@@ -187,7 +194,7 @@ export default function Home() {
   const { data: extractedData, isLoading: extractedLoading } = useQuery<ExtractedDataResponse>({
     queryKey: ["/api/jobs", reviewingJobId, "extracted"],
     queryFn: async () => {
-      const res = await fetch(`/api/jobs/${reviewingJobId}/extracted`);
+      const res = await authFetch(`/api/jobs/${reviewingJobId}/extracted`);
       if (!res.ok) throw new Error("Failed to fetch extracted data");
       return res.json();
     },
@@ -197,7 +204,7 @@ export default function Home() {
   const submitCorrection = async () => {
     if (!editingField || !reviewingJobId) return;
     try {
-      const res = await fetch("/api/feedback", {
+      const res = await authFetch("/api/feedback", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
@@ -226,6 +233,12 @@ export default function Home() {
     }
   };
 
+  const reviewJob = (jobId: string) => {
+    setReviewingJobId(jobId);
+    setEditingField(null);
+    document.getElementById(`job-${jobId}`)?.scrollIntoView({ behavior: "smooth", block: "start" });
+  };
+
   const handleSupplementaryUpload = async (files: FileList | null) => {
     const jobId = supplementaryTargetJobId.current;
     if (!files || files.length === 0 || !jobId) return;
@@ -237,7 +250,7 @@ export default function Home() {
     }
 
     try {
-      const res = await fetch(`/api/jobs/${jobId}/supplementary`, {
+      const res = await authFetch(`/api/jobs/${jobId}/supplementary`, {
         method: "POST",
         body: formData,
       });
@@ -280,7 +293,7 @@ export default function Home() {
         }
 
         try {
-          const response = await fetch("/api/create-google-sheet", {
+          const response = await authFetch("/api/create-google-sheet", {
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
@@ -394,7 +407,7 @@ export default function Home() {
               ) : (
                 <div className="divide-y divide-border">
                   {recentJobs.map((job) => (
-                    <div key={job.id} className="p-4 hover:bg-secondary/30 transition-colors">
+                    <div key={job.id} id={`job-${job.id}`} className="p-4 hover:bg-secondary/30 transition-colors">
                       <div className="flex items-start gap-3">
                         <div className="flex-1 min-w-0">
                           <p className="font-medium text-sm truncate">{job.fileName}</p>
@@ -579,7 +592,7 @@ export default function Home() {
 
           {/* Right: Chat Panel */}
           <div className="w-1/2 flex flex-col overflow-hidden">
-            <ChatWidget agentName="ecommerce" agentTitle="Emma" fullWidth />
+            <ChatWidget agentName="ecommerce" fullWidth onReviewJob={reviewJob} />
           </div>
         </div>
       </div>
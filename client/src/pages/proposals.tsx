@@ -0,0 +1,620 @@
+import { useState } from "react";
+import { useMutation, useQuery } from "@tanstack/react-query";
+import { useLocation } from "wouter";
+import Layout from "@/components/layout";
+import { ScrollArea } from "@/components/ui/scroll-area";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { useAuth } from "@/components/auth-provider";
+import { apiRequest, queryClient } from "@/lib/queryClient";
+import { hasRole } from "@/lib/auth";
+import { toast } from "sonner";
+import { ArrowLeft, Check, ExternalLink, GitMerge, Loader2, MessageSquare, Split, Users, X } from "lucide-react";
+
+type ProposalStatus = "pending_review" | "pending_approval" | "approved" | "rejected" | "implemented" | "merged";
+
+interface Proposal {
+  id: string;
+  agent_id: string;
+  title: string;
+  description: string | null;
+  complexity: string | null;
+  status: ProposalStatus;
+  proposed_changes: { request_type?: string; affected_files?: string[]; matched_capability?: string | null } | null;
+  classification: Record<string, any> | null;
+  conversation_id: string | null;
+  submitted_by: string | null;
+  pr_url: string | null;
+  reviewed_by: string | null;
+  reviewed_at: string | null;
+  review_note: string | null;
+  implemented_by: string | null;
+  implemented_at: string | null;
+  vote_count: number | null;
+  merged_into: string | null;
+  created_at: string;
+}
+
+interface ProposalComment {
+  id: string;
+  author: string;
+  body: string;
+  created_at: string;
+}
+
+interface Similarity {
+  score: number;
+  text: number;
+  capability: number;
+  files: number | null;
+}
+
+// A +1 on the proposal: a duplicate request, or a merged proposal's own request
+interface ProposalVote {
+  id: string;
+  submitted_by: string | null;
+  user_message: string | null;
+  origin: "duplicate" | "merged";
+  similarity: Similarity | null;
+  merged_from: string | null;
+  created_at: string;
+}
+
+interface RelatedProposal {
+  id: string;
+  title: string;
+  status: ProposalStatus;
+  vote_count: number;
+  created_at: string;
+  similarity: Similarity;
+}
+
+interface ConversationMessage {
+  id: string;
+  role: "user" | "assistant";
+  content: string;
+  created_at: string;
+}
+
+interface ProposalDetail extends Proposal {
+  comments: ProposalComment[];
+  votes: ProposalVote[];
+  related: RelatedProposal[];
+  conversation: { id: string; title: string | null; user_id: string | null } | null;
+  messages: ConversationMessage[];
+}
+
+const STATUS_FILTERS: { value: string; label: string }[] = [
+  { value: "open", label: "Open" },
+  { value: "approved", label: "Approved" },
+  { value: "implemented", label: "Implemented" },
+  { value: "rejected", label: "Rejected" },
+  { value: "merged", label: "Merged" },
+  { value: "all", label: "All" },
+];
+
+const SORTS: { value: string; label: string }[] = [
+  { value: "newest", label: "Newest" },
+  { value: "demand", label: "Most requested" },
+];
+
+const STATUS_STYLES: Record<ProposalStatus, string> = {
+  pending_review: "border-blue-300 bg-blue-100 text-blue-800",
+  pending_approval: "border-amber-300 bg-amber-100 text-amber-800",
+  approved: "border-green-300 bg-green-100 text-green-800",
+  rejected: "border-gray-300 bg-gray-100 text-gray-800",
+  implemented: "border-black bg-black text-white",
+  merged: "border-gray-300 bg-white text-gray-500",
+};
+
+const PENDING: ProposalStatus[] = ["pending_review", "pending_approval"];
+
+function StatusBadge({ status }: { status: ProposalStatus }) {
+  return (
+    <span className={`inline-flex items-center px-2 py-1 text-[10px] font-medium uppercase tracking-widest border ${STATUS_STYLES[status]}`}>
+      {status.replace("_", " ")}
+    </span>
+  );
+}
+
+function VoteCount({ count }: { count: number | null }) {
+  if (!count || count < 2) return null;
+  return (
+    <span className="inline-flex items-center gap-1 text-xs text-muted-foreground" title={`${count} people asked for this`}>
+      <Users className="h-3 w-3" /> {count}
+    </span>
+  );
+}
+
+function proposalsUrl(status: string, search: string, sort: string) {
+  const params = new URLSearchParams();
+  if (status !== "all") params.set("status", status);
+  if (search.trim()) params.set("q", search.trim());
+  if (sort !== "newest") params.set("sort", sort);
+  const query = params.toString();
+  return `/api/proposals${query ? `?${query}` : ""}`;
+}
+
+export default function ProposalsPage() {
+  const [, setLocation] = useLocation();
+  const { user } = useAuth();
+  const isAdmin = hasRole(user, "admin");
+
+  const [status, setStatus] = useState("open");
+  const [search, setSearch] = useState("");
+  const [sort, setSort] = useState("newest");
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+
+  const { data: list, isLoading } = useQuery<{ proposals: Proposal[]; total: number }>({
+    queryKey: [proposalsUrl(status, search, sort)],
+    enabled: isAdmin,
+  });
+  const proposals = list?.proposals || [];
+
+  return (
+    <Layout>
+      <div className="flex-1 flex flex-col h-full overflow-hidden">
+        <div className="border-b border-border bg-white px-12 py-8">
+          <button
+            onClick={() => setLocation("/")}
+            className="flex items-center gap-2 text-sm text-muted-foreground hover:text-black transition-colors mb-6"
+            data-testid="button-back-to-agents"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            <span>Back to L'AGENCE Agents</span>
+          </button>
+          <p className="text-[10px] uppercase tracking-widest text-muted-foreground mb-2">Admin</p>
+          <h1 className="font-serif text-3xl">Capability Proposals</h1>
+          <p className="text-muted-foreground text-sm mt-4 max-w-2xl">
+            Change requests people made in chat. Approving one opens a pull request.
+          </p>
+        </div>
+
+        {!isAdmin ? (
+          <div className="p-12 text-sm text-muted-foreground">Only admins can review proposals.</div>
+        ) : (
+          <div className="flex-1 flex overflow-hidden">
+            <div className="w-[420px] flex-none border-r border-border flex flex-col">
+              <div className="p-4 flex gap-2 border-b border-border">
+                <Select value={status} onValueChange={setStatus}>
+                  <SelectTrigger className="h-9 w-36" data-testid="select-proposal-status">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {STATUS_FILTERS.map((f) => (
+                      <SelectItem key={f.value} value={f.value}>{f.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Select value={sort} onValueChange={setSort}>
+                  <SelectTrigger className="h-9 w-40" data-testid="select-proposal-sort">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {SORTS.map((f) => (
+                      <SelectItem key={f.value} value={f.value}>{f.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Input
+                  className="h-9"
+                  placeholder="Search"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  data-testid="input-proposal-search"
+                />
+              </div>
+              <ScrollArea className="flex-1">
+                {isLoading ? (
+                  <div className="p-8 flex justify-center">
+                    <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+                  </div>
+                ) : proposals.length === 0 ? (
+                  <p className="p-8 text-center text-sm text-muted-foreground">No proposals</p>
+                ) : (
+                  <div className="divide-y divide-border">
+                    {proposals.map((proposal) => (
+                      <button
+                        key={proposal.id}
+                        onClick={() => setSelectedId(proposal.id)}
+                        className={`w-full text-left p-4 hover:bg-secondary/30 transition-colors ${selectedId === proposal.id ? "bg-secondary/40" : ""}`}
+                        data-testid={`proposal-${proposal.id}`}
+                      >
+                        <div className="flex items-start justify-between gap-2">
+                          <p className="text-sm font-medium">{proposal.title || "Untitled request"}</p>
+                          <StatusBadge status={proposal.status} />
+                        </div>
+                        <div className="flex items-center justify-between gap-2 mt-1">
+                          <p className="text-xs text-muted-foreground">
+                            {proposal.agent_id} · {proposal.proposed_changes?.request_type?.replace("_", " ") || "change"} ·{" "}
+                            {new Date(proposal.created_at).toLocaleDateString()}
+                          </p>
+                          <VoteCount count={proposal.vote_count} />
+                        </div>
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </ScrollArea>
+            </div>
+
+            <div className="flex-1 overflow-auto">
+              {selectedId ? (
+                <ProposalPanel proposalId={selectedId} onSelect={setSelectedId} />
+              ) : (
+                <div className="p-12 text-sm text-muted-foreground">Select a proposal to review it.</div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+}
+
+interface LocalPull {
+  number: number;
+  title: string;
+  head: string;
+  base: string;
+  draft: boolean;
+  status: string;
+  diff: string | null;
+}
+
+// PRs opened by the local git backend (VCS_BACKEND=local) live behind the
+// admin API rather than on GitHub, so show them inline
+const LOCAL_PULL_PREFIX = "/api/vcs/pulls/";
+
+function LocalPullRequest({ url }: { url: string }) {
+  const [open, setOpen] = useState(false);
+  const { data, isLoading, error } = useQuery<{ pull: LocalPull }>({
+    queryKey: [url],
+    enabled: open,
+  });
+  const pull = data?.pull;
+
+  return (
+    <div className="mt-4 text-sm">
+      <button className="inline-flex items-center gap-1 underline" onClick={() => setOpen(!open)}>
+        Local pull request #{url.slice(LOCAL_PULL_PREFIX.length)}
+      </button>
+      {open && (
+        <div className="mt-3 space-y-2">
+          {isLoading && <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />}
+          {error && <p className="text-xs text-destructive">{(error as Error).message}</p>}
+          {pull && (
+            <>
+              <p className="text-xs text-muted-foreground">
+                {pull.head} → {pull.base}
+                {pull.draft ? " · draft" : ""} · {pull.status}
+              </p>
+              <pre className="max-h-96 overflow-auto border border-border bg-muted/30 p-3 text-xs">
+                {pull.diff || "No changes on the branch yet"}
+              </pre>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ProposalPanel({ proposalId, onSelect }: { proposalId: string; onSelect: (id: string) => void }) {
+  const [comment, setComment] = useState("");
+  const [reason, setReason] = useState("");
+  const [prUrl, setPrUrl] = useState("");
+
+  const { data, isLoading } = useQuery<{ proposal: ProposalDetail }>({
+    queryKey: ["/api/proposals", proposalId],
+  });
+  const proposal = data?.proposal;
+
+  const refresh = () => {
+    queryClient.invalidateQueries({
+      predicate: (query) => String(query.queryKey[0]).startsWith("/api/proposals"),
+    });
+  };
+
+  const reviewMutation = useMutation({
+    mutationFn: async ({ action, body }: { action: "approve" | "reject" | "implemented"; body?: unknown }) => {
+      const res = await apiRequest("POST", `/api/proposals/${proposalId}/${action}`, body);
+      return res.json();
+    },
+    onSuccess: (result) => {
+      if (result.pr_error) toast.error(`Approved, but the PR wasn't created: ${result.pr_error}`);
+      else if (result.patched) toast.success("Approved. The PR includes a generated config patch.");
+      setReason("");
+      setPrUrl("");
+      refresh();
+    },
+    onError: (err: Error) => toast.error(`Couldn't update proposal: ${err.message}`),
+  });
+
+  const commentMutation = useMutation({
+    mutationFn: async (body: string) => {
+      const res = await apiRequest("POST", `/api/proposals/${proposalId}/comments`, { body });
+      return res.json();
+    },
+    onSuccess: () => {
+      setComment("");
+      refresh();
+    },
+    onError: (err: Error) => toast.error(`Couldn't save comment: ${err.message}`),
+  });
+
+  const mergeMutation = useMutation({
+    mutationFn: async (otherId: string) => {
+      const res = await apiRequest("POST", `/api/proposals/${proposalId}/merge`, { proposal_ids: [otherId] });
+      return res.json();
+    },
+    onSuccess: (result) => {
+      toast.success(`Merged. ${result.proposal.vote_count} people have asked for this.`);
+      refresh();
+    },
+    onError: (err: Error) => toast.error(`Couldn't merge: ${err.message}`),
+  });
+
+  const splitMutation = useMutation({
+    mutationFn: async (voteId: string) => {
+      const res = await apiRequest("POST", `/api/proposals/${proposalId}/votes/${voteId}/split`);
+      return res.json();
+    },
+    onSuccess: (result) => {
+      toast.success("Split out into its own proposal.", {
+        action: { label: "Open", onClick: () => onSelect(result.proposal.id) },
+      });
+      refresh();
+    },
+    onError: (err: Error) => toast.error(`Couldn't split: ${err.message}`),
+  });
+
+  if (isLoading || !proposal) {
+    return (
+      <div className="p-12 flex justify-center">
+        <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+      </div>
+    );
+  }
+
+  const classification = proposal.classification || {};
+  const affectedFiles = proposal.proposed_changes?.affected_files || [];
+  const busy = reviewMutation.isPending;
+
+  return (
+    <div className="max-w-3xl p-12 space-y-10">
+      <div>
+        <div className="flex items-center gap-3">
+          <StatusBadge status={proposal.status} />
+          <span className="text-xs text-muted-foreground">
+            {proposal.submitted_by ? `from ${proposal.submitted_by} · ` : ""}
+            {new Date(proposal.created_at).toLocaleString()}
+          </span>
+          <VoteCount count={proposal.vote_count} />
+        </div>
+        <h2 className="font-serif text-2xl mt-4">{proposal.title || "Untitled request"}</h2>
+        {proposal.merged_into && (
+          <button className="text-sm underline mt-2" onClick={() => onSelect(proposal.merged_into!)}>
+            Merged into another proposal
+          </button>
+        )}
+        {proposal.description && (
+          <blockquote className="mt-4 border-l-2 border-border pl-4 text-sm text-muted-foreground">
+            {proposal.description}
+          </blockquote>
+        )}
+        {proposal.pr_url?.startsWith(LOCAL_PULL_PREFIX) ? (
+          <LocalPullRequest url={proposal.pr_url} />
+        ) : proposal.pr_url && (
+          <a
+            href={proposal.pr_url}
+            target="_blank"
+            rel="noreferrer"
+            className="inline-flex items-center gap-1 mt-4 text-sm underline"
+          >
+            Pull request <ExternalLink className="h-3 w-3" />
+          </a>
+        )}
+        {proposal.reviewed_by && (
+          <p className="text-xs text-muted-foreground mt-3">
+            Reviewed by {proposal.reviewed_by}
+            {proposal.reviewed_at ? ` on ${new Date(proposal.reviewed_at).toLocaleString()}` : ""}
+            {proposal.review_note ? `: ${proposal.review_note}` : ""}
+          </p>
+        )}
+        {proposal.implemented_by && (
+          <p className="text-xs text-muted-foreground mt-1">
+            Marked implemented by {proposal.implemented_by}
+            {proposal.implemented_at ? ` on ${new Date(proposal.implemented_at).toLocaleString()}` : ""}
+          </p>
+        )}
+      </div>
+
+      {PENDING.includes(proposal.status) && (
+        <div className="space-y-3">
+          <h3 className="text-[10px] uppercase tracking-widest text-muted-foreground">Review</h3>
+          <Input
+            placeholder="Reason (for rejections)"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+          />
+          <div className="flex gap-2">
+            <Button onClick={() => reviewMutation.mutate({ action: "approve" })} disabled={busy}>
+              <Check className="h-4 w-4" /> Approve and open PR
+            </Button>
+            <Button
+              variant="outline"
+              onClick={() => reviewMutation.mutate({ action: "reject", body: { reason: reason.trim() || undefined } })}
+              disabled={busy}
+            >
+              <X className="h-4 w-4" /> Reject
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {proposal.status === "approved" && (
+        <div className="space-y-3">
+          <h3 className="text-[10px] uppercase tracking-widest text-muted-foreground">Implementation</h3>
+          <div className="flex gap-2">
+            <Input
+              placeholder={proposal.pr_url ? "PR URL (optional)" : "PR URL"}
+              value={prUrl}
+              onChange={(e) => setPrUrl(e.target.value)}
+            />
+            <Button
+              onClick={() => reviewMutation.mutate({ action: "implemented", body: { pr_url: prUrl.trim() || undefined } })}
+              disabled={busy}
+            >
+              Mark implemented
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {proposal.votes.length > 0 && (
+        <div>
+          <h3 className="text-[10px] uppercase tracking-widest text-muted-foreground mb-3 flex items-center gap-2">
+            <Users className="h-3 w-3" /> Also requested by {proposal.votes.length}
+          </h3>
+          <div className="border border-border divide-y divide-border">
+            {proposal.votes.map((vote) => (
+              <div key={vote.id} className="p-4 text-sm flex items-start justify-between gap-4">
+                <div>
+                  <p className="text-xs text-muted-foreground mb-1">
+                    {vote.submitted_by || "Unknown"} · {new Date(vote.created_at).toLocaleString()}
+                    {vote.origin === "merged" ? " · merged proposal" : ""}
+                    {vote.similarity ? ` · ${Math.round(vote.similarity.score * 100)}% match` : ""}
+                  </p>
+                  <p className="whitespace-pre-wrap">{vote.user_message || "—"}</p>
+                </div>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => splitMutation.mutate(vote.id)}
+                  disabled={splitMutation.isPending}
+                  title={vote.merged_from ? "Restore the merged proposal" : "Not the same request - file it separately"}
+                >
+                  <Split className="h-4 w-4" /> Split
+                </Button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {proposal.related.length > 0 && (
+        <div>
+          <h3 className="text-[10px] uppercase tracking-widest text-muted-foreground mb-3">Similar open proposals</h3>
+          <div className="border border-border divide-y divide-border">
+            {proposal.related.map((related) => (
+              <div key={related.id} className="p-4 text-sm flex items-center justify-between gap-4">
+                <button className="text-left" onClick={() => onSelect(related.id)}>
+                  <p className="font-medium">{related.title || "Untitled request"}</p>
+                  <p className="text-xs text-muted-foreground mt-1">
+                    {Math.round(related.similarity.score * 100)}% match · {related.vote_count}{" "}
+                    {related.vote_count === 1 ? "request" : "requests"}
+                  </p>
+                </button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => mergeMutation.mutate(related.id)}
+                  disabled={mergeMutation.isPending}
+                >
+                  <GitMerge className="h-4 w-4" /> Merge here
+                </Button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div>
+        <h3 className="text-[10px] uppercase tracking-widest text-muted-foreground mb-3">Classification</h3>
+        <dl className="grid grid-cols-[160px_1fr] gap-y-2 text-sm">
+          <dt className="text-muted-foreground">Type</dt>
+          <dd>{classification.request_type || proposal.proposed_changes?.request_type || "—"}</dd>
+          <dt className="text-muted-foreground">Capability</dt>
+          <dd>{classification.matched_capability_id || proposal.proposed_changes?.matched_capability || "—"}</dd>
+          <dt className="text-muted-foreground">Complexity</dt>
+          <dd>{proposal.complexity || "—"}</dd>
+          {classification.stage && (
+            <>
+              <dt className="text-muted-foreground">Classified by</dt>
+              <dd>
+                {classification.stage}
+                {classification.confidence != null ? ` (${classification.confidence})` : ""}
+                {classification.model ? ` · ${classification.model}` : ""}
+              </dd>
+            </>
+          )}
+          {affectedFiles.length > 0 && (
+            <>
+              <dt className="text-muted-foreground">Affected files</dt>
+              <dd className="font-mono text-xs space-y-1">
+                {affectedFiles.map((file) => <div key={file}>{file}</div>)}
+              </dd>
+            </>
+          )}
+        </dl>
+      </div>
+
+      <div>
+        <h3 className="text-[10px] uppercase tracking-widest text-muted-foreground mb-3">Conversation</h3>
+        {proposal.messages.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            {proposal.conversation_id ? "The conversation has no messages." : "Filed before conversations were linked to proposals."}
+          </p>
+        ) : (
+          <div className="border border-border divide-y divide-border">
+            {proposal.messages.map((message) => (
+              <div key={message.id} className={`p-4 text-sm ${message.role === "user" ? "bg-secondary/20" : ""}`}>
+                <p className="text-[10px] uppercase tracking-widest text-muted-foreground mb-1">
+                  {message.role === "user" ? "User" : proposal.agent_id}
+                </p>
+                <p className="whitespace-pre-wrap">{message.content}</p>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div>
+        <h3 className="text-[10px] uppercase tracking-widest text-muted-foreground mb-3 flex items-center gap-2">
+          <MessageSquare className="h-3 w-3" /> Comments
+        </h3>
+        <div className="space-y-3">
+          {proposal.comments.map((c) => (
+            <div key={c.id} className="p-3 border border-border/50 bg-secondary/10 text-sm">
+              <p className="text-xs text-muted-foreground mb-1">
+                {c.author} · {new Date(c.created_at).toLocaleString()}
+              </p>
+              <p className="whitespace-pre-wrap">{c.body}</p>
+            </div>
+          ))}
+          <Textarea
+            placeholder="Add a comment"
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+          />
+          <Button
+            variant="outline"
+            onClick={() => commentMutation.mutate(comment.trim())}
+            disabled={!comment.trim() || commentMutation.isPending}
+          >
+            Comment
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
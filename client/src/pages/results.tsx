@@ -1,19 +1,33 @@
-import { useQuery } from "@tanstack/react-query";
+import { useMutation, useQuery } from "@tanstack/react-query";
 import { useLocation } from "wouter";
 import { motion } from "framer-motion";
 import Layout from "@/components/layout";
 import ChatWidget from "@/components/chat-widget";
 import { ScrollArea } from "@/components/ui/scroll-area";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { useAuth } from "@/components/auth-provider";
+import { apiRequest, queryClient } from "@/lib/queryClient";
+import { hasRole } from "@/lib/auth";
+import { toast } from "sonner";
 import {
   FileSpreadsheet,
+  FileText,
   Sparkles,
   Tags,
-  Image,
+  Mail,
+  Brain,
   ArrowRight,
   ArrowLeft,
   Lightbulb,
   Bell,
-  ShoppingBag
+  ShoppingBag,
+  type LucideIcon
 } from "lucide-react";
 
 interface Job {
@@ -27,40 +41,36 @@ interface Job {
   errorMessage: string | null;
 }
 
-const capabilities = [
-  {
-    id: "catsy-metadata",
-    title: "Create Enriched Metadata for Catsy",
-    description: "Upload product CSV files to generate enriched metadata ready for Catsy import",
-    icon: FileSpreadsheet,
-    href: "/ecommerce-agent/Catsy-Metadata",
-    active: true
-  },
-  {
-    id: "product-descriptions",
-    title: "Generate Product Descriptions",
-    description: "Create compelling, SEO-optimized product descriptions from basic product data",
-    icon: Sparkles,
-    href: null,
-    active: false
-  },
-  {
-    id: "auto-tagging",
-    title: "Automatic Product Tagging",
-    description: "Intelligently categorize and tag products based on attributes and images",
-    icon: Tags,
-    href: null,
-    active: false
-  },
-  {
-    id: "image-analysis",
-    title: "Product Image Analysis",
-    description: "Extract color, style, and attribute data from product photography",
-    icon: Image,
-    href: null,
-    active: false
-  }
-];
+type CapabilityStatus = "planned" | "beta" | "active" | "deprecated" | "disabled";
+
+interface Capability {
+  id: string;
+  name: string;
+  description: string;
+  status: CapabilityStatus;
+  manifest_status: CapabilityStatus;
+  status_override: { status: CapabilityStatus; reason: string | null; updated_by: string | null } | null;
+  ui_path: string | null;
+}
+
+const CAPABILITY_STATUSES: CapabilityStatus[] = ["planned", "beta", "active", "deprecated", "disabled"];
+const USABLE_STATUSES: CapabilityStatus[] = ["beta", "active", "deprecated"];
+
+const STATUS_LABELS: Record<CapabilityStatus, string> = {
+  planned: "Coming Soon",
+  beta: "Beta",
+  active: "Active",
+  deprecated: "Deprecated",
+  disabled: "Turned Off",
+};
+
+const CAPABILITY_ICONS: Record<string, LucideIcon> = {
+  "tech-pack-extraction": FileSpreadsheet,
+  "catsy-metadata": Tags,
+  "pdf-ingestion": FileText,
+  "email-outreach": Mail,
+  "feedback-loop": Brain,
+};
 
 const learningWishlist = [
   {
@@ -83,11 +93,37 @@ const learningWishlist = [
 export default function Results() {
   const [, setLocation] = useLocation();
 
+  const { user } = useAuth();
+  const isAdmin = hasRole(user, "admin");
+
   const { data: recentJobs } = useQuery<Job[]>({
     queryKey: ["/api/jobs"],
     refetchInterval: 5000
   });
 
+  const { data: agentData } = useQuery<{ agent: { capabilities: Capability[] } }>({
+    queryKey: ["/api/agents", "ecommerce"],
+  });
+  const capabilities = agentData?.agent.capabilities || [];
+
+  // Admins can flip a capability's status; choosing the manifest value clears the override
+  const statusMutation = useMutation({
+    mutationFn: async ({ capability, status }: { capability: Capability; status: CapabilityStatus }) => {
+      const res = await apiRequest(
+        "PUT",
+        `/api/agents/ecommerce/capabilities/${capability.id}/status`,
+        { status: status === capability.manifest_status ? null : status }
+      );
+      return res.json();
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ["/api/agents", "ecommerce"] });
+    },
+    onError: (err: Error) => {
+      toast.error(`Couldn't change status: ${err.message}`);
+    },
+  });
+
   const activeJobs = recentJobs?.filter(
     job => job.status === "pending" || job.status === "processing"
   ) || [];
@@ -139,40 +175,74 @@ export default function Results() {
                 <h2 className="text-[10px] uppercase tracking-widest text-muted-foreground mb-6">Capabilities</h2>
                 <div className="grid grid-cols-1 gap-4">
                   {capabilities.map((capability) => {
-                    const Icon = capability.icon;
+                    const Icon = CAPABILITY_ICONS[capability.id] || Sparkles;
+                    const usable = USABLE_STATUSES.includes(capability.status);
+                    const href = usable ? capability.ui_path : null;
                     return (
                       <motion.div
                         key={capability.id}
-                        whileHover={capability.active ? { y: -2 } : {}}
+                        whileHover={href ? { y: -2 } : {}}
                         className={`
                           p-8 border transition-all
-                          ${capability.active 
-                            ? "border-border bg-white cursor-pointer hover:border-black/30 hover:shadow-lg" 
-                            : "border-border/50 bg-secondary/20 opacity-50 cursor-not-allowed"
+                          ${href
+                            ? "border-border bg-white cursor-pointer hover:border-black/30 hover:shadow-lg"
+                            : usable
+                              ? "border-border bg-white"
+                              : "border-border/50 bg-secondary/20"
                           }
                         `}
-                        onClick={() => capability.active && capability.href && setLocation(capability.href)}
+                        onClick={() => href && setLocation(href)}
                         data-testid={`capability-${capability.id}`}
                       >
-                        <div className="flex items-start gap-4">
-                          <div className={`p-4 ${capability.active ? "bg-black text-white" : "bg-secondary text-muted-foreground"}`}>
+                        <div className={`flex items-start gap-4 ${usable ? "" : "opacity-50"}`}>
+                          <div className={`p-4 ${usable ? "bg-black text-white" : "bg-secondary text-muted-foreground"}`}>
                             <Icon className="w-6 h-6" />
                           </div>
                           <div className="flex-1">
                             <div className="flex items-center gap-2">
-                              <h3 className="font-medium">{capability.title}</h3>
+                              <h3 className="font-medium">{capability.name}</h3>
                             </div>
                             <p className="text-sm text-muted-foreground mt-2">{capability.description}</p>
-                            {!capability.active && (
+                            {capability.status !== "active" && (
                               <span className="inline-block mt-3 text-[9px] uppercase tracking-wider text-muted-foreground bg-secondary px-2 py-0.5">
-                                Coming Soon
+                                {STATUS_LABELS[capability.status]}
                               </span>
                             )}
                           </div>
-                          {capability.active && (
+                          {href && (
                             <ArrowRight className="w-5 h-5 text-muted-foreground mt-1" />
                           )}
                         </div>
+                        {isAdmin && (
+                          <div
+                            className="mt-4 flex items-center gap-3 text-xs text-muted-foreground"
+                            onClick={(e) => e.stopPropagation()}
+                          >
+                            <span className="uppercase tracking-widest text-[10px]">Status</span>
+                            <Select
+                              value={capability.status}
+                              onValueChange={(status) =>
+                                statusMutation.mutate({ capability, status: status as CapabilityStatus })
+                              }
+                              disabled={statusMutation.isPending}
+                            >
+                              <SelectTrigger className="h-8 w-40" data-testid={`select-status-${capability.id}`}>
+                                <SelectValue />
+                              </SelectTrigger>
+                              <SelectContent>
+                                {CAPABILITY_STATUSES.map((status) => (
+                                  <SelectItem key={status} value={status}>
+                                    {STATUS_LABELS[status]}
+                                    {status === capability.manifest_status ? " (default)" : ""}
+                                  </SelectItem>
+                                ))}
+                              </SelectContent>
+                            </Select>
+                            {capability.status_override?.updated_by && (
+                              <span>set by {capability.status_override.updated_by}</span>
+                            )}
+                          </div>
+                        )}
                       </motion.div>
                     );
                   })}
@@ -263,7 +333,10 @@ export default function Results() {
           </div>
         </div>
         </div>
-        <ChatWidget agentName="ecommerce" agentTitle="Emma" />
+        <ChatWidget
+          agentName="ecommerce"
+          onReviewJob={(jobId) => setLocation(`/ecommerce-agent/Catsy-Metadata?review=${jobId}`)}
+        />
       </div>
     </Layout>
   );
@@ -0,0 +1,125 @@
+/**
+ * Agent Handoff - Transfers a conversation to another agent
+ *
+ * Agents list the agents they can hand off to in knows_about_agents. When the
+ * classifier decides a message belongs to one of them (request_type "handoff"),
+ * the conversation is summarized and the reply is generated by the target agent
+ * with its own system prompt, tools and personality. If the target isn't loaded,
+ * the current agent answers and says so instead.
+ */
+
+const { getModelConfig, toRequestParams } = require('./model-config');
+
+/**
+ * Describe the agents this agent can hand off to, for the classifier.
+ * canUse(agent) filters out agents the current user isn't allowed to talk to.
+ */
+function getHandoffTargets(agent, registry, { canUse = () => true } = {}) {
+  return (agent.knows_about_agents || []).map(id => {
+    const other = registry.getAgent(id);
+    if (!other || !canUse(other)) return { id, available: false };
+    return {
+      id,
+      name: other.name,
+      title: other.title,
+      expertise: other.expertise || [],
+      available: true
+    };
+  });
+}
+
+/**
+ * Summarize the conversation so far for the receiving agent.
+ * Returns { summary, model } - model is null when the fallback was used.
+ */
+async function summarizeConversation(messages, anthropic, { fromAgent, toAgent }) {
+  const transcript = messages
+    .map(m => `${m.role === 'user' ? 'User' : fromAgent.name}: ${typeof m.content === 'string' ? m.content : JSON.stringify(m.content)}`)
+    .join('\n');
+
+  try {
+    const response = await anthropic.messages.create({
+      ...toRequestParams(getModelConfig('summarization', { agent: fromAgent })),
+      messages: [{
+        role: 'user',
+        content: `${fromAgent.name} (${fromAgent.title}) is handing this conversation to ${toAgent.name} (${toAgent.title}).
+Write a short handoff note (3-5 sentences) for ${toAgent.name}: what the user needs, relevant details already given (style numbers, job IDs, names), and what was already tried. Plain text only.
+
+CONVERSATION:
+${transcript}`
+      }]
+    });
+    return { summary: response.content[0].text.trim(), model: response.model };
+  } catch (err) {
+    console.error(`[agent-handoff] Summary failed: ${err.message}`);
+    // Fall back to the raw last user message so the handoff still works
+    const lastUser = messages.filter(m => m.role === 'user').pop();
+    return { summary: `The user asked: "${lastUser?.content || ''}"`, model: null };
+  }
+}
+
+/**
+ * Work out who should answer this turn.
+ *
+ * Returns { agent, systemPrompt, messages, handoff } where handoff is null for a
+ * normal turn, or { from, to, summary, available } when the classifier routed
+ * the message to another agent.
+ */
+async function resolveHandoff({ classification, agent, registry, messages, anthropic, canUse = () => true }) {
+  const turn = {
+    agent,
+    systemPrompt: registry.getSystemPrompt(agent.id),
+    messages,
+    handoff: null
+  };
+
+  if (classification.request_type !== 'handoff') return turn;
+
+  const targetId = classification.handoff_agent_id;
+  const from = { id: agent.id, name: agent.name };
+
+  // Only hand off to agents this agent declares it knows about
+  let target = (agent.knows_about_agents || []).includes(targetId)
+    ? registry.getAgent(targetId)
+    : null;
+  if (target && !canUse(target)) target = null;
+
+  if (!target) {
+    console.log(`[agent-handoff] ${agent.id} -> ${targetId || '(none)'} unavailable, ${agent.id} keeps the conversation`);
+    turn.systemPrompt += `
+
+=== HANDOFF UNAVAILABLE ===
+This request belongs to the ${targetId || 'another'} agent, which isn't available yet. Tell the user that briefly, help with anything you can from your own expertise, and suggest who on the team they could ask in the meantime. Don't pretend to be another agent.`;
+    turn.handoff = { from, to: { id: targetId || null }, available: false, summary: null };
+    return turn;
+  }
+
+  const { summary, model } = await summarizeConversation(messages, anthropic, { fromAgent: agent, toAgent: target });
+  const lastUser = messages.filter(m => m.role === 'user').pop();
+
+  console.log(`[agent-handoff] ${agent.id} -> ${target.id}`);
+
+  turn.agent = target;
+  turn.systemPrompt = `${registry.getSystemPrompt(target.id)}
+
+=== HANDOFF ===
+${agent.name} (${agent.title}) just handed this conversation to you. Handoff note:
+${summary}
+
+Briefly introduce yourself as ${target.name}, then pick up where ${agent.name} left off.`;
+  turn.messages = lastUser ? [lastUser] : messages;
+  turn.handoff = {
+    from,
+    to: { id: target.id, name: target.name, title: target.title },
+    available: true,
+    summary,
+    summary_model: model
+  };
+  return turn;
+}
+
+module.exports = {
+  getHandoffTargets,
+  summarizeConversation,
+  resolveHandoff
+};
@@ -3,21 +3,72 @@
  *
  * Scans the agents/ directory for agent.json files and builds system prompts dynamically.
  * New agents are automatically discovered - no code changes needed.
+ * Manifests are validated against core/manifest-schema.js; broken ones are skipped
+ * and listed in the load report (see getLoadReport).
  */
 
 const fs = require('fs');
 const path = require('path');
+const { validateAgentManifest, validateCapabilityManifest } = require('./manifest-schema');
+const { isCapabilityUsable } = require('./capability-status');
 
 const AGENTS_DIR = path.join(__dirname, '../agents');
 
+// How usable capabilities that aren't fully active are described in the prompt
+const STATUS_NOTES = {
+  beta: 'In beta: results can have gaps, so suggest the user double-checks them.',
+  deprecated: "Being retired: still use it when asked, but mention it's going away."
+};
+
+// Most recent load report (see getLoadReport)
+let lastLoadReport = createLoadReport();
+
+function createLoadReport() {
+  return {
+    generated_at: new Date().toISOString(),
+    agents_loaded: 0,
+    capabilities_loaded: 0,
+    errors: []
+  };
+}
+
+/**
+ * Record a manifest problem in the load report
+ */
+function reportError(report, filePath, details) {
+  const entry = {
+    file: path.relative(path.join(AGENTS_DIR, '..'), filePath),
+    agent_id: details.agent_id,
+    capability_id: details.capability_id || null,
+    property: details.property || null,
+    reason: details.reason
+  };
+  report.errors.push(entry);
+  console.error(`Invalid manifest ${entry.file}${entry.property ? ` (${entry.property})` : ''}: ${entry.reason}`);
+}
+
+/**
+ * Read and JSON-parse a manifest, reporting parse failures
+ */
+function readManifest(filePath, report, details) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    reportError(report, filePath, { ...details, reason: `Invalid JSON: ${err.message}` });
+    return null;
+  }
+}
+
 /**
  * Load all agents from the agents/ directory
  */
 function loadAllAgents() {
   const agents = {};
+  const report = createLoadReport();
 
   if (!fs.existsSync(AGENTS_DIR)) {
     console.warn('No agents directory found');
+    lastLoadReport = report;
     return agents;
   }
 
@@ -28,25 +79,43 @@ function loadAllAgents() {
     const agentPath = path.join(AGENTS_DIR, agentId);
     if (!fs.statSync(agentPath).isDirectory()) continue;
 
-    const agentJsonPath = path.join(agentPath, 'agent.json');
-    if (fs.existsSync(agentJsonPath)) {
-      try {
-        const agent = JSON.parse(fs.readFileSync(agentJsonPath, 'utf-8'));
-        agent.capabilities = loadAgentCapabilities(agentId);
-        agents[agentId] = agent;
-      } catch (err) {
-        console.error(`Failed to load agent ${agentId}:`, err.message);
-      }
-    }
+    const agent = loadAgent(agentId, report);
+    if (agent) agents[agentId] = agent;
   }
 
+  lastLoadReport = report;
   return agents;
 }
 
 /**
- * Load capabilities for a specific agent
+ * Load and validate a single agent (agent.json + capabilities).
+ * Returns null if the agent manifest is missing or invalid.
+ */
+function loadAgent(agentId, report = createLoadReport()) {
+  const agentJsonPath = path.join(AGENTS_DIR, agentId, 'agent.json');
+  if (!fs.existsSync(agentJsonPath)) return null;
+
+  const agent = readManifest(agentJsonPath, report, { agent_id: agentId });
+  if (!agent) return null;
+
+  const issues = validateAgentManifest(agent, { folderName: agentId });
+  if (issues.length > 0) {
+    for (const issue of issues) {
+      reportError(report, agentJsonPath, { agent_id: agentId, ...issue });
+    }
+    return null;
+  }
+
+  agent.capabilities = loadAgentCapabilities(agentId, report);
+  report.agents_loaded++;
+  return agent;
+}
+
+/**
+ * Load capabilities for a specific agent. Capabilities whose manifest
+ * fails validation are skipped and recorded in the report.
  */
-function loadAgentCapabilities(agentId) {
+function loadAgentCapabilities(agentId, report = createLoadReport()) {
   const capDir = path.join(AGENTS_DIR, agentId, 'capabilities');
   const capabilities = [];
 
@@ -61,20 +130,36 @@ function loadAgentCapabilities(agentId) {
     if (!fs.statSync(capPath).isDirectory()) continue;
 
     const capJsonPath = path.join(capPath, 'capability.json');
-    if (fs.existsSync(capJsonPath)) {
-      try {
-        const capability = JSON.parse(fs.readFileSync(capJsonPath, 'utf-8'));
-        capability._path = capPath; // Store path for file operations
-        capabilities.push(capability);
-      } catch (err) {
-        console.error(`Failed to load capability ${capId}:`, err.message);
+    if (!fs.existsSync(capJsonPath)) continue;
+
+    const details = { agent_id: agentId, capability_id: capId };
+    const capability = readManifest(capJsonPath, report, details);
+    if (!capability) continue;
+
+    const issues = validateCapabilityManifest(capability, { folderName: capId, capPath });
+    if (issues.length > 0) {
+      for (const issue of issues) {
+        reportError(report, capJsonPath, { ...details, ...issue });
       }
+      continue;
     }
+
+    capability._path = capPath; // Store path for file operations
+    capabilities.push(capability);
+    report.capabilities_loaded++;
   }
 
   return capabilities;
 }
 
+/**
+ * Get the report from the most recent loadAllAgents() call:
+ * counts of what loaded plus every manifest that was skipped and why.
+ */
+function getLoadReport() {
+  return lastLoadReport;
+}
+
 /**
  * Load extraction config for a capability (if it has one)
  */
@@ -106,27 +191,33 @@ function loadCapabilityConfig(agentId, capabilityId, fileName) {
 
 /**
  * Build the system prompt for an agent
+ * Pass an already-loaded agents map (e.g. from the registry) to avoid rescanning disk.
  */
-function buildAgentSystemPrompt(agentId) {
-  const agents = loadAllAgents();
+function buildAgentSystemPrompt(agentId, agents = loadAllAgents()) {
   const agent = agents[agentId];
 
   if (!agent) {
     return null;
   }
 
-  // Build capabilities section
+  // Build capabilities section. Only usable capabilities are described in
+  // full; planned and disabled ones are listed so the agent can say so honestly.
   let capabilitiesText = '';
-  for (const cap of agent.capabilities) {
+  for (const cap of agent.capabilities.filter(isCapabilityUsable)) {
     capabilitiesText += `
-## ${cap.name}
+## ${cap.name}${STATUS_NOTES[cap.status] ? ` (${cap.status})` : ''}
 ${cap.description}
-
+${STATUS_NOTES[cap.status] ? `${STATUS_NOTES[cap.status]}\n` : ''}
 Triggers: ${cap.triggers?.join(', ') || 'N/A'}
 Actions:
 ${cap.actions?.map(a => `- ${a}`).join('\n') || '- No specific actions defined'}
 `;
 
+    if (cap.tools?.length > 0) {
+      capabilitiesText += `Tools: ${cap.tools.map(t => t.name).join(', ')}
+`;
+    }
+
     // If this capability has extraction fields, include them
     const extractionConfig = loadExtractionConfig(agentId, cap.id);
     if (extractionConfig && extractionConfig.getTechPackFields) {
@@ -156,6 +247,18 @@ ${Object.entries(docTypesConfig.DOCUMENT_TYPES).map(([key, dt]) => `- ${dt.label
     }
   }
 
+  const unavailable = agent.capabilities.filter(cap => !isCapabilityUsable(cap));
+  if (unavailable.length > 0) {
+    capabilitiesText += `
+## Not available
+You can't do these. If asked, say so plainly - never claim to have done them or offer to try:
+${unavailable.map(cap => `- ${cap.name} (${cap.status === 'planned' ? 'planned, not built yet' : 'turned off for now'}): ${cap.description}`).join('\n')}
+`;
+  }
+
+  // Required here rather than at the top: chat-actions loads tool-runner, which loads this module
+  const { formatActionsPrompt } = require('./chat-actions');
+
   // Build other agents section
   const otherAgents = agent.knows_about_agents || [];
   let otherAgentsText = '';
@@ -169,6 +272,8 @@ ${otherAgents.map(id => {
   }
   return `- ${id} (not yet available)`;
 }).join('\n')}
+
+When a request belongs to one of these agents, the conversation is handed to them automatically - don't redirect the user yourself. For agents that aren't available yet, say so and help as far as you can.
 `;
   }
 
@@ -191,24 +296,12 @@ ${agent.expertise?.slice(0, 3).join(', ')}
 === CAPABILITIES ===
 ${capabilitiesText}
 ${otherAgentsText}
+=== USING TOOLS ===
+When a tool can do what the user asked (start a job, check a job, look up a contact, draft an email, list rules), call it instead of describing the steps. Report what the tool actually returned - never claim something happened if the tool failed.
+
 === WHEN USERS WANT CHANGES ===
 If they want to tweak how something works, just say you'll pass it to the team. Keep it simple.
-
-=== SETTING EXTRACTION RULES ===
-If a user tells you how a field should be extracted differently, or gives you a rule to follow for future extractions, output a JSON action block AFTER your conversational response. The JSON must be on its own line, separated from your text.
-
-Format:
-{"action_type":"set_extraction_rule","field_name":"EXACT_FIELD_NAME","rule_description":"Specific rule in plain language","confidence":0.8}
-
-Use exact field names from the Extractable Fields list above (e.g., "RTW FIT", "FABRIC COO", "CARE INSTRUCTIONS").
-
-Examples of rule-setting messages from users:
-- "Always set RTW FIT to Relaxed for outerwear" → set rule for RTW FIT
-- "The fabric COO should come from the spec page, not the bill of materials" → set rule for FABRIC COO
-- "For dresses, default the occasion to Evening unless stated otherwise" → set rule for OCCASION (DRESSES ONLY)
-- "Stop marking care instructions as needs_review when they say Dry Clean Only" → set rule for CARE INSTRUCTIONS
-
-Only output the JSON action when the user is clearly setting a persistent rule. Don't output it for one-off questions about fields.`;
+${formatActionsPrompt(agent)}`;
 }
 
 /**
@@ -226,8 +319,11 @@ function getAgentIds() {
 }
 
 module.exports = {
+  AGENTS_DIR,
   loadAllAgents,
+  loadAgent,
   loadAgentCapabilities,
+  getLoadReport,
   loadExtractionConfig,
   loadCapabilityConfig,
   buildAgentSystemPrompt,
@@ -0,0 +1,259 @@
+/**
+ * Agent Registry - In-memory cache of loaded agents and their system prompts
+ *
+ * Watches the agents/ directory and reloads only the agent whose files changed,
+ * so request handlers never scan the filesystem. Built system prompts are cached
+ * per agent and dropped when that agent (or an agent it knows about) changes.
+ * Capability status overrides (see capability-status) are loaded from the
+ * database on start, re-checked every STATUS_REFRESH_MS, and applied on reload.
+ *
+ * Emits:
+ *   'change' - { agentId, type: 'added' | 'updated' | 'removed', files, errors }
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const {
+  AGENTS_DIR,
+  loadAllAgents,
+  loadAgent,
+  getLoadReport,
+  buildAgentSystemPrompt
+} = require('./agent-loader');
+const { loadStatusOverrides, applyStatusOverrides, saveStatusOverride } = require('./capability-status');
+
+const RELOAD_DEBOUNCE_MS = 250;
+const FALLBACK_POLL_MS = 30000;
+const STATUS_REFRESH_MS = 60000;
+
+class AgentRegistry extends EventEmitter {
+  // Watches agent-loader's AGENTS_DIR, the directory the loader reads
+  constructor({ debounceMs = RELOAD_DEBOUNCE_MS } = {}) {
+    super();
+    this.debounceMs = debounceMs;
+    this.agents = {};
+    this.promptCache = new Map();   // agentId -> system prompt
+    this.errorsByAgent = {};        // agentId -> load report errors
+    this.pendingReloads = new Map(); // agentId -> { timer, files }
+    this.watcher = null;
+    this.pollInterval = null;
+    this.statusInterval = null;
+    this.statusOverrides = new Map(); // "agentId/capabilityId" -> capability_status row
+    this.loadedAt = null;
+  }
+
+  /**
+   * Load every agent and start watching for changes
+   */
+  start() {
+    this.reloadAll();
+
+    try {
+      this.watcher = fs.watch(AGENTS_DIR, { recursive: true }, (_event, filename) => {
+        if (filename) this.handleFileEvent(filename.toString());
+      });
+      this.watcher.on('error', (err) => {
+        console.error(`[agent-registry] Watcher error: ${err.message}`);
+      });
+    } catch (err) {
+      // Recursive watch isn't available everywhere - fall back to the old polling behavior
+      console.warn(`[agent-registry] File watching unavailable (${err.message}), reloading every ${FALLBACK_POLL_MS / 1000}s`);
+      this.pollInterval = setInterval(() => this.reloadAll(), FALLBACK_POLL_MS);
+    }
+
+    // Other server processes can change overrides too, so keep checking
+    this.refreshStatusOverrides();
+    this.statusInterval = setInterval(() => this.refreshStatusOverrides(), STATUS_REFRESH_MS);
+    this.statusInterval.unref();
+
+    return this;
+  }
+
+  stop() {
+    if (this.watcher) this.watcher.close();
+    if (this.pollInterval) clearInterval(this.pollInterval);
+    if (this.statusInterval) clearInterval(this.statusInterval);
+    for (const { timer } of this.pendingReloads.values()) clearTimeout(timer);
+    this.watcher = null;
+    this.pollInterval = null;
+    this.statusInterval = null;
+    this.pendingReloads.clear();
+  }
+
+  /**
+   * Full rescan of agents/ - used on startup and by the polling fallback
+   */
+  reloadAll() {
+    this.agents = loadAllAgents();
+    for (const agent of Object.values(this.agents)) applyStatusOverrides(agent, this.statusOverrides);
+    this.promptCache.clear();
+    this.errorsByAgent = {};
+    for (const err of getLoadReport().errors) {
+      if (!this.errorsByAgent[err.agent_id]) this.errorsByAgent[err.agent_id] = [];
+      this.errorsByAgent[err.agent_id].push(err);
+    }
+    this.loadedAt = new Date().toISOString();
+    return this.agents;
+  }
+
+  /**
+   * Map a changed path (relative to agents/) to its agent and debounce a reload
+   */
+  handleFileEvent(relativePath) {
+    const parts = relativePath.split(path.sep);
+    const agentId = parts[0];
+    const baseName = parts[parts.length - 1];
+
+    if (!agentId || agentId.startsWith('.')) return;
+    if (baseName.startsWith('.') || baseName.endsWith('~') || baseName.endsWith('.swp')) return;
+
+    const pending = this.pendingReloads.get(agentId) || { timer: null, files: new Set() };
+    pending.files.add(relativePath);
+    clearTimeout(pending.timer);
+    pending.timer = setTimeout(() => {
+      this.pendingReloads.delete(agentId);
+      this.reloadAgent(agentId, [...pending.files]);
+    }, this.debounceMs);
+    this.pendingReloads.set(agentId, pending);
+  }
+
+  /**
+   * Reload a single agent and invalidate the prompts that depend on it
+   */
+  reloadAgent(agentId, files = []) {
+    const existed = !!this.agents[agentId];
+    const agentPath = path.join(AGENTS_DIR, agentId);
+    const report = { agents_loaded: 0, capabilities_loaded: 0, errors: [] };
+
+    let agent = null;
+    if (fs.existsSync(agentPath) && fs.statSync(agentPath).isDirectory()) {
+      agent = loadAgent(agentId, report);
+    }
+
+    if (agent) {
+      this.agents[agentId] = applyStatusOverrides(agent, this.statusOverrides);
+    } else {
+      delete this.agents[agentId];
+    }
+
+    if (report.errors.length > 0) {
+      this.errorsByAgent[agentId] = report.errors;
+    } else {
+      delete this.errorsByAgent[agentId];
+    }
+
+    this.invalidatePrompts(agentId);
+    this.loadedAt = new Date().toISOString();
+
+    // A broken agent.json leaves agent null even though the folder exists -
+    // report it as removed so callers know it's no longer routable.
+    let type = 'updated';
+    if (!agent) type = 'removed';
+    else if (!existed) type = 'added';
+
+    if (agent || existed || report.errors.length > 0) {
+      this.emit('change', { agentId, type, files, errors: report.errors });
+    }
+
+    return agent;
+  }
+
+  /**
+   * Re-read capability status overrides and re-apply them. Agents whose
+   * effective statuses changed get their prompts rebuilt and emit 'change'.
+   */
+  async refreshStatusOverrides() {
+    try {
+      this.statusOverrides = await loadStatusOverrides();
+    } catch (err) {
+      console.error(`[agent-registry] ${err.message}`);
+      return;
+    }
+
+    for (const agent of Object.values(this.agents)) {
+      const before = agent.capabilities.map(c => c.status).join();
+      applyStatusOverrides(agent, this.statusOverrides);
+      if (agent.capabilities.map(c => c.status).join() !== before) {
+        this.invalidatePrompts(agent.id);
+        this.emit('change', { agentId: agent.id, type: 'updated', files: [], errors: [] });
+      }
+    }
+  }
+
+  /**
+   * Change a capability's status at runtime (null reverts to capability.json).
+   * Returns the updated capability, or null if the agent or capability isn't loaded.
+   */
+  async setCapabilityStatus(agentId, capabilityId, { status, reason = null, updatedBy = null }) {
+    const agent = this.agents[agentId];
+    const capability = agent?.capabilities.find(c => c.id === capabilityId);
+    if (!capability) return null;
+
+    const row = await saveStatusOverride({ agentId, capabilityId, status, reason, updatedBy });
+    const key = `${agentId}/${capabilityId}`;
+    if (row) this.statusOverrides.set(key, row);
+    else this.statusOverrides.delete(key);
+
+    applyStatusOverrides(agent, this.statusOverrides);
+    this.invalidatePrompts(agentId);
+    console.log(`[agent-registry] ${key} is now ${capability.status}${updatedBy ? ` (set by ${updatedBy})` : ''}`);
+    this.emit('change', { agentId, type: 'updated', files: [], errors: [] });
+    return capability;
+  }
+
+  /**
+   * Drop cached prompts for an agent and for every agent that references it
+   */
+  invalidatePrompts(agentId) {
+    this.promptCache.delete(agentId);
+    for (const other of Object.values(this.agents)) {
+      if ((other.knows_about_agents || []).includes(agentId)) {
+        this.promptCache.delete(other.id);
+      }
+    }
+  }
+
+  getAgents() {
+    return this.agents;
+  }
+
+  getAgent(agentId) {
+    return this.agents[agentId] || null;
+  }
+
+  getAgentIds() {
+    return Object.keys(this.agents);
+  }
+
+  /**
+   * Get the system prompt for an agent, building it on first use after a change
+   */
+  getSystemPrompt(agentId) {
+    if (!this.agents[agentId]) return null;
+
+    if (!this.promptCache.has(agentId)) {
+      this.promptCache.set(agentId, buildAgentSystemPrompt(agentId, this.agents));
+    }
+    return this.promptCache.get(agentId);
+  }
+
+  /**
+   * Same shape as agent-loader's getLoadReport(), kept current as agents reload
+   */
+  getLoadReport() {
+    const agents = Object.values(this.agents);
+    return {
+      generated_at: this.loadedAt,
+      agents_loaded: agents.length,
+      capabilities_loaded: agents.reduce((n, a) => n + a.capabilities.length, 0),
+      errors: Object.values(this.errorsByAgent).flat()
+    };
+  }
+}
+
+function createAgentRegistry(options) {
+  return new AgentRegistry(options);
+}
+
+module.exports = { AgentRegistry, createAgentRegistry };
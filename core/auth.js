@@ -0,0 +1,145 @@
+/**
+ * Auth - Verifies Supabase Auth JWTs and checks roles
+ *
+ * Roles, lowest to highest: external (suppliers), employee, admin. A user's
+ * role comes from app_metadata.role, which only admins can set in Supabase.
+ * Without one, users whose email domain is listed in AUTH_EMPLOYEE_DOMAINS
+ * (comma-separated) are employees and everyone else is external.
+ *
+ * Agents declare the lowest role allowed to use them in agent.json
+ * ("access_level"); agents without one are employee-only.
+ *
+ * Server-to-server callers can send BEARER_TOKEN instead of a JWT and act as
+ * an admin. For local development, AUTH_DISABLED=true (ignored in production)
+ * treats every request as a local admin.
+ */
+
+const crypto = require('crypto');
+const { getSupabaseClient } = require('../shared/supabase-client');
+
+const ROLES = ['external', 'employee', 'admin'];
+const DEFAULT_ACCESS_LEVEL = 'employee';
+
+// Verified tokens are cached briefly so each request doesn't call Supabase
+const TOKEN_CACHE_MS = 60 * 1000;
+const tokenCache = new Map();
+
+const SERVICE_USER = { id: 'service', email: null, name: 'service', role: 'admin' };
+const DEV_USER = { id: 'local-dev', email: null, name: 'local-dev', role: 'admin' };
+
+function isAuthDisabled() {
+  return process.env.AUTH_DISABLED === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Pull the token out of an "Authorization: Bearer <token>" header
+ */
+function getBearerToken(header) {
+  if (!header || typeof header !== 'string') return null;
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+function roleForUser(user) {
+  const assigned = user.app_metadata?.role;
+  if (ROLES.includes(assigned)) return assigned;
+
+  const domains = (process.env.AUTH_EMPLOYEE_DOMAINS || '')
+    .split(',')
+    .map(d => d.trim().toLowerCase())
+    .filter(Boolean);
+  const domain = (user.email || '').split('@')[1]?.toLowerCase();
+  return domain && domains.includes(domain) ? 'employee' : 'external';
+}
+
+function isServiceToken(token) {
+  const serviceToken = process.env.BEARER_TOKEN;
+  if (!serviceToken) return false;
+  const a = Buffer.from(token);
+  const b = Buffer.from(serviceToken);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Verify a bearer token. Returns { id, email, name, role } or null when the
+ * token is missing, expired or invalid.
+ */
+async function authenticate(token) {
+  if (isAuthDisabled()) return DEV_USER;
+  if (!token) return null;
+  if (isServiceToken(token)) return SERVICE_USER;
+
+  const cached = tokenCache.get(token);
+  if (cached && cached.expires > Date.now()) return cached.user;
+
+  const supabase = getSupabaseClient();
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data?.user) {
+    tokenCache.delete(token);
+    return null;
+  }
+
+  const user = {
+    id: data.user.id,
+    email: data.user.email || null,
+    name: data.user.user_metadata?.full_name || data.user.email || data.user.id,
+    role: roleForUser(data.user)
+  };
+
+  tokenCache.set(token, { user, expires: Date.now() + TOKEN_CACHE_MS });
+  return user;
+}
+
+/**
+ * Whether the user's role is at least `role`
+ */
+function hasRole(user, role) {
+  if (!user) return false;
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Whether the user may talk to an agent, per its access_level
+ */
+function canAccessAgent(user, agent) {
+  if (!agent) return false;
+  return hasRole(user, agent.access_level || DEFAULT_ACCESS_LEVEL);
+}
+
+/**
+ * Whether the user may read or continue a conversation. Threads from before
+ * auth have no user_id and stay visible to employees.
+ */
+function canAccessConversation(user, conversation) {
+  if (!conversation) return false;
+  if (hasRole(user, 'admin')) return true;
+  if (conversation.user_id) return conversation.user_id === user?.id;
+  return hasRole(user, 'employee');
+}
+
+/**
+ * How a user is recorded in uploaded_by / approved_by / reviewed_by columns
+ */
+function userLabel(user) {
+  return user?.email || user?.id || 'unknown';
+}
+
+// Drop expired cache entries
+setInterval(() => {
+  const now = Date.now();
+  for (const [token, entry] of tokenCache) {
+    if (entry.expires <= now) tokenCache.delete(token);
+  }
+}, TOKEN_CACHE_MS).unref();
+
+module.exports = {
+  ROLES,
+  DEFAULT_ACCESS_LEVEL,
+  isAuthDisabled,
+  getBearerToken,
+  authenticate,
+  hasRole,
+  canAccessAgent,
+  canAccessConversation,
+  userLabel
+};
@@ -0,0 +1,107 @@
+/**
+ * Capability Status - Lifecycle states and runtime overrides
+ *
+ * capability.json sets a capability's status:
+ *   planned    - not built yet; described to the agent as coming soon
+ *   beta       - usable, but the agent says results may need checking
+ *   active     - fully supported
+ *   deprecated - still usable, but the agent mentions it's being retired
+ *   disabled   - turned off; no tools or actions
+ *
+ * Admins can override the manifest at runtime (capability_status table), so a
+ * capability can be switched off or promoted without a redeploy. Loaded agents
+ * keep the manifest value in manifest_status and the effective one in status.
+ */
+
+const { getSupabaseClient } = require('../shared/supabase-client');
+const { CAPABILITY_STATUSES } = require('./manifest-schema');
+
+// Statuses whose tools and actions the agent may use
+const USABLE_STATUSES = ['beta', 'active', 'deprecated'];
+
+function isCapabilityUsable(capability) {
+  return !!capability && USABLE_STATUSES.includes(capability.status);
+}
+
+function overrideKey(agentId, capabilityId) {
+  return `${agentId}/${capabilityId}`;
+}
+
+/**
+ * Load every override. Returns Map<"agentId/capabilityId", row>.
+ */
+async function loadStatusOverrides() {
+  const supabase = getSupabaseClient();
+  const { data, error } = await supabase
+    .from('capability_status')
+    .select('agent_id, capability_id, status, reason, updated_by, updated_at');
+
+  if (error) throw new Error(`Failed to load capability status overrides: ${error.message}`);
+
+  const overrides = new Map();
+  for (const row of data || []) {
+    if (CAPABILITY_STATUSES.includes(row.status)) {
+      overrides.set(overrideKey(row.agent_id, row.capability_id), row);
+    }
+  }
+  return overrides;
+}
+
+/**
+ * Set each capability's effective status from the overrides (in place)
+ */
+function applyStatusOverrides(agent, overrides) {
+  for (const cap of agent.capabilities || []) {
+    if (!cap.manifest_status) cap.manifest_status = cap.status;
+
+    const override = overrides.get(overrideKey(agent.id, cap.id));
+    cap.status = override ? override.status : cap.manifest_status;
+    cap.status_override = override
+      ? { status: override.status, reason: override.reason, updated_by: override.updated_by, updated_at: override.updated_at }
+      : null;
+  }
+  return agent;
+}
+
+/**
+ * Save an override. status null removes it, reverting to capability.json.
+ * Returns the saved row, or null when cleared.
+ */
+async function saveStatusOverride({ agentId, capabilityId, status, reason = null, updatedBy = null }) {
+  if (status !== null && !CAPABILITY_STATUSES.includes(status)) {
+    throw new Error(`Invalid status "${status}" (expected one of: ${CAPABILITY_STATUSES.join(', ')})`);
+  }
+
+  const supabase = getSupabaseClient();
+
+  if (status === null) {
+    const { error } = await supabase
+      .from('capability_status')
+      .delete()
+      .eq('agent_id', agentId)
+      .eq('capability_id', capabilityId);
+    if (error) throw new Error(`Failed to clear capability status: ${error.message}`);
+    return null;
+  }
+
+  const { data, error } = await supabase
+    .from('capability_status')
+    .upsert(
+      { agent_id: agentId, capability_id: capabilityId, status, reason, updated_by: updatedBy, updated_at: new Date().toISOString() },
+      { onConflict: 'agent_id,capability_id' }
+    )
+    .select()
+    .single();
+
+  if (error) throw new Error(`Failed to save capability status: ${error.message}`);
+  return data;
+}
+
+module.exports = {
+  CAPABILITY_STATUSES,
+  USABLE_STATUSES,
+  isCapabilityUsable,
+  loadStatusOverrides,
+  applyStatusOverrides,
+  saveStatusOverride
+};
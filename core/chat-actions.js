@@ -0,0 +1,501 @@
+/**
+ * Chat Actions - Structured actions the assistant can take from a reply
+ *
+ * Besides calling tools, an agent can end a reply with a JSON action block:
+ *   {"action_type": "correct_field", ...params}
+ * Blocks are pulled out of the reply (nested JSON and ```json fences are fine),
+ * validated against the schema in ACTIONS, and run through the handler of the
+ * capability that owns them. Destructive actions aren't run straight away: they
+ * are saved as pending and the user confirms or rejects them in the widget.
+ *
+ * Every action is recorded in chat_actions (see migration 010_chat_actions.sql).
+ * Actions with an `undo` handler can be reverted after they ran (status 'undone').
+ * Actions with a `role` (learned rules apply to every job) only run or undo for
+ * users with that role.
+ */
+
+const { z } = require('zod');
+const { getSupabaseClient } = require('../shared/supabase-client');
+const { executeTool } = require('./tool-runner');
+const { getConversation, appendMessage } = require('./conversation-store');
+const { isCapabilityUsable } = require('./capability-status');
+const { hasRole } = require('./auth');
+
+const uuid = z.string().uuid();
+
+const ACTIONS = {
+  set_extraction_rule: {
+    capability: 'feedback-loop',
+    handler: 'actions.js',
+    destructive: false,
+    role: 'admin',
+    description: 'Save a rule for how a field should be extracted in future jobs. Use it only when the user is clearly setting a persistent rule, not for one-off questions.',
+    schema: z.object({
+      field_name: z.string().min(1),
+      rule_description: z.string().min(1),
+      confidence: z.number().min(0).max(1).optional()
+    }),
+    example: { field_name: 'RTW FIT', rule_description: 'Always Relaxed for outerwear', confidence: 0.8 },
+    summarize: p => `Set extraction rule for ${p.field_name}: ${p.rule_description}`,
+    // Export of the handler module; gets the action's result
+    undo: 'undo_set_extraction_rule'
+  },
+
+  deactivate_rule: {
+    capability: 'feedback-loop',
+    handler: 'actions.js',
+    destructive: true,
+    role: 'admin',
+    description: 'Turn off a learned extraction rule, by field name or rule ID.',
+    schema: z.object({
+      field_name: z.string().min(1).optional(),
+      rule_id: uuid.optional()
+    }).refine(p => p.field_name || p.rule_id, { message: 'Provide field_name or rule_id' }),
+    example: { field_name: 'RTW FIT' },
+    summarize: p => `Turn off the extraction rule for ${p.field_name || p.rule_id}`
+  },
+
+  correct_field: {
+    capability: 'tech-pack-extraction',
+    handler: 'actions.js',
+    destructive: true,
+    description: "Overwrite extracted values in a job's results. Each correction is also logged as feedback so similar mistakes can be learned from.",
+    schema: z.object({
+      job_id: uuid,
+      corrections: z.array(z.object({
+        style_number: z.string().min(1),
+        field_name: z.string().min(1),
+        value: z.string()
+      })).min(1).max(50),
+      reason: z.string().optional()
+    }),
+    example: { job_id: 'JOB_UUID', corrections: [{ style_number: '2789NGX', field_name: 'FABRIC COO', value: 'Italy' }] },
+    summarize: p => p.corrections.length === 1
+      ? `Change ${p.corrections[0].field_name} for ${p.corrections[0].style_number} to "${p.corrections[0].value}"`
+      : `Change ${p.corrections.length} values in job ${p.job_id}`
+  },
+
+  rerun_styles: {
+    capability: 'tech-pack-extraction',
+    handler: 'actions.js',
+    destructive: true,
+    description: 'Download and extract specific styles of a finished job again, replacing their current results. Set refresh to fetch new tech packs instead of cached ones.',
+    schema: z.object({
+      job_id: uuid,
+      style_numbers: z.array(z.string().min(1)).min(1).max(100),
+      refresh: z.boolean().optional(),
+      reason: z.string().optional()
+    }),
+    example: { job_id: 'JOB_UUID', style_numbers: ['2789NGX'] },
+    summarize: p => `Re-run extraction for ${p.style_numbers.length === 1 ? p.style_numbers[0] : `${p.style_numbers.length} styles`} in job ${p.job_id}`
+  },
+
+  draft_outreach: {
+    capability: 'email-outreach',
+    handler: 'tools.js',
+    destructive: false,
+    description: 'Draft an email to a team. Drafts are never sent automatically - they wait for approval.',
+    schema: z.object({
+      template_id: z.enum(['missing_data_request', 'followup', 'general_inquiry']),
+      recipient_team: z.string().min(1),
+      job_id: uuid.optional(),
+      missing_fields: z.array(z.string()).optional(),
+      style_numbers: z.array(z.string()).optional(),
+      topic: z.string().optional(),
+      message: z.string().optional(),
+      original_subject: z.string().optional(),
+      days_since: z.number().optional()
+    }),
+    example: { template_id: 'missing_data_request', recipient_team: 'production', missing_fields: ['FABRIC COO'], style_numbers: ['2789NGX'] },
+    summarize: p => `Draft a ${p.template_id.replace(/_/g, ' ')} email to ${p.recipient_team}`
+  }
+};
+
+/**
+ * Actions available to an agent: those whose capability is usable
+ */
+function getAgentActions(agent) {
+  const usable = new Set((agent.capabilities || []).filter(isCapabilityUsable).map(c => c.id));
+  return Object.entries(ACTIONS)
+    .filter(([, def]) => usable.has(def.capability))
+    .map(([type, def]) => ({ type, ...def }));
+}
+
+/**
+ * System prompt section describing the agent's actions
+ */
+function formatActionsPrompt(agent) {
+  const actions = getAgentActions(agent);
+  if (actions.length === 0) return '';
+
+  return `
+=== ACTIONS ===
+To make a change, end your reply with one JSON action block on its own line, after your conversational text. At most one action per reply.
+${actions.map(a => `
+${a.type}${a.destructive ? ' (the user is asked to confirm before it runs)' : ''}
+${a.description}
+${JSON.stringify({ action_type: a.type, ...a.example })}`).join('\n')}
+
+Use exact field names from the Extractable Fields list. For actions that need confirmation, say what you're about to do and that they can confirm it below - don't claim it's done.
+`;
+}
+
+/**
+ * Find top-level JSON objects in text, respecting strings and nesting.
+ * A stray "{" in prose that never closes is skipped. Returns [{ start, end, json }].
+ */
+function findJsonObjects(text, from = 0) {
+  const found = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = from; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+
+    if (ch === '"' && depth > 0) {
+      inString = true;
+    } else if (ch === '{') {
+      if (depth === 0) start = i;
+      depth++;
+    } else if (ch === '}' && depth > 0) {
+      depth--;
+      if (depth === 0) {
+        found.push({ start, end: i + 1, json: text.slice(start, i + 1) });
+      }
+    }
+  }
+
+  if (depth > 0) found.push(...findJsonObjects(text, start + 1));
+  return found;
+}
+
+/**
+ * Pull action blocks out of an assistant reply.
+ * Returns { message, actions } where message has the blocks (and any code
+ * fences around them) removed, and actions are [{ action_type, params }].
+ */
+function parseActions(text) {
+  const actions = [];
+  const spans = [];
+
+  for (const block of findJsonObjects(text)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(block.json);
+    } catch {
+      continue;
+    }
+    if (!parsed || typeof parsed.action_type !== 'string') continue;
+
+    const { action_type, ...params } = parsed;
+    actions.push({ action_type, params });
+
+    // Remove a surrounding ```json fence along with the block
+    let start = block.start;
+    let end = block.end;
+    const fenceOpen = text.slice(0, start).match(/```(?:json)?\s*$/);
+    const fenceClose = text.slice(end).match(/^\s*```/);
+    if (fenceOpen && fenceClose) {
+      start -= fenceOpen[0].length;
+      end += fenceClose[0].length;
+    }
+    spans.push([start, end]);
+  }
+
+  let message = text;
+  for (const [start, end] of spans.reverse()) {
+    message = message.slice(0, start) + message.slice(end);
+  }
+
+  return { message: message.replace(/\n{3,}/g, '\n\n').trim(), actions };
+}
+
+/**
+ * Check an action against the registry and the agent's capabilities.
+ * Returns { definition, params } or { error }.
+ */
+function validateAction(agent, { action_type, params }) {
+  const definition = ACTIONS[action_type];
+  if (!definition) return { error: `Unknown action "${action_type}"` };
+
+  if (!getAgentActions(agent).some(a => a.type === action_type)) {
+    return { error: `${agent.name} can't ${action_type.replace(/_/g, ' ')} - the ${definition.capability} capability isn't available` };
+  }
+
+  const result = definition.schema.safeParse(params);
+  if (!result.success) {
+    const issues = result.error.issues.map(i => `${i.path.join('.') || 'params'}: ${i.message}`);
+    return { error: `Invalid ${action_type}: ${issues.join('; ')}` };
+  }
+
+  return { definition, params: result.data };
+}
+
+/**
+ * { status: 403, error } if the user lacks the role an action needs, else null
+ */
+function checkActionRole(definition, actionType, user) {
+  if (!definition?.role || hasRole(user, definition.role)) return null;
+  return { status: 403, error: `Only ${definition.role}s can ${actionType.replace(/_/g, ' ')}` };
+}
+
+async function runAction(agentId, actionType, params, context) {
+  const definition = ACTIONS[actionType];
+  return executeTool(
+    { name: actionType, handler: definition.handler, agent_id: agentId, capability_id: definition.capability },
+    params,
+    context
+  );
+}
+
+async function updateActionRecord(id, updates) {
+  if (!id) return;
+  const supabase = getSupabaseClient();
+  const { error } = await supabase.from('chat_actions').update(updates).eq('id', id);
+  if (error) console.error(`[chat-actions] Failed to update action ${id}: ${error.message}`);
+}
+
+/**
+ * Validate and record an action from a reply, then run it - or leave it
+ * pending if it's destructive. Never throws; returns an outcome:
+ *   { type: 'action_executed' | 'action_pending' | 'action_failed' | 'action_invalid', ... }
+ */
+async function handleAction(agent, action, { conversationId = null, requestedBy = null, user = null } = {}) {
+  const checked = validateAction(agent, action);
+  if (checked.error) {
+    console.warn(`[chat-actions] ${checked.error}`);
+    return { type: 'action_invalid', action_type: action.action_type, error: checked.error };
+  }
+
+  const { definition, params } = checked;
+  const denied = checkActionRole(definition, action.action_type, user);
+  if (denied) {
+    console.warn(`[chat-actions] ${action.action_type} refused for ${requestedBy || 'anonymous'}: needs ${definition.role}`);
+    return { type: 'action_invalid', action_type: action.action_type, error: denied.error };
+  }
+  const summary = definition.summarize(params);
+  const supabase = getSupabaseClient();
+
+  const { data: record, error } = await supabase
+    .from('chat_actions')
+    .insert({
+      conversation_id: conversationId,
+      agent_id: agent.id,
+      action_type: action.action_type,
+      params,
+      summary,
+      destructive: definition.destructive,
+      status: 'pending',
+      requested_by: requestedBy
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    console.error(`[chat-actions] Failed to record ${action.action_type}: ${error.message}`);
+    // A destructive action can't wait for confirmation without a record
+    if (definition.destructive) {
+      return { type: 'action_failed', action_type: action.action_type, params, summary, error: 'Could not save the action for confirmation' };
+    }
+  }
+
+  const base = { action_id: record?.id || null, action_type: action.action_type, params, summary };
+  if (definition.destructive) {
+    console.log(`[chat-actions] ${action.action_type} awaiting confirmation (${record.id})`);
+    return { type: 'action_pending', ...base };
+  }
+
+  return executeRecorded(agent.id, base, { userId: requestedBy });
+}
+
+async function executeRecorded(agentId, base, context) {
+  const { result, is_error } = await runAction(agentId, base.action_type, base.params, context);
+
+  await updateActionRecord(base.action_id, {
+    status: is_error ? 'failed' : 'executed',
+    result,
+    resolved_at: new Date().toISOString()
+  });
+
+  if (is_error) return { type: 'action_failed', ...base, error: result.error };
+  console.log(`[chat-actions] Ran ${base.action_type}${base.action_id ? ` (${base.action_id})` : ''}`);
+  return { type: 'action_executed', ...base, result };
+}
+
+/**
+ * Get a recorded action by ID, or null
+ */
+async function getAction(actionId) {
+  const supabase = getSupabaseClient();
+  const { data, error } = await supabase.from('chat_actions').select('*').eq('id', actionId).maybeSingle();
+  if (error) throw new Error(`Failed to load action: ${error.message}`);
+  return data;
+}
+
+/**
+ * List recorded actions, newest first
+ */
+async function listActions({ status = null, conversationId = null, limit = 50 } = {}) {
+  const supabase = getSupabaseClient();
+  let query = supabase.from('chat_actions').select('*').order('created_at', { ascending: false }).limit(limit);
+  if (status) query = query.eq('status', status);
+  if (conversationId) query = query.eq('conversation_id', conversationId);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to list actions: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Accept or reject a pending action. Returns { status, error } if it can't be
+ * resolved, otherwise the outcome (action_executed, action_failed or action_rejected).
+ * canAccess(record) (may be async) decides whether the caller may resolve it;
+ * confirming an action with a role also needs user to have that role.
+ */
+async function resolveAction(actionId, { accept, resolvedBy = null, user = null, canAccess = () => true }) {
+  const record = await getAction(actionId);
+  if (!record || !(await canAccess(record))) return { status: 404, error: 'Action not found' };
+  if (record.status !== 'pending') {
+    return { status: 409, error: `Action is already ${record.status}` };
+  }
+  // Anyone who can see it may turn it down
+  if (accept) {
+    const denied = checkActionRole(ACTIONS[record.action_type], record.action_type, user);
+    if (denied) return denied;
+  }
+
+  // Claim the action so a double click can't run it twice
+  const supabase = getSupabaseClient();
+  const { data: claimed, error } = await supabase
+    .from('chat_actions')
+    .update({ status: accept ? 'running' : 'rejected', resolved_by: resolvedBy, resolved_at: new Date().toISOString() })
+    .eq('id', actionId)
+    .eq('status', 'pending')
+    .select('id');
+
+  if (error) throw new Error(`Failed to update action: ${error.message}`);
+  if (!claimed || claimed.length === 0) return { status: 409, error: 'Action was already resolved' };
+
+  const base = { action_id: record.id, action_type: record.action_type, params: record.params, summary: record.summary };
+  let outcome;
+  if (accept) {
+    outcome = await executeRecorded(record.agent_id, base, { userId: resolvedBy });
+  } else {
+    console.log(`[chat-actions] ${record.action_type} rejected (${record.id})`);
+    outcome = { type: 'action_rejected', ...base };
+  }
+
+  outcome.message = outcome.type === 'action_executed'
+    ? `Done: ${record.summary}.`
+    : outcome.type === 'action_rejected'
+      ? `Cancelled: ${record.summary}.`
+      : `That didn't work: ${outcome.error}`;
+
+  // Note the outcome in the thread so the assistant knows on the next turn
+  if (record.conversation_id) {
+    try {
+      const conversation = await getConversation(record.conversation_id);
+      if (conversation) {
+        await appendMessage(conversation, {
+          role: 'assistant',
+          content: outcome.message,
+          agentId: record.agent_id,
+          actionTaken: outcome
+        });
+      }
+    } catch (err) {
+      console.error(`[chat-actions] ${err.message}`);
+    }
+  }
+
+  return outcome;
+}
+
+/**
+ * Revert an executed action that has an undo handler. Same contract as
+ * resolveAction: { status, error } if it can't be undone, otherwise the
+ * outcome (action_undone or action_failed) with a message for the thread.
+ */
+async function undoAction(actionId, { undoneBy = null, user = null, canAccess = () => true } = {}) {
+  const record = await getAction(actionId);
+  if (!record || !(await canAccess(record))) return { status: 404, error: 'Action not found' };
+
+  const definition = ACTIONS[record.action_type];
+  if (!definition?.undo) return { status: 400, error: `${record.action_type} can't be undone` };
+  const denied = checkActionRole(definition, record.action_type, user);
+  if (denied) return denied;
+  if (record.status !== 'executed') {
+    return { status: 409, error: `Action is ${record.status}, not executed` };
+  }
+
+  // Claim it so a double click can't undo twice
+  const supabase = getSupabaseClient();
+  const { data: claimed, error } = await supabase
+    .from('chat_actions')
+    .update({ status: 'undoing' })
+    .eq('id', actionId)
+    .eq('status', 'executed')
+    .select('id');
+
+  if (error) throw new Error(`Failed to update action: ${error.message}`);
+  if (!claimed || claimed.length === 0) return { status: 409, error: 'Action was already undone' };
+
+  const { result, is_error } = await executeTool(
+    { name: definition.undo, handler: definition.handler, agent_id: record.agent_id, capability_id: definition.capability },
+    record.result || {},
+    { userId: undoneBy }
+  );
+
+  const base = { action_id: record.id, action_type: record.action_type, params: record.params, summary: record.summary };
+  let outcome;
+  if (is_error) {
+    await updateActionRecord(record.id, { status: 'executed' });
+    outcome = { type: 'action_failed', ...base, error: result.error };
+    outcome.message = `Couldn't undo that: ${result.error}`;
+  } else {
+    await updateActionRecord(record.id, { status: 'undone', resolved_by: undoneBy, resolved_at: new Date().toISOString() });
+    console.log(`[chat-actions] ${record.action_type} undone (${record.id})`);
+    outcome = { type: 'action_undone', ...base, result };
+    outcome.message = `Undone: ${record.summary}.`;
+  }
+
+  if (record.conversation_id && !is_error) {
+    try {
+      const conversation = await getConversation(record.conversation_id);
+      if (conversation) {
+        await appendMessage(conversation, {
+          role: 'assistant',
+          content: outcome.message,
+          agentId: record.agent_id,
+          actionTaken: outcome
+        });
+      }
+    } catch (err) {
+      console.error(`[chat-actions] ${err.message}`);
+    }
+  }
+
+  return outcome;
+}
+
+module.exports = {
+  ACTIONS,
+  getAgentActions,
+  formatActionsPrompt,
+  parseActions,
+  validateAction,
+  handleAction,
+  getAction,
+  listActions,
+  resolveAction,
+  undoAction
+};
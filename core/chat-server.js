@@ -13,9 +13,36 @@ const path = require('path');
 const { spawn } = require('child_process');
 const Anthropic = require('@anthropic-ai/sdk');
 const { createClient } = require('@supabase/supabase-js');
-const { loadAllAgents, buildAgentSystemPrompt } = require('./agent-loader');
-const { classifyRequest } = require('./github-pr-service');
+const { createAgentRegistry } = require('./agent-registry');
+const { classifyRequest, routeClassification } = require('./request-classifier');
+const { fileProposal } = require('./proposal-store');
+const { getAgentTools, runToolLoop } = require('./tool-runner');
+const { getHandoffTargets, resolveHandoff } = require('./agent-handoff');
+const {
+  UUID_PATTERN,
+  getConversation,
+  getConversationAgentId,
+  listConversations,
+  getMessages,
+  beginTurn,
+  recordReply,
+  formatConversationExport
+} = require('./conversation-store');
+const { MAX_MESSAGE_TOKENS, buildChatContext } = require('./conversation-memory');
+const { getModelConfig } = require('./model-config');
+const { parseActions, handleAction, resolveAction, undoAction } = require('./chat-actions');
+const { CAPABILITY_STATUSES } = require('./capability-status');
+const { JOB_PROGRESS_COLUMNS, jobSummary, watchJobProgress } = require('./job-progress');
+const {
+  getBearerToken,
+  authenticate,
+  hasRole,
+  canAccessAgent,
+  canAccessConversation,
+  userLabel
+} = require('./auth');
 const { getAllFieldDefinitions } = require('../agents/ecommerce/capabilities/tech-pack-extraction/extraction-config');
+const { markRevisionsExported, changesToCsv } = require('../agents/ecommerce/capabilities/tech-pack-extraction/tech-pack-revisions');
 
 const anthropic = new Anthropic();
 const PORT = process.env.PORT || 3000;
@@ -28,32 +55,25 @@ const supabase = createClient(
 // Email notification for capability change requests
 const NOTIFICATION_EMAIL = process.env.NOTIFICATION_EMAIL; // Set in Doppler
 
-async function sendCapabilityChangeNotification({ agentId, classification, userMessage }) {
+async function sendCapabilityChangeNotification({ agentId, classification, userMessage, conversationId = null, submittedBy = null }) {
   log(`Capability change request: ${classification.request_type} for ${agentId}`);
   log(`  Description: ${classification.change_description}`);
 
-  // Save to capability_proposals table
-  const { data, error } = await supabase
-    .from('capability_proposals')
-    .insert({
-      agent_id: agentId,
-      title: classification.change_description,
-      description: userMessage,
-      complexity: classification.complexity,
-      status: 'pending_approval',
-      proposed_changes: {
-        request_type: classification.request_type,
-        affected_files: classification.affected_files,
-        matched_capability: classification.matched_capability_id
-      }
-    })
-    .select()
-    .single();
+  // Save to capability_proposals for the admin review queue
+  let filed;
+  try {
+    filed = await fileProposal({ agentId, classification, userMessage, conversationId, submittedBy });
+  } catch (e) {
+    log(e.message);
+    return { success: false, error: e.message };
+  }
 
-  if (error) {
-    log(`Failed to save capability proposal: ${error.message}`);
-    return { success: false, error: error.message };
+  // A +1 on an existing proposal - the team already heard about it
+  if (filed.duplicate) {
+    log(`  Duplicate of ${filed.proposal.id} (${filed.proposal.vote_count} requests)`);
+    return { success: true, proposalId: filed.proposal.id, duplicate: true, voteCount: filed.proposal.vote_count };
   }
+  const data = filed.proposal;
 
   // Send email if Resend is configured
   if (process.env.RESEND_API_KEY && NOTIFICATION_EMAIL) {
@@ -82,7 +102,7 @@ async function sendCapabilityChangeNotification({ agentId, classification, userM
     }
   }
 
-  return { success: true, proposalId: data.id };
+  return { success: true, proposalId: data.id, duplicate: false };
 }
 
 // Rate limiting
@@ -123,14 +143,14 @@ setInterval(() => {
   }
 }, 60000);
 
-// Load agents on startup
-let agents = loadAllAgents();
-console.log(`Loaded agents: ${Object.keys(agents).join(', ') || 'none'}`);
+// Load agents on startup and reload individual agents when their files change
+const agentRegistry = createAgentRegistry().start();
+console.log(`Loaded agents: ${agentRegistry.getAgentIds().join(', ') || 'none'}`);
 
-// Reload agents periodically (for hot-reloading during development)
-setInterval(() => {
-  agents = loadAllAgents();
-}, 30000);
+agentRegistry.on('change', (event) => {
+  const errorNote = event.errors.length ? ` (${event.errors.length} manifest error(s))` : '';
+  log(`Agent ${event.type}: ${event.agentId}${errorNote}`);
+});
 
 function log(msg) {
   const timestamp = new Date().toISOString().substr(11, 8);
@@ -155,16 +175,122 @@ function sendJSON(res, status, data) {
   res.writeHead(status, {
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
     'Access-Control-Allow-Headers': 'Content-Type, Authorization'
   });
   res.end(JSON.stringify(data));
 }
 
+/**
+ * Run one chat turn: classify, hand off if needed, then answer with tools.
+ * emit(event, data) receives progress events for streaming clients; the
+ * return value is the full response payload. memory is the conversation
+ * memory block (summary + pinned facts) to put in front of the system prompt.
+ */
+async function runChatTurn(agent, messages, emit = () => {}, { memory = '', conversationId = null, user } = {}) {
+  log(`Chat request for agent: ${agent.name} (${userLabel(user)})`);
+
+  // Classify the request (including whether another agent the user may talk to should take over)
+  const canUse = (other) => canAccessAgent(user, other);
+  const classification = await classifyRequest(
+    messages,
+    agent.capabilities,
+    anthropic,
+    { handoffTargets: getHandoffTargets(agent, agentRegistry, { canUse }), agent }
+  );
+
+  log(`Classification: ${classification.request_type} (${classification.complexity}) [${classification.stage} ${classification.confidence ?? '?'}]`);
+  emit('classification', classification);
+  const route = routeClassification(classification);
+
+  // Handle capability change requests - save for approval, don't auto-execute
+  if (route === 'proposal') {
+    const lastUserMessage = messages.filter(m => m.role === 'user').pop();
+    const userMessage = lastUserMessage?.content || '';
+
+    const result = await sendCapabilityChangeNotification({
+      agentId: agent.id,
+      classification,
+      userMessage,
+      conversationId,
+      submittedBy: userLabel(user)
+    });
+
+    // Return friendly response without calling Claude again
+    let responseMessage = `I understood your request but ran into a small issue saving it. Mind trying again?`;
+    let actionTaken = null;
+    if (result.success && result.duplicate) {
+      responseMessage = `Someone has already asked for this, so I've added your vote to that request. The team can see how many people want it.`;
+      actionTaken = { type: 'proposal_voted', proposal_id: result.proposalId, vote_count: result.voteCount };
+    } else if (result.success) {
+      responseMessage = `Got it! I've logged your request and sent it to the team for review. We'll follow up once it's ready.`;
+      actionTaken = { type: 'proposal_created', proposal_id: result.proposalId };
+    }
+
+    emit('delta', { text: responseMessage });
+    if (actionTaken) emit('action', actionTaken);
+
+    return {
+      agent: { id: agent.id, name: agent.name },
+      message: responseMessage,
+      classification: classification,
+      action_taken: actionTaken
+    };
+  }
+
+  // Hand off to another agent if the classifier routed the message there
+  const turn = await resolveHandoff({
+    classification,
+    agent,
+    registry: agentRegistry,
+    messages,
+    anthropic,
+    canUse
+  });
+  if (turn.handoff) emit('handoff', turn.handoff);
+
+  // For regular questions, get response from Claude (running any capability tools it calls)
+  const chatModel = getModelConfig('chat', { agent: turn.agent });
+  const { text: rawMessage, toolCalls, response } = await runToolLoop({
+    anthropic,
+    model: chatModel.model,
+    maxTokens: chatModel.max_tokens,
+    temperature: chatModel.temperature,
+    system: (memory ? `${memory}\n` : '') + turn.systemPrompt,
+    messages: turn.messages,
+    tools: getAgentTools(turn.agent, { user }),
+    context: { userId: userLabel(user), user },
+    onText: (text) => emit('delta', { text }),
+    onToolCall: (call) => emit('tool_call', call)
+  });
+
+  // Run (or queue for confirmation) any action block at the end of the reply
+  const { message: assistantMessage, actions } = parseActions(rawMessage);
+  let actionTaken = null;
+  if (actions.length > 0) {
+    actionTaken = await handleAction(turn.agent, actions[0], { conversationId, requestedBy: userLabel(user), user });
+    emit('action', actionTaken);
+  }
+
+  return {
+    agent: { id: turn.agent.id, name: turn.agent.name },
+    message: assistantMessage,
+    classification: classification,
+    action_taken: actionTaken,
+    tool_calls: toolCalls,
+    handoff: turn.handoff,
+    model: response?.model || chatModel.model
+  };
+}
+
 const server = http.createServer(async (req, res) => {
   const url = new URL(req.url, `http://localhost:${PORT}`);
   const clientIP = req.socket.remoteAddress;
 
+  // The chat widget calls {apiUrl}/api/... like it does against the main
+  // server; the routes here have no /api prefix
+  if (url.pathname.startsWith('/api/')) url.pathname = url.pathname.slice(4);
+
   // Handle CORS preflight
   if (req.method === 'OPTIONS') {
     sendJSON(res, 200, { ok: true });
@@ -175,36 +301,108 @@ const server = http.createServer(async (req, res) => {
   if (req.method === 'GET' && url.pathname === '/health') {
     sendJSON(res, 200, {
       status: 'ok',
-      agents: Object.keys(agents),
+      agents: agentRegistry.getAgentIds(),
       uptime: process.uptime()
     });
     return;
   }
 
-  // List all agents
+  // Everything but the health check and the widget script needs a signed-in
+  // user (Supabase Auth JWT in "Authorization: Bearer <token>", see core/auth.js)
+  let user = null;
+  if (url.pathname !== '/chat-widget.js') {
+    try {
+      user = await authenticate(getBearerToken(req.headers.authorization));
+    } catch (e) {
+      log(`Auth error: ${e.message}`);
+    }
+    if (!user) {
+      sendJSON(res, 401, { error: 'Sign in required' });
+      return;
+    }
+  }
+
+  const requireRole = (role) => {
+    if (hasRole(user, role)) return true;
+    sendJSON(res, 403, { error: `This requires the ${role} role` });
+    return false;
+  };
+
+  // List the agents this user can talk to
   if (req.method === 'GET' && url.pathname === '/agents') {
     sendJSON(res, 200, {
-      agents: Object.values(agents).map(a => ({
-        id: a.id,
-        name: a.name,
-        title: a.title,
-        greeting: a.greeting,
-        expertise: a.expertise,
-        url_patterns: a.url_patterns
-      }))
+      agents: Object.values(agentRegistry.getAgents())
+        .filter(a => canAccessAgent(user, a))
+        .map(a => ({
+          id: a.id,
+          name: a.name,
+          title: a.title,
+          greeting: a.greeting,
+          expertise: a.expertise,
+          url_patterns: a.url_patterns || [],
+          branding: a.branding || {},
+          access_level: a.access_level || 'employee'
+        }))
     });
     return;
   }
 
+  // Manifest load report (must come before the /agents/:id match)
+  if (req.method === 'GET' && url.pathname === '/agents/_diagnostics') {
+    if (!requireRole('admin')) return;
+    const report = agentRegistry.getLoadReport();
+    sendJSON(res, 200, { ok: report.errors.length === 0, ...report });
+    return;
+  }
+
+  // Change a capability's lifecycle status ({ status: null } reverts to capability.json)
+  const statusMatch = url.pathname.match(/^\/agents\/([^/]+)\/capabilities\/([^/]+)\/status$/);
+  if (req.method === 'PUT' && statusMatch) {
+    if (!requireRole('admin')) return;
+    try {
+      const body = await parseBody(req);
+      if (body.status !== null && !CAPABILITY_STATUSES.includes(body.status)) {
+        sendJSON(res, 400, { error: `status must be null or one of: ${CAPABILITY_STATUSES.join(', ')}` });
+        return;
+      }
+
+      const capability = await agentRegistry.setCapabilityStatus(statusMatch[1], statusMatch[2], {
+        status: body.status,
+        reason: body.reason || null,
+        updatedBy: userLabel(user)
+      });
+      if (!capability) {
+        sendJSON(res, 404, { error: 'Capability not found' });
+        return;
+      }
+      sendJSON(res, 200, {
+        capability: {
+          id: capability.id,
+          status: capability.status,
+          manifest_status: capability.manifest_status,
+          status_override: capability.status_override
+        }
+      });
+    } catch (e) {
+      log(`Capability status error: ${e.message}`);
+      sendJSON(res, 500, { error: e.message });
+    }
+    return;
+  }
+
   // Get specific agent
   if (req.method === 'GET' && url.pathname.startsWith('/agents/')) {
     const agentId = url.pathname.replace('/agents/', '');
-    const agent = agents[agentId];
+    const agent = agentRegistry.getAgent(agentId);
 
     if (!agent) {
       sendJSON(res, 404, { error: 'Agent not found' });
       return;
     }
+    if (!canAccessAgent(user, agent)) {
+      sendJSON(res, 403, { error: `You don't have access to ${agent.name}` });
+      return;
+    }
 
     sendJSON(res, 200, {
       agent: {
@@ -214,11 +412,16 @@ const server = http.createServer(async (req, res) => {
         personality: agent.personality,
         greeting: agent.greeting,
         expertise: agent.expertise,
+        branding: agent.branding || {},
         capabilities: agent.capabilities.map(c => ({
           id: c.id,
           name: c.name,
           description: c.description,
-          triggers: c.triggers
+          triggers: c.triggers,
+          status: c.status,
+          manifest_status: c.manifest_status,
+          status_override: c.status_override,
+          ui_path: c.ui_path || null
         })),
         knows_about_agents: agent.knows_about_agents
       }
@@ -226,94 +429,203 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
-  // Chat with agent
-  if (req.method === 'POST' && url.pathname === '/chat') {
+  // Chat with agent. /chat returns one JSON response; /chat/stream sends the
+  // same turn as Server-Sent Events (conversation, classification, handoff,
+  // delta, tool_call, action, done, error). Send { conversation_id, message }
+  // to continue a stored thread; a bare { messages } array starts a new one.
+  if (req.method === 'POST' && (url.pathname === '/chat' || url.pathname === '/chat/stream')) {
+    const streaming = url.pathname === '/chat/stream';
+
     // Rate limiting
     if (!checkRateLimit(clientIP)) {
       sendJSON(res, 429, { error: 'Rate limit exceeded. Try again in a minute.' });
       return;
     }
 
+    let body;
     try {
-      const body = await parseBody(req);
+      body = await parseBody(req);
+    } catch (e) {
+      sendJSON(res, 400, { error: e.message });
+      return;
+    }
 
-      if (!body.messages || !Array.isArray(body.messages)) {
-        sendJSON(res, 400, { error: 'Missing messages array' });
-        return;
-      }
+    if (!body.conversation_id && !body.message && !Array.isArray(body.messages)) {
+      sendJSON(res, 400, { error: 'Missing message or messages array' });
+      return;
+    }
 
-      // Validate messages
-      if (body.messages.length > 50) {
-        sendJSON(res, 400, { error: 'Too many messages in conversation (max 50)' });
-        return;
+    // A continued thread stays with the agent it was handed off to
+    let agentId = body.agent_id;
+    try {
+      agentId = agentId || await getConversationAgentId(body.conversation_id, {
+        canAccess: (conversation) => canAccessConversation(user, conversation)
+      }) || 'ecommerce';
+    } catch (e) {
+      log(`Chat error: ${e.message}`);
+      sendJSON(res, 500, { error: e.message });
+      return;
+    }
+    const agent = agentRegistry.getAgent(agentId);
+
+    if (!agent) {
+      sendJSON(res, 400, { error: `Unknown agent: ${agentId}` });
+      return;
+    }
+    if (!canAccessAgent(user, agent)) {
+      sendJSON(res, 403, { error: `You don't have access to ${agent.name}` });
+      return;
+    }
+
+    let turn;
+    try {
+      turn = await beginTurn({
+        agentId: agent.id,
+        conversationId: body.conversation_id || null,
+        message: body.message || null,
+        messages: Array.isArray(body.messages) ? body.messages : null,
+        userId: user.id,
+        maxMessageTokens: MAX_MESSAGE_TOKENS,
+        canAccess: (conversation) => canAccessConversation(user, conversation)
+      });
+    } catch (e) {
+      log(`Chat error: ${e.message}`);
+      sendJSON(res, 500, { error: e.message });
+      return;
+    }
+
+    if (turn.error) {
+      sendJSON(res, turn.status, { error: turn.error });
+      return;
+    }
+
+    // Run the turn and store the reply on the conversation
+    const runStoredTurn = async (emit) => {
+      const context = await buildChatContext({ conversation: turn.conversation, messages: turn.messages, anthropic, agent });
+      const result = await runChatTurn(agent, context.messages, emit, {
+        memory: context.memory,
+        conversationId: turn.conversation?.id || null,
+        user
+      });
+      const messageId = await recordReply(turn.conversation, result);
+      return { ...result, conversation_id: turn.conversation?.id || null, message_id: messageId };
+    };
+
+    if (!streaming) {
+      try {
+        sendJSON(res, 200, await runStoredTurn());
+      } catch (e) {
+        log(`Chat error: ${e.message}`);
+        sendJSON(res, 500, { error: e.message });
       }
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'Access-Control-Allow-Origin': '*'
+    });
+
+    let clientGone = false;
+    req.on('close', () => { clientGone = true; });
+
+    const emit = (event, data) => {
+      if (clientGone) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    if (turn.conversation) {
+      emit('conversation', { conversation_id: turn.conversation.id, user_message_id: turn.userMessageId });
+    }
+
+    try {
+      emit('done', await runStoredTurn(emit));
+    } catch (e) {
+      log(`Chat stream error: ${e.message}`);
+      emit('error', { error: e.message });
+    }
+    res.end();
+    return;
+  }
+
+  // List conversations, most recent first
+  if (req.method === 'GET' && url.pathname === '/conversations') {
+    try {
+      const conversations = await listConversations({
+        agentId: url.searchParams.get('agent_id'),
+        // Admins can list anyone's threads; everyone else sees their own
+        userId: hasRole(user, 'admin') ? url.searchParams.get('user_id') : user.id,
+        limit: Math.min(parseInt(url.searchParams.get('limit')) || 50, 200),
+        offset: parseInt(url.searchParams.get('offset')) || 0
+      });
+      sendJSON(res, 200, { conversations });
+    } catch (e) {
+      log(`Conversation list error: ${e.message}`);
+      sendJSON(res, 500, { error: e.message });
+    }
+    return;
+  }
 
-      const agentId = body.agent_id || 'ecommerce';
-      const agent = agents[agentId];
+  // Resume (/conversations/:id) or export (/conversations/:id/export) a thread
+  const conversationMatch = url.pathname.match(/^\/conversations\/([^/]+)(\/export)?$/);
+  if (req.method === 'GET' && conversationMatch) {
+    const [, conversationId, exporting] = conversationMatch;
+    if (!UUID_PATTERN.test(conversationId)) {
+      sendJSON(res, 400, { error: 'Invalid conversation id' });
+      return;
+    }
 
-      if (!agent) {
-        sendJSON(res, 400, { error: `Unknown agent: ${agentId}` });
+    try {
+      const conversation = await getConversation(conversationId);
+      if (!canAccessConversation(user, conversation)) {
+        sendJSON(res, 404, { error: 'Conversation not found' });
         return;
       }
 
-      log(`Chat request for agent: ${agent.name}`);
-
-      // Build system prompt
-      const systemPrompt = buildAgentSystemPrompt(agentId);
-
-      // Classify the request
-      const classification = await classifyRequest(
-        body.messages,
-        agent.capabilities,
-        anthropic
-      );
-
-      log(`Classification: ${classification.request_type} (${classification.complexity})`);
-
-      // Handle capability change requests - save for approval, don't auto-execute
-      if (classification.request_type === 'capability_tweak' || classification.request_type === 'new_capability') {
-        const lastUserMessage = body.messages.filter(m => m.role === 'user').pop();
-        const userMessage = lastUserMessage?.content || '';
-
-        const result = await sendCapabilityChangeNotification({
-          agentId,
-          classification,
-          userMessage
-        });
-
-        // Return friendly response without calling Claude again
-        const responseMessage = result.success
-          ? `Got it! I've logged your request and sent it to the team for review. We'll follow up once it's ready.`
-          : `I understood your request but ran into a small issue saving it. Mind trying again?`;
-
-        sendJSON(res, 200, {
-          agent: { id: agent.id, name: agent.name },
-          message: responseMessage,
-          classification: classification,
-          action_taken: result.success ? { type: 'proposal_created', proposal_id: result.proposalId } : null
-        });
+      const messages = await getMessages(conversation.id);
+      if (!exporting) {
+        sendJSON(res, 200, { conversation, messages });
         return;
       }
 
-      // For regular questions, get response from Claude
-      const response = await anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 2048,
-        system: systemPrompt,
-        messages: body.messages
+      const format = url.searchParams.get('format') === 'markdown' ? 'markdown' : 'json';
+      res.writeHead(200, {
+        'Content-Type': format === 'markdown' ? 'text/markdown; charset=utf-8' : 'application/json; charset=utf-8',
+        'Content-Disposition': `attachment; filename="conversation-${conversation.id}.${format === 'markdown' ? 'md' : 'json'}"`,
+        'Access-Control-Allow-Origin': '*'
       });
+      res.end(formatConversationExport(conversation, messages, format));
+    } catch (e) {
+      log(`Conversation error: ${e.message}`);
+      sendJSON(res, 500, { error: e.message });
+    }
+    return;
+  }
 
-      const assistantMessage = response.content[0].text;
-
-      sendJSON(res, 200, {
-        agent: { id: agent.id, name: agent.name },
-        message: assistantMessage,
-        classification: classification,
-        action_taken: null
-      });
+  // Confirm or reject a pending chat action, or undo one that ran
+  const actionMatch = url.pathname.match(/^\/actions\/([^/]+)\/(confirm|reject|undo)$/);
+  if (req.method === 'POST' && actionMatch) {
+    const [, actionId, decision] = actionMatch;
+    if (!UUID_PATTERN.test(actionId)) {
+      sendJSON(res, 400, { error: 'Invalid action id' });
+      return;
+    }
 
+    try {
+      const canAccess = async (action) => hasRole(user, 'admin') ||
+        (!!action.conversation_id && canAccessConversation(user, await getConversation(action.conversation_id)));
+      const outcome = decision === 'undo'
+        ? await undoAction(actionId, { undoneBy: userLabel(user), user, canAccess })
+        : await resolveAction(actionId, { accept: decision === 'confirm', resolvedBy: userLabel(user), user, canAccess });
+      if (outcome.error && outcome.status) {
+        sendJSON(res, outcome.status, { error: outcome.error });
+        return;
+      }
+      sendJSON(res, 200, outcome);
     } catch (e) {
-      log(`Chat error: ${e.message}`);
+      log(`Action ${decision} error: ${e.message}`);
       sendJSON(res, 500, { error: e.message });
     }
     return;
@@ -321,6 +633,7 @@ const server = http.createServer(async (req, res) => {
 
   // Start a job (triggered by frontend when CSV is uploaded)
   if (req.method === 'POST' && url.pathname === '/start-job') {
+    if (!requireRole('employee')) return;
     try {
       const body = await parseBody(req);
       const jobId = body.job_id;
@@ -361,6 +674,7 @@ const server = http.createServer(async (req, res) => {
 
   // Get field definitions for tech pack extraction
   if (req.method === 'GET' && url.pathname === '/field-definitions') {
+    if (!requireRole('employee')) return;
     sendJSON(res, 200, {
       capability: 'tech-pack-extraction',
       fields: getAllFieldDefinitions()
@@ -385,8 +699,56 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  // Job status, with live progress (see job-progress.js)
+  const jobStatusMatch = url.pathname.match(/^\/job-status\/([^/]+)$/);
+  if (req.method === 'GET' && jobStatusMatch) {
+    if (!requireRole('employee')) return;
+    const { data: job, error: jobErr } = await supabase
+      .from('jobs')
+      .select(JOB_PROGRESS_COLUMNS)
+      .eq('id', jobStatusMatch[1])
+      .maybeSingle();
+    if (jobErr || !job) {
+      sendJSON(res, 404, { error: 'Job not found' });
+      return;
+    }
+    sendJSON(res, 200, jobSummary(job));
+    return;
+  }
+
+  // Live job progress as server-sent events, for the widget's job cards
+  const jobEventsMatch = url.pathname.match(/^\/jobs\/([^/]+)\/events$/);
+  if (req.method === 'GET' && jobEventsMatch) {
+    if (!requireRole('employee')) return;
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'Access-Control-Allow-Origin': '*'
+    });
+
+    const emit = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), 15000);
+    const stop = watchJobProgress(jobEventsMatch[1], {
+      supabase,
+      onJob: job => emit('job', job),
+      onEnd: ({ status, error }) => {
+        clearInterval(keepalive);
+        if (error) emit('error', { error });
+        else emit('done', { id: jobEventsMatch[1], status });
+        res.end();
+      }
+    });
+    res.on('close', () => {
+      clearInterval(keepalive);
+      stop();
+    });
+    return;
+  }
+
   // Download extracted data as CSV
   if (req.method === 'GET' && url.pathname.match(/^\/jobs\/[^/]+\/csv$/)) {
+    if (!requireRole('employee')) return;
     try {
       const jobId = url.pathname.split('/')[2];
       const { data: job, error: jobErr } = await supabase
@@ -425,6 +787,12 @@ const server = http.createServer(async (req, res) => {
 
       const filename = (job.input_file_name || 'export').replace(/\.[^.]+$/, '') + '_extracted.csv';
 
+      try {
+        await markRevisionsExported(job.extracted_data.revisions, { supabase, jobId });
+      } catch (e) {
+        log(`Failed to mark revisions exported: ${e.message}`);
+      }
+
       res.writeHead(200, {
         'Content-Type': 'text/csv',
         'Content-Disposition': `attachment; filename="${filename}"`,
@@ -438,6 +806,35 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  // Styles whose tech pack changed since last export (see tech-pack-revisions.js)
+  const jobChangesMatch = url.pathname.match(/^\/jobs\/([^/]+)\/changes$/);
+  if (req.method === 'GET' && jobChangesMatch) {
+    if (!requireRole('employee')) return;
+    const jobId = jobChangesMatch[1];
+    const { data: job, error: jobErr } = await supabase
+      .from('jobs')
+      .select('id, changed_styles')
+      .eq('id', jobId)
+      .maybeSingle();
+    if (jobErr || !job) {
+      sendJSON(res, 404, { error: 'Job not found' });
+      return;
+    }
+
+    const changedStyles = (job.changed_styles || []).map(style => ({ ...style, job_id: jobId }));
+    if (url.searchParams.get('format') === 'csv') {
+      res.writeHead(200, {
+        'Content-Type': 'text/csv',
+        'Content-Disposition': `attachment; filename="job_${jobId}_changes.csv"`,
+        'Access-Control-Allow-Origin': '*'
+      });
+      res.end(changesToCsv(changedStyles));
+    } else {
+      sendJSON(res, 200, { count: changedStyles.length, styles: changedStyles });
+    }
+    return;
+  }
+
   // 404 for unknown routes
   sendJSON(res, 404, { error: 'Not found' });
 });
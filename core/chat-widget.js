@@ -1,680 +1,2308 @@
 /**
  * L'AGENCE Chat Widget
  *
- * A right-rail chat widget that adapts to the current agent context.
- * Include this script on any page to add the chat functionality.
+ * The one chat widget, as a self-contained <lagence-chat> custom element
+ * (shadow DOM, no dependencies). The React app renders it through
+ * client/src/components/chat-widget.tsx; other pages (e.g. the Catsy admin)
+ * load the script from the platform server.
  *
- * Usage:
- *   <script src="https://your-domain.com/chat-widget.js"></script>
+ * Usage - a right rail added to the page:
+ *   <script src="https://platform.example.com/chat-widget.js"></script>
  *
- * Or with custom config:
+ * Or placed and configured explicitly:
+ *   <lagence-chat agent-id="ecommerce" layout="inline" theme="dark"
+ *                 features="feedback,handoff,actions"></lagence-chat>
+ *   <script src="https://platform.example.com/chat-widget.js" data-mount="none"></script>
  *   <script>
- *     window.LAGENCE_CHAT_CONFIG = {
- *       apiUrl: 'http://167.71.145.110:3000',
- *       agentId: 'ecommerce' // Optional override
- *     };
+ *     document.querySelector('lagence-chat').getAuthToken = () => session.access_token;
  *   </script>
- *   <script src="https://your-domain.com/chat-widget.js"></script>
+ *
+ * Config - element properties, attributes in brackets, or window.LAGENCE_CHAT_CONFIG:
+ *   apiUrl [api-url]      Origin of the platform server; requests go to {apiUrl}/api/...
+ *                         Default: where this script was loaded from ('' when bundled).
+ *   agentId [agent-id]    Agent to talk to. Default: the agent whose agent.json
+ *                         url_patterns best match the page path (from /api/agents).
+ *   theme [theme]         'light' (default), 'dark', or an object overriding any of
+ *                         accent, accentText, background, surface, text, muted, border,
+ *                         font, radius. The matching --lc-* CSS variables work too.
+ *                         The agent's branding.accent_color applies unless the theme
+ *                         object sets accent itself.
+ *   features [features]   Object of booleans, or a comma list of the enabled ones:
+ *                           upload      drop or attach files; each is routed after you
+ *                                       confirm the plan: style list CSVs start a job,
+ *                                       line sheet PDFs / fabric workbook CSVs go to a
+ *                                       job, other PDFs are read for extraction
+ *                           jobLinking  pick an existing job for supplementary files and
+ *                                       extracted documents
+ *                           corrections correct extracted values inline
+ *                           feedback    thumbs up/down on replies
+ *                           actions     confirm/cancel buttons for pending actions
+ *                           handoff     follow handoffs to other agents
+ *                           cards       job progress, learned-rule and outreach draft
+ *                                       cards under replies
+ *                           newConversation  button to start a fresh thread
+ *                         All are on by default.
+ *   layout [layout]       'rail' (fixed to the right edge), 'floating' (a launcher
+ *                         button in the corner that opens a panel) or 'inline' (fills
+ *                         its container). Default: the agent's branding.display_mode,
+ *                         else rail for the auto-mounted widget and inline otherwise.
+ *   reviewUrl [review-url]  Page to open from a finished job card's Review button;
+ *                         {jobId} is replaced. Default: the tech pack task page.
+ *   getAuthToken / authToken  Supabase Auth access token for API calls (property only).
+ *
+ * Events (bubble out of the element):
+ *   lagence-chat:notice        { level: 'success'|'error'|'info', message } - cancelable;
+ *                              call preventDefault() to show it your own way.
+ *   lagence-chat:conversation  { conversationId } when a thread starts or is cleared.
+ *   lagence-chat:review-job    { jobId, job } from a finished job card - cancelable;
+ *                              call preventDefault() to open the review yourself.
+ *
+ * Assistant replies are rendered as Markdown (including tables). Job cards
+ * follow /api/jobs/:id/events and fall back to polling /api/job-status/:id.
+ * The legacy chat server (core/chat-server.js) has chat, conversations,
+ * actions and job progress only; embed against it with upload, jobLinking,
+ * corrections and feedback turned off.
  */
 
 (function() {
   'use strict';
 
-  class LagenceChatWidget {
-    constructor(config = {}) {
-      this.apiUrl = config.apiUrl || window.LAGENCE_CHAT_CONFIG?.apiUrl || 'http://167.71.145.110:3000';
-      this.agentId = config.agentId || window.LAGENCE_CHAT_CONFIG?.agentId || this.detectAgent();
-      this.sessionKey = `lagence_chat_${this.agentId}`;
-      this.messages = this.loadSession();
-      this.agent = null;
-      this.isOpen = true;
-      this.isLoading = false;
-      this.pendingClassification = null;
+  const TAG = 'lagence-chat';
+  if (window.customElements?.get(TAG)) return;
+
+  const FEATURES = ['upload', 'jobLinking', 'corrections', 'feedback', 'actions', 'handoff', 'cards', 'newConversation'];
+
+  const THEMES = {
+    light: {
+      accent: '#000', accentText: '#fff', background: '#fff', surface: '#f4f4f4',
+      text: '#111', muted: '#737373', border: '#e5e5e5', radius: '8px'
+    },
+    dark: {
+      accent: '#fff', accentText: '#000', background: '#111', surface: '#1e1e1e',
+      text: '#f5f5f5', muted: '#a3a3a3', border: '#2e2e2e', radius: '8px'
+    }
+  };
+
+  const EXTRACTION_POLL_MS = 3000;
+  const EXTRACTION_POLL_ATTEMPTS = 30; // 90s
+  const JOB_POLL_MS = 3000; // when the events stream isn't available
+  const ACTIVE_JOB_STATUSES = ['pending', 'processing'];
+  const FINISHED_JOB_STATUSES = ['completed', 'ready_for_export'];
+  // Processor phases, in order (see core/job-progress.js)
+  const JOB_PHASES = {
+    line_sheet: 'Reading line sheet',
+    fabric_workbook: 'Reading fabric workbook',
+    download: 'Downloading tech packs',
+    extract: 'Extracting',
+    save: 'Saving'
+  };
+  const DEFAULT_REVIEW_URL = '/ecommerce-agent/Catsy-Metadata?review={jobId}';
+  const GOOGLE_IDENTITY_SRC = 'https://accounts.google.com/gsi/client';
+  // Same scopes as the export on the task page (client/src/pages/home.tsx)
+  const SHEETS_SCOPES = {
+    create: 'https://www.googleapis.com/auth/drive.file',
+    update: 'https://www.googleapis.com/auth/spreadsheets https://www.googleapis.com/auth/drive.file'
+  };
+  // Tools whose result names a job (see tech-pack-extraction/tools.js)
+  const JOB_TOOLS = ['start_tech_pack_job', 'get_job_status'];
+
+  // What a dropped file is used for; /api/start-job and /api/jobs/:id/supplementary
+  // take one line sheet and one fabric workbook per job
+  const FILE_KINDS = {
+    styles: { label: 'Style list - start a job', ext: 'csv' },
+    fabric_workbook: { label: 'Fabric workbook - add to job', ext: 'csv', noun: 'fabric workbook', field: 'fabricWorkbook' },
+    line_sheet: { label: 'Line sheet - add to job', ext: 'pdf', noun: 'line sheet', field: 'lineSheet' },
+    document: { label: 'Document - extract data', ext: 'pdf' },
+    skip: { label: "Don't use" }
+  };
+  const STYLE_ID = /^\d{3,}[A-Za-z]*(-\S*)?$/;
+
+  // Captured while the script runs; null when bundled as a module
+  const currentScript = document.currentScript;
+  const SCRIPT_ORIGIN = (() => {
+    try {
+      return currentScript?.src ? new URL(currentScript.src).origin : '';
+    } catch {
+      return '';
+    }
+  })();
+
+  // Used when the agent list can't be loaded
+  const DEFAULT_AGENT_ID = 'ecommerce';
+  const LAYOUTS = ['rail', 'floating', 'inline'];
+
+  /**
+   * Compile an agent.json url_patterns glob: "*" matches within one path
+   * segment, "**" across segments. A trailing slash is ignored.
+   */
+  function globToRegExp(pattern) {
+    const source = pattern.replace(/\/+$/, '').split(/(\*\*|\*)/).map(part => {
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+    return new RegExp(`^${source}/?$`);
+  }
+
+  /**
+   * The agent whose url_patterns match the path. When several do, the
+   * pattern with the most literal characters wins, so "/ecommerce/catsy/*"
+   * beats "/ecommerce/**".
+   */
+  function matchAgent(agents, pathname) {
+    let best = null;
+    for (const agent of agents) {
+      for (const pattern of agent.url_patterns || []) {
+        if (!globToRegExp(pattern).test(pathname)) continue;
+        const specificity = pattern.replace(/\*/g, '').length;
+        if (!best || specificity > best.specificity) best = { agent, specificity };
+      }
+    }
+    return best?.agent || null;
+  }
+
+  /**
+   * Black or white, whichever reads better on a hex background
+   */
+  function contrastText(hex) {
+    let digits = hex.replace('#', '');
+    if (digits.length === 3) digits = [...digits].map(d => d + d).join('');
+    const [r, g, b] = [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+    return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#000' : '#fff';
+  }
+
+  /**
+   * Theme colors from an agent's branding (see agent.json)
+   */
+  function brandTheme(branding) {
+    if (!branding?.accent_color) return {};
+    return { accent: branding.accent_color, accentText: branding.accent_text_color || contrastText(branding.accent_color) };
+  }
+
+  /**
+   * features as an object, or a comma list of enabled names ("all" for everything)
+   */
+  function parseFeatures(value) {
+    const enabled = Object.fromEntries(FEATURES.map(f => [f, true]));
+    if (!value) return enabled;
+    if (typeof value === 'object') return { ...enabled, ...value };
+
+    const names = String(value).split(',').map(s => s.trim()).filter(Boolean);
+    if (names.includes('all')) return enabled;
+    return Object.fromEntries(FEATURES.map(f => [f, names.includes(f)]));
+  }
+
+  function parseTheme(value, brand = {}) {
+    if (!value) return { ...THEMES.light, ...brand };
+    if (typeof value === 'object') return { ...THEMES[value.base] || THEMES.light, ...brand, ...value };
+    return { ...THEMES[value] || THEMES.light, ...brand };
+  }
+
+  const THEME_VARS = {
+    accent: '--lc-accent', accentText: '--lc-accent-text', background: '--lc-bg', surface: '--lc-surface',
+    text: '--lc-text', muted: '--lc-muted', border: '--lc-border', font: '--lc-font', radius: '--lc-radius'
+  };
+
+  /**
+   * Flatten extracted_data into key/value rows ("section > field" for nested objects)
+   */
+  function flattenFields(data) {
+    const fields = [];
+    if (typeof data !== 'object' || data === null) return fields;
+    for (const [key, val] of Object.entries(data)) {
+      if (typeof val === 'string' || typeof val === 'number' || typeof val === 'boolean') {
+        fields.push({ key, value: String(val) });
+      } else if (Array.isArray(val)) {
+        fields.push({ key, value: val.map(v => typeof v === 'object' ? JSON.stringify(v) : String(v)).join(', ') });
+      } else if (typeof val === 'object' && val !== null) {
+        for (const [subKey, subVal] of Object.entries(val)) {
+          fields.push({ key: `${key} > ${subKey}`, value: String(subVal ?? '') });
+        }
+      }
+    }
+    return fields;
+  }
+
+  // ─── Markdown ───
+  // Replies are built as DOM nodes, never as HTML, so model output can't inject markup.
 
-      this.init();
+  const TABLE_DIVIDER = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+  const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+
+  function splitTableRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+  }
+
+  /**
+   * Render Markdown: headings, paragraphs, lists, quotes, code, rules and
+   * pipe tables, with inline code, bold, italics and links
+   */
+  function renderMarkdown(text) {
+    const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+
+    const flush = () => {
+      if (paragraph.length === 0) return;
+      const parts = [];
+      paragraph.forEach((line, i) => {
+        if (i > 0) parts.push(h('br'));
+        parts.push(...renderInline(line));
+      });
+      blocks.push(h('p', {}, parts));
+      paragraph = [];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      if (/^\s*```/.test(line)) {
+        flush();
+        const code = [];
+        for (i++; i < lines.length && !/^\s*```/.test(lines[i]); i++) code.push(lines[i]);
+        blocks.push(h('pre', {}, h('code', {}, code.join('\n'))));
+        continue;
+      }
+
+      if (line.includes('|') && TABLE_DIVIDER.test(lines[i + 1] || '')) {
+        flush();
+        const head = splitTableRow(line);
+        const rows = [];
+        for (i += 2; i < lines.length && lines[i].includes('|') && lines[i].trim(); i++) rows.push(splitTableRow(lines[i]));
+        i--;
+        blocks.push(h('div', { class: 'md-table' }, h('table', {},
+          h('thead', {}, h('tr', {}, head.map(cell => h('th', {}, renderInline(cell))))),
+          h('tbody', {}, rows.map(row => h('tr', {}, head.map((_, c) => h('td', {}, renderInline(row[c] || ''))))))
+        )));
+        continue;
+      }
+
+      const heading = line.match(/^(#{1,6})\s+(.*)$/);
+      if (heading) {
+        flush();
+        blocks.push(h(`h${Math.min(heading[1].length + 2, 6)}`, {}, renderInline(heading[2])));
+        continue;
+      }
+
+      if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        flush();
+        blocks.push(h('hr'));
+        continue;
+      }
+
+      if (LIST_ITEM.test(line)) {
+        flush();
+        const ordered = /^\s*\d/.test(line);
+        const items = [];
+        for (; i < lines.length; i++) {
+          const item = lines[i].match(LIST_ITEM);
+          if (item && /^\s*\d/.test(lines[i]) === ordered) items.push(item[2]);
+          else if (items.length && /^\s{2,}\S/.test(lines[i])) items[items.length - 1] += ` ${lines[i].trim()}`;
+          else break;
+        }
+        i--;
+        blocks.push(h(ordered ? 'ol' : 'ul', {}, items.map(item => h('li', {}, renderInline(item)))));
+        continue;
+      }
+
+      if (/^\s*>/.test(line)) {
+        flush();
+        const quote = [];
+        for (; i < lines.length && /^\s*>/.test(lines[i]); i++) quote.push(lines[i].replace(/^\s*>\s?/, ''));
+        i--;
+        blocks.push(h('blockquote', {}, renderMarkdown(quote.join('\n'))));
+        continue;
+      }
+
+      if (!line.trim()) flush();
+      else paragraph.push(line);
+    }
+    flush();
+    return blocks;
+  }
+
+  const INLINE = /`([^`]+)`|\*\*(.+?)\*\*|__(.+?)__|\[([^\]]+)\]\(([^)\s]+)\)|\*([^*\s](?:[^*]*[^*\s])?)\*|\b_([^_\s](?:[^_]*[^_\s])?)_\b/g;
+
+  function safeHref(href) {
+    return /^(https?:|mailto:|\/)/i.test(href) ? href : null;
+  }
+
+  function renderInline(text) {
+    const nodes = [];
+    let last = 0;
+    for (const match of text.matchAll(INLINE)) {
+      if (match.index > last) nodes.push(text.slice(last, match.index));
+      const [, code, bold, boldAlt, linkText, href, italic, italicAlt] = match;
+      if (code !== undefined) nodes.push(h('code', {}, code));
+      else if (bold !== undefined || boldAlt !== undefined) nodes.push(h('strong', {}, renderInline(bold ?? boldAlt)));
+      else if (linkText !== undefined) {
+        const url = safeHref(href);
+        nodes.push(url ? h('a', { href: url, target: '_blank', rel: 'noopener noreferrer' }, renderInline(linkText)) : linkText);
+      } else nodes.push(h('em', {}, renderInline(italic ?? italicAlt)));
+      last = match.index + match[0].length;
+    }
+    if (last < text.length) nodes.push(text.slice(last));
+    return nodes;
+  }
+
+  /**
+   * Plain text of an email body, keeping paragraph breaks (for the draft card)
+   */
+  function htmlToText(html) {
+    const marked = String(html || '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|h\d|li|ul|ol)>/gi, '\n\n')
+      .replace(/<li[^>]*>/gi, '- ');
+    const doc = new DOMParser().parseFromString(marked, 'text/html');
+    return (doc.body.textContent || '')
+      .split('\n')
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * "about 3 min left" from a job's etaSeconds
+   */
+  function formatEta(seconds) {
+    if (seconds === null || seconds === undefined) return null;
+    if (seconds < 60) return 'under a minute left';
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `about ${minutes} min left`;
+    const hours = Math.floor(minutes / 60);
+    return `about ${hours} h ${minutes % 60} min left`;
+  }
+
+  /**
+   * Load a script once (Google Identity Services for the Sheets export)
+   */
+  const loadedScripts = new Map();
+  function loadScript(src) {
+    if (!loadedScripts.has(src)) {
+      loadedScripts.set(src, new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.async = true;
+        script.onload = resolve;
+        script.onerror = () => {
+          loadedScripts.delete(src);
+          reject(new Error(`Failed to load ${src}`));
+        };
+        document.head.appendChild(script);
+      }));
+    }
+    return loadedScripts.get(src);
+  }
+
+  /**
+   * Cards to show under a reply, from the tools it ran and its action.
+   * Each has a key shared by every reply about the same job, draft or rule.
+   */
+  function messageCards(message) {
+    const cards = new Map();
+    for (const jobId of message.jobIds || []) cards.set(`job:${jobId}`, { type: 'job', jobId });
+    for (const call of message.toolCalls || []) {
+      const result = call.result;
+      if (call.is_error || !result) continue;
+      if (JOB_TOOLS.includes(call.name) && result.job_id && result.found !== false) {
+        cards.set(`job:${result.job_id}`, { type: 'job', jobId: result.job_id });
+      } else if (call.name === 'draft_outreach' && result.draft_id) {
+        cards.set(`draft:${result.draft_id}`, { type: 'draft', draftId: result.draft_id, draft: result });
+      }
+    }
+
+    const action = message.actionTaken;
+    if (action?.type === 'action_executed') {
+      if (action.action_type === 'set_extraction_rule') {
+        cards.set(`rule:${action.action_id || action.params.field_name}`, { type: 'rule', action });
+      } else if (action.action_type === 'draft_outreach' && action.result?.draft_id) {
+        cards.set(`draft:${action.result.draft_id}`, { type: 'draft', draftId: action.result.draft_id, draft: action.result });
+      } else if (action.action_type === 'rerun_styles') {
+        cards.set(`job:${action.params.job_id}`, { type: 'job', jobId: action.params.job_id });
+      }
+    }
+    return [...cards].map(([key, card]) => ({ key, ...card }));
+  }
+
+  // ─── Uploads ───
+
+  function fileExtension(file) {
+    return file.name.toLowerCase().split('.').pop();
+  }
+
+  function kindsFor(file) {
+    const ext = fileExtension(file);
+    return Object.keys(FILE_KINDS).filter(kind => !FILE_KINDS[kind].ext || FILE_KINDS[kind].ext === ext);
+  }
+
+  /**
+   * Guess what a dropped file is. CSVs are read: a header starting with
+   * "style" or "item" (the rule readStylesFromCSV in job-processor.js uses),
+   * or a first column of style IDs, means a style list.
+   */
+  async function classifyFile(file) {
+    const name = file.name.toLowerCase();
+    if (fileExtension(file) === 'pdf') {
+      return { kind: /line[\s_-]*sheet/.test(name) ? 'line_sheet' : 'document' };
+    }
+
+    const firstCells = (await file.text())
+      .split(/\r?\n/)
+      .map(line => line.split(',')[0].replace(/"/g, '').trim())
+      .filter(Boolean);
+    const header = (firstCells[0] || '').toLowerCase();
+    const hasStyleHeader = header.includes('style') || header.includes('item');
+    const rows = hasStyleHeader ? firstCells.slice(1) : firstCells;
+    const looksLikeFabric = name.includes('fabric') || firstCells.some(cell => /^(code|fabric code guide)$/i.test(cell));
+
+    if (hasStyleHeader || (!looksLikeFabric && rows.length > 0 && rows.every(cell => STYLE_ID.test(cell)))) {
+      const styleCount = new Set(rows.map(cell => cell.split('-')[0]).filter(Boolean)).size;
+      return { kind: 'styles', styleCount, rowCount: rows.length };
+    }
+    return { kind: 'fabric_workbook' };
+  }
+
+  /**
+   * What confirming the upload plan will do, and anything stopping it.
+   * Supplementary files go to the job started from the first style list, or
+   * to the picked job when there's none.
+   */
+  function planUploads(pending, jobId, jobs) {
+    const used = pending.filter(p => p.kind !== 'skip');
+    const styles = used.filter(p => p.kind === 'styles');
+    const supplementary = used.filter(p => FILE_KINDS[p.kind]?.field);
+    const documents = used.filter(p => p.kind === 'document');
+    const jobName = jobs.find(j => j.id === jobId)?.fileName || 'the picked job';
+    const steps = [];
+    const problems = [];
+
+    if (pending.some(p => !p.kind)) problems.push('Still checking files...');
+
+    styles.forEach(p => steps.push(`Start a job for ${p.styleCount ? `${p.styleCount} style(s)` : 'the styles'} in ${p.file.name}`));
+    if (supplementary.length > 0) {
+      const names = supplementary.map(p => p.file.name).join(', ');
+      if (styles.length > 0) steps.push(`Use ${names} as input to the ${styles[0].file.name} job`);
+      else if (jobId) steps.push(`Add ${names} to ${jobName} and run it again`);
+      else problems.push(`Pick a job for ${names}, or drop a style list with ${supplementary.length > 1 ? 'them' : 'it'}`);
+    }
+    for (const kind of ['line_sheet', 'fabric_workbook']) {
+      if (supplementary.filter(p => p.kind === kind).length > 1) problems.push(`Only one ${FILE_KINDS[kind].noun} per job`);
+    }
+    documents.forEach(p => steps.push(`Extract data from ${p.file.name}${jobId ? ` and merge it into ${jobName}` : ''}`));
+
+    if (used.length === 0) problems.push('Every file is set to "Don\'t use"');
+    return { steps, problems, styles, supplementary, documents, needsJob: styles.length === 0 && supplementary.length > 0 };
+  }
+
+  function handoffNoticeText({ from, to, available }) {
+    return available
+      ? `${from.name} handed you to ${to.name}`
+      : `The ${to.id || 'requested'} agent isn't available yet — ${from.name} will help`;
+  }
+
+  /**
+   * Read a Server-Sent Events response, calling onEvent(event, data) per event.
+   * (EventSource can't be used because the chat endpoint is a POST.)
+   */
+  async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const dispatch = (block) => {
+      let event = 'message';
+      const dataLines = [];
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+      });
+      if (dataLines.length === 0) return;
+
+      const raw = dataLines.join('\n');
+      let data = raw;
+      try {
+        data = JSON.parse(raw);
+      } catch {
+        // Non-JSON payloads are passed through as strings
+      }
+      onEvent(event, data);
+    };
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+      let boundary = buffer.indexOf('\n\n');
+      while (boundary !== -1) {
+        dispatch(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        boundary = buffer.indexOf('\n\n');
+      }
+    }
+
+    if (buffer.trim()) dispatch(buffer);
+  }
+
+  /**
+   * Tiny DOM builder: h('div', { class: 'x', onclick: fn }, 'text', child)
+   */
+  function h(tag, attrs = {}, ...children) {
+    const el = document.createElement(tag);
+    for (const [key, value] of Object.entries(attrs || {})) {
+      if (value === null || value === undefined || value === false) continue;
+      if (key.startsWith('on')) el.addEventListener(key.slice(2), value);
+      else if (key === 'html') el.innerHTML = value; // only used for the static icons below
+      else if (key in el && key !== 'list') el[key] = value;
+      else el.setAttribute(key, value === true ? '' : value);
+    }
+    for (const child of children.flat()) {
+      if (child === null || child === undefined || child === false) continue;
+      el.append(child instanceof Node ? child : String(child));
+    }
+    return el;
+  }
+
+  // Icons (paths from Lucide, ISC license)
+  const svg = (paths) => `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">${paths}</svg>`;
+  const ICONS = {
+    chat: svg('<path d="M7.9 20A9 9 0 1 0 4 16.1L2 22Z"/>'),
+    send: svg('<path d="m22 2-7 20-4-9-9-4Z"/><path d="M22 2 11 13"/>'),
+    clip: svg('<path d="m21.44 11.05-9.19 9.19a6 6 0 0 1-8.49-8.49l8.57-8.57A4 4 0 1 1 18 8.84l-8.59 8.57a2 2 0 0 1-2.83-2.83l8.49-8.48"/>'),
+    file: svg('<path d="M15 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V7Z"/><path d="M14 2v4a2 2 0 0 0 2 2h4"/>'),
+    up: svg('<path d="M7 10v12"/><path d="M15 5.88 14 10h5.83a2 2 0 0 1 1.92 2.56l-2.33 8A2 2 0 0 1 17.5 22H4a2 2 0 0 1-2-2v-8a2 2 0 0 1 2-2h2.76a2 2 0 0 0 1.79-1.11L12 2a3.13 3.13 0 0 1 3 3.88Z"/>'),
+    down: svg('<path d="M17 14V2"/><path d="M9 18.12 10 14H4.17a2 2 0 0 1-1.92-2.56l2.33-8A2 2 0 0 1 6.5 2H20a2 2 0 0 1 2 2v8a2 2 0 0 1-2 2h-2.76a2 2 0 0 0-1.79 1.11L12 22a3.13 3.13 0 0 1-3-3.88Z"/>'),
+    pencil: svg('<path d="M17 3a2.85 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5Z"/>'),
+    check: svg('<path d="M20 6 9 17l-5-5"/>'),
+    x: svg('<path d="M18 6 6 18"/><path d="m6 6 12 12"/>'),
+    compose: svg('<path d="M12 3H5a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/><path d="M18.375 2.625a2.121 2.121 0 1 1 3 3L12 15l-4 1 1-4Z"/>'),
+    handoff: svg('<path d="m16 3 4 4-4 4"/><path d="M20 7H4"/><path d="m8 21-4-4 4-4"/><path d="M4 17h16"/>'),
+    collapse: svg('<path d="m9 18 6-6-6-6"/>')
+  };
+  const icon = (name) => h('span', { class: 'icon', html: ICONS[name] });
+
+  const STYLES = `
+    :host {
+      --lc-accent: #000; --lc-accent-text: #fff; --lc-bg: #fff; --lc-surface: #f4f4f4;
+      --lc-text: #111; --lc-muted: #737373; --lc-border: #e5e5e5; --lc-radius: 8px;
+      display: flex;
+      flex-direction: column;
+      min-height: 0;
+      background: var(--lc-bg);
+      color: var(--lc-text);
+      font-family: var(--lc-font, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif);
+      font-size: 14px;
+      box-sizing: border-box;
+      position: relative;
+    }
+    :host([hidden]) { display: none; }
+    :host([layout="inline"]) { width: 100%; height: 100%; }
+    :host([layout="rail"]) {
+      position: fixed; top: 0; right: 0; width: 380px; height: 100vh; z-index: 99999;
+      border-left: 1px solid var(--lc-border); box-shadow: -4px 0 20px rgba(0,0,0,0.08);
+      transition: transform 0.3s ease;
+    }
+    :host([layout="rail"][minimized]) { transform: translateX(340px); }
+    @media (max-width: 768px) { :host([layout="rail"]) { width: 100%; } }
+    :host([layout="floating"]) {
+      position: fixed; right: 20px; bottom: 20px; width: 380px; height: min(600px, calc(100vh - 40px)); z-index: 99999;
+      border: 1px solid var(--lc-border); border-radius: 12px; box-shadow: 0 8px 32px rgba(0,0,0,0.16); overflow: hidden;
+    }
+    :host([layout="floating"][minimized]) { width: 56px; height: 56px; border-radius: 50%; border: none; }
+    :host([layout="floating"][minimized]) > :not(.launcher) { display: none; }
+    @media (max-width: 768px) { :host([layout="floating"]:not([minimized])) { right: 0; bottom: 0; width: 100%; height: 100%; border-radius: 0; } }
+    .launcher { display: none; }
+    :host([layout="floating"][minimized]) .launcher { display: flex; width: 100%; height: 100%; }
+    .launcher .avatar { width: 100%; height: 100%; font-size: 20px; }
+    .launcher .avatar .icon { width: 22px; height: 22px; }
+    * { box-sizing: border-box; }
+    button { font: inherit; color: inherit; cursor: pointer; background: none; border: none; padding: 0; }
+    button:disabled { cursor: default; opacity: 0.5; }
+    .icon { display: inline-flex; width: 14px; height: 14px; flex-shrink: 0; }
+    .icon svg { width: 100%; height: 100%; }
+    .label { font-size: 10px; text-transform: uppercase; letter-spacing: 0.08em; color: var(--lc-muted); }
+
+    .header { display: flex; align-items: center; gap: 12px; padding: 12px 16px; border-bottom: 1px solid var(--lc-border); flex-shrink: 0; }
+    .avatar { width: 32px; height: 32px; border-radius: 50%; background: var(--lc-accent); color: var(--lc-accent-text); display: flex; align-items: center; justify-content: center; flex-shrink: 0; overflow: hidden; font-weight: 500; }
+    .avatar img { width: 100%; height: 100%; object-fit: cover; }
+    .agent { flex: 1; min-width: 0; }
+    .agent-name { font-weight: 500; }
+    .header-btn { color: var(--lc-muted); padding: 4px; }
+    .header-btn:hover:not(:disabled) { color: var(--lc-text); }
+    .rail-toggle { display: none; }
+    :host([layout="rail"]) .rail-toggle, :host([layout="floating"]) .rail-toggle { display: inline-flex; }
+    :host([layout="rail"][minimized]) .rail-toggle .icon { transform: rotate(180deg); }
+
+    .messages { flex: 1; overflow-y: auto; padding: 16px; display: flex; flex-direction: column; gap: 16px; }
+    .row { display: flex; }
+    .row.user { justify-content: flex-end; }
+    .bubble { max-width: 85%; border-radius: var(--lc-radius); padding: 8px 12px; line-height: 1.5; word-wrap: break-word; }
+    .row.user .bubble { background: var(--lc-accent); color: var(--lc-accent-text); }
+    .row.assistant .bubble { background: var(--lc-surface); }
+    .text { white-space: pre-wrap; }
+    .cursor { animation: pulse 1s infinite; }
+    .spinner { display: inline-block; width: 14px; height: 14px; border: 2px solid var(--lc-border); border-top-color: var(--lc-text); border-radius: 50%; animation: spin 0.8s linear infinite; flex-shrink: 0; }
+    .working { display: flex; align-items: center; gap: 8px; }
+    .attachment { display: flex; align-items: center; gap: 6px; font-size: 12px; opacity: 0.8; margin-bottom: 4px; }
+    .tools { margin-top: 4px; }
+    .divider { display: flex; align-items: center; gap: 8px; }
+    .divider::before, .divider::after { content: ''; flex: 1; height: 1px; background: var(--lc-border); }
+    .thinking { color: var(--lc-muted); animation: pulse 1.4s infinite; }
+
+    .feedback { display: flex; gap: 4px; margin: 4px 0 0 4px; }
+    .feedback button { padding: 4px; border-radius: 4px; color: var(--lc-muted); opacity: 0.5; }
+    .feedback button:hover:not(:disabled), .feedback button.chosen { opacity: 1; }
+    .feedback button.up.chosen { color: #16a34a; }
+    .feedback button.down.chosen { color: #dc2626; }
+
+    .card { margin-top: 8px; border: 1px solid var(--lc-border); background: var(--lc-bg); border-radius: 4px; font-size: 12px; }
+    .card-head { display: flex; align-items: center; gap: 8px; padding: 8px 12px; border-bottom: 1px solid var(--lc-border); }
+    .tag { font-size: 9px; text-transform: uppercase; letter-spacing: 0.08em; font-weight: 500; padding: 2px 6px; background: var(--lc-accent); color: var(--lc-accent-text); }
+    .tag.ok { background: #16a34a; color: #fff; }
+    .fields { max-height: 300px; overflow-y: auto; }
+    .fields table { table-layout: fixed; }
+    .fields th, .fields td { border-width: 1px 0 0; padding: 6px 12px; }
+    .fields thead th { border-top: none; }
+    .fields th:first-child, .field-key { width: 120px; }
+    .field-key { color: var(--lc-muted); overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .field-value { flex: 1; min-width: 0; display: flex; align-items: center; gap: 4px; }
+    .field-value > span { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .field-value .corrected { text-decoration: line-through; color: var(--lc-muted); }
+    .field-value .empty { font-style: italic; color: var(--lc-muted); opacity: 0.6; }
+    .field .edit { opacity: 0; color: var(--lc-muted); padding: 2px; }
+    .field:hover .edit { opacity: 1; }
+    .field input { flex: 1; min-width: 0; border: 1px solid var(--lc-border); border-radius: 4px; padding: 2px 6px; font: inherit; background: var(--lc-bg); color: var(--lc-text); }
+    .ok-icon { color: #16a34a; }
+    .action { padding: 8px 12px; display: flex; flex-direction: column; gap: 8px; }
+    .action-buttons { display: flex; gap: 8px; }
+    .btn { padding: 4px 8px; border-radius: 4px; border: 1px solid var(--lc-border); }
+    .btn.primary { background: var(--lc-accent); color: var(--lc-accent-text); border-color: var(--lc-accent); }
+    a.btn { color: inherit; text-decoration: none; }
+
+    .card-title { flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; font-weight: 500; }
+    .card-body { padding: 8px 12px; display: flex; flex-direction: column; gap: 6px; }
+    .card-body input, .card-body textarea { width: 100%; font: inherit; border: 1px solid var(--lc-border); border-radius: 4px; padding: 4px 8px; background: var(--lc-bg); color: var(--lc-text); }
+    .card-body textarea { min-height: 140px; resize: vertical; }
+    .tag.muted { background: var(--lc-surface); color: var(--lc-muted); }
+    .tag.error { background: #b91c1c; color: #fff; }
+    .muted { color: var(--lc-muted); }
+    .error-text { color: #b91c1c; }
+    .struck { text-decoration: line-through; color: var(--lc-muted); }
+    .progress { height: 4px; background: var(--lc-surface); border-radius: 2px; overflow: hidden; }
+    .progress > div { height: 100%; background: var(--lc-accent); transition: width 0.3s ease; }
+    .job-phase, .job-failed, .job-changed { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .draft-body { white-space: pre-wrap; max-height: 160px; overflow-y: auto; padding: 8px; background: var(--lc-surface); border-radius: 4px; }
+
+    table { border-collapse: collapse; width: 100%; font-size: 12px; }
+    th, td { border: 1px solid var(--lc-border); padding: 4px 8px; text-align: left; vertical-align: top; }
+    th { font-weight: 500; background: var(--lc-surface); }
+    .md > :first-child { margin-top: 0; }
+    .md > :last-child { margin-bottom: 0; }
+    .md p, .md ul, .md ol, .md pre, .md blockquote, .md .md-table { margin: 0 0 8px; }
+    .md ul, .md ol { padding-left: 20px; }
+    .md h3, .md h4, .md h5, .md h6 { margin: 12px 0 4px; font-size: 14px; font-weight: 600; }
+    .md code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 12px; background: var(--lc-bg); padding: 1px 4px; border-radius: 3px; }
+    .md pre { background: var(--lc-bg); padding: 8px; border-radius: 4px; overflow-x: auto; }
+    .md pre code { padding: 0; }
+    .md blockquote { border-left: 2px solid var(--lc-border); padding-left: 8px; color: var(--lc-muted); }
+    .md hr { border: none; border-top: 1px solid var(--lc-border); margin: 8px 0; }
+    .md a { color: inherit; text-decoration: underline; }
+    .md .md-table { overflow-x: auto; }
+    .md th { background: var(--lc-bg); }
+
+    .pending-file { border-top: 1px solid var(--lc-border); padding: 8px 16px; background: var(--lc-surface); font-size: 12px; display: flex; flex-direction: column; gap: 6px; }
+    .pending-file[hidden] { display: none; }
+    .pending-row { display: flex; align-items: center; gap: 8px; color: var(--lc-muted); }
+    .pending-row .name { flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .pending-row button:hover { color: var(--lc-text); }
+    .pending-row select { max-width: 50%; font: inherit; font-size: 11px; padding: 2px 4px; border: 1px solid var(--lc-border); background: var(--lc-bg); color: var(--lc-text); }
+    .plan-steps { margin: 0; padding-left: 18px; }
+    :host([dragging]) .messages { outline: 2px dashed var(--lc-accent); outline-offset: -8px; }
+    .job-row { display: flex; align-items: center; gap: 8px; }
+    .job-row select { flex: 1; min-width: 0; font: inherit; font-size: 12px; padding: 4px 8px; border: 1px solid var(--lc-border); background: var(--lc-bg); color: var(--lc-text); }
+
+    .composer { border-top: 1px solid var(--lc-border); padding: 16px; display: flex; gap: 8px; align-items: center; flex-shrink: 0; }
+    .composer input[type="text"] { flex: 1; min-width: 0; font: inherit; border: 1px solid var(--lc-border); border-radius: var(--lc-radius); padding: 8px 12px; background: var(--lc-bg); color: var(--lc-text); outline: none; }
+    .composer input[type="text"]:focus { border-color: var(--lc-accent); }
+    .attach { padding: 8px; color: var(--lc-muted); }
+    .attach:hover:not(:disabled) { color: var(--lc-text); }
+    .send { background: var(--lc-accent); color: var(--lc-accent-text); border-radius: 6px; padding: 8px 12px; display: inline-flex; }
+    .hidden-input { display: none; }
+
+    .notices { position: absolute; left: 16px; right: 16px; bottom: 80px; display: flex; flex-direction: column; gap: 8px; pointer-events: none; }
+    .notice { padding: 8px 12px; border-radius: 6px; font-size: 12px; background: var(--lc-text); color: var(--lc-bg); box-shadow: 0 2px 8px rgba(0,0,0,0.15); }
+    .notice.error { background: #b91c1c; color: #fff; }
+    .notice.success { background: #15803d; color: #fff; }
+
+    @keyframes pulse { 50% { opacity: 0.4; } }
+    @keyframes spin { to { transform: rotate(360deg); } }
+  `;
+
+  class LagenceChatElement extends HTMLElement {
+    static get observedAttributes() {
+      return ['api-url', 'agent-id', 'theme', 'features', 'layout'];
+    }
+
+    constructor() {
+      super();
+      this.attachShadow({ mode: 'open' });
+      this.config = {};
+      this.state = null;
+      this.pollers = new Map();
+      this.streams = new Map(); // card key -> AbortController for its events stream
+      this.cards = new Map(); // card key -> state (see messageCards)
+      this.started = false;
+      this.listenForDrops();
     }
 
     /**
-     * Detect which agent to use based on URL path
+     * Files dropped anywhere on the widget go into the upload plan
      */
-    detectAgent() {
-      const path = window.location.pathname;
-      if (path.startsWith('/ecommerce')) return 'ecommerce';
-      if (path.startsWith('/wholesale')) return 'wholesale';
-      if (path.startsWith('/design')) return 'design';
-      if (path.startsWith('/admin')) return 'admin';
-      return 'ecommerce'; // Default to Emma
+    listenForDrops() {
+      const carriesFiles = (e) => [...(e.dataTransfer?.types || [])].includes('Files');
+      this.addEventListener('dragover', (e) => {
+        if (!this.state || !this.features.upload || !carriesFiles(e)) return;
+        e.preventDefault();
+        this.toggleAttribute('dragging', true);
+      });
+      this.addEventListener('dragleave', (e) => {
+        // Moving between elements inside the widget isn't leaving it
+        if (e.relatedTarget && this.contains(e.relatedTarget)) return;
+        this.removeAttribute('dragging');
+      });
+      this.addEventListener('drop', (e) => {
+        if (!this.state || !this.features.upload || !carriesFiles(e)) return;
+        e.preventDefault();
+        this.removeAttribute('dragging');
+        this.addFiles([...e.dataTransfer.files]);
+      });
     }
 
+    // ─── Config ───
+
+    get apiUrl() {
+      const value = this.config.apiUrl ?? this.getAttribute('api-url') ?? window.LAGENCE_CHAT_CONFIG?.apiUrl ?? SCRIPT_ORIGIN;
+      return String(value).replace(/\/$/, '');
+    }
+    set apiUrl(value) { this.setConfig({ apiUrl: value }); }
+
     /**
-     * Load conversation from session storage
+     * The configured agent, or null to pick one from the page path (see resolveAgentId)
      */
-    loadSession() {
-      try {
-        const saved = sessionStorage.getItem(this.sessionKey);
-        return saved ? JSON.parse(saved) : [];
-      } catch {
-        return [];
+    get agentId() {
+      return this.config.agentId || this.getAttribute('agent-id') || window.LAGENCE_CHAT_CONFIG?.agentId || null;
+    }
+    set agentId(value) { this.setConfig({ agentId: value }); }
+
+    get features() {
+      return parseFeatures(this.config.features ?? this.getAttribute('features') ?? window.LAGENCE_CHAT_CONFIG?.features);
+    }
+    set features(value) { this.setConfig({ features: value }); }
+
+    get theme() {
+      return parseTheme(this.config.theme ?? this.getAttribute('theme') ?? window.LAGENCE_CHAT_CONFIG?.theme,
+        brandTheme(this.state?.agent.branding));
+    }
+    set theme(value) { this.setConfig({ theme: value }); }
+
+    get reviewUrl() {
+      return this.config.reviewUrl || this.getAttribute('review-url') || window.LAGENCE_CHAT_CONFIG?.reviewUrl || DEFAULT_REVIEW_URL;
+    }
+    set reviewUrl(value) { this.setConfig({ reviewUrl: value }); }
+
+    get getAuthToken() {
+      return this.config.getAuthToken || window.LAGENCE_CHAT_CONFIG?.getAuthToken || null;
+    }
+    set getAuthToken(fn) { this.config.getAuthToken = fn; }
+
+    get authToken() {
+      return this.config.authToken || window.LAGENCE_CHAT_CONFIG?.authToken || null;
+    }
+    set authToken(token) { this.config.authToken = token; }
+
+    /**
+     * Update several settings at once. Changing the API URL or agent restarts the chat.
+     */
+    setConfig(patch = {}) {
+      const restart = ('apiUrl' in patch && patch.apiUrl !== this.config.apiUrl) ||
+        ('agentId' in patch && patch.agentId !== this.config.agentId);
+      this.config = { ...this.config, ...patch };
+      if (patch.layout) {
+        this.autoLayout = false;
+        this.setAttribute('layout', patch.layout);
+      }
+      this.applyTheme();
+      if (!this.started) return;
+      if (restart) this.start();
+      else this.render();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (oldValue === newValue || !this.started) return;
+      if (name === 'api-url' || name === 'agent-id') this.start();
+      else if (name === 'theme') this.applyTheme();
+      else if (name === 'features') this.render();
+      else if (name === 'layout') this.updateRailSpacing();
+    }
+
+    applyTheme() {
+      const theme = this.theme;
+      for (const [key, cssVar] of Object.entries(THEME_VARS)) {
+        if (theme[key]) this.style.setProperty(cssVar, theme[key]);
+        else this.style.removeProperty(cssVar);
       }
     }
 
+    // ─── Lifecycle ───
+
+    connectedCallback() {
+      // Without a layout from the page, the agent's display_mode can replace this one
+      if (!this.hasAttribute('layout')) {
+        this.autoLayout = true;
+        this.setAttribute('layout', this.config.defaultLayout || 'inline');
+      }
+      this.applyTheme();
+      this.updateRailSpacing();
+      if (!this.started) this.start();
+    }
+
+    disconnectedCallback() {
+      this.stopPolling();
+      document.body.classList.remove('lagence-chat-open', 'lagence-chat-minimized');
+    }
+
     /**
-     * Save conversation to session storage
+     * The rail pushes the page content aside (see the body styles below)
      */
-    saveSession() {
+    updateRailSpacing() {
+      const rail = this.getAttribute('layout') === 'rail' && this.isConnected;
+      document.body.classList.toggle('lagence-chat-open', rail);
+      document.body.classList.toggle('lagence-chat-minimized', rail && this.hasAttribute('minimized'));
+      if (rail) injectPageStyles();
+    }
+
+    async start() {
+      this.started = true;
+      this.stopPolling();
+      this.cards = new Map();
+      const run = this.startRun = (this.startRun || 0) + 1;
+      const agentId = this.agentId || await this.resolveAgentId();
+      // Restarted (new agent or API URL) while the agent list loaded
+      if (run !== this.startRun) return;
+      this.threadKey = `lagence_chat_thread_${agentId}`;
+      this.state = {
+        agent: { id: agentId, name: 'Assistant', title: "L'AGENCE Agent", greeting: 'Hi! How can I help you today?' },
+        activeAgent: null,
+        messages: [],
+        conversationId: this.loadConversationId(),
+        input: '',
+        isLoading: false,
+        pendingFiles: [], // the upload plan: [{ id, file, kind, styleCount, rowCount }]
+        isUploading: false,
+        jobs: [],
+        selectedJobId: null,
+        editing: null, // { docId, fieldKey, originalValue, value }
+        correctedFields: new Set()
+      };
+      this.state.activeAgent = this.state.agent;
+      this.render();
+
       try {
-        sessionStorage.setItem(this.sessionKey, JSON.stringify(this.messages));
+        const res = await this.apiFetch(`/agents/${encodeURIComponent(agentId)}`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const data = await res.json();
+        if (run !== this.startRun) return;
+        this.state.agent = data.agent;
+        this.state.activeAgent = data.agent;
+        this.applyBranding();
       } catch (e) {
-        console.warn('Failed to save chat session:', e);
+        console.warn('[chat-widget] Failed to load agent, using defaults:', e);
       }
+      if (run !== this.startRun) return;
+      this.state.messages = [this.welcomeMessage()];
+
+      if (this.state.conversationId) await this.resumeConversation();
+      this.render();
     }
 
     /**
-     * Initialize the widget
+     * Pick the agent from the page path using each agent's url_patterns.
+     * Falls back to the first agent the user can use.
      */
-    async init() {
+    async resolveAgentId() {
       try {
-        // Load agent info from API
-        const res = await fetch(`${this.apiUrl}/agents/${this.agentId}`);
-        if (!res.ok) throw new Error('Failed to load agent');
-        const data = await res.json();
-        this.agent = data.agent;
+        const res = await this.apiFetch('/agents');
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const { agents } = await res.json();
+        this.agents = agents;
+        return (matchAgent(agents, window.location.pathname) || agents[0])?.id || DEFAULT_AGENT_ID;
       } catch (e) {
-        console.warn('Failed to load agent, using defaults:', e);
-        this.agent = {
-          id: this.agentId,
-          name: 'Assistant',
-          title: 'L\'AGENCE Agent',
-          greeting: 'Hi! How can I help you today?'
-        };
+        console.warn('[chat-widget] Failed to load agents, using default:', e);
+        return DEFAULT_AGENT_ID;
       }
+    }
 
-      this.injectStyles();
-      this.createWidget();
-      this.renderMessages();
-      this.bindEvents();
+    /**
+     * Accent color and display mode from the agent's branding. An explicit
+     * theme accent or layout from the page wins.
+     */
+    applyBranding() {
+      const mode = this.state.agent.branding?.display_mode;
+      if (this.autoLayout && LAYOUTS.includes(mode) && mode !== this.getAttribute('layout')) {
+        // The floating panel starts as just its launcher
+        this.toggleAttribute('minimized', mode === 'floating');
+        this.setAttribute('layout', mode);
+      }
+      this.applyTheme();
     }
 
     /**
-     * Inject CSS styles
+     * Avatar from branding: an image URL or path, or a few characters
      */
-    injectStyles() {
-      if (document.getElementById('lagence-chat-styles')) return;
-
-      const style = document.createElement('style');
-      style.id = 'lagence-chat-styles';
-      style.textContent = `
-        #lagence-chat-widget {
-          position: fixed;
-          top: 0;
-          right: 0;
-          width: 380px;
-          height: 100vh;
-          background: #fff;
-          border-left: 1px solid #e5e5e5;
-          display: flex;
-          flex-direction: column;
-          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-          z-index: 99999;
-          box-shadow: -4px 0 20px rgba(0,0,0,0.08);
-          transition: transform 0.3s ease;
-        }
+    renderAvatar(agent) {
+      const branding = agent.id === this.state.agent.id
+        ? this.state.agent.branding
+        : this.agents?.find(a => a.id === agent.id)?.branding;
+      const avatar = branding?.avatar;
+      if (!avatar) return h('div', { class: 'avatar' }, icon('chat'));
+      if (/^(https?:)?\/|^data:image\//i.test(avatar)) {
+        const src = avatar.startsWith('/') && !avatar.startsWith('//') ? `${this.apiUrl}${avatar}` : avatar;
+        return h('div', { class: 'avatar' }, h('img', { src, alt: agent.name || '' }));
+      }
+      return h('div', { class: 'avatar' }, avatar);
+    }
 
-        #lagence-chat-widget.minimized {
-          transform: translateX(340px);
-        }
+    welcomeMessage() {
+      return { id: 'welcome', role: 'assistant', content: this.state.agent.greeting || 'Hi! How can I help you today?' };
+    }
 
-        #lagence-chat-widget.minimized .chat-toggle-btn {
-          transform: rotate(180deg);
-        }
+    // ─── API ───
 
-        .chat-header {
-          padding: 16px 20px;
-          background: #000;
-          color: #fff;
-          display: flex;
-          justify-content: space-between;
-          align-items: center;
-          flex-shrink: 0;
-        }
+    /**
+     * fetch() against the platform API with the user's token attached
+     */
+    async apiFetch(pathname, options = {}) {
+      const token = this.getAuthToken ? await this.getAuthToken() : this.authToken;
+      const headers = { ...(options.headers || {}) };
+      if (token) headers['Authorization'] = `Bearer ${token}`;
+      return fetch(`${this.apiUrl}/api${pathname}`, { ...options, headers });
+    }
 
-        .chat-agent-info {
-          display: flex;
-          flex-direction: column;
-        }
+    async apiJSON(pathname, body, { method = 'POST' } = {}) {
+      const res = await this.apiFetch(pathname, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      return data;
+    }
 
-        .chat-agent-info strong {
-          font-size: 16px;
-          font-weight: 600;
-        }
+    notify(level, message) {
+      const event = new CustomEvent('lagence-chat:notice', {
+        detail: { level, message }, bubbles: true, composed: true, cancelable: true
+      });
+      if (!this.dispatchEvent(event)) return;
 
-        .chat-agent-info span {
-          font-size: 12px;
-          opacity: 0.8;
-        }
+      const notice = h('div', { class: `notice ${level}` }, message);
+      this.shadowRoot.querySelector('.notices')?.append(notice);
+      setTimeout(() => notice.remove(), 4000);
+    }
 
-        .chat-toggle-btn {
-          background: none;
-          border: none;
-          color: #fff;
-          cursor: pointer;
-          padding: 8px;
-          transition: transform 0.3s;
-          font-size: 18px;
-        }
+    // ─── Thread ───
 
-        .chat-messages {
-          flex: 1;
-          overflow-y: auto;
-          padding: 20px;
-          display: flex;
-          flex-direction: column;
-          gap: 16px;
-          background: #fafafa;
-        }
+    loadConversationId() {
+      try {
+        return localStorage.getItem(this.threadKey);
+      } catch {
+        return null;
+      }
+    }
 
-        .chat-message {
-          max-width: 85%;
-          padding: 12px 16px;
-          border-radius: 16px;
-          line-height: 1.5;
-          font-size: 14px;
-          word-wrap: break-word;
-        }
+    /**
+     * Remember (or forget, with null) the server-side thread ID
+     */
+    setConversationId(id) {
+      if (this.state.conversationId === id) return;
+      this.state.conversationId = id;
+      try {
+        if (id) localStorage.setItem(this.threadKey, id);
+        else localStorage.removeItem(this.threadKey);
+      } catch (e) {
+        console.warn('[chat-widget] Failed to save chat thread:', e);
+      }
+      this.dispatchEvent(new CustomEvent('lagence-chat:conversation', {
+        detail: { conversationId: id }, bubbles: true, composed: true
+      }));
+    }
 
-        .chat-message.user {
-          align-self: flex-end;
-          background: #000;
-          color: #fff;
-          border-bottom-right-radius: 4px;
+    /**
+     * Load the stored thread from the server
+     */
+    async resumeConversation() {
+      const { state } = this;
+      try {
+        const res = await this.apiFetch(`/conversations/${state.conversationId}`);
+        if (res.status === 404) {
+          this.setConversationId(null);
+          return;
         }
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const data = await res.json();
 
-        .chat-message.assistant {
-          align-self: flex-start;
-          background: #fff;
-          color: #333;
-          border: 1px solid #e5e5e5;
-          border-bottom-left-radius: 4px;
+        // Confirmed/rejected actions get a follow-up message; only the rest are still pending
+        const resolved = new Map();
+        for (const m of data.messages) {
+          const type = m.action_taken?.type;
+          if (!m.action_taken?.action_id || type === 'action_pending') continue;
+          if (type === 'action_undone') {
+            this.cards.set(`rule:${m.action_taken.action_id}`, { status: 'undone' });
+            continue;
+          }
+          resolved.set(m.action_taken.action_id,
+            type === 'action_executed' ? 'executed' : type === 'action_rejected' ? 'rejected' : 'failed');
         }
 
-        .chat-message.system {
-          align-self: center;
-          background: #e8f5e9;
-          color: #2e7d32;
-          font-size: 12px;
-          padding: 8px 16px;
-          border-radius: 8px;
+        const messages = [this.welcomeMessage()];
+        let activeAgent = state.agent;
+        for (const m of data.messages) {
+          if (m.handoff) {
+            messages.push({ id: `handoff-${m.id}`, role: 'assistant', content: handoffNoticeText(m.handoff), handoffNotice: true });
+            if (m.handoff.available && m.handoff.to.id) activeAgent = m.handoff.to;
+          }
+          if (m.role === 'assistant' && m.agent_id === state.agent.id) activeAgent = state.agent;
+          messages.push({
+            id: m.id,
+            serverId: m.id,
+            role: m.role,
+            content: m.content,
+            agentId: m.agent_id || null,
+            toolsUsed: m.tool_calls?.map(c => c.name),
+            toolCalls: m.tool_calls || null,
+            actionTaken: m.action_taken || null,
+            pendingAction: m.action_taken?.type === 'action_pending'
+              ? {
+                  id: m.action_taken.action_id,
+                  actionType: m.action_taken.action_type,
+                  summary: m.action_taken.summary,
+                  status: resolved.get(m.action_taken.action_id) || 'pending'
+                }
+              : null
+          });
         }
 
-        .chat-message.system.error {
-          background: #ffebee;
-          color: #c62828;
-        }
+        state.messages = messages;
+        state.activeAgent = this.features.handoff ? activeAgent : state.agent;
+      } catch (e) {
+        console.warn('[chat-widget] Failed to resume conversation:', e);
+      }
+    }
 
-        .chat-action-buttons {
-          display: flex;
-          gap: 8px;
-          margin-top: 12px;
-          flex-wrap: wrap;
-        }
+    startNewConversation() {
+      this.stopPolling();
+      this.cards = new Map();
+      this.setConversationId(null);
+      this.state.messages = [this.welcomeMessage()];
+      this.state.activeAgent = this.state.agent;
+      this.render();
+    }
 
-        .chat-action-btn {
-          background: #000;
-          color: #fff;
-          border: none;
-          padding: 8px 16px;
-          border-radius: 20px;
-          cursor: pointer;
-          font-size: 12px;
-          font-weight: 500;
-          transition: background 0.2s;
-        }
+    switchBackToHomeAgent() {
+      const { state } = this;
+      state.messages.push({ id: `handoff-${Date.now()}`, role: 'assistant', content: `Back to ${state.agent.name}`, handoffNotice: true });
+      state.activeAgent = state.agent;
+      this.render();
+    }
 
-        .chat-action-btn:hover {
-          background: #333;
-        }
+    // ─── Messages ───
 
-        .chat-action-btn.secondary {
-          background: #e5e5e5;
-          color: #333;
-        }
+    findMessage(id) {
+      return this.state.messages.find(m => m.id === id);
+    }
 
-        .chat-action-btn.secondary:hover {
-          background: #d0d0d0;
-        }
+    /**
+     * Patch one message and redraw just its node
+     */
+    updateMessage(id, patch) {
+      const message = this.findMessage(id);
+      if (!message) return;
+      Object.assign(message, typeof patch === 'function' ? patch(message) : patch);
+      const node = this.shadowRoot.querySelector(`[data-message-id="${CSS.escape(id)}"]`);
+      if (node) node.replaceWith(this.renderMessage(message));
+      else this.renderMessages();
+      this.scrollToBottom();
+    }
 
-        .chat-input-container {
-          padding: 16px 20px;
-          background: #fff;
-          border-top: 1px solid #e5e5e5;
-          display: flex;
-          gap: 12px;
-          flex-shrink: 0;
-        }
+    pushMessage(message) {
+      this.state.messages.push(message);
+      this.shadowRoot.querySelector('.thinking-row')?.remove();
+      this.shadowRoot.querySelector('.messages')?.append(this.renderMessage(message));
+      this.renderThinking();
+      this.scrollToBottom();
+    }
 
-        .chat-input {
-          flex: 1;
-          padding: 12px 16px;
-          border: 1px solid #e5e5e5;
-          border-radius: 24px;
-          font-size: 14px;
-          outline: none;
-          transition: border-color 0.2s;
-        }
+    setLoading(isLoading) {
+      this.state.isLoading = isLoading;
+      this.renderComposer();
+      this.renderThinking();
+    }
 
-        .chat-input:focus {
-          border-color: #000;
-        }
+    async sendMessage() {
+      const { state } = this;
+      if ((!state.input.trim() && state.pendingFiles.length === 0) || state.isLoading) return;
+
+      const files = state.pendingFiles;
+      const plan = planUploads(files, state.selectedJobId, state.jobs);
+      if (files.length > 0 && plan.problems.length > 0) {
+        this.notify('error', plan.problems[0]);
+        return;
+      }
 
-        .chat-input:disabled {
-          background: #f5f5f5;
-        }
+      const content = state.input.trim() || `Uploaded ${files.map(p => p.file.name).join(', ')}`;
+      const userMessage = {
+        id: `user-${Date.now()}`,
+        role: 'user',
+        content,
+        attachments: files.map(p => p.file.name)
+      };
+      state.input = '';
+      this.pushMessage(userMessage);
+      this.setLoading(true);
 
-        .chat-send-btn {
-          width: 44px;
-          height: 44px;
-          border-radius: 50%;
-          background: #000;
-          color: #fff;
-          border: none;
-          cursor: pointer;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-          transition: background 0.2s;
-          flex-shrink: 0;
-        }
+      try {
+        if (files.length > 0) await this.runUploadPlan(plan, state.selectedJobId);
+        else await this.streamReply(content, userMessage);
+      } catch (error) {
+        console.error('[chat-widget] Chat error:', error);
+        this.pushMessage({
+          id: `error-${Date.now()}`,
+          role: 'assistant',
+          content: error.message || "I'm having trouble connecting right now. Please try again."
+        });
+      } finally {
+        // In case the stream dropped before "done"
+        state.messages.filter(m => m.isStreaming).forEach(m => this.updateMessage(m.id, { isStreaming: false }));
+        this.setLoading(false);
+        this.shadowRoot.querySelector('.composer input[type="text"]')?.focus();
+      }
+    }
 
-        .chat-send-btn:disabled {
-          background: #ccc;
-          cursor: not-allowed;
-        }
+    /**
+     * Send a text message and stream the reply. The server appends it to the
+     * thread (starting one if needed) and loads the history.
+     */
+    async streamReply(content, userMessage) {
+      const { state } = this;
+      const response = await this.apiFetch('/chat/stream', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ conversation_id: state.conversationId, message: content, agent_id: state.activeAgent.id })
+      });
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || "I'm having trouble connecting right now. Please try again.");
+      }
 
-        .chat-send-btn:hover:not(:disabled) {
-          background: #333;
+      // The reply bubble is added on the first token and filled in as deltas arrive
+      const replyId = `reply-${Date.now()}`;
+      const startReply = () => {
+        if (this.findMessage(replyId)) return;
+        this.pushMessage({ id: replyId, role: 'assistant', content: '', isStreaming: true });
+      };
+      const updateReply = (patch) => this.updateMessage(replyId, patch);
+
+      await readEventStream(response, (event, data) => {
+        if (event === 'conversation') {
+          this.setConversationId(data.conversation_id);
+          userMessage.serverId = data.user_message_id;
+        } else if (event === 'handoff') {
+          this.pushMessage({ id: `handoff-${Date.now()}`, role: 'assistant', content: handoffNoticeText(data), handoffNotice: true });
+          if (this.features.handoff && data.available && data.to.id && data.to.name) {
+            state.activeAgent = { id: data.to.id, name: data.to.name, title: data.to.title };
+            this.renderHeader();
+            this.renderComposer();
+          }
+        } else if (event === 'delta') {
+          startReply();
+          updateReply(m => ({ content: m.content + data.text }));
+        } else if (event === 'tool_call') {
+          startReply();
+          updateReply(m => ({ toolsUsed: [...(m.toolsUsed || []), data.name], toolCalls: [...(m.toolCalls || []), data] }));
+        } else if (event === 'action') {
+          if (data.type === 'action_pending') {
+            startReply();
+            updateReply({ pendingAction: { id: data.action_id, actionType: data.action_type, summary: data.summary, status: 'pending' } });
+          } else if (data.type === 'action_executed') {
+            startReply();
+            if (data.action_type === 'rerun_styles') this.restartJobCard(data.params.job_id);
+            updateReply({ actionTaken: data });
+            // A card shows the result; otherwise say it worked
+            if (!this.features.cards || messageCards({ actionTaken: data }).length === 0) {
+              this.notify('success', data.action_type === 'set_extraction_rule' ? `Rule saved for ${data.params.field_name}` : data.summary);
+            }
+          } else if (data.type === 'action_failed' || data.type === 'action_invalid') {
+            this.notify('error', data.error);
+          }
+        } else if (event === 'done') {
+          // The final message has any action JSON stripped, so it replaces the streamed text
+          startReply();
+          updateReply(m => ({
+            content: data.message || m.content || "I'm sorry, I couldn't process that request.",
+            serverId: data.message_id,
+            agentId: data.agent?.id,
+            toolCalls: data.tool_calls || m.toolCalls,
+            actionTaken: data.action_taken || m.actionTaken,
+            isStreaming: false
+          }));
+        } else if (event === 'error') {
+          startReply();
+          updateReply(m => ({ content: data.error || "I'm having trouble connecting right now. Please try again.", isStreaming: false }));
         }
+      });
+    }
 
-        .chat-send-btn svg {
-          width: 20px;
-          height: 20px;
-        }
+    async submitFeedback(message, rating) {
+      const { state } = this;
+      this.updateMessage(message.id, { feedbackGiven: rating });
 
-        .typing-indicator {
-          display: flex;
-          gap: 4px;
-          padding: 12px 16px;
-          background: #fff;
-          border: 1px solid #e5e5e5;
-          border-radius: 16px;
-          border-bottom-left-radius: 4px;
-          align-self: flex-start;
-        }
+      const index = state.messages.indexOf(message);
+      const previous = index > 0 ? state.messages[index - 1] : null;
+      try {
+        await this.apiJSON('/feedback', {
+          feedback_type: 'response_rating',
+          rating: rating === 'up' ? 5 : 1,
+          agent_id: message.agentId || state.agent.id,
+          chat_context: {
+            assistant_message: message.content,
+            user_message: previous?.content || null,
+            user_message_id: previous?.serverId || null
+          },
+          message_id: message.serverId || null,
+          conversation_id: state.conversationId
+        });
+      } catch (error) {
+        console.error('[chat-widget] Failed to submit feedback:', error);
+      }
+    }
 
-        .typing-indicator span {
-          width: 8px;
-          height: 8px;
-          background: #999;
-          border-radius: 50%;
-          animation: typing 1.4s infinite;
-        }
+    async resolvePendingAction(message, decision) {
+      const action = message.pendingAction;
+      const setStatus = (status) => this.updateMessage(message.id, { pendingAction: { ...action, status } });
 
-        .typing-indicator span:nth-child(2) { animation-delay: 0.2s; }
-        .typing-indicator span:nth-child(3) { animation-delay: 0.4s; }
+      setStatus('working');
+      try {
+        const outcome = await this.apiJSON(`/actions/${action.id}/${decision}`);
+        setStatus(outcome.type === 'action_executed' ? 'executed' : outcome.type === 'action_rejected' ? 'rejected' : 'failed');
+        if (outcome.type === 'action_executed' && outcome.action_type === 'rerun_styles') this.restartJobCard(outcome.params.job_id);
+        this.pushMessage({ id: `action-${action.id}`, role: 'assistant', content: outcome.message, agentId: this.state.activeAgent.id, actionTaken: outcome });
+      } catch (error) {
+        this.notify('error', error.message || "Couldn't update that action");
+        setStatus('pending');
+      }
+    }
 
-        @keyframes typing {
-          0%, 60%, 100% { transform: translateY(0); opacity: 0.4; }
-          30% { transform: translateY(-4px); opacity: 1; }
-        }
+    // ─── Uploads ───
 
-        /* Adjust main content when widget is visible */
-        body.lagence-chat-open {
-          margin-right: 380px;
-          transition: margin-right 0.3s ease;
+    /**
+     * Add dropped or attached files to the upload plan
+     */
+    async addFiles(files) {
+      const { state } = this;
+      const accepted = files.filter(file => ['pdf', 'csv'].includes(fileExtension(file)));
+      if (accepted.length < files.length) this.notify('error', 'Only PDF and CSV files can be uploaded');
+      if (accepted.length === 0) return;
+
+      const loadJobs = state.pendingFiles.length === 0 && this.features.jobLinking;
+      const added = accepted.map(file => ({ id: `${Date.now()}-${Math.random().toString(36).slice(2)}`, file, kind: null }));
+      state.pendingFiles = [...state.pendingFiles, ...added];
+      this.renderPendingFiles();
+
+      await Promise.all(added.map(async (pending) => {
+        try {
+          Object.assign(pending, await classifyFile(pending.file));
+        } catch (error) {
+          console.error('[chat-widget] Failed to read file:', error);
+          pending.kind = kindsFor(pending.file)[0];
         }
+      }));
+      this.renderPendingFiles();
 
-        body.lagence-chat-minimized {
-          margin-right: 40px;
-        }
+      if (loadJobs) await this.loadJobOptions();
+    }
 
-        /* Mobile responsive */
-        @media (max-width: 768px) {
-          #lagence-chat-widget {
-            width: 100%;
-          }
-          body.lagence-chat-open {
-            margin-right: 0;
-          }
-        }
-      `;
-      document.head.appendChild(style);
+    async loadJobOptions() {
+      const { state } = this;
+      try {
+        const res = await this.apiFetch('/jobs');
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        // Running jobs can't take more input
+        const jobs = (await res.json()).filter(j => !ACTIVE_JOB_STATUSES.includes(j.status));
+        if (state.pendingFiles.length === 0) return;
+        state.jobs = jobs.map(j => ({ id: j.id, fileName: j.fileName }));
+        this.renderPendingFiles();
+      } catch (error) {
+        console.error('[chat-widget] Failed to fetch jobs:', error);
+      }
+    }
+
+    setFileKind(id, kind) {
+      const pending = this.state.pendingFiles.find(p => p.id === id);
+      if (pending) pending.kind = kind;
+      this.renderPendingFiles();
+    }
+
+    removeFile(id) {
+      const { state } = this;
+      state.pendingFiles = state.pendingFiles.filter(p => p.id !== id);
+      if (state.pendingFiles.length === 0) this.clearPendingFiles();
+      else this.renderPendingFiles();
+    }
+
+    clearPendingFiles() {
+      this.state.pendingFiles = [];
+      this.state.jobs = [];
+      this.state.selectedJobId = null;
+      this.renderPendingFiles();
     }
 
     /**
-     * Create the widget DOM
+     * Upload form data; resolves with the JSON response or throws its error
      */
-    createWidget() {
-      const widget = document.createElement('div');
-      widget.id = 'lagence-chat-widget';
-      widget.innerHTML = `
-        <div class="chat-header">
-          <div class="chat-agent-info">
-            <strong>${this.agent.name}</strong>
-            <span>${this.agent.title}</span>
-          </div>
-          <button class="chat-toggle-btn" title="Toggle chat">‹</button>
-        </div>
-        <div class="chat-messages" id="lagence-chat-messages"></div>
-        <div class="chat-input-container">
-          <input
-            type="text"
-            class="chat-input"
-            id="lagence-chat-input"
-            placeholder="Message ${this.agent.name}..."
-          />
-          <button class="chat-send-btn" id="lagence-chat-send">
-            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <path d="M22 2L11 13M22 2L15 22L11 13M11 13L2 9L22 2"/>
-            </svg>
-          </button>
-        </div>
-      `;
-      document.body.appendChild(widget);
-      document.body.classList.add('lagence-chat-open');
-
-      this.widget = widget;
-      this.messagesContainer = document.getElementById('lagence-chat-messages');
-      this.input = document.getElementById('lagence-chat-input');
-      this.sendBtn = document.getElementById('lagence-chat-send');
+    async apiUpload(pathname, formData) {
+      const res = await this.apiFetch(pathname, { method: 'POST', body: formData });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.details || data.error || `HTTP ${res.status}`);
+      return data;
     }
 
     /**
-     * Bind event listeners
+     * Carry out a confirmed plan (see planUploads)
      */
-    bindEvents() {
-      // Send button
-      this.sendBtn.addEventListener('click', () => this.sendMessage());
-
-      // Enter key
-      this.input.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter' && !e.shiftKey) {
-          e.preventDefault();
-          this.sendMessage();
-        }
-      });
+    async runUploadPlan({ styles, supplementary, documents }, jobId) {
+      const { state } = this;
+      const jobName = state.jobs.find(j => j.id === jobId)?.fileName || 'the job';
+      this.clearPendingFiles();
+      state.isUploading = true;
+      this.renderThinking();
 
-      // Toggle button
-      this.widget.querySelector('.chat-toggle-btn').addEventListener('click', () => {
-        this.widget.classList.toggle('minimized');
-        document.body.classList.toggle('lagence-chat-minimized');
-      });
+      try {
+        for (const [i, pending] of styles.entries()) {
+          const formData = new FormData();
+          formData.append('file', pending.file);
+          if (pending.rowCount) formData.append('rowCount', String(pending.rowCount));
+          const extras = i === 0 ? supplementary : [];
+          extras.forEach(p => formData.append(FILE_KINDS[p.kind].field, p.file));
+
+          let data;
+          try {
+            data = await this.apiUpload('/start-job', formData);
+          } catch (error) {
+            throw new Error(`I couldn't start a job from ${pending.file.name}: ${error.message}`);
+          }
+          const withExtras = extras.length > 0 ? ` with ${extras.map(p => p.file.name).join(' and ')}` : '';
+          this.pushMessage({ id: `job-${data.jobId}`, role: 'assistant', content: `Started a job from ${pending.file.name}${withExtras}.`, jobIds: [data.jobId] });
+        }
 
-      // Action buttons (using event delegation)
-      this.messagesContainer.addEventListener('click', async (e) => {
-        if (e.target.classList.contains('chat-action-btn')) {
-          const action = e.target.dataset.action;
-          if (action === 'confirm_change') {
-            await this.confirmChange();
-          } else if (action === 'approve_plan') {
-            await this.approvePlan();
-          } else if (action === 'dismiss') {
-            this.pendingClassification = null;
-            this.addSystemMessage('Okay, let me know if you change your mind.');
+        if (styles.length === 0 && supplementary.length > 0) {
+          const formData = new FormData();
+          supplementary.forEach(p => formData.append('supplementary', p.file));
+          try {
+            await this.apiUpload(`/jobs/${jobId}/supplementary`, formData);
+          } catch (error) {
+            throw new Error(`I couldn't add those files to ${jobName}: ${error.message}`);
           }
-          // Disable the buttons after clicking
-          e.target.closest('.chat-action-buttons')?.remove();
+          const names = supplementary.map(p => p.file.name).join(' and ');
+          this.restartJobCard(jobId);
+          this.pushMessage({ id: `supplementary-${Date.now()}`, role: 'assistant', content: `Added ${names} to ${jobName} and started it again.`, jobIds: [jobId] });
         }
-      });
+
+        for (const pending of documents) await this.sendDocument(pending.file, jobId);
+      } finally {
+        state.isUploading = false;
+      }
     }
 
     /**
-     * Render all messages
+     * Upload a PDF, start extraction in the background and poll for the result
      */
-    renderMessages() {
-      this.messagesContainer.innerHTML = '';
+    async sendDocument(file, jobId) {
+      let docId;
+      try {
+        const formData = new FormData();
+        formData.append('file', file);
+        if (jobId) formData.append('job_id', jobId);
 
-      if (this.messages.length === 0) {
-        // Show greeting
-        this.addMessageToDOM({
-          role: 'assistant',
-          content: this.agent.greeting
+        const uploadRes = await this.apiFetch('/documents/upload', { method: 'POST', body: formData });
+        if (!uploadRes.ok) throw new Error('Failed to upload document');
+        docId = (await uploadRes.json()).document.id;
+
+        this.apiFetch(`/documents/${docId}/extract`, { method: 'POST', headers: { 'Content-Type': 'application/json' } })
+          .catch(err => console.error('[chat-widget] Background extraction error:', err));
+      } catch {
+        throw new Error(`I had trouble uploading ${file.name}. Could you try again?`);
+      }
+
+      const messageId = `extraction-${docId}`;
+      this.pushMessage({ id: messageId, role: 'assistant', content: `Extracting data from ${file.name}...`, extractionStatus: 'extracting' });
+      this.pollExtraction(docId, messageId, jobId);
+    }
+
+    pollExtraction(docId, messageId, jobId) {
+      let attempts = 0;
+      const stop = () => {
+        clearInterval(this.pollers.get(messageId));
+        this.pollers.delete(messageId);
+      };
+
+      const timer = setInterval(async () => {
+        attempts++;
+        try {
+          const res = await this.apiFetch(`/documents/${docId}`);
+          if (res.ok) {
+            const doc = await res.json();
+            if (doc.status === 'extracted' && doc.extracted_data) {
+              stop();
+              await this.finishExtraction(doc, docId, messageId, jobId);
+              return;
+            }
+            if (doc.status === 'failed') {
+              stop();
+              this.updateMessage(messageId, { content: `Extraction failed: ${doc.error_message || 'Unknown error'}`, extractionStatus: 'failed' });
+              return;
+            }
+          }
+        } catch (err) {
+          console.error('[chat-widget] Polling error:', err);
+        }
+
+        if (attempts >= EXTRACTION_POLL_ATTEMPTS) {
+          stop();
+          this.updateMessage(messageId, { content: 'Extraction is taking longer than expected. Check back in a moment.', extractionStatus: 'failed' });
+        }
+      }, EXTRACTION_POLL_MS);
+      this.pollers.set(messageId, timer);
+    }
+
+    async finishExtraction(doc, docId, messageId, jobId) {
+      const fields = flattenFields(doc.extracted_data);
+      const extractionData = { documentId: docId, documentType: doc.document_type || 'general', fields };
+
+      if (!jobId) {
+        this.updateMessage(messageId, { content: `Extracted ${fields.length} fields from ${doc.file_name}`, extractionStatus: 'complete', extractionData });
+        return;
+      }
+
+      this.updateMessage(messageId, { content: `Extracted ${fields.length} fields. Merging into job...`, extractionStatus: 'merging', extractionData });
+      try {
+        await this.apiJSON(`/documents/${docId}/merge/${jobId}`);
+        this.updateMessage(messageId, {
+          content: `Extracted ${fields.length} fields from ${doc.file_name} and merged into job.`,
+          extractionStatus: 'merged',
+          extractionData: { ...extractionData, mergedToJob: jobId }
+        });
+      } catch (mergeErr) {
+        console.error('[chat-widget] Auto-merge failed:', mergeErr);
+        this.updateMessage(messageId, {
+          content: `Extracted ${fields.length} fields from ${doc.file_name}. Auto-merge failed — you can merge manually.`,
+          extractionStatus: 'complete'
         });
-      } else {
-        this.messages.forEach(msg => this.addMessageToDOM(msg));
       }
     }
 
-    /**
-     * Add a message to the DOM
-     */
-    addMessageToDOM(message) {
-      const div = document.createElement('div');
-      div.className = `chat-message ${message.role}`;
-      div.textContent = message.content;
-
-      // Add action buttons if present
-      if (message.actionButtons) {
-        const buttonsDiv = document.createElement('div');
-        buttonsDiv.className = 'chat-action-buttons';
-        message.actionButtons.forEach(btn => {
-          const button = document.createElement('button');
-          button.className = `chat-action-btn ${btn.style || ''}`;
-          button.dataset.action = btn.action;
-          button.textContent = btn.label;
-          buttonsDiv.appendChild(button);
+    stopPolling() {
+      for (const timer of this.pollers.values()) clearInterval(timer);
+      this.pollers.clear();
+      for (const controller of this.streams.values()) controller.abort();
+      this.streams.clear();
+    }
+
+    async submitFieldCorrection(message) {
+      const { state } = this;
+      const editing = state.editing;
+      if (!editing || !editing.value.trim()) return;
+
+      try {
+        const data = await this.apiJSON('/feedback', {
+          feedback_type: 'field_correction',
+          field_name: editing.fieldKey,
+          original_value: editing.originalValue,
+          corrected_value: editing.value,
+          document_id: editing.docId,
+          agent_id: state.agent.id
         });
-        div.appendChild(buttonsDiv);
+        state.correctedFields.add(`${editing.docId}:${editing.fieldKey}`);
+        state.editing = null;
+        this.updateMessage(message.id, {});
+        this.notify('success', data.auto_processed
+          ? `Correction submitted — ${state.agent.name} is learning from your feedback.`
+          : 'Correction submitted');
+      } catch (error) {
+        console.error('[chat-widget] Failed to submit correction:', error);
+        this.notify('error', 'Failed to submit correction');
       }
+    }
 
-      this.messagesContainer.appendChild(div);
-      this.scrollToBottom();
+    // ─── Rendering ───
+
+    render() {
+      if (!this.state) return;
+      const root = this.shadowRoot;
+      root.replaceChildren(
+        h('style', {}, STYLES),
+        h('button', {
+          class: 'launcher',
+          title: `Chat with ${this.state.agent.name}`,
+          onclick: () => this.removeAttribute('minimized')
+        }, this.renderAvatar(this.state.agent)),
+        h('div', { class: 'header' }),
+        h('div', { class: 'messages' }),
+        h('div', { class: 'pending-file', hidden: true }),
+        h('div', { class: 'composer' }),
+        h('div', { class: 'notices' })
+      );
+      this.renderHeader();
+      this.renderMessages();
+      this.renderPendingFiles();
+      this.renderComposer();
     }
 
-    /**
-     * Add a system message
-     */
-    addSystemMessage(content, isError = false) {
-      const div = document.createElement('div');
-      div.className = `chat-message system${isError ? ' error' : ''}`;
-      div.textContent = content;
-      this.messagesContainer.appendChild(div);
-      this.scrollToBottom();
+    renderHeader() {
+      const { state } = this;
+      const header = this.shadowRoot.querySelector('.header');
+      if (!header) return;
+      const away = state.activeAgent.id !== state.agent.id;
+
+      header.replaceChildren(
+        this.renderAvatar(state.activeAgent),
+        h('div', { class: 'agent' },
+          h('div', { class: 'agent-name' }, state.activeAgent.name),
+          h('div', { class: 'label' }, state.activeAgent.title || "L'AGENCE Agent")
+        ),
+        away && h('button', {
+          class: 'header-btn label',
+          disabled: state.isLoading,
+          onclick: () => this.switchBackToHomeAgent()
+        }, `Back to ${state.agent.name}`),
+        this.features.newConversation && state.conversationId && h('button', {
+          class: 'header-btn',
+          title: 'New conversation',
+          disabled: state.isLoading,
+          onclick: () => this.startNewConversation()
+        }, icon('compose')),
+        h('button', {
+          class: 'header-btn rail-toggle',
+          title: 'Toggle chat',
+          onclick: () => {
+            this.toggleAttribute('minimized');
+            this.updateRailSpacing();
+          }
+        }, icon('collapse'))
+      );
     }
 
-    /**
-     * Show typing indicator
-     */
-    showTypingIndicator() {
-      const indicator = document.createElement('div');
-      indicator.className = 'typing-indicator';
-      indicator.id = 'lagence-typing-indicator';
-      indicator.innerHTML = '<span></span><span></span><span></span>';
-      this.messagesContainer.appendChild(indicator);
+    renderMessages() {
+      const container = this.shadowRoot.querySelector('.messages');
+      if (!container) return;
+      container.replaceChildren(...this.state.messages.map(m => this.renderMessage(m)));
+      this.renderThinking();
       this.scrollToBottom();
     }
 
-    /**
-     * Hide typing indicator
-     */
-    hideTypingIndicator() {
-      document.getElementById('lagence-typing-indicator')?.remove();
+    renderThinking() {
+      const { state } = this;
+      const container = this.shadowRoot.querySelector('.messages');
+      if (!container) return;
+      container.querySelector('.thinking-row')?.remove();
+      if (!state.isLoading || state.messages.some(m => m.isStreaming)) return;
+      container.append(h('div', { class: 'row assistant thinking-row' },
+        h('div', { class: 'bubble thinking' }, state.isUploading ? 'Uploading files...' : 'Thinking...')));
+    }
+
+    renderMessage(message) {
+      if (message.handoffNotice) {
+        return h('div', { class: 'divider label', 'data-message-id': message.id }, icon('handoff'), message.content);
+      }
+
+      const { features } = this;
+      const working = message.extractionStatus === 'extracting' || message.extractionStatus === 'merging';
+      const bubble = h('div', { class: 'bubble' },
+        message.attachments?.map(name => h('div', { class: 'attachment' }, icon('file'), name)),
+        working
+          ? h('div', { class: 'working' }, h('span', { class: 'spinner' }), message.content)
+          : message.role === 'assistant'
+            ? h('div', { class: 'md' }, renderMarkdown(message.content), message.isStreaming && h('span', { class: 'cursor' }, '▍'))
+            : h('span', { class: 'text' }, message.content),
+        message.toolsUsed?.length > 0 && h('div', { class: 'label tools' }, message.toolsUsed.map(n => n.replace(/_/g, ' ')).join(' · ')),
+        (message.extractionStatus === 'complete' || message.extractionStatus === 'merged') && this.renderExtractionCard(message),
+        features.actions && message.pendingAction && this.renderPendingAction(message),
+        features.cards && !message.isStreaming && messageCards(message).map(card => this.renderCard(card))
+      );
+
+      const showFeedback = features.feedback && message.role === 'assistant' && message.id !== 'welcome' &&
+        !message.isStreaming && !message.extractionData && !message.extractionStatus;
+
+      return h('div', { 'data-message-id': message.id },
+        h('div', { class: `row ${message.role}` }, bubble),
+        showFeedback && h('div', { class: 'feedback' },
+          h('button', {
+            class: `up${message.feedbackGiven === 'up' ? ' chosen' : ''}`,
+            title: 'Helpful',
+            disabled: !!message.feedbackGiven,
+            onclick: () => this.submitFeedback(message, 'up')
+          }, icon('up')),
+          h('button', {
+            class: `down${message.feedbackGiven === 'down' ? ' chosen' : ''}`,
+            title: 'Not helpful',
+            disabled: !!message.feedbackGiven,
+            onclick: () => this.submitFeedback(message, 'down')
+          }, icon('down'))
+        )
+      );
+    }
+
+    renderPendingAction(message) {
+      const action = message.pendingAction;
+      const open = action.status === 'pending' || action.status === 'working';
+      const done = { executed: 'Done', rejected: 'Cancelled' }[action.status] || 'Failed';
+
+      return h('div', { class: 'card action' },
+        h('div', { class: 'label' }, 'Needs your OK'),
+        h('div', {}, action.summary),
+        open
+          ? h('div', { class: 'action-buttons' },
+              h('button', {
+                class: 'btn primary',
+                disabled: action.status === 'working',
+                onclick: () => this.resolvePendingAction(message, 'confirm')
+              }, action.status === 'working' ? 'Working...' : 'Confirm'),
+              h('button', {
+                class: 'btn',
+                disabled: action.status === 'working',
+                onclick: () => this.resolvePendingAction(message, 'reject')
+              }, 'Cancel'))
+          : h('div', { class: 'label' }, done)
+      );
+    }
+
+    renderExtractionCard(message) {
+      const { state } = this;
+      const { documentId, documentType, fields, mergedToJob } = message.extractionData;
+      const canCorrect = this.features.corrections;
+
+      const rows = fields.map(field => {
+        const fieldKey = `${documentId}:${field.key}`;
+        const isCorrected = state.correctedFields.has(fieldKey);
+        const isEditing = state.editing?.docId === documentId && state.editing?.fieldKey === field.key;
+
+        let value;
+        if (isEditing) {
+          const cancel = () => {
+            state.editing = null;
+            this.updateMessage(message.id, {});
+          };
+          const input = h('input', {
+            type: 'text',
+            value: state.editing.value,
+            oninput: (e) => { state.editing.value = e.target.value; },
+            onkeydown: (e) => {
+              if (e.key === 'Enter') this.submitFieldCorrection(message);
+              if (e.key === 'Escape') cancel();
+            }
+          });
+          requestAnimationFrame(() => input.focus());
+          value = h('div', { class: 'field-value' },
+            input,
+            h('button', { class: 'ok-icon', onclick: () => this.submitFieldCorrection(message) }, icon('check')),
+            h('button', { onclick: cancel }, icon('x')));
+        } else {
+          value = h('div', { class: 'field-value' },
+            h('span', { class: isCorrected ? 'corrected' : '', title: field.value },
+              field.value || h('span', { class: 'empty' }, 'empty')),
+            isCorrected
+              ? h('span', { class: 'ok-icon' }, icon('check'))
+              : canCorrect && h('button', {
+                  class: 'edit',
+                  title: 'Correct this value',
+                  onclick: () => {
+                    state.editing = { docId: documentId, fieldKey: field.key, originalValue: field.value, value: field.value };
+                    this.updateMessage(message.id, {});
+                  }
+                }, icon('pencil')));
+        }
+
+        return h('tr', { class: 'field' },
+          h('td', { class: 'field-key', title: field.key }, field.key),
+          h('td', {}, value));
+      });
+
+      return h('div', { class: 'card' },
+        h('div', { class: 'card-head' },
+          h('span', { class: 'tag' }, documentType.replace(/_/g, ' ')),
+          h('span', { class: 'label' }, `${fields.length} fields`),
+          mergedToJob && h('span', { class: 'tag ok' }, 'Merged')),
+        h('div', { class: 'fields' }, h('table', {},
+          h('thead', {}, h('tr', {}, h('th', {}, 'Field'), h('th', {}, 'Value'))),
+          h('tbody', {}, rows)))
+      );
+    }
+
+    // ─── Cards ───
+
+    cardState(key, initial = {}) {
+      if (!this.cards.has(key)) this.cards.set(key, initial);
+      return this.cards.get(key);
     }
 
     /**
-     * Scroll to bottom of messages
+     * Redraw every copy of a card (several replies can show the same job)
      */
-    scrollToBottom() {
-      this.messagesContainer.scrollTop = this.messagesContainer.scrollHeight;
+    refreshCard(card) {
+      for (const node of this.shadowRoot.querySelectorAll(`[data-card="${CSS.escape(card.key)}"]`)) {
+        node.replaceWith(this.renderCard(card));
+      }
+    }
+
+    renderCard(card) {
+      if (card.type === 'job') return this.renderJobCard(card);
+      if (card.type === 'rule') return this.renderRuleCard(card);
+      return this.renderDraftCard(card);
     }
 
     /**
-     * Send a message
+     * Live job progress, and what to do with the result once it's done
      */
-    async sendMessage() {
-      const content = this.input.value.trim();
-      if (!content || this.isLoading) return;
-
-      // Add user message
-      const userMessage = { role: 'user', content };
-      this.messages.push(userMessage);
-      this.addMessageToDOM(userMessage);
-      this.saveSession();
+    renderJobCard(card) {
+      const state = this.cardState(card.key, {});
+      if (!state.watching) this.watchJob(card);
+      const { job } = state;
+      const active = job && ACTIVE_JOB_STATUSES.includes(job.status);
+      const finished = job && FINISHED_JOB_STATUSES.includes(job.status);
+
+      let body;
+      if (!job) {
+        body = state.error
+          ? h('div', { class: 'error-text' }, `Couldn't load the job: ${state.error}`)
+          : h('div', { class: 'working muted' }, h('span', { class: 'spinner' }), 'Loading job...');
+      } else {
+        const phase = job.phase && JOB_PHASES[job.phase];
+        const counts = [
+          job.total > 0 && `${job.completed}/${job.total} styles`,
+          job.failed > 0 && `${job.failed} failed`,
+          active && formatEta(job.etaSeconds)
+        ].filter(Boolean);
+
+        body = [
+          (active || finished) && h('div', { class: 'progress' }, h('div', { style: `width: ${finished ? 100 : job.progressPercent}%` })),
+          active && h('div', { class: 'job-phase' },
+            job.status === 'pending'
+              ? 'Waiting to start...'
+              : [h('strong', {}, phase || `${job.progressPercent}%`), job.style && h('span', { class: 'muted' }, ` · ${job.style}`)]),
+          counts.length > 0 && h('div', { class: 'muted' }, counts.join(' · ')),
+          job.failedStyles?.length > 0 && h('div', { class: 'muted job-failed', title: job.failedStyles.join(', ') },
+            `Failed: ${job.failedStyles.slice(0, 5).join(', ')}${job.failedStyles.length > 5 ? ` +${job.failedStyles.length - 5} more` : ''}`),
+          job.changedStyles?.length > 0 && h('div', { class: 'job-changed', title: job.changedStyles.join(', ') },
+            `${job.changesExported ? 'Changed, now exported' : 'Changed since last export'}: ${job.changedStyles.slice(0, 5).join(', ')}${job.changedStyles.length > 5 ? ` +${job.changedStyles.length - 5} more` : ''}`),
+          job.errorMessage && !(finished && job.failedStyles?.length > 0) && h('div', { class: 'error-text' }, job.errorMessage),
+          (job.outputSheetUrl || finished) && h('div', { class: 'action-buttons' },
+            finished && h('button', { class: 'btn', onclick: () => this.reviewJob(job) }, 'Review'),
+            finished && h('button', { class: 'btn', disabled: state.exporting, onclick: () => this.exportJobToSheets(card) },
+              state.exporting ? 'Exporting...' : job.outputSheetUrl ? 'Update sheet' : 'Export to Sheets'),
+            job.outputSheetUrl && h('a', { class: 'btn', href: job.outputSheetUrl, target: '_blank', rel: 'noopener noreferrer' }, 'Open sheet'),
+            finished && h('button', { class: 'btn', onclick: () => this.downloadJobCsv(job) }, 'Download CSV'),
+            finished && job.changedStyles?.length > 0 && h('button', { class: 'btn', onclick: () => this.downloadJobChanges(job) }, 'Changes'))
+        ];
+      }
 
-      this.input.value = '';
-      this.input.disabled = true;
-      this.sendBtn.disabled = true;
-      this.isLoading = true;
-      this.showTypingIndicator();
+      return h('div', { class: 'card', 'data-card': card.key },
+        h('div', { class: 'card-head' },
+          h('span', { class: 'tag' }, 'Job'),
+          h('span', { class: 'card-title' }, job?.fileName || card.jobId.slice(0, 8)),
+          job && h('span', { class: `tag ${finished ? 'ok' : job.status === 'failed' ? 'error' : 'muted'}` }, job.status.replace(/_/g, ' '))),
+        h('div', { class: 'card-body' }, body)
+      );
+    }
 
+    /**
+     * Follow a job through /jobs/:id/events until it finishes. Servers without
+     * the stream (or a dropped connection) fall back to polling /job-status.
+     */
+    async watchJob(card) {
+      const state = this.cardState(card.key);
+      state.watching = true;
+      const controller = new AbortController();
+      this.streams.set(card.key, controller);
+
+      const update = (job) => {
+        state.job = { ...state.job, ...job };
+        state.error = null;
+        this.refreshCard(card);
+      };
+
+      let ended = false;
       try {
-        const response = await fetch(`${this.apiUrl}/chat`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            agent_id: this.agentId,
-            messages: this.messages.map(m => ({
-              role: m.role,
-              content: m.content
-            }))
-          })
+        const res = await this.apiFetch(`/jobs/${encodeURIComponent(card.jobId)}/events`, {
+          headers: { Accept: 'text/event-stream' },
+          signal: controller.signal
+        });
+        if (!res.ok || !res.body) throw new Error(`HTTP ${res.status}`);
+        await readEventStream(res, (event, data) => {
+          if (event === 'job') update(data);
+          else if (event === 'done') ended = true;
+          else if (event === 'error') throw new Error(data.error || 'Job stream failed');
         });
+      } catch (error) {
+        if (controller.signal.aborted) return;
+        console.warn(`[chat-widget] Job events unavailable for ${card.jobId}, polling instead:`, error);
+      } finally {
+        if (this.streams.get(card.key) === controller) this.streams.delete(card.key);
+      }
 
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}`);
+      if (!ended && !controller.signal.aborted) this.pollJob(card);
+    }
+
+    pollJob(card) {
+      const state = this.cardState(card.key);
+      const pollerKey = `card:${card.key}`;
+      const stop = () => {
+        clearInterval(this.pollers.get(pollerKey));
+        this.pollers.delete(pollerKey);
+      };
+
+      const tick = async () => {
+        try {
+          const res = await this.apiFetch(`/job-status/${encodeURIComponent(card.jobId)}`);
+          const data = await res.json().catch(() => ({}));
+          if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+          state.job = data;
+          state.error = null;
+        } catch (error) {
+          state.error = error.message;
         }
+        if (!state.job || !ACTIVE_JOB_STATUSES.includes(state.job.status)) stop();
+        this.refreshCard(card);
+      };
 
-        const data = await response.json();
-        this.hideTypingIndicator();
+      tick();
+      this.pollers.set(pollerKey, setInterval(tick, JOB_POLL_MS));
+    }
 
-        const assistantMessage = {
-          role: 'assistant',
-          content: data.message
-        };
+    /**
+     * Start following a job again after it was re-run (supplementary files,
+     * rerun_styles). Its cards keep their place and pick up the new run.
+     */
+    restartJobCard(jobId) {
+      const key = `job:${jobId}`;
+      this.streams.get(key)?.abort();
+      this.streams.delete(key);
+      clearInterval(this.pollers.get(`card:${key}`));
+      this.pollers.delete(`card:${key}`);
+      if (!this.cards.has(key)) return;
+      this.cards.delete(key);
+      this.refreshCard({ key, type: 'job', jobId });
+    }
 
-        // Check if this is a capability change request
-        if (data.classification?.request_type === 'capability_tweak' &&
-            data.classification?.can_auto_pr &&
-            !data.action_taken) {
-          this.pendingClassification = data.classification;
-          assistantMessage.actionButtons = [
-            { label: 'Create PR for this change', action: 'confirm_change' },
-            { label: 'Not now', action: 'dismiss', style: 'secondary' }
-          ];
-        } else if (data.classification?.requires_plan_approval &&
-                   !data.action_taken) {
-          this.pendingClassification = data.classification;
-          assistantMessage.actionButtons = [
-            { label: 'Approve this plan', action: 'approve_plan' },
-            { label: 'Let me think about it', action: 'dismiss', style: 'secondary' }
-          ];
-        }
+    /**
+     * Open the review/correction view for a finished job. The host page can
+     * handle lagence-chat:review-job itself; otherwise reviewUrl opens.
+     */
+    reviewJob(job) {
+      const event = new CustomEvent('lagence-chat:review-job', {
+        detail: { jobId: job.id, job }, bubbles: true, composed: true, cancelable: true
+      });
+      if (!this.dispatchEvent(event)) return;
 
-        // Show PR link if created
-        if (data.action_taken?.type === 'pr_created') {
-          this.addSystemMessage(`PR created: ${data.action_taken.pr_url}`);
-        }
+      const url = this.reviewUrl.replace('{jobId}', encodeURIComponent(job.id));
+      window.open(/^https?:/i.test(url) ? url : `${this.apiUrl}${url}`, '_blank', 'noopener');
+    }
 
-        this.messages.push(assistantMessage);
-        this.addMessageToDOM(assistantMessage);
-        this.saveSession();
+    /**
+     * Export (or update) the job's Google Sheet with the user's Google account,
+     * the same way the task page does
+     */
+    async exportJobToSheets(card) {
+      const state = this.cardState(card.key);
+      const { job } = state;
+      const existingSpreadsheetId = job.outputSheetUrl?.split('/d/')[1]?.split('/')[0];
+
+      const done = (error) => {
+        state.exporting = false;
+        if (error) {
+          console.error('[chat-widget] Sheets export failed:', error);
+          this.notify('error', "Couldn't export to Google Sheets");
+        }
+        this.refreshCard(card);
+      };
 
+      state.exporting = true;
+      this.refreshCard(card);
+      let clientId;
+      try {
+        [{ clientId }] = await Promise.all([this.apiJSON('/google-client-id', undefined, { method: 'GET' }), loadScript(GOOGLE_IDENTITY_SRC)]);
       } catch (error) {
-        this.hideTypingIndicator();
-        this.addSystemMessage(`Error: ${error.message}`, true);
+        done(error);
+        return;
       }
 
-      this.input.disabled = false;
-      this.sendBtn.disabled = false;
-      this.isLoading = false;
-      this.input.focus();
+      const client = window.google.accounts.oauth2.initTokenClient({
+        client_id: clientId,
+        scope: existingSpreadsheetId ? SHEETS_SCOPES.update : SHEETS_SCOPES.create,
+        callback: async (tokenResponse) => {
+          if (tokenResponse.error) {
+            done(new Error(tokenResponse.error));
+            return;
+          }
+          try {
+            const data = await this.apiJSON('/create-google-sheet', {
+              accessToken: tokenResponse.access_token,
+              jobId: job.id,
+              ...(existingSpreadsheetId && { existingSpreadsheetId })
+            });
+            if (data.sheetUrl) {
+              state.job = { ...state.job, outputSheetUrl: data.sheetUrl };
+              window.open(data.sheetUrl, '_blank', 'noopener');
+            }
+            done();
+          } catch (error) {
+            done(error);
+          }
+        },
+        // Closing the Google popup never calls back
+        error_callback: (error) => done(error.type === 'popup_closed' ? null : new Error(error.message || error.type))
+      });
+      client.requestAccessToken();
+    }
+
+    async downloadJobCsv(job) {
+      try {
+        await this.saveDownload(`/jobs/${encodeURIComponent(job.id)}/csv`, `${(job.fileName || 'job').replace(/\.csv$/i, '')}-extracted.csv`);
+      } catch (error) {
+        console.error('[chat-widget] CSV download failed:', error);
+        this.notify('error', "Couldn't download the CSV");
+      }
     }
 
     /**
-     * Confirm a capability change (create PR)
+     * Fields that changed in the job's re-downloaded tech packs since they were last exported
      */
-    async confirmChange() {
-      if (!this.pendingClassification) return;
-
-      this.showTypingIndicator();
-
+    async downloadJobChanges(job) {
       try {
-        const response = await fetch(`${this.apiUrl}/chat`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            agent_id: this.agentId,
-            messages: this.messages.map(m => ({ role: m.role, content: m.content })),
-            confirm_change: true
-          })
-        });
+        await this.saveDownload(`/jobs/${encodeURIComponent(job.id)}/changes?format=csv`, `${(job.fileName || 'job').replace(/\.csv$/i, '')}-changes.csv`);
+      } catch (error) {
+        console.error('[chat-widget] Change report download failed:', error);
+        this.notify('error', "Couldn't download the change report");
+      }
+    }
 
-        const data = await response.json();
-        this.hideTypingIndicator();
+    async saveDownload(pathname, fileName) {
+      const res = await this.apiFetch(pathname);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const url = URL.createObjectURL(await res.blob());
+      const link = h('a', { href: url, download: fileName });
+      this.shadowRoot.append(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    }
 
-        if (data.action_taken?.pr_url) {
-          this.addSystemMessage(`PR created! Review it here: ${data.action_taken.pr_url}`);
-        } else if (data.action_taken?.error) {
-          this.addSystemMessage(`Failed to create PR: ${data.action_taken.error}`, true);
-        }
+    /**
+     * A rule the agent learned, with undo (see undoAction in core/chat-actions.js)
+     */
+    renderRuleCard(card) {
+      const { action } = card;
+      const state = this.cardState(card.key, { status: 'active' });
+      const result = action.result || {};
+      const undone = state.status === 'undone';
+      const confidence = result.confidence ?? action.params.confidence;
+
+      return h('div', { class: 'card', 'data-card': card.key },
+        h('div', { class: 'card-head' },
+          h('span', { class: 'tag' }, 'Learned rule'),
+          h('span', { class: 'card-title' }, result.field_name || action.params.field_name),
+          undone && h('span', { class: 'tag muted' }, 'Undone')),
+        h('div', { class: 'card-body' },
+          h('div', { class: undone ? 'struck' : '' }, result.rule || action.params.rule_description),
+          result.previous && h('div', { class: 'muted' }, `Replaces: ${result.previous.rule}`),
+          confidence != null && h('div', { class: 'muted' }, `Confidence ${Math.round(confidence * 100)}%`),
+          !undone && action.action_id && h('div', { class: 'action-buttons' },
+            h('button', {
+              class: 'btn',
+              disabled: state.status === 'working',
+              onclick: () => this.undoRule(card)
+            }, state.status === 'working' ? 'Undoing...' : 'Undo')))
+      );
+    }
+
+    async undoRule(card) {
+      const state = this.cardState(card.key);
+      state.status = 'working';
+      this.refreshCard(card);
+      try {
+        const outcome = await this.apiJSON(`/actions/${card.action.action_id}/undo`);
+        if (outcome.type !== 'action_undone') throw new Error(outcome.message || outcome.error);
+        state.status = 'undone';
+        this.pushMessage({ id: `undo-${card.action.action_id}`, role: 'assistant', content: outcome.message, agentId: this.state.activeAgent.id });
       } catch (error) {
-        this.hideTypingIndicator();
-        this.addSystemMessage(`Error: ${error.message}`, true);
+        state.status = 'active';
+        this.notify('error', error.message || "Couldn't undo that rule");
       }
-
-      this.pendingClassification = null;
+      this.refreshCard(card);
     }
 
     /**
-     * Approve a plan proposal
+     * An outreach email waiting for approval, editable until it's sent
      */
-    async approvePlan() {
-      if (!this.pendingClassification) return;
+    renderDraftCard(card) {
+      const state = this.cardState(card.key, { draft: card.draft, body: null });
+      if (!state.loading && state.body === null) this.loadDraft(card);
+      const { draft, editing } = state;
+      const sent = draft.status === 'sent';
+
+      let body;
+      if (editing) {
+        body = [
+          h('input', { type: 'text', value: editing.subject, oninput: (e) => { editing.subject = e.target.value; } }),
+          h('textarea', { value: editing.body, oninput: (e) => { editing.body = e.target.value; } }),
+          h('div', { class: 'action-buttons' },
+            h('button', { class: 'btn primary', disabled: state.busy, onclick: () => this.saveDraft(card) }, state.busy ? 'Saving...' : 'Save'),
+            h('button', {
+              class: 'btn',
+              disabled: state.busy,
+              onclick: () => {
+                state.editing = null;
+                this.refreshCard(card);
+              }
+            }, 'Cancel'))
+        ];
+      } else {
+        body = [
+          h('div', { class: 'muted' }, `To: ${draft.recipient_team ? `${draft.recipient_team} ` : ''}<${draft.recipient_email}>`),
+          h('strong', {}, draft.subject),
+          h('div', { class: 'draft-body' }, state.body === null ? 'Loading...' : state.body || h('span', { class: 'muted' }, 'No preview')),
+          !sent && h('div', { class: 'action-buttons' },
+            h('button', { class: 'btn primary', disabled: state.busy, onclick: () => this.approveDraft(card) }, state.busy ? 'Sending...' : 'Approve & send'),
+            h('button', {
+              class: 'btn',
+              disabled: state.busy || state.body === null,
+              onclick: () => {
+                state.editing = { subject: draft.subject, body: state.body };
+                this.refreshCard(card);
+              }
+            }, 'Edit'))
+        ];
+      }
 
-      this.showTypingIndicator();
+      return h('div', { class: 'card', 'data-card': card.key },
+        h('div', { class: 'card-head' },
+          h('span', { class: 'tag' }, 'Email draft'),
+          h('span', { class: 'card-title' }, draft.recipient_team || draft.recipient_email),
+          h('span', { class: `tag ${sent ? 'ok' : 'muted'}` }, sent ? 'Sent' : 'Needs approval')),
+        h('div', { class: 'card-body' }, body)
+      );
+    }
 
+    async loadDraft(card) {
+      const state = this.cardState(card.key);
+      state.loading = true;
       try {
-        const response = await fetch(`${this.apiUrl}/chat`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            agent_id: this.agentId,
-            messages: this.messages.map(m => ({ role: m.role, content: m.content })),
-            approve_plan: true
-          })
-        });
-
-        const data = await response.json();
-        this.hideTypingIndicator();
+        const res = await this.apiFetch(`/outreach/${card.draftId}`);
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        state.draft = { ...state.draft, ...data };
+        state.body = htmlToText(data.html_body);
+      } catch (error) {
+        console.error('[chat-widget] Failed to load draft:', error);
+        state.body = '';
+      }
+      this.refreshCard(card);
+    }
 
-        if (data.action_taken?.proposal_id) {
-          this.addSystemMessage(`Plan approved and saved for implementation. I'll work on this and create a PR when ready.`);
-        }
+    async saveDraft(card) {
+      const state = this.cardState(card.key);
+      state.busy = true;
+      this.refreshCard(card);
+      try {
+        const { email } = await this.apiJSON(`/outreach/${card.draftId}`, {
+          subject: state.editing.subject,
+          body_text: state.editing.body
+        }, { method: 'PATCH' });
+        state.draft = { ...state.draft, ...email };
+        state.body = htmlToText(email.html_body);
+        state.editing = null;
+        this.notify('success', 'Draft updated');
       } catch (error) {
-        this.hideTypingIndicator();
-        this.addSystemMessage(`Error: ${error.message}`, true);
+        this.notify('error', error.message || "Couldn't save the draft");
       }
+      state.busy = false;
+      this.refreshCard(card);
+    }
 
-      this.pendingClassification = null;
+    async approveDraft(card) {
+      const state = this.cardState(card.key);
+      state.busy = true;
+      this.refreshCard(card);
+      try {
+        const { email } = await this.apiJSON(`/outreach/${card.draftId}/approve`);
+        state.draft = { ...state.draft, ...email };
+        this.notify('success', `Sent to ${email.recipient_email}`);
+      } catch (error) {
+        this.notify('error', error.message || "Couldn't send the email");
+      }
+      state.busy = false;
+      this.refreshCard(card);
     }
 
     /**
-     * Clear chat history
+     * The upload plan: what each file is for, the target job, and what
+     * confirming will do
      */
-    clearHistory() {
-      this.messages = [];
-      sessionStorage.removeItem(this.sessionKey);
-      this.renderMessages();
+    renderPendingFiles() {
+      const { state } = this;
+      const panel = this.shadowRoot.querySelector('.pending-file');
+      if (!panel) return;
+      panel.hidden = state.pendingFiles.length === 0;
+      if (state.pendingFiles.length === 0) {
+        panel.replaceChildren();
+        this.renderComposer();
+        return;
+      }
+
+      const plan = planUploads(state.pendingFiles, state.selectedJobId, state.jobs);
+      const showJobs = state.jobs.length > 0 && (plan.needsJob || plan.documents.length > 0);
+
+      panel.replaceChildren(
+        state.pendingFiles.map(pending => h('div', { class: 'pending-row' },
+          icon('file'),
+          h('span', { class: 'name', title: pending.file.name }, pending.file.name),
+          pending.kind
+            ? h('select', { onchange: (e) => this.setFileKind(pending.id, e.target.value) },
+                kindsFor(pending.file).map(kind => h('option', { value: kind, selected: kind === pending.kind }, FILE_KINDS[kind].label)))
+            : h('span', { class: 'spinner' }),
+          h('button', { title: 'Remove', onclick: () => this.removeFile(pending.id) }, icon('x')))),
+        showJobs && h('div', { class: 'job-row' },
+          h('span', { class: 'label' }, 'Job:'),
+          h('select', {
+            onchange: (e) => {
+              state.selectedJobId = e.target.value || null;
+              this.renderPendingFiles();
+            }
+          },
+            h('option', { value: '', selected: !state.selectedJobId }, plan.needsJob ? 'Pick a job...' : 'None (standalone extraction)'),
+            state.jobs.map(job => h('option', { value: job.id, selected: job.id === state.selectedJobId }, job.fileName)))),
+        plan.steps.length > 0 && h('ul', { class: 'plan-steps' }, plan.steps.map(step => h('li', {}, step))),
+        plan.problems.map(problem => h('div', { class: 'error-text' }, problem)),
+        h('div', { class: 'action-buttons' },
+          h('button', {
+            class: 'btn primary',
+            disabled: plan.problems.length > 0 || state.isLoading,
+            onclick: () => this.sendMessage()
+          }, 'Confirm'),
+          h('button', { class: 'btn', onclick: () => this.clearPendingFiles() }, 'Cancel'))
+      );
+      this.renderComposer();
+    }
+
+    renderComposer() {
+      const { state } = this;
+      const composer = this.shadowRoot.querySelector('.composer');
+      if (!composer) return;
+
+      const send = h('button', {
+        class: 'send',
+        title: 'Send',
+        disabled: (!state.input.trim() && state.pendingFiles.length === 0) || state.isLoading,
+        onclick: () => this.sendMessage()
+      }, icon('send'));
+
+      const fileInput = h('input', {
+        type: 'file',
+        accept: '.pdf,.csv',
+        multiple: true,
+        class: 'hidden-input',
+        onchange: (e) => {
+          this.addFiles([...(e.target.files || [])]);
+          e.target.value = '';
+        }
+      });
+
+      composer.replaceChildren(
+        this.features.upload && fileInput,
+        this.features.upload && h('button', {
+          class: 'attach',
+          title: 'Attach files (PDF or CSV)',
+          disabled: state.isLoading,
+          onclick: () => fileInput.click()
+        }, icon('clip')),
+        h('input', {
+          type: 'text',
+          value: state.input,
+          placeholder: `Ask ${state.activeAgent.name} anything...`,
+          disabled: state.isLoading,
+          oninput: (e) => {
+            state.input = e.target.value;
+            send.disabled = (!state.input.trim() && state.pendingFiles.length === 0) || state.isLoading;
+          },
+          onkeydown: (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+              e.preventDefault();
+              this.sendMessage();
+            }
+          }
+        }),
+        send
+      );
+      this.renderHeader();
+    }
+
+    scrollToBottom() {
+      const container = this.shadowRoot.querySelector('.messages');
+      if (container) container.scrollTop = container.scrollHeight;
     }
   }
 
-  // Auto-initialize when DOM is ready
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-      window.lagenceChat = new LagenceChatWidget();
-    });
-  } else {
-    window.lagenceChat = new LagenceChatWidget();
+  /**
+   * Page styles for the rail layout: keep the page content clear of it
+   */
+  function injectPageStyles() {
+    if (document.getElementById('lagence-chat-page-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'lagence-chat-page-styles';
+    style.textContent = `
+      body.lagence-chat-open { margin-right: 380px; transition: margin-right 0.3s ease; }
+      body.lagence-chat-open.lagence-chat-minimized { margin-right: 40px; }
+      @media (max-width: 768px) { body.lagence-chat-open { margin-right: 0; } }
+    `;
+    document.head.appendChild(style);
   }
 
-  // Expose class for manual initialization
-  window.LagenceChatWidget = LagenceChatWidget;
+  customElements.define(TAG, LagenceChatElement);
+
+  /**
+   * Create a widget with the given config and add it to the page (a right
+   * rail unless config.layout or the agent's display_mode says otherwise).
+   * Returns the element.
+   */
+  function mount(config = {}, parent = document.body) {
+    const el = document.createElement(TAG);
+    el.setConfig({ defaultLayout: 'rail', ...config });
+    parent.appendChild(el);
+    return el;
+  }
+
+  window.LagenceChat = { mount, FEATURES: [...FEATURES], THEMES };
+  // Older embeds construct the widget directly
+  window.LagenceChatWidget = function LagenceChatWidget(config) {
+    return mount(config);
+  };
+
+  // A plain <script> tag adds the rail unless the page already placed a
+  // <lagence-chat> element or opted out with data-mount="none"
+  if (currentScript && currentScript.dataset.mount !== 'none') {
+    const autoMount = () => {
+      if (!document.querySelector(TAG)) window.lagenceChat = mount();
+    };
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', autoMount);
+    else autoMount();
+  }
 })();
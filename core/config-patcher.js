@@ -0,0 +1,336 @@
+/**
+ * Config Patcher - Real code changes for low-complexity capability tweaks
+ *
+ * For the "low" change types of a capability with an extraction-config.js
+ * (update field examples, tweak extraction logic wording, add allowed values),
+ * Claude plans a list of edits instead of writing code:
+ *
+ *   { "op": "set_examples",         "field_name": "...", "examples": "..." }
+ *   { "op": "set_extraction_logic", "field_name": "...", "extraction_logic": "..." }
+ *   { "op": "add_allowed_values",   "field_name": "...", "values": ["..."] }
+ *
+ * The edits are applied to the file's source text, so the rest of the file is
+ * untouched. The patched file is then loaded as a module and its prompt rebuilt:
+ * every field must still be there, only the targeted fields may change, and the
+ * prompt must actually differ. The before/after prompt diff goes in the PR.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { z } = require('zod');
+const { getModelConfig, toRequestParams } = require('./model-config');
+
+const PATCHABLE_CONFIG = 'extraction-config.js';
+
+// Only fields that end up in the extraction prompt can be patched
+const PATCHABLE_SOURCE = 'tech_pack';
+
+const opSchema = z.discriminatedUnion('op', [
+  z.object({
+    op: z.literal('set_examples'),
+    field_name: z.string().min(1),
+    examples: z.string().min(1).max(500)
+  }),
+  z.object({
+    op: z.literal('set_extraction_logic'),
+    field_name: z.string().min(1),
+    extraction_logic: z.string().min(10).max(2000)
+  }),
+  z.object({
+    op: z.literal('add_allowed_values'),
+    field_name: z.string().min(1),
+    values: z.array(z.string().min(1).max(100)).min(1).max(20)
+  })
+]);
+
+const planSchema = z.object({
+  ops: z.array(opSchema).max(10),
+  summary: z.string().optional(),
+  reason: z.string().optional()
+});
+
+/**
+ * Ask Claude for the edits that implement a change request. Returns
+ * { ops, summary, model }; throws when the change can't be made with these edits.
+ */
+async function planConfigPatch({ change, fields, anthropic, agent = null }) {
+  const patchable = fields
+    .filter(f => f.source === PATCHABLE_SOURCE)
+    .map(f => ({ field_name: f.field_name, extraction_logic: f.extraction_logic, examples: f.examples || null }));
+
+  const prompt = `A user asked for a change to how tech pack fields are extracted. Plan the edits to the field definitions below.
+
+CHANGE REQUEST: ${change.change_description}
+${change.user_request ? `USER'S WORDS: "${change.user_request}"\n` : ''}
+FIELDS:
+${JSON.stringify(patchable, null, 2)}
+
+Allowed edits (use only these):
+- {"op": "set_examples", "field_name": "...", "examples": "comma-separated examples"}
+- {"op": "set_extraction_logic", "field_name": "...", "extraction_logic": "full new wording"}
+- {"op": "add_allowed_values", "field_name": "...", "values": ["New Value"]} - only for fields whose logic says "Return one of: ..."
+
+Keep edits minimal and keep each field's existing style. Don't add, remove or rename fields.
+If the request needs anything else (new fields, new data sources, code changes), return no ops and explain in "reason".
+
+Respond with JSON only:
+{"ops": [...], "summary": "one sentence describing the edits", "reason": "only when ops is empty"}`;
+
+  const response = await anthropic.messages.create({
+    ...toRequestParams(getModelConfig('config_patch', { agent })),
+    messages: [{ role: 'user', content: prompt }]
+  });
+
+  const text = response.content[0].text.trim();
+  const jsonMatch = text.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) throw new Error('Patch plan was not JSON');
+
+  const parsed = planSchema.safeParse(JSON.parse(jsonMatch[0]));
+  if (!parsed.success) {
+    const issue = parsed.error.issues[0];
+    throw new Error(`Invalid patch plan: ${issue.path.join('.') || '(root)'}: ${issue.message}`);
+  }
+  if (parsed.data.ops.length === 0) {
+    throw new Error(`Not a config-only change${parsed.data.reason ? `: ${parsed.data.reason}` : ''}`);
+  }
+
+  return { ops: parsed.data.ops, summary: parsed.data.summary || change.change_description, model: response.model };
+}
+
+// ─── Applying edits to the source text ───
+
+const STRING_LITERAL = '"(?:[^"\\\\\\n]|\\\\.)*"';
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Locate a field's object literal: { start, end } of the text between its braces
+ */
+function findFieldBlock(source, fieldName) {
+  const match = new RegExp(`field_name:\\s*${escapeRegExp(JSON.stringify(fieldName))}\\s*,`).exec(source);
+  if (!match) throw new Error(`Field "${fieldName}" not found in ${PATCHABLE_CONFIG}`);
+
+  const start = source.lastIndexOf('{', match.index);
+  const end = source.indexOf('}', match.index);
+  if (start === -1 || end === -1) throw new Error(`Couldn't find the definition of "${fieldName}"`);
+  return { start: start + 1, end };
+}
+
+function propertyPattern(property) {
+  return new RegExp(`^([ \\t]*)${property}:\\s*(${STRING_LITERAL})(,?)[ \\t]*$`, 'm');
+}
+
+function readProperty(block, property) {
+  const match = propertyPattern(property).exec(block);
+  return match ? JSON.parse(match[2]) : undefined;
+}
+
+function writeProperty(block, property, value) {
+  const pattern = propertyPattern(property);
+  if (pattern.test(block)) {
+    return block.replace(pattern, (_m, indent, _old, comma) => `${indent}${property}: ${JSON.stringify(value)}${comma}`);
+  }
+
+  // New property: add it after the last one, fixing up the trailing comma
+  const lines = block.replace(/\s+$/, '').split('\n');
+  const last = lines.length - 1;
+  const indent = (lines[last].match(/^[ \t]*/) || [''])[0];
+  if (!lines[last].trimEnd().endsWith(',')) lines[last] = `${lines[last].trimEnd()},`;
+  lines.push(`${indent}${property}: ${JSON.stringify(value)}`);
+  return `${lines.join('\n')}\n${block.match(/\n([ \t]*)$/)?.[1] ?? '  '}`;
+}
+
+/**
+ * Add values to a "Return one of: 'A', 'B', or 'C'." list, keeping its style
+ */
+function addAllowedValues(logic, values) {
+  const listMatch = /Return one of: ((?:'[^']+'(?:,? or |, )?)+)/.exec(logic);
+  if (!listMatch) throw new Error('Field has no "Return one of" list to add values to');
+
+  const existing = [...listMatch[1].matchAll(/'([^']+)'/g)].map(m => m[1]);
+  const added = values.filter(v => !existing.some(e => e.toLowerCase() === v.toLowerCase()));
+  if (added.length === 0) throw new Error(`Values already allowed: ${values.join(', ')}`);
+
+  if (added.some(v => v.includes("'"))) throw new Error("Allowed values can't contain quotes");
+
+  const all = [...existing, ...added].map(v => `'${v}'`);
+  const usesOr = / or '/.test(listMatch[1]);
+  const list = usesOr && all.length > 1
+    ? `${all.slice(0, -1).join(', ')}, or ${all[all.length - 1]}`
+    : all.join(', ');
+  return logic.slice(0, listMatch.index) + `Return one of: ${list}` + logic.slice(listMatch.index + listMatch[0].length);
+}
+
+/**
+ * Apply planned edits to extraction-config.js source. Returns the new source.
+ */
+function applyConfigPatch(source, ops) {
+  let patched = source;
+
+  for (const op of ops) {
+    const { start, end } = findFieldBlock(patched, op.field_name);
+    let block = patched.slice(start, end);
+
+    if (readProperty(block, 'source') !== PATCHABLE_SOURCE) {
+      throw new Error(`"${op.field_name}" isn't a tech pack field and can't be patched`);
+    }
+
+    if (op.op === 'set_examples') {
+      block = writeProperty(block, 'examples', op.examples);
+    } else if (op.op === 'set_extraction_logic') {
+      block = writeProperty(block, 'extraction_logic', op.extraction_logic);
+    } else if (op.op === 'add_allowed_values') {
+      const logic = readProperty(block, 'extraction_logic');
+      if (typeof logic !== 'string') throw new Error(`"${op.field_name}" has no extraction_logic`);
+      block = writeProperty(block, 'extraction_logic', addAllowedValues(logic, op.values));
+    }
+
+    patched = patched.slice(0, start) + block + patched.slice(end);
+  }
+
+  return patched;
+}
+
+// ─── Validation ───
+
+/**
+ * Load extraction-config source as a module, from a scratch file
+ */
+function loadConfigSource(source) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-patch-'));
+  const file = path.join(dir, PATCHABLE_CONFIG);
+  try {
+    fs.writeFileSync(file, source);
+    return require(file);
+  } catch (err) {
+    throw new Error(`Patched ${PATCHABLE_CONFIG} doesn't load: ${err.message}`);
+  } finally {
+    delete require.cache[file];
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Check a patched config against the original. Returns { beforePrompt, afterPrompt }.
+ */
+function validateConfigPatch(originalSource, patchedSource, ops) {
+  const before = loadConfigSource(originalSource);
+  const after = loadConfigSource(patchedSource);
+
+  if (!Array.isArray(after.FIELD_DEFINITIONS) || typeof after.buildExtractionPrompt !== 'function') {
+    throw new Error(`Patched ${PATCHABLE_CONFIG} is missing FIELD_DEFINITIONS or buildExtractionPrompt`);
+  }
+
+  const names = defs => defs.map(f => `${f.field_name}/${f.source}`).join('\n');
+  if (names(before.FIELD_DEFINITIONS) !== names(after.FIELD_DEFINITIONS)) {
+    throw new Error('Patch added, removed or reordered fields');
+  }
+
+  const targeted = new Set(ops.map(op => op.field_name));
+  after.FIELD_DEFINITIONS.forEach((field, i) => {
+    if (typeof field.extraction_logic !== 'string' || !field.extraction_logic.trim()) {
+      throw new Error(`"${field.field_name}" lost its extraction_logic`);
+    }
+    const unchanged = JSON.stringify(field) === JSON.stringify(before.FIELD_DEFINITIONS[i]);
+    if (!unchanged && !targeted.has(field.field_name)) {
+      throw new Error(`Patch changed "${field.field_name}", which wasn't part of the plan`);
+    }
+  });
+
+  const beforePrompt = before.buildExtractionPrompt([]);
+  const afterPrompt = after.buildExtractionPrompt([]);
+  if (typeof afterPrompt !== 'string' || !afterPrompt.trim()) {
+    throw new Error('Patched config builds an empty extraction prompt');
+  }
+  for (const field of after.FIELD_DEFINITIONS.filter(f => f.source === PATCHABLE_SOURCE)) {
+    if (!afterPrompt.includes(`"${field.field_name}"`)) {
+      throw new Error(`Extraction prompt no longer mentions "${field.field_name}"`);
+    }
+  }
+  if (beforePrompt === afterPrompt) throw new Error("Patch doesn't change the extraction prompt");
+
+  return { beforePrompt, afterPrompt };
+}
+
+/**
+ * Line diff of two texts in unified format (whole-text hunk with context)
+ */
+function diffLines(before, after, { context = 3 } = {}) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ type: ' ', text: a[i++] });
+      j++;
+    } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      lines.push({ type: '-', text: a[i++] });
+    } else {
+      lines.push({ type: '+', text: b[j++] });
+    }
+  }
+
+  // Keep changed lines plus some context around them
+  const keep = lines.map(() => false);
+  lines.forEach((line, idx) => {
+    if (line.type === ' ') return;
+    for (let k = Math.max(0, idx - context); k <= Math.min(lines.length - 1, idx + context); k++) keep[k] = true;
+  });
+
+  const out = [];
+  let skipped = false;
+  lines.forEach((line, idx) => {
+    if (!keep[idx]) {
+      skipped = out.length > 0;
+      return;
+    }
+    if (skipped) out.push('@@');
+    skipped = false;
+    out.push(`${line.type}${line.text}`);
+  });
+  return out.join('\n');
+}
+
+/**
+ * Plan, apply and validate a patch for a change request.
+ * Returns { source, ops, summary, beforePrompt, afterPrompt, promptDiff, model }.
+ */
+async function generateConfigPatch({ source, change, anthropic, agent = null }) {
+  const original = loadConfigSource(source);
+  const plan = await planConfigPatch({ change, fields: original.FIELD_DEFINITIONS || [], anthropic, agent });
+  const patched = applyConfigPatch(source, plan.ops);
+  const { beforePrompt, afterPrompt } = validateConfigPatch(source, patched, plan.ops);
+
+  return {
+    source: patched,
+    ops: plan.ops,
+    summary: plan.summary,
+    beforePrompt,
+    afterPrompt,
+    promptDiff: diffLines(beforePrompt, afterPrompt),
+    model: plan.model
+  };
+}
+
+module.exports = {
+  PATCHABLE_CONFIG,
+  planConfigPatch,
+  applyConfigPatch,
+  validateConfigPatch,
+  diffLines,
+  generateConfigPatch
+};
@@ -0,0 +1,219 @@
+/**
+ * Conversation Memory - Keeps long threads within the model's context
+ *
+ * Recent turns are sent verbatim. Once they outgrow HISTORY_TOKEN_BUDGET the
+ * older ones are folded into a running summary stored on the conversation, and
+ * the summary is prepended to the system prompt as a memory block.
+ *
+ * Pinned facts (jobs discussed, rules set, proposals and drafts created) are
+ * collected from each turn's tool calls and actions and stored as structured
+ * data, so they're never lost to summarization.
+ */
+
+const { getSupabaseClient } = require('../shared/supabase-client');
+const { getModelConfig, toRequestParams } = require('./model-config');
+
+// Token budgets are estimates (~4 characters per token), enforced server-side
+const HISTORY_TOKEN_BUDGET = 12000;   // verbatim history before summarizing
+const RECENT_TOKEN_TARGET = 6000;     // verbatim history kept after summarizing
+const MAX_MESSAGE_TOKENS = 8000;      // a single incoming message
+const PINNED_LIST_LIMIT = 10;
+
+function estimateTokens(content) {
+  const text = typeof content === 'string' ? content : JSON.stringify(content || '');
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Merge one turn's results into the conversation's pinned facts.
+ * Returns the updated facts, or null if nothing new was pinned.
+ */
+function collectPinnedFacts(pinned, { actionTaken = null, toolCalls = null }) {
+  const facts = {
+    jobs: [...(pinned?.jobs || [])],
+    rules: [...(pinned?.rules || [])],
+    proposals: [...(pinned?.proposals || [])],
+    outreach_drafts: [...(pinned?.outreach_drafts || [])]
+  };
+  let changed = false;
+
+  const upsert = (list, key, item) => {
+    const existing = list.findIndex(x => x[key] === item[key]);
+    if (existing !== -1) list.splice(existing, 1);
+    list.push(item);
+    if (list.length > PINNED_LIST_LIMIT) list.shift();
+    changed = true;
+  };
+
+  for (const call of toolCalls || []) {
+    if (call.is_error || !call.result) continue;
+    const result = call.result;
+
+    if ((call.name === 'start_tech_pack_job' || call.name === 'get_job_status') && result.job_id) {
+      upsert(facts.jobs, 'id', {
+        id: result.job_id,
+        file_name: result.file_name || null,
+        status: result.status || null
+      });
+    } else if (call.name === 'draft_outreach' && result.draft_id) {
+      upsert(facts.outreach_drafts, 'id', {
+        id: result.draft_id,
+        recipient: result.recipient_team || result.recipient_email || null
+      });
+    }
+  }
+
+  if (['proposal_created', 'proposal_voted'].includes(actionTaken?.type) && actionTaken.proposal_id) {
+    upsert(facts.proposals, 'id', { id: actionTaken.proposal_id });
+  }
+
+  // Chat actions (core/chat-actions.js): pin what they touched, pending or not
+  const params = actionTaken?.params || {};
+  const executed = actionTaken?.type === 'action_executed';
+  if (params.job_id && ['action_executed', 'action_pending'].includes(actionTaken.type)) {
+    const existing = facts.jobs.find(j => j.id === params.job_id);
+    upsert(facts.jobs, 'id', existing || { id: params.job_id, file_name: null, status: null });
+  }
+  if (executed && actionTaken.action_type === 'set_extraction_rule') {
+    upsert(facts.rules, 'field_name', { field_name: params.field_name, rule: params.rule_description });
+  } else if (actionTaken?.type === 'action_undone' && actionTaken.action_type === 'set_extraction_rule') {
+    facts.rules = facts.rules.filter(r => r.field_name !== params.field_name);
+    changed = true;
+  } else if (executed && actionTaken.action_type === 'deactivate_rule') {
+    const deactivated = new Set((actionTaken.result?.rules || []).map(r => r.field_name));
+    facts.rules = facts.rules.filter(r => !deactivated.has(r.field_name));
+    changed = true;
+  } else if (executed && actionTaken.action_type === 'draft_outreach' && actionTaken.result?.draft_id) {
+    upsert(facts.outreach_drafts, 'id', {
+      id: actionTaken.result.draft_id,
+      recipient: actionTaken.result.recipient_team || null
+    });
+  }
+
+  return changed ? facts : null;
+}
+
+/**
+ * Render the memory block that goes in front of the system prompt
+ */
+function formatMemoryBlock(summary, pinned) {
+  const lines = [];
+
+  if (pinned?.jobs?.length) {
+    lines.push('Jobs discussed:');
+    pinned.jobs.forEach(j => lines.push(`- ${j.id}${j.file_name ? ` (${j.file_name})` : ''}${j.status ? ` - last seen ${j.status}` : ''}`));
+  }
+  if (pinned?.rules?.length) {
+    lines.push('Extraction rules set in this conversation:');
+    pinned.rules.forEach(r => lines.push(`- ${r.field_name}: ${r.rule}`));
+  }
+  if (pinned?.proposals?.length) {
+    lines.push(`Change proposals logged: ${pinned.proposals.map(p => p.id).join(', ')}`);
+  }
+  if (pinned?.outreach_drafts?.length) {
+    lines.push('Outreach drafts awaiting approval:');
+    pinned.outreach_drafts.forEach(d => lines.push(`- ${d.id}${d.recipient ? ` to ${d.recipient}` : ''}`));
+  }
+
+  if (!summary && lines.length === 0) return '';
+
+  return `=== CONVERSATION MEMORY ===
+${summary ? `Summary of earlier messages (no longer shown below):\n${summary}\n\n` : ''}${lines.length > 0 ? `Pinned facts:\n${lines.join('\n')}\n` : ''}`;
+}
+
+/**
+ * Fold older messages into the running summary. Returns { summary, model }.
+ */
+async function summarizeMessages(previousSummary, messages, anthropic, agent) {
+  const transcript = messages
+    .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${typeof m.content === 'string' ? m.content : JSON.stringify(m.content)}`)
+    .join('\n');
+
+  const response = await anthropic.messages.create({
+    ...toRequestParams(getModelConfig('summarization', { agent })),
+    messages: [{
+      role: 'user',
+      content: `You maintain the running memory of a long chat between a user and an assistant.
+${previousSummary ? `\nCURRENT SUMMARY:\n${previousSummary}\n` : ''}
+NEW MESSAGES TO FOLD IN:
+${transcript}
+
+Write an updated summary (at most 250 words) covering both. Keep concrete details: style numbers, job IDs, field names, values the user corrected, decisions made and open questions. Drop greetings and small talk. Plain text only.`
+    }]
+  });
+
+  return { summary: response.content[0].text.trim(), model: response.model };
+}
+
+/**
+ * Work out what to send the model for this turn.
+ *
+ * messages is the full history ending with the new user message. Anything
+ * already summarized (conversation.summarized_count) is skipped; if the rest is
+ * over budget, the oldest messages are summarized and the summary is saved on
+ * the conversation. Without a stored conversation the same happens in memory
+ * for this turn only.
+ *
+ * Returns { messages, memory } where memory is the block for the system prompt.
+ */
+async function buildChatContext({ conversation, messages, anthropic, agent = null }) {
+  let summary = conversation?.summary || null;
+  let summarizedCount = Math.min(conversation?.summarized_count || 0, messages.length - 1);
+  let recent = messages.slice(summarizedCount);
+
+  const total = recent.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+
+  if (total > HISTORY_TOKEN_BUDGET && recent.length > 1) {
+    // Keep the newest messages that fit the target, starting on a user turn
+    let keepFrom = recent.length - 1;
+    let kept = estimateTokens(recent[keepFrom].content);
+    while (keepFrom > 0 && kept + estimateTokens(recent[keepFrom - 1].content) <= RECENT_TOKEN_TARGET) {
+      keepFrom--;
+      kept += estimateTokens(recent[keepFrom].content);
+    }
+    while (keepFrom < recent.length - 1 && recent[keepFrom].role !== 'user') keepFrom++;
+
+    try {
+      const result = await summarizeMessages(summary, recent.slice(0, keepFrom), anthropic, agent);
+      summary = result.summary;
+      summarizedCount += keepFrom;
+      recent = recent.slice(keepFrom);
+      console.log(`[conversation-memory] Summarized ${keepFrom} messages${conversation ? ` in ${conversation.id}` : ''}`);
+
+      if (conversation) await saveSummary(conversation, summary, summarizedCount, result.model);
+    } catch (err) {
+      // Without a fresh summary, fall back to just the messages that fit
+      console.error(`[conversation-memory] Summary failed: ${err.message}`);
+      recent = recent.slice(keepFrom);
+    }
+  }
+
+  return {
+    messages: recent,
+    memory: formatMemoryBlock(summary, conversation?.pinned_facts)
+  };
+}
+
+async function saveSummary(conversation, summary, summarizedCount, model) {
+  const supabase = getSupabaseClient();
+
+  const { error } = await supabase
+    .from('conversations')
+    .update({ summary, summarized_count: summarizedCount, summary_model: model })
+    .eq('id', conversation.id);
+
+  if (error) {
+    console.error(`[conversation-memory] Failed to save summary for ${conversation.id}: ${error.message}`);
+    return;
+  }
+  conversation.summary = summary;
+  conversation.summarized_count = summarizedCount;
+}
+
+module.exports = {
+  MAX_MESSAGE_TOKENS,
+  estimateTokens,
+  collectPinnedFacts,
+  formatMemoryBlock,
+  buildChatContext
+};
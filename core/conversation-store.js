@@ -0,0 +1,334 @@
+/**
+ * Conversation Store - Persistent chat threads
+ *
+ * Conversations and their messages live in Supabase (see migration
+ * 008_conversations.sql) so threads survive closed tabs and can be reviewed.
+ * Each assistant message keeps the classification, action_taken, tool calls
+ * and handoff from the turn that produced it.
+ */
+
+const { getSupabaseClient } = require('../shared/supabase-client');
+const { estimateTokens, collectPinnedFacts } = require('./conversation-memory');
+
+const TITLE_MAX_LENGTH = 80;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MESSAGE_FIELDS = 'id, conversation_id, role, content, agent_id, classification, action_taken, tool_calls, handoff, model, created_at';
+
+function makeTitle(text) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  if (clean.length <= TITLE_MAX_LENGTH) return clean || 'New conversation';
+  return `${clean.slice(0, TITLE_MAX_LENGTH - 1)}…`;
+}
+
+/**
+ * Start a new conversation thread
+ */
+async function createConversation({ agentId, userId = null, title = null }) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase
+    .from('conversations')
+    .insert({
+      agent_id: agentId,
+      current_agent_id: agentId,
+      user_id: userId,
+      title: title ? makeTitle(title) : null
+    })
+    .select()
+    .single();
+
+  if (error) throw new Error(`Failed to create conversation: ${error.message}`);
+  return data;
+}
+
+/**
+ * Get a conversation by ID, or null if it doesn't exist
+ */
+async function getConversation(conversationId) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase
+    .from('conversations')
+    .select('*')
+    .eq('id', conversationId)
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to load conversation: ${error.message}`);
+  return data;
+}
+
+/**
+ * The agent a thread is with now (after any handoff), for requests that send
+ * conversation_id without agent_id. null if it isn't a thread the caller can see.
+ */
+async function getConversationAgentId(conversationId, { canAccess = () => true } = {}) {
+  if (!conversationId || !UUID_PATTERN.test(conversationId)) return null;
+  const conversation = await getConversation(conversationId);
+  if (!conversation || !canAccess(conversation)) return null;
+  return conversation.current_agent_id || conversation.agent_id || null;
+}
+
+/**
+ * List conversations, most recently active first
+ */
+async function listConversations({ agentId = null, userId = null, limit = 50, offset = 0 } = {}) {
+  const supabase = getSupabaseClient();
+
+  let query = supabase
+    .from('conversations')
+    .select('*')
+    .order('last_message_at', { ascending: false, nullsFirst: false })
+    .range(offset, offset + limit - 1);
+
+  if (agentId) query = query.eq('agent_id', agentId);
+  if (userId) query = query.eq('user_id', userId);
+
+  const { data, error } = await query;
+  if (error) throw new Error(`Failed to list conversations: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Get every message in a conversation, oldest first
+ */
+async function getMessages(conversationId) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase
+    .from('messages')
+    .select(MESSAGE_FIELDS)
+    .eq('conversation_id', conversationId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw new Error(`Failed to load messages: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Append a message and bump the conversation's counters.
+ * For assistant messages pass the turn's classification, actionTaken, toolCalls and handoff.
+ */
+async function appendMessage(conversation, {
+  role,
+  content,
+  agentId = null,
+  classification = null,
+  actionTaken = null,
+  toolCalls = null,
+  handoff = null,
+  model = null
+}) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase
+    .from('messages')
+    .insert({
+      conversation_id: conversation.id,
+      role,
+      content,
+      agent_id: agentId,
+      classification,
+      action_taken: actionTaken,
+      tool_calls: toolCalls && toolCalls.length > 0 ? toolCalls : null,
+      handoff,
+      model
+    })
+    .select(MESSAGE_FIELDS)
+    .single();
+
+  if (error) throw new Error(`Failed to save message: ${error.message}`);
+
+  const updates = {
+    message_count: (conversation.message_count || 0) + 1,
+    last_message_at: data.created_at
+  };
+  if (!conversation.title && role === 'user') updates.title = makeTitle(content);
+  if (role === 'assistant' && agentId) updates.current_agent_id = agentId;
+  if (role === 'assistant') {
+    const pinned = collectPinnedFacts(conversation.pinned_facts, { actionTaken, toolCalls });
+    if (pinned) updates.pinned_facts = pinned;
+  }
+
+  const { error: updateError } = await supabase
+    .from('conversations')
+    .update(updates)
+    .eq('id', conversation.id);
+
+  if (updateError) {
+    console.error(`[conversation-store] Failed to update conversation ${conversation.id}: ${updateError.message}`);
+  } else {
+    Object.assign(conversation, updates);
+  }
+
+  return data;
+}
+
+/**
+ * Seed a new conversation with history a client sent before threads existed.
+ * A bulk insert would give every row the same created_at, so each message gets
+ * its own, a millisecond apart, ending a second before now - ahead of the new
+ * user message appended next.
+ */
+async function importMessages(conversation, messages) {
+  if (messages.length === 0) return;
+  const supabase = getSupabaseClient();
+  const start = Date.now() - 1000 - messages.length;
+
+  const { error } = await supabase.from('messages').insert(
+    messages.map((m, i) => ({
+      conversation_id: conversation.id,
+      role: m.role,
+      content: String(m.content),
+      agent_id: m.role === 'assistant' ? conversation.agent_id : null,
+      created_at: new Date(start + i).toISOString()
+    }))
+  );
+
+  if (error) throw new Error(`Failed to import messages: ${error.message}`);
+  conversation.message_count = (conversation.message_count || 0) + messages.length;
+}
+
+/**
+ * Resolve the thread for an incoming chat request and record the user's message.
+ *
+ * Accepts either { conversationId, message } (history is loaded from the store)
+ * or a { messages } array from an older client (a new thread is started and
+ * seeded with it). Returns { conversation, messages, userMessageId }, where
+ * messages is the model-ready history ending with the new user message, or
+ * { status, error } if the request can't be served. History length isn't
+ * capped here - see conversation-memory for how long threads are summarized -
+ * but a single message over maxMessageTokens is rejected. canAccess(conversation)
+ * decides whether the caller may continue an existing thread.
+ *
+ * Saving is best-effort for new threads: if the store is unavailable the chat
+ * still works, just without a conversation_id.
+ */
+async function beginTurn({ agentId, conversationId = null, message = null, messages = null, userId = null, maxMessageTokens = Infinity, canAccess = () => true }) {
+  if (conversationId && !UUID_PATTERN.test(conversationId)) {
+    return { status: 400, error: 'Invalid conversation_id' };
+  }
+
+  let history = [];
+  let text = typeof message === 'string' ? message : null;
+
+  if (!text && Array.isArray(messages) && messages.length > 0) {
+    const last = messages[messages.length - 1];
+    if (last.role === 'user') {
+      text = last.content;
+      history = messages.slice(0, -1);
+    }
+  }
+
+  if (!text || !String(text).trim()) {
+    return { status: 400, error: 'Missing message' };
+  }
+
+  if (estimateTokens(text) > maxMessageTokens) {
+    return { status: 400, error: `Message too long (max ~${maxMessageTokens} tokens)` };
+  }
+
+  let conversation = null;
+
+  if (conversationId) {
+    conversation = await getConversation(conversationId);
+    if (!conversation || !canAccess(conversation)) return { status: 404, error: 'Conversation not found' };
+
+    history = (await getMessages(conversation.id)).map(m => ({ role: m.role, content: m.content }));
+  }
+
+  if (!conversation) {
+    try {
+      conversation = await createConversation({ agentId, userId, title: text });
+      await importMessages(conversation, history);
+    } catch (err) {
+      console.error(`[conversation-store] ${err.message} - continuing without a stored thread`);
+    }
+  }
+
+  let userMessageId = null;
+  if (conversation) {
+    try {
+      userMessageId = (await appendMessage(conversation, { role: 'user', content: text })).id;
+    } catch (err) {
+      if (conversationId) throw err;
+      console.error(`[conversation-store] ${err.message}`);
+    }
+  }
+
+  return {
+    conversation,
+    messages: [...history, { role: 'user', content: text }],
+    userMessageId
+  };
+}
+
+/**
+ * Store the assistant's reply for a turn. Returns the message ID, or null if
+ * there is no stored thread or saving failed.
+ */
+async function recordReply(conversation, reply) {
+  if (!conversation) return null;
+
+  try {
+    const saved = await appendMessage(conversation, {
+      role: 'assistant',
+      content: reply.message,
+      agentId: reply.agent?.id || null,
+      classification: reply.classification || null,
+      actionTaken: reply.action_taken || null,
+      toolCalls: reply.tool_calls || null,
+      handoff: reply.handoff || null,
+      model: reply.model || null
+    });
+    return saved.id;
+  } catch (err) {
+    console.error(`[conversation-store] ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Render a conversation for download as 'json' or 'markdown'
+ */
+function formatConversationExport(conversation, messages, format = 'json') {
+  if (format === 'markdown') {
+    const lines = [
+      `# ${conversation.title || 'Conversation'}`,
+      '',
+      `- Conversation: ${conversation.id}`,
+      `- Agent: ${conversation.agent_id}`,
+      `- Started: ${conversation.created_at}`,
+      ''
+    ];
+
+    if (conversation.summary) {
+      lines.push('## Summary of earlier messages', '', conversation.summary, '');
+    }
+
+    for (const m of messages) {
+      const speaker = m.role === 'user' ? 'User' : (m.agent_id || 'Assistant');
+      lines.push(`## ${speaker} — ${m.created_at}`, '', m.content, '');
+      if (m.classification?.request_type) lines.push(`_Classification: ${m.classification.request_type}_`, '');
+      if (m.action_taken?.type) lines.push(`_Action: ${m.action_taken.type}_`, '');
+      if (m.handoff?.available) lines.push(`_Handoff: ${m.handoff.from.id} → ${m.handoff.to.id}_`, '');
+    }
+
+    return lines.join('\n');
+  }
+
+  return JSON.stringify({ conversation, messages }, null, 2);
+}
+
+module.exports = {
+  UUID_PATTERN,
+  createConversation,
+  getConversation,
+  getConversationAgentId,
+  listConversations,
+  getMessages,
+  appendMessage,
+  importMessages,
+  beginTurn,
+  recordReply,
+  formatConversationExport
+};
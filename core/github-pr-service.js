@@ -1,148 +1,104 @@
 /**
  * GitHub PR Service - Creates PRs for capability changes
  *
- * Uses GitHub API to create branches and pull requests for changes
- * requested through the chat interface.
+ * Creates branches, commits and pull requests for changes requested through
+ * the chat interface. Where they go depends on VCS_BACKEND (see vcs-backend):
+ * GitHub by default, or a local clone with PRs recorded in the database.
  */
 
-const https = require('https');
+const fs = require('fs');
+const path = require('path');
 const { createClient } = require('@supabase/supabase-js');
+const { PATCHABLE_CONFIG, generateConfigPatch } = require('./config-patcher');
+const { PENDING_STATUSES, transitionProposal } = require('./proposal-store');
+const { getVcsBackend, githubAPI } = require('./vcs-backend');
 
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-const REPO_OWNER = process.env.GITHUB_REPO_OWNER || 'JadenLevitt';
-const REPO_NAME = process.env.GITHUB_REPO_NAME || 'lagence-platform';
+const REPO_ROOT = path.join(__dirname, '..');
 
-// Supabase for storing proposals
+// Supabase for the feature_requests log
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
 );
 
 /**
- * Classify a user request based on their messages and available capabilities
+ * Where a capability's patchable config lives in the repo, or null if it has none
  */
-async function classifyRequest(messages, capabilities, anthropic) {
-  const lastUserMessage = messages.filter(m => m.role === 'user').pop();
-  if (!lastUserMessage) {
-    return { request_type: 'question', can_auto_pr: false };
-  }
-
-  const classificationPrompt = `Analyze this user request and classify it.
-
-USER REQUEST: "${lastUserMessage.content}"
-
-AVAILABLE CAPABILITIES:
-${JSON.stringify(capabilities.map(c => ({
-  id: c.id,
-  name: c.name,
-  triggers: c.triggers,
-  complexity: c.complexity,
-  change_types: c.change_types
-})), null, 2)}
-
-Classification rules:
-- "question": General questions, greetings, or asking about how things work
-- "data_feedback": User is discussing results of a specific job, reporting issues with extracted data, wanting to correct field values, or giving feedback on extraction quality. Keywords: "issues with", "wrong", "incorrect", "last job", "results", "extracted", "fix", "correct", "notes on"
-- "extraction_rule": User is setting a persistent rule for how a field should always be extracted (e.g. "always set X to Y", "never mark Z as needs_review")
-- "capability_tweak": User wants to change how the system itself works (not correcting data, but changing behavior/features)
-- "new_capability": User wants an entirely new feature added
-
-IMPORTANT: If the user is talking about a specific job's results or data quality, that is "data_feedback", NOT "capability_tweak".
+function patchableConfigPath(agentId, capabilityId) {
+  if (!capabilityId) return null;
+  const relative = path.posix.join('agents', agentId, 'capabilities', capabilityId, PATCHABLE_CONFIG);
+  return fs.existsSync(path.join(REPO_ROOT, relative)) ? relative : null;
+}
 
-Respond with JSON only (no markdown, no explanation):
-{
-  "request_type": "question" | "data_feedback" | "extraction_rule" | "capability_tweak" | "new_capability",
-  "matched_capability_id": "string or null",
-  "complexity": "low" | "medium" | "high",
-  "change_description": "brief description",
-  "affected_files": ["array of likely file paths"],
-  "can_auto_pr": true/false,
-  "requires_plan_approval": true/false
-}`;
+/**
+ * Try to turn a low-complexity change into a validated extraction-config.js
+ * patch on the branch. Returns { patch, configPath } or { error }.
+ */
+async function commitConfigPatch(change, agentId, branchName, { anthropic, agent }) {
+  const configPath = patchableConfigPath(agentId, change.matched_capability_id);
+  if (!configPath) return { error: `${change.matched_capability_id || 'This capability'} has no ${PATCHABLE_CONFIG} to patch` };
 
   try {
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1024,
-      messages: [{ role: 'user', content: classificationPrompt }]
-    });
-
-    const text = response.content[0].text.trim();
-    // Extract JSON from response (handle potential markdown wrapping)
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
-    }
-    return { request_type: 'question', can_auto_pr: false };
+    const vcs = getVcsBackend();
+    const file = await vcs.readFile(branchName, configPath);
+    if (!file) return { error: `${configPath} isn't on the branch` };
+
+    const patch = await generateConfigPatch({ source: file.content, change, anthropic, agent });
+    await vcs.commitFile(branchName, configPath, patch.source, `${change.change_description}\n\n${patch.summary}`, { sha: file.sha });
+    console.log(`[github-pr-service] Committed ${patch.ops.length} config edit(s) to ${branchName}`);
+    return { patch, configPath };
   } catch (err) {
-    console.error('Classification error:', err.message);
-    return { request_type: 'question', can_auto_pr: false };
+    console.error(`[github-pr-service] Couldn't generate a config patch: ${err.message}`);
+    return { error: err.message };
   }
 }
 
-/**
- * Make a GitHub API request
- */
-function githubAPI(method, path, body = null) {
-  return new Promise((resolve, reject) => {
-    if (!GITHUB_TOKEN) {
-      reject(new Error('GITHUB_TOKEN not configured'));
-      return;
-    }
-
-    const options = {
-      hostname: 'api.github.com',
-      path: path,
-      method: method,
-      headers: {
-        'Authorization': `Bearer ${GITHUB_TOKEN}`,
-        'Accept': 'application/vnd.github.v3+json',
-        'User-Agent': 'LAGENCE-Platform',
-        'Content-Type': 'application/json'
-      }
-    };
-
-    const req = https.request(options, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          try {
-            resolve(JSON.parse(data));
-          } catch {
-            resolve(data);
-          }
-        } else {
-          reject(new Error(`GitHub API error: ${res.statusCode} - ${data}`));
-        }
-      });
-    });
-
-    req.on('error', reject);
-    if (body) req.write(JSON.stringify(body));
-    req.end();
-  });
+function describeOp(op) {
+  if (op.op === 'set_examples') return `\`${op.field_name}\`: examples set to "${op.examples}"`;
+  if (op.op === 'add_allowed_values') return `\`${op.field_name}\`: allowed values added: ${op.values.join(', ')}`;
+  return `\`${op.field_name}\`: extraction logic reworded`;
 }
 
 /**
- * Create a PR for a capability change
+ * Create a PR for a capability change. Low-complexity changes to a capability
+ * with an extraction-config.js get a real, validated patch (see config-patcher)
+ * when an Anthropic client is passed; everything else opens a draft PR for a
+ * developer to fill in.
  */
-async function createCapabilityPR(change, agentId) {
+async function createCapabilityPR(change, agentId, { anthropic = null, agent = null } = {}) {
   const branchName = `capability/${agentId}-${change.matched_capability_id || 'update'}-${Date.now()}`;
 
   try {
-    // 1. Get current main branch SHA
-    const mainRef = await githubAPI('GET', `/repos/${REPO_OWNER}/${REPO_NAME}/git/ref/heads/main`);
-    const baseSha = mainRef.object.sha;
+    const vcs = getVcsBackend();
+
+    // 1-2. Branch off the base branch
+    const baseBranch = await vcs.getDefaultBranch();
+    await vcs.createBranch(branchName, baseBranch);
+
+    // 3. Commit a generated patch for low-complexity changes
+    let patched = null;
+    let patchNote = '';
+    if (change.complexity === 'low' && anthropic) {
+      const result = await commitConfigPatch(change, agentId, branchName, { anthropic, agent });
+      if (result.patch) patched = result;
+      else patchNote = `\n*No patch was generated: ${result.error}*`;
+    }
 
-    // 2. Create new branch
-    await githubAPI('POST', `/repos/${REPO_OWNER}/${REPO_NAME}/git/refs`, {
-      ref: `refs/heads/${branchName}`,
-      sha: baseSha
-    });
+    const changesSection = patched
+      ? `### Changes
+${patched.patch.ops.map(op => `- ${describeOp(op)}`).join('\n')}
+
+Committed to \`${patched.configPath}\`. The patched file was loaded and the extraction prompt rebuilt without errors.
+
+### Extraction prompt (before → after)
+\`\`\`diff
+${patched.patch.promptDiff}
+\`\`\``
+      : `### Affected Files
+${change.affected_files?.map(f => `- \`${f}\``).join('\n') || '- To be determined'}`;
 
-    // 3. Create PR (without actual file changes for now - those would be added by the code generation step)
-    const pr = await githubAPI('POST', `/repos/${REPO_OWNER}/${REPO_NAME}/pulls`, {
+    // 4. Create PR - a draft unless the code change is already on the branch
+    const pr = await vcs.createPullRequest({
       title: `[${agentId}] ${change.change_description}`,
       body: `## Change Request from Chat Assistant
 
@@ -153,25 +109,30 @@ async function createCapabilityPR(change, agentId) {
 
 ### Description
 ${change.change_description}
-
-### Affected Files
-${change.affected_files?.map(f => `- \`${f}\``).join('\n') || '- To be determined'}
+${change.user_request ? `\n> ${change.user_request}\n` : ''}
+${changesSection}
 
 ---
 *Auto-generated by L'AGENCE Platform*
-*Review and add the actual code changes to this branch*`,
+${patched ? '*Generated patch - review the prompt diff before merging*' : '*Review and add the actual code changes to this branch*'}${patchNote}`,
       head: branchName,
-      base: 'main',
-      draft: true // Create as draft since code changes need to be added
+      base: baseBranch,
+      draft: !patched
     });
 
-    // 4. Log to Supabase
+    // 5. Log to Supabase
     const { error: logError } = await supabase.from('feature_requests').insert({
       agent_id: agentId,
       conversation: [],
-      assistant_response: `PR created: ${pr.html_url}`,
+      assistant_response: `PR created: ${pr.url}`,
       classification: change,
-      action_taken: { type: 'pr_created', pr_url: pr.html_url, pr_number: pr.number },
+      action_taken: {
+        type: 'pr_created',
+        pr_url: pr.url,
+        pr_number: pr.number,
+        vcs_backend: vcs.name,
+        patched_file: patched ? patched.configPath : null
+      },
       status: 'in_progress'
     });
     if (logError) {
@@ -180,9 +141,10 @@ ${change.affected_files?.map(f => `- \`${f}\``).join('\n') || '- To be determine
 
     return {
       success: true,
-      pr_url: pr.html_url,
+      pr_url: pr.url,
       pr_number: pr.number,
-      branch: branchName
+      branch: branchName,
+      patched: !!patched
     };
   } catch (err) {
     console.error('Failed to create PR:', err.message);
@@ -194,92 +156,46 @@ ${change.affected_files?.map(f => `- \`${f}\``).join('\n') || '- To be determine
 }
 
 /**
- * Create a plan proposal for high-complexity changes
- */
-async function createPlanProposal(proposal, agentId) {
-  try {
-    const { data, error } = await supabase
-      .from('capability_proposals')
-      .insert({
-        agent_id: agentId,
-        title: proposal.title,
-        description: proposal.description,
-        complexity: 'high',
-        status: 'pending_approval',
-        proposed_changes: proposal.changes
-      })
-      .select()
-      .single();
-
-    if (error) throw error;
-
-    return {
-      success: true,
-      proposal_id: data.id
-    };
-  } catch (err) {
-    console.error('Failed to create proposal:', err.message);
-    return {
-      success: false,
-      error: err.message
-    };
-  }
-}
-
-/**
- * Get pending proposals for an agent
- */
-async function getPendingProposals(agentId) {
-  try {
-    const { data, error } = await supabase
-      .from('capability_proposals')
-      .select('*')
-      .eq('agent_id', agentId)
-      .eq('status', 'pending_approval')
-      .order('created_at', { ascending: false });
-
-    if (error) throw error;
-    return data || [];
-  } catch (err) {
-    console.error('Failed to get proposals:', err.message);
-    return [];
-  }
-}
-
-/**
- * Approve a proposal and create a PR for it
+ * Approve a pending proposal and open a PR for it. reviewedBy is the approving
+ * admin; anthropic lets low-complexity changes get a generated patch.
+ *
+ * The proposal is claimed first, so two admins approving at once can't both
+ * open a PR. A failed PR doesn't undo the approval - the error comes back as
+ * pr_error and the PR can be linked when the proposal is marked implemented.
  */
-async function approveProposal(proposalId) {
+async function approveProposal(proposalId, { reviewedBy = null, anthropic = null } = {}) {
   try {
-    // Get the proposal
-    const { data: proposal, error: getError } = await supabase
-      .from('capability_proposals')
-      .select('*')
-      .eq('id', proposalId)
-      .single();
-
-    if (getError) throw getError;
+    const claimed = await transitionProposal(proposalId, {
+      from: PENDING_STATUSES,
+      to: 'approved',
+      fields: { reviewed_by: reviewedBy, reviewed_at: new Date().toISOString() }
+    });
+    if (claimed.error) return { success: false, ...claimed };
+    const proposal = claimed.proposal;
 
     // Create a PR for it
     const pr = await createCapabilityPR({
-      matched_capability_id: 'new-capability',
+      matched_capability_id: proposal.proposed_changes?.matched_capability || 'new-capability',
       change_description: proposal.title,
-      complexity: 'high',
-      affected_files: proposal.proposed_changes?.files || []
-    }, proposal.agent_id);
-
-    // Update proposal status
-    await supabase
-      .from('capability_proposals')
-      .update({
-        status: 'approved',
-        pr_url: pr.pr_url
-      })
-      .eq('id', proposalId);
+      request_type: proposal.proposed_changes?.request_type,
+      user_request: proposal.description,
+      complexity: proposal.complexity || 'high',
+      affected_files: proposal.proposed_changes?.affected_files || proposal.proposed_changes?.files || []
+    }, proposal.agent_id, { anthropic, agent: proposal.agent_id });
+
+    let approved = proposal;
+    if (pr.pr_url) {
+      const linked = await transitionProposal(proposalId, { from: ['approved'], to: 'approved', fields: { pr_url: pr.pr_url } });
+      if (linked.error) console.error(`Failed to link PR to proposal ${proposalId}: ${linked.error}`);
+      else approved = linked.proposal;
+    }
 
     return {
       success: true,
-      pr_url: pr.pr_url
+      proposal: approved,
+      pr_url: pr.pr_url || null,
+      patched: !!pr.patched,
+      pr_error: pr.success ? null : pr.error
     };
   } catch (err) {
     console.error('Failed to approve proposal:', err.message);
@@ -291,10 +207,7 @@ async function approveProposal(proposalId) {
 }
 
 module.exports = {
-  classifyRequest,
   createCapabilityPR,
-  createPlanProposal,
-  getPendingProposals,
   approveProposal,
   githubAPI
 };
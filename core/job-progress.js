@@ -0,0 +1,166 @@
+/**
+ * Job Progress - What a tech pack job is doing right now, from its jobs row
+ *
+ * Shared by /api/job-status/:id, /api/jobs and the /api/jobs/:id/events
+ * stream the chat widget's job cards subscribe to. The processor writes
+ * phase, failed_styles and started_at (migration 017_job_progress.sql); rows
+ * from before that fall back to parsing current_style. changed_styles
+ * (020_tech_pack_revisions.sql) lists styles whose tech pack changed since it
+ * was last exported; once this job is exported too, changesExported is set.
+ *
+ * Phases run in order: line_sheet, fabric_workbook, download, extract, save.
+ */
+
+const { getSupabaseClient } = require('../shared/supabase-client');
+
+const JOB_PHASES = ['line_sheet', 'fabric_workbook', 'download', 'extract', 'save'];
+const ACTIVE_STATUSES = ['pending', 'processing'];
+const TERMINAL_STATUSES = ['completed', 'ready_for_export', 'failed'];
+
+// Everything jobSummary reads - keeps the events stream from pulling extracted_data
+const JOB_PROGRESS_COLUMNS = [
+  'id', 'status', 'progress_percent', 'current_style', 'phase', 'style_count',
+  'successful_count', 'failed_count', 'failed_styles', 'changed_styles', 'started_at', 'created_at', 'file_name',
+  'updated_at', 'output_sheet_url', 'input_file_name', 'error_message'
+].join(', ');
+
+const JOB_WATCH_INTERVAL_MS = 2000;
+
+// Below this much progress the rate is mostly startup time, so no ETA
+const MIN_ETA_PERCENT = 5;
+
+/**
+ * Input file name without the upload timestamp prefix
+ */
+function cleanJobFileName(job) {
+  const fileName = job.input_file_name || job.file_name || 'Untitled';
+  const underscoreIndex = fileName.indexOf('_');
+  if (underscoreIndex > 0 && /^\d+$/.test(fileName.substring(0, underscoreIndex))) {
+    return fileName.substring(underscoreIndex + 1);
+  }
+  return fileName;
+}
+
+/**
+ * Phase and style from the row, or from current_style ("extract: 2789NGX",
+ * "Parsing line sheet...") for rows written before the phase column
+ */
+function parsePhase(job) {
+  const current = job.current_style || '';
+  const match = current.match(/^(download|extract): (.+)$/);
+  const style = match ? match[2] : null;
+  if (job.phase) return { phase: job.phase, style };
+  if (match) return { phase: match[1], style };
+  if (/^Parsing line sheet/i.test(current)) return { phase: 'line_sheet', style: null };
+  if (/^Parsing fabric workbook/i.test(current)) return { phase: 'fabric_workbook', style: null };
+  if (job.status === 'processing' && job.progress_percent >= 99) return { phase: 'save', style: null };
+  return { phase: null, style: null };
+}
+
+/**
+ * Seconds left, extrapolated from progress so far. Null until there's
+ * enough to go on.
+ */
+function estimateSecondsLeft(job, now = Date.now()) {
+  const percent = job.progress_percent || 0;
+  const startedAt = Date.parse(job.started_at || '');
+  if (job.status !== 'processing' || !startedAt || percent < MIN_ETA_PERCENT || percent >= 100) return null;
+  const elapsed = (now - startedAt) / 1000;
+  if (elapsed <= 0) return null;
+  return Math.round(elapsed * (100 - percent) / percent);
+}
+
+/**
+ * The camelCase job shape the API returns. Adds live progress (phase,
+ * style, completed/total, failures, changed styles, etaSeconds) to the
+ * fields /api/job-status has always had.
+ */
+function jobSummary(job, { now = Date.now() } = {}) {
+  const { phase, style } = job.status === 'processing' ? parsePhase(job) : { phase: null, style: null };
+  const failedStyles = Array.isArray(job.failed_styles) ? job.failed_styles : [];
+  const changedStyles = Array.isArray(job.changed_styles) ? job.changed_styles : [];
+
+  return {
+    id: job.id,
+    status: job.status,
+    progressPercent: job.progress_percent || 0,
+    currentStyle: job.current_style || null,
+    outputSheetUrl: job.output_sheet_url || null,
+    fileName: cleanJobFileName(job),
+    createdAt: job.created_at,
+    errorMessage: job.error_message || null,
+    phase,
+    style,
+    completed: job.successful_count || 0,
+    total: job.style_count || 0,
+    failed: Math.max(job.failed_count || 0, failedStyles.length),
+    failedStyles,
+    changedStyles: changedStyles.map(c => c.style_no),
+    changesExported: changedStyles.length > 0 && changedStyles.every(c => c.exported_at),
+    startedAt: job.started_at || null,
+    updatedAt: job.updated_at || null,
+    etaSeconds: estimateSecondsLeft(job, now)
+  };
+}
+
+/**
+ * Follow a job until it finishes. The processor writes to Supabase from its
+ * own process, so this polls the row and calls onJob(summary) whenever it
+ * changes, then onEnd({ status }) on a terminal status or onEnd({ error }).
+ * Returns a stop function.
+ */
+function watchJobProgress(jobId, { onJob, onEnd, intervalMs = JOB_WATCH_INTERVAL_MS, supabase = getSupabaseClient() }) {
+  let stopped = false;
+  let timer = null;
+  let lastKey = null;
+
+  const stop = () => {
+    stopped = true;
+    if (timer) clearTimeout(timer);
+  };
+
+  const poll = async () => {
+    let job;
+    try {
+      const { data, error } = await supabase.from('jobs').select(JOB_PROGRESS_COLUMNS).eq('id', jobId).maybeSingle();
+      if (error) throw new Error(`Failed to load job: ${error.message}`);
+      if (!data) throw new Error('Job not found');
+      job = data;
+    } catch (err) {
+      if (!stopped) {
+        stop();
+        onEnd({ error: err.message });
+      }
+      return;
+    }
+    if (stopped) return;
+
+    const summary = jobSummary(job);
+    // etaSeconds moves on every poll; only a change to the row counts
+    const key = JSON.stringify({ ...summary, etaSeconds: null });
+    if (key !== lastKey) {
+      lastKey = key;
+      onJob(summary);
+    }
+
+    if (TERMINAL_STATUSES.includes(job.status)) {
+      stop();
+      onEnd({ status: job.status });
+    } else if (!stopped) {
+      timer = setTimeout(poll, intervalMs);
+    }
+  };
+
+  poll();
+  return stop;
+}
+
+module.exports = {
+  JOB_PHASES,
+  ACTIVE_STATUSES,
+  TERMINAL_STATUSES,
+  JOB_PROGRESS_COLUMNS,
+  cleanJobFileName,
+  jobSummary,
+  watchJobProgress
+};
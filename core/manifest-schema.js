@@ -0,0 +1,173 @@
+/**
+ * Manifest Schema - Formal schema for agent.json and capability.json
+ *
+ * Every manifest the agent loader reads is validated against these schemas.
+ * Validation failures are returned as flat issue lists (property path + reason)
+ * so they can be collected into the loader's diagnostics report.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+const { TASKS } = require('./model-config');
+const { ROLES } = require('./auth');
+
+const nonEmptyString = z.string().trim().min(1, 'must be a non-empty string');
+const stringList = z.array(nonEmptyString);
+
+// Lifecycle states - see core/capability-status.js for what each one means
+const CAPABILITY_STATUSES = ['planned', 'beta', 'active', 'deprecated', 'disabled'];
+const COMPLEXITY_LEVELS = ['low', 'medium', 'high'];
+// How the chat widget places itself on a page when the embed doesn't say (see core/chat-widget.js)
+const DISPLAY_MODES = ['rail', 'floating', 'inline'];
+
+const hexColor = z.string().regex(/^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/, 'must be a hex color like "#1a1a1a"');
+
+// Model settings per task type ("default" applies to every task); see core/model-config.js
+const modelsSchema = z.record(
+  z.enum(['default', ...TASKS]),
+  z.object({
+    model: nonEmptyString.optional(),
+    max_tokens: z.number().int().positive().optional(),
+    temperature: z.number().min(0).max(1).optional()
+  }).strict()
+);
+
+// Glob over the page path: "*" is one path segment, "**" any number of them
+const urlPattern = z.string().regex(/^\//, 'must be a page path starting with "/"');
+
+// How the agent looks in the chat widget
+const brandingSchema = z.object({
+  accent_color: hexColor.optional(),
+  accent_text_color: hexColor.optional(),    // default: black or white, whichever reads on accent_color
+  avatar: nonEmptyString.optional(),         // image URL or app path, or 1-2 characters (initials, emoji)
+  display_mode: z.enum(DISPLAY_MODES).optional()
+}).strict();
+
+const agentSchema = z.object({
+  id: nonEmptyString,
+  name: nonEmptyString,
+  title: nonEmptyString,
+  personality: nonEmptyString,
+  greeting: nonEmptyString,
+  expertise: stringList.optional(),
+  priorities: z.record(z.number().min(0).max(1)).optional(),
+  knows_about_agents: stringList.optional(),
+  url_patterns: z.array(urlPattern).optional(),
+  branding: brandingSchema.optional(),
+  access_level: z.enum(ROLES).optional(),
+  models: modelsSchema.optional()
+}).passthrough();
+
+// A tool the agent can call during chat. `handler` is a module in the capability
+// folder that exports a function under the tool's name. access_level is the
+// least role that may use it (employee if unset), whatever the agent's own level.
+const toolSchema = z.object({
+  name: z.string().regex(/^[a-zA-Z0-9_-]{1,64}$/, 'must be 1-64 letters, digits, "_" or "-"'),
+  description: nonEmptyString,
+  input_schema: z.object({ type: z.literal('object') }).passthrough(),
+  handler: nonEmptyString,
+  access_level: z.enum(ROLES).optional()
+});
+
+const capabilitySchema = z.object({
+  id: nonEmptyString,
+  name: nonEmptyString,
+  description: nonEmptyString,
+  triggers: stringList.min(1, 'must list at least one trigger'),
+  actions: stringList.optional(),
+  status: z.enum(CAPABILITY_STATUSES),
+  config_files: stringList,
+  complexity: z.enum(COMPLEXITY_LEVELS).optional(),
+  example_requests: stringList.optional(),
+  tools: z.array(toolSchema).optional(),
+  models: modelsSchema.optional(),
+  ui_path: z.string().regex(/^\//, 'must be an app path starting with "/"').optional(),
+  change_types: z.object({
+    low: stringList.optional(),
+    medium: stringList.optional(),
+    high: stringList.optional()
+  }).optional()
+}).passthrough();
+
+/**
+ * Convert a zod issue path (['triggers', 2]) into 'triggers[2]'
+ */
+function formatPath(issuePath) {
+  if (!issuePath || issuePath.length === 0) return '(root)';
+  return issuePath.reduce((acc, part) => {
+    if (typeof part === 'number') return `${acc}[${part}]`;
+    return acc ? `${acc}.${part}` : String(part);
+  }, '');
+}
+
+function toIssues(result) {
+  if (result.success) return [];
+  return result.error.issues.map(issue => ({
+    property: formatPath(issue.path),
+    reason: issue.message
+  }));
+}
+
+/**
+ * Validate a parsed agent.json. Returns a list of { property, reason } issues.
+ */
+function validateAgentManifest(manifest, { folderName } = {}) {
+  const issues = toIssues(agentSchema.safeParse(manifest));
+
+  if (folderName && manifest && typeof manifest.id === 'string' && manifest.id !== folderName) {
+    issues.push({ property: 'id', reason: `must match folder name "${folderName}"` });
+  }
+
+  return issues;
+}
+
+/**
+ * Validate a parsed capability.json. Returns a list of { property, reason } issues.
+ * When capPath is given, every entry in config_files and every tool handler
+ * must exist in that folder.
+ */
+function validateCapabilityManifest(manifest, { folderName, capPath } = {}) {
+  const issues = toIssues(capabilitySchema.safeParse(manifest));
+
+  if (folderName && manifest && typeof manifest.id === 'string' && manifest.id !== folderName) {
+    issues.push({ property: 'id', reason: `must match folder name "${folderName}"` });
+  }
+
+  if (capPath && manifest && Array.isArray(manifest.config_files)) {
+    manifest.config_files.forEach((fileName, i) => {
+      if (typeof fileName === 'string' && !fs.existsSync(path.join(capPath, fileName))) {
+        issues.push({ property: `config_files[${i}]`, reason: `file "${fileName}" not found in capability folder` });
+      }
+    });
+  }
+
+  if (manifest && Array.isArray(manifest.tools)) {
+    const seen = new Set();
+    manifest.tools.forEach((tool, i) => {
+      if (!tool || typeof tool.name !== 'string') return;
+      if (seen.has(tool.name)) {
+        issues.push({ property: `tools[${i}].name`, reason: `duplicate tool name "${tool.name}"` });
+      }
+      seen.add(tool.name);
+
+      if (capPath && typeof tool.handler === 'string' && !fs.existsSync(path.join(capPath, tool.handler))) {
+        issues.push({ property: `tools[${i}].handler`, reason: `file "${tool.handler}" not found in capability folder` });
+      }
+    });
+  }
+
+  return issues;
+}
+
+module.exports = {
+  CAPABILITY_STATUSES,
+  COMPLEXITY_LEVELS,
+  DISPLAY_MODES,
+  agentSchema,
+  brandingSchema,
+  capabilitySchema,
+  toolSchema,
+  validateAgentManifest,
+  validateCapabilityManifest
+};
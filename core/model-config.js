@@ -0,0 +1,121 @@
+/**
+ * Model Config - Which Claude model, max_tokens and temperature each task uses
+ *
+ * Settings are resolved per task, later sources winning:
+ *   1. DEFAULTS below
+ *   2. "models" in agent.json      - { "default": {...}, "chat": {...}, ... }
+ *   3. "models" in capability.json - same shape, for the tasks that capability runs
+ *   4. Environment: ANTHROPIC_MODEL for every task, then per task
+ *      ANTHROPIC_MODEL_<TASK>, ANTHROPIC_MAX_TOKENS_<TASK>, ANTHROPIC_TEMPERATURE_<TASK>
+ *      (e.g. ANTHROPIC_MODEL_TECH_PACK_EXTRACTION)
+ *
+ * Callers spread toRequestParams(config) into messages.create() and record
+ * response.model - the model the API actually served.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+
+const DEFAULTS = {
+  chat: { max_tokens: 2048 },
+  classification: { max_tokens: 1024 },
+  summarization: { max_tokens: 1024 },
+  tech_pack_extraction: { max_tokens: 4096 },
+  line_sheet_parsing: { max_tokens: 16000 },
+  document_extraction: { max_tokens: 8192 },
+  config_patch: { max_tokens: 2048, temperature: 0 }
+};
+
+const TASKS = Object.keys(DEFAULTS);
+
+const AGENTS_DIR = path.join(__dirname, '..', 'agents');
+
+function readManifest(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+// Accept a loaded manifest or an ID (read from disk, for scripts like job-processor)
+function resolveAgent(agent) {
+  if (!agent || typeof agent === 'object') return agent || null;
+  return readManifest(path.join(AGENTS_DIR, agent, 'agent.json'));
+}
+
+function resolveCapability(capability, agent, agentId) {
+  if (!capability || typeof capability === 'object') return capability || null;
+  const loaded = agent?.capabilities?.find(c => c.id === capability);
+  if (loaded) return loaded;
+  if (!agentId) return null;
+  return readManifest(path.join(AGENTS_DIR, agentId, 'capabilities', capability, 'capability.json'));
+}
+
+function pickSettings(source) {
+  if (!source || typeof source !== 'object') return {};
+  const settings = {};
+  if (typeof source.model === 'string' && source.model) settings.model = source.model;
+  if (Number.isInteger(source.max_tokens) && source.max_tokens > 0) settings.max_tokens = source.max_tokens;
+  if (typeof source.temperature === 'number') settings.temperature = source.temperature;
+  return settings;
+}
+
+function envSettings(task) {
+  const suffix = task.toUpperCase();
+  const settings = {};
+
+  const model = process.env[`ANTHROPIC_MODEL_${suffix}`] || process.env.ANTHROPIC_MODEL;
+  if (model) settings.model = model;
+
+  const maxTokens = parseInt(process.env[`ANTHROPIC_MAX_TOKENS_${suffix}`], 10);
+  if (maxTokens > 0) settings.max_tokens = maxTokens;
+
+  const temperature = parseFloat(process.env[`ANTHROPIC_TEMPERATURE_${suffix}`]);
+  if (!Number.isNaN(temperature)) settings.temperature = temperature;
+
+  return settings;
+}
+
+/**
+ * Resolve the settings for a task.
+ *
+ * agent and capability can be loaded manifests or IDs. Returns
+ * { task, model, max_tokens, temperature? }.
+ */
+function getModelConfig(task, { agent = null, capability = null } = {}) {
+  if (!DEFAULTS[task]) throw new Error(`Unknown model task "${task}" (expected one of: ${TASKS.join(', ')})`);
+
+  const agentId = typeof agent === 'string' ? agent : agent?.id;
+  const agentManifest = resolveAgent(agent);
+  const capabilityManifest = resolveCapability(capability, agentManifest, agentId);
+
+  return {
+    task,
+    model: DEFAULT_MODEL,
+    ...DEFAULTS[task],
+    ...pickSettings(agentManifest?.models?.default),
+    ...pickSettings(agentManifest?.models?.[task]),
+    ...pickSettings(capabilityManifest?.models?.default),
+    ...pickSettings(capabilityManifest?.models?.[task]),
+    ...envSettings(task)
+  };
+}
+
+/**
+ * The fields of a config that go into a Messages API request
+ */
+function toRequestParams(config) {
+  const params = { model: config.model, max_tokens: config.max_tokens };
+  if (config.temperature !== undefined) params.temperature = config.temperature;
+  return params;
+}
+
+module.exports = {
+  DEFAULT_MODEL,
+  TASKS,
+  getModelConfig,
+  toRequestParams
+};
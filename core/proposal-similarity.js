@@ -0,0 +1,135 @@
+/**
+ * Proposal Similarity - How alike two capability change requests are
+ *
+ * Scores a new request against an existing proposal from 0 to 1 using:
+ *   text       - cosine similarity of stemmed words, the better of
+ *                title-vs-title and title+request-vs-title+request. Words from
+ *                the capability ids are left out - every request against
+ *                tech-pack-extraction says "tech pack", so they'd match on that alone.
+ *   capability - same matched capability (1), neither matched (0.5), only one
+ *                matched (0.25), different (0)
+ *   files      - overlap of affected_files (left out when either side has none)
+ *
+ * Cheap enough to run against every open proposal for an agent when a new
+ * request comes in (see proposal-store.fileProposal).
+ */
+
+// At or above this a new request is filed as a +1 vote on the existing proposal
+const DUPLICATE_THRESHOLD = parseFloat(process.env.PROPOSAL_DUPLICATE_THRESHOLD || '0.65');
+// At or above this proposals are shown to admins as merge candidates
+const RELATED_THRESHOLD = parseFloat(process.env.PROPOSAL_RELATED_THRESHOLD || '0.35');
+
+const WEIGHTS = { text: 0.7, capability: 0.2, files: 0.1 };
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'can', 'could', 'would', 'should', 'you', 'your',
+  'our', 'are', 'was', 'were', 'have', 'has', 'had', 'not', 'but', 'from', 'into', 'its', 'also',
+  'please', 'want', 'need', 'like', 'make', 'let', 'able', 'when', 'what', 'which', 'there', 'them',
+  'they', 'then', 'than', 'just', 'all', 'any', 'some', 'more', 'new', 'add', 'adding', 'support',
+  'field', 'fields', 'start', 'get', 'too'
+]);
+
+/**
+ * Crude stemming - enough that "extraction"/"extract" and "fields"/"field" match
+ */
+function stem(word) {
+  for (const suffix of ['ations', 'ation', 'ions', 'ion', 'ing', 'ies', 'ed', 'es', 's']) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 4) {
+      return suffix === 'ies' ? `${word.slice(0, -3)}y` : word.slice(0, -suffix.length);
+    }
+  }
+  return word;
+}
+
+function termCounts(text, ignore = new Set()) {
+  const counts = new Map();
+  for (const word of String(text || '').toLowerCase().split(/[^a-z0-9]+/)) {
+    if (word.length < 3 || STOPWORDS.has(word)) continue;
+    const term = stem(word);
+    if (ignore.has(term)) continue;
+    counts.set(term, (counts.get(term) || 0) + 1);
+  }
+  return counts;
+}
+
+function cosine(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let dot = 0;
+  for (const [term, count] of a) dot += count * (b.get(term) || 0);
+  const norm = (m) => Math.sqrt([...m.values()].reduce((sum, c) => sum + c * c, 0));
+  return dot / (norm(a) * norm(b));
+}
+
+function jaccard(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  const shared = [...setA].filter(x => setB.has(x)).length;
+  return shared / new Set([...setA, ...setB]).size;
+}
+
+/**
+ * Pull the comparable parts out of a proposal row or a fresh request
+ * ({ title, description, capability, files })
+ */
+function proposalFeatures(proposal) {
+  return {
+    title: proposal.title || '',
+    description: proposal.description || '',
+    capability: proposal.proposed_changes?.matched_capability || null,
+    files: proposal.proposed_changes?.affected_files || []
+  };
+}
+
+function requestFeatures(classification, userMessage) {
+  return {
+    title: classification.change_description || '',
+    description: userMessage || '',
+    capability: classification.matched_capability_id || null,
+    files: classification.affected_files || []
+  };
+}
+
+/**
+ * Score two feature sets. Returns { score, text, capability, files }.
+ */
+function scoreSimilarity(a, b) {
+  const ignore = new Set(termCounts(`${a.capability || ''} ${b.capability || ''}`).keys());
+  const text = Math.max(
+    cosine(termCounts(a.title, ignore), termCounts(b.title, ignore)),
+    cosine(termCounts(`${a.title} ${a.description}`, ignore), termCounts(`${b.title} ${b.description}`, ignore))
+  );
+
+  let capability = 0.5;
+  if (a.capability && b.capability) capability = a.capability === b.capability ? 1 : 0;
+  else if (a.capability || b.capability) capability = 0.25;
+
+  const files = a.files.length > 0 && b.files.length > 0 ? jaccard(a.files, b.files) : null;
+
+  const parts = [[text, WEIGHTS.text], [capability, WEIGHTS.capability]];
+  if (files !== null) parts.push([files, WEIGHTS.files]);
+  const totalWeight = parts.reduce((sum, [, w]) => sum + w, 0);
+  const score = parts.reduce((sum, [value, w]) => sum + value * w, 0) / totalWeight;
+
+  const round = (n) => Math.round(n * 100) / 100;
+  return { score: round(score), text: round(text), capability, files: files === null ? null : round(files) };
+}
+
+/**
+ * Rank candidates against a feature set, best first, dropping anything
+ * under minScore. Returns [{ proposal, similarity }].
+ */
+function rankSimilar(features, candidates, { minScore = RELATED_THRESHOLD } = {}) {
+  return candidates
+    .map(proposal => ({ proposal, similarity: scoreSimilarity(features, proposalFeatures(proposal)) }))
+    .filter(({ similarity }) => similarity.score >= minScore)
+    .sort((a, b) => b.similarity.score - a.similarity.score);
+}
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  RELATED_THRESHOLD,
+  proposalFeatures,
+  requestFeatures,
+  scoreSimilarity,
+  rankSimilar
+};
@@ -0,0 +1,468 @@
+/**
+ * Proposal Store - Capability change proposals and their review
+ *
+ * When the classifier decides a chat message asks to change the system
+ * (capability_tweak / new_capability), a proposal is saved here and the team
+ * is emailed. Admins then work the queue:
+ *
+ *   pending_review / pending_approval -> approved (PR opened, github-pr-service)
+ *                                     -> rejected
+ *                                     -> merged (into another proposal)
+ *   approved                          -> implemented
+ *
+ * Each proposal keeps the conversation it came from and the classification,
+ * plus reviewer comments in proposal_comments (migration 014_proposal_review.sql).
+ *
+ * The same request often comes in from several people. fileProposal compares
+ * a new request with the agent's open proposals (proposal-similarity) and
+ * records a likely duplicate as a +1 vote in proposal_votes instead of a new
+ * proposal; vote_count is the demand admins can sort by. Admins can merge
+ * proposals the matcher missed and split out votes it got wrong
+ * (migration 016_proposal_votes.sql).
+ */
+
+const { getSupabaseClient } = require('../shared/supabase-client');
+const { getConversation, getMessages } = require('./conversation-store');
+const {
+  DUPLICATE_THRESHOLD,
+  proposalFeatures,
+  requestFeatures,
+  scoreSimilarity,
+  rankSimilar
+} = require('./proposal-similarity');
+
+const PROPOSAL_STATUSES = ['pending_review', 'pending_approval', 'approved', 'rejected', 'implemented', 'merged'];
+const PENDING_STATUSES = ['pending_review', 'pending_approval'];
+
+/**
+ * Save a proposal for a classified change request
+ */
+async function createProposal({ agentId, classification, userMessage, conversationId = null, submittedBy = null }) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase
+    .from('capability_proposals')
+    .insert({
+      agent_id: agentId,
+      title: classification.change_description,
+      description: userMessage,
+      complexity: classification.complexity,
+      status: 'pending_approval',
+      proposed_changes: {
+        request_type: classification.request_type,
+        affected_files: classification.affected_files,
+        matched_capability: classification.matched_capability_id
+      },
+      classification,
+      conversation_id: conversationId,
+      submitted_by: submittedBy
+    })
+    .select()
+    .single();
+
+  if (error) throw new Error(`Failed to save capability proposal: ${error.message}`);
+  return data;
+}
+
+async function listOpenProposals(agentId) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase
+    .from('capability_proposals')
+    .select('*')
+    .eq('agent_id', agentId)
+    .in('status', PENDING_STATUSES);
+
+  if (error) throw new Error(`Failed to load open proposals: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Recount a proposal's demand: its own request plus every vote
+ */
+async function refreshVoteCount(proposalId) {
+  const supabase = getSupabaseClient();
+
+  const { count, error } = await supabase
+    .from('proposal_votes')
+    .select('id', { count: 'exact', head: true })
+    .eq('proposal_id', proposalId);
+  if (error) throw new Error(`Failed to count proposal votes: ${error.message}`);
+
+  const voteCount = 1 + (count || 0);
+  const { error: updateError } = await supabase
+    .from('capability_proposals')
+    .update({ vote_count: voteCount })
+    .eq('id', proposalId);
+  if (updateError) throw new Error(`Failed to update vote count: ${updateError.message}`);
+
+  return voteCount;
+}
+
+/**
+ * Save a classified change request: a +1 vote on the open proposal it most
+ * likely duplicates, or a new proposal. Returns { proposal, duplicate, vote, similarity }.
+ */
+async function fileProposal({ agentId, classification, userMessage, conversationId = null, submittedBy = null }) {
+  const [match] = rankSimilar(
+    requestFeatures(classification, userMessage),
+    await listOpenProposals(agentId),
+    { minScore: DUPLICATE_THRESHOLD }
+  );
+
+  if (!match) {
+    const proposal = await createProposal({ agentId, classification, userMessage, conversationId, submittedBy });
+    return { proposal, duplicate: false, vote: null, similarity: null };
+  }
+
+  const supabase = getSupabaseClient();
+  const { data: vote, error } = await supabase
+    .from('proposal_votes')
+    .insert({
+      proposal_id: match.proposal.id,
+      submitted_by: submittedBy,
+      user_message: userMessage,
+      conversation_id: conversationId,
+      classification,
+      similarity: match.similarity
+    })
+    .select()
+    .single();
+  if (error) throw new Error(`Failed to save proposal vote: ${error.message}`);
+
+  const voteCount = await refreshVoteCount(match.proposal.id);
+  console.log(`[proposal-store] +1 on ${match.proposal.id} (score ${match.similarity.score}, ${voteCount} requests)`);
+  return { proposal: { ...match.proposal, vote_count: voteCount }, duplicate: true, vote, similarity: match.similarity };
+}
+
+/**
+ * List proposals, newest first or (sort 'demand') most requested first.
+ * status may be a single status or 'open' (anything still pending); search
+ * matches the title and the user's request.
+ */
+async function listProposals({ status = null, agentId = null, requestType = null, search = null, sort = 'newest', limit = 50, offset = 0 } = {}) {
+  const supabase = getSupabaseClient();
+
+  let query = supabase
+    .from('capability_proposals')
+    .select('*', { count: 'exact' });
+  if (sort === 'demand') query = query.order('vote_count', { ascending: false, nullsFirst: false });
+  query = query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (status === 'open') query = query.in('status', PENDING_STATUSES);
+  else if (status) query = query.eq('status', status);
+  if (agentId) query = query.eq('agent_id', agentId);
+  if (requestType) query = query.eq('proposed_changes->>request_type', requestType);
+  if (search) {
+    // Strip characters that mean something in PostgREST filter syntax
+    const term = search.replace(/[%,()*]/g, ' ').trim();
+    if (term) query = query.or(`title.ilike.%${term}%,description.ilike.%${term}%`);
+  }
+
+  const { data, error, count } = await query;
+  if (error) throw new Error(`Failed to list proposals: ${error.message}`);
+  return { proposals: data || [], total: count ?? (data || []).length };
+}
+
+async function getProposalRow(proposalId) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase
+    .from('capability_proposals')
+    .select('*')
+    .eq('id', proposalId)
+    .maybeSingle();
+
+  if (error) throw new Error(`Failed to load proposal: ${error.message}`);
+  return data;
+}
+
+async function getComments(proposalId) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase
+    .from('proposal_comments')
+    .select('*')
+    .eq('proposal_id', proposalId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw new Error(`Failed to load proposal comments: ${error.message}`);
+  return data || [];
+}
+
+async function getVotes(proposalId) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase
+    .from('proposal_votes')
+    .select('*')
+    .eq('proposal_id', proposalId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw new Error(`Failed to load proposal votes: ${error.message}`);
+  return data || [];
+}
+
+/**
+ * Other open proposals for the same agent that look like the same request -
+ * candidates for an admin to merge
+ */
+async function findRelatedProposals(proposal, { limit = 5 } = {}) {
+  const candidates = (await listOpenProposals(proposal.agent_id)).filter(p => p.id !== proposal.id);
+  return rankSimilar(proposalFeatures(proposal), candidates)
+    .slice(0, limit)
+    .map(({ proposal: p, similarity }) => ({
+      id: p.id,
+      title: p.title,
+      status: p.status,
+      vote_count: p.vote_count ?? 1,
+      created_at: p.created_at,
+      similarity
+    }));
+}
+
+/**
+ * Get a proposal with its comments, votes, related proposals and the
+ * conversation it came from. Returns null if it doesn't exist.
+ */
+async function getProposal(proposalId) {
+  const proposal = await getProposalRow(proposalId);
+  if (!proposal) return null;
+
+  const [comments, votes, related, conversation, messages] = await Promise.all([
+    getComments(proposalId),
+    getVotes(proposalId),
+    PENDING_STATUSES.includes(proposal.status) ? findRelatedProposals(proposal) : [],
+    proposal.conversation_id ? getConversation(proposal.conversation_id) : null,
+    proposal.conversation_id ? getMessages(proposal.conversation_id) : []
+  ]);
+
+  return { ...proposal, comments, votes, related, conversation, messages };
+}
+
+async function addProposalComment(proposalId, { author, body }) {
+  const supabase = getSupabaseClient();
+
+  const { data, error } = await supabase
+    .from('proposal_comments')
+    .insert({ proposal_id: proposalId, author, body })
+    .select()
+    .single();
+
+  if (error) throw new Error(`Failed to save comment: ${error.message}`);
+  return data;
+}
+
+/**
+ * Move a proposal from one of `from` to `to`. The update only applies while
+ * the proposal is still in an allowed state, so two admins can't both act on
+ * it. Returns { proposal } or { status, error } for the route to send.
+ */
+async function transitionProposal(proposalId, { from, to, fields = {} }) {
+  const current = await getProposalRow(proposalId);
+  if (!current) return { status: 404, error: 'Proposal not found' };
+  if (!from.includes(current.status)) {
+    return { status: 409, error: `Proposal is already ${current.status.replace('_', ' ')}` };
+  }
+
+  const supabase = getSupabaseClient();
+  const { data, error } = await supabase
+    .from('capability_proposals')
+    .update({ status: to, ...fields })
+    .eq('id', proposalId)
+    .in('status', from)
+    .select();
+
+  if (error) throw new Error(`Failed to update proposal: ${error.message}`);
+  if (!data || data.length === 0) return { status: 409, error: 'Proposal was changed by someone else' };
+
+  console.log(`[proposal-store] ${proposalId} ${current.status} -> ${to}`);
+  return { proposal: data[0] };
+}
+
+function rejectProposal(proposalId, { reviewedBy = null, reason = null } = {}) {
+  return transitionProposal(proposalId, {
+    from: PENDING_STATUSES,
+    to: 'rejected',
+    fields: { reviewed_by: reviewedBy, reviewed_at: new Date().toISOString(), review_note: reason }
+  });
+}
+
+function markProposalImplemented(proposalId, { implementedBy = null, prUrl = null } = {}) {
+  const fields = { implemented_by: implementedBy, implemented_at: new Date().toISOString() };
+  if (prUrl) fields.pr_url = prUrl;
+  return transitionProposal(proposalId, { from: ['approved'], to: 'implemented', fields });
+}
+
+/**
+ * Fold other pending proposals into targetId. Each one becomes 'merged', its
+ * votes move over and its own request is added as a vote, so the target's
+ * vote_count reflects everyone who asked. Returns { proposal } or { status, error }.
+ */
+async function mergeProposals(targetId, sourceIds, { mergedBy = null } = {}) {
+  const target = await getProposalRow(targetId);
+  if (!target) return { status: 404, error: 'Proposal not found' };
+  if (![...PENDING_STATUSES, 'approved'].includes(target.status)) {
+    return { status: 409, error: `Can't merge into a proposal that is ${target.status.replace('_', ' ')}` };
+  }
+
+  const ids = [...new Set(sourceIds)].filter(id => id !== targetId);
+  if (ids.length === 0) return { status: 400, error: 'Pick at least one other proposal to merge' };
+
+  const sources = await Promise.all(ids.map(getProposalRow));
+  const missing = ids.find((id, i) => !sources[i]);
+  if (missing) return { status: 404, error: `Proposal ${missing} not found` };
+  const wrongAgent = sources.find(p => p.agent_id !== target.agent_id);
+  if (wrongAgent) return { status: 400, error: `"${wrongAgent.title}" is for a different agent` };
+
+  const supabase = getSupabaseClient();
+  const merged = [];
+  for (const source of sources) {
+    // Claim the source first so a concurrent approve/reject can't also act on it
+    const outcome = await transitionProposal(source.id, {
+      from: PENDING_STATUSES,
+      to: 'merged',
+      fields: { merged_into: targetId, reviewed_by: mergedBy, reviewed_at: new Date().toISOString() }
+    });
+    if (outcome.error) {
+      if (merged.length === 0) return outcome;
+      console.error(`[proposal-store] Skipped merging ${source.id}: ${outcome.error}`);
+      continue;
+    }
+
+    // Tag the source's own votes so a split can send them back
+    const steps = [
+      supabase.from('proposal_votes').update({ merged_from: source.id }).eq('proposal_id', source.id).is('merged_from', null),
+      supabase.from('proposal_votes').update({ proposal_id: targetId }).eq('proposal_id', source.id),
+      supabase.from('proposal_votes').insert({
+        proposal_id: targetId,
+        submitted_by: source.submitted_by,
+        user_message: source.description,
+        conversation_id: source.conversation_id,
+        classification: source.classification,
+        similarity: scoreSimilarity(proposalFeatures(source), proposalFeatures(target)),
+        origin: 'merged',
+        merged_from: source.id
+      })
+    ];
+    for (const step of steps) {
+      const { error } = await step;
+      if (error) throw new Error(`Failed to merge proposal: ${error.message}`);
+    }
+    merged.push(source.id);
+  }
+
+  const voteCount = await refreshVoteCount(targetId);
+  console.log(`[proposal-store] Merged ${merged.length} proposal(s) into ${targetId} (${voteCount} requests)`);
+  return { proposal: { ...target, vote_count: voteCount }, merged };
+}
+
+/**
+ * The proposal and every proposal merged into it, directly or through others
+ * merged into it. merged_into keeps each merge's own target, so this is the
+ * chain a split has to follow.
+ */
+async function mergedChain(proposalId) {
+  const supabase = getSupabaseClient();
+  const chain = [proposalId];
+  let frontier = [proposalId];
+  while (frontier.length > 0) {
+    const { data, error } = await supabase
+      .from('capability_proposals')
+      .select('id')
+      .in('merged_into', frontier)
+      .eq('status', 'merged');
+    if (error) throw new Error(`Failed to load merged proposals: ${error.message}`);
+    frontier = (data || []).map(p => p.id).filter(id => !chain.includes(id));
+    chain.push(...frontier);
+  }
+  return chain;
+}
+
+/**
+ * Take a vote back out of a proposal's cluster. A vote that came from a
+ * merged proposal restores that proposal with its own votes and those of
+ * proposals merged into it before; any other vote becomes a new proposal.
+ * Returns { proposal } or { status, error }.
+ */
+async function splitVote(proposalId, voteId) {
+  const supabase = getSupabaseClient();
+
+  const { data: vote, error } = await supabase
+    .from('proposal_votes')
+    .select('*')
+    .eq('id', voteId)
+    .eq('proposal_id', proposalId)
+    .maybeSingle();
+  if (error) throw new Error(`Failed to load proposal vote: ${error.message}`);
+  if (!vote) return { status: 404, error: 'Vote not found on this proposal' };
+
+  const source = vote.merged_from ? await getProposalRow(vote.merged_from) : null;
+  if (source && source.status === 'merged') {
+    const outcome = await transitionProposal(source.id, {
+      from: ['merged'],
+      to: 'pending_approval',
+      fields: { merged_into: null, reviewed_by: null, reviewed_at: null }
+    });
+    if (outcome.error) return outcome;
+
+    // Votes of proposals merged into the source go back with it, still tagged for their own split
+    const earlier = (await mergedChain(source.id)).filter(id => id !== source.id);
+    const steps = [
+      supabase.from('proposal_votes').delete().eq('proposal_id', proposalId).eq('merged_from', source.id).eq('origin', 'merged'),
+      supabase.from('proposal_votes').update({ proposal_id: source.id, merged_from: null }).eq('proposal_id', proposalId).eq('merged_from', source.id)
+    ];
+    if (earlier.length > 0) {
+      steps.push(supabase.from('proposal_votes').update({ proposal_id: source.id }).eq('proposal_id', proposalId).in('merged_from', earlier));
+    }
+    for (const step of steps) {
+      const { error: stepError } = await step;
+      if (stepError) throw new Error(`Failed to split proposal: ${stepError.message}`);
+    }
+
+    await Promise.all([refreshVoteCount(proposalId), refreshVoteCount(source.id)]);
+    console.log(`[proposal-store] Split ${source.id} back out of ${proposalId}`);
+    return { proposal: await getProposalRow(source.id) };
+  }
+
+  const parent = await getProposalRow(proposalId);
+  const classification = vote.classification || {
+    request_type: parent.proposed_changes?.request_type,
+    change_description: parent.title,
+    complexity: parent.complexity,
+    matched_capability_id: parent.proposed_changes?.matched_capability || null,
+    affected_files: parent.proposed_changes?.affected_files || []
+  };
+  const proposal = await createProposal({
+    agentId: parent.agent_id,
+    classification,
+    userMessage: vote.user_message,
+    conversationId: vote.conversation_id,
+    submittedBy: vote.submitted_by
+  });
+
+  const { error: deleteError } = await supabase.from('proposal_votes').delete().eq('id', voteId);
+  if (deleteError) throw new Error(`Failed to remove proposal vote: ${deleteError.message}`);
+  await refreshVoteCount(proposalId);
+
+  console.log(`[proposal-store] Split vote ${voteId} out of ${proposalId} as ${proposal.id}`);
+  return { proposal };
+}
+
+module.exports = {
+  PROPOSAL_STATUSES,
+  PENDING_STATUSES,
+  createProposal,
+  fileProposal,
+  listProposals,
+  getProposalRow,
+  getProposal,
+  addProposalComment,
+  transitionProposal,
+  rejectProposal,
+  markProposalImplemented,
+  mergeProposals,
+  splitVote
+};
@@ -0,0 +1,162 @@
+/**
+ * Request Classifier - Decides what kind of request a chat message is
+ *
+ * The local pre-classifier runs first; Claude is only asked when it isn't
+ * confident. The result decides the route a chat turn takes (routeClassification):
+ * proposals are filed and emailed to the team, handoffs move the conversation,
+ * feedback turns load recent job context, everything else is a normal reply.
+ *
+ * Prompt building, response parsing and routing are separate so the offline
+ * eval (script/eval-classification.ts) can replay recorded responses through
+ * the same code the servers use.
+ */
+
+const { getModelConfig, toRequestParams } = require('./model-config');
+const { preclassify, LOCAL_CONFIDENCE_THRESHOLD } = require('./request-preclassifier');
+
+const REQUEST_TYPES = ['question', 'data_feedback', 'extraction_rule', 'capability_tweak', 'new_capability', 'handoff'];
+
+const FALLBACK = { request_type: 'question', can_auto_pr: false };
+
+/**
+ * Build the classification prompt for the latest user message
+ */
+function buildClassificationPrompt(message, capabilities, handoffTargets = []) {
+  return `Analyze this user request and classify it.
+
+USER REQUEST: "${message}"
+
+AVAILABLE CAPABILITIES:
+${JSON.stringify(capabilities.map(c => ({
+  id: c.id,
+  name: c.name,
+  status: c.status,
+  triggers: c.triggers,
+  complexity: c.complexity,
+  change_types: c.change_types
+})), null, 2)}
+${handoffTargets.length > 0 ? `
+OTHER AGENTS (can take over the conversation):
+${JSON.stringify(handoffTargets, null, 2)}
+` : ''}
+Classification rules:
+- "question": General questions, greetings, or asking about how things work
+- "data_feedback": User is discussing results of a specific job, reporting issues with extracted data, wanting to correct field values, or giving feedback on extraction quality. Keywords: "issues with", "wrong", "incorrect", "last job", "results", "extracted", "fix", "correct", "notes on"
+- "extraction_rule": User is setting a persistent rule for how a field should always be extracted (e.g. "always set X to Y", "never mark Z as needs_review")
+- "capability_tweak": User wants to change how the system itself works (not correcting data, but changing behavior/features)
+- "new_capability": User wants an entirely new feature added
+- "handoff": The request clearly falls in another agent's area (see OTHER AGENTS) and outside this agent's capabilities. Set handoff_agent_id to that agent's id. Use this even if the agent is not available. Never use it when no OTHER AGENTS are listed.
+
+IMPORTANT: If the user is talking about a specific job's results or data quality, that is "data_feedback", NOT "capability_tweak".
+
+Respond with JSON only (no markdown, no explanation):
+{
+  "request_type": "question" | "data_feedback" | "extraction_rule" | "capability_tweak" | "new_capability" | "handoff",
+  "matched_capability_id": "string or null",
+  "handoff_agent_id": "string or null",
+  "complexity": "low" | "medium" | "high",
+  "change_description": "brief description",
+  "affected_files": ["array of likely file paths"],
+  "can_auto_pr": true/false,
+  "requires_plan_approval": true/false,
+  "confidence": number from 0 to 1
+}`;
+}
+
+/**
+ * Turn the model's text into a classification. Unknown request types and
+ * capability ids are dropped rather than trusted; returns null when there's
+ * no JSON to parse.
+ */
+function parseClassification(text, capabilities = [], handoffTargets = []) {
+  // Extract JSON from response (handle potential markdown wrapping)
+  const jsonMatch = (text || '').match(/\{[\s\S]*\}/);
+  if (!jsonMatch) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonMatch[0]);
+  } catch {
+    return null;
+  }
+
+  if (!REQUEST_TYPES.includes(parsed.request_type)) parsed.request_type = 'question';
+  if (parsed.request_type === 'handoff' && handoffTargets.length === 0) {
+    parsed.request_type = 'question';
+    parsed.handoff_agent_id = null;
+  }
+  if (parsed.matched_capability_id && !capabilities.some(c => c.id === parsed.matched_capability_id)) {
+    parsed.matched_capability_id = null;
+  }
+  parsed.confidence = typeof parsed.confidence === 'number' ? parsed.confidence : null;
+  return parsed;
+}
+
+/**
+ * Which path a chat turn takes for a classification:
+ *   'proposal' - capability change, saved for approval and emailed
+ *   'handoff'  - another agent takes over (resolveHandoff)
+ *   'feedback' - data correction or rule, recent jobs are loaded as context
+ *   'reply'    - normal answer
+ */
+function routeClassification(classification) {
+  switch (classification?.request_type) {
+    case 'capability_tweak':
+    case 'new_capability':
+      return 'proposal';
+    case 'handoff':
+      return 'handoff';
+    case 'data_feedback':
+    case 'extraction_rule':
+      return 'feedback';
+    default:
+      return 'reply';
+  }
+}
+
+/**
+ * Classify a user request based on their messages and available capabilities.
+ * handoffTargets (from agent-handoff's getHandoffTargets) lets the classifier
+ * route a message to another agent. agent picks the classification model
+ * settings; the model that answered is returned as classification.model.
+ *
+ * The local pre-classifier runs first and the Claude call is skipped when it's
+ * confident (useLocal: false always asks the LLM). classification.stage is 'local'
+ * or 'llm', with its confidence; LLM results keep the local guess as .local.
+ */
+async function classifyRequest(messages, capabilities, anthropic, { handoffTargets = [], agent = null, useLocal = true } = {}) {
+  const lastUserMessage = messages.filter(m => m.role === 'user').pop();
+  if (!lastUserMessage) {
+    return { ...FALLBACK, stage: 'local', confidence: 1 };
+  }
+
+  const local = preclassify(lastUserMessage.content, capabilities, { handoffTargets });
+  if (useLocal && local.confidence >= LOCAL_CONFIDENCE_THRESHOLD) {
+    return { ...local, stage: 'local' };
+  }
+  const localGuess = { request_type: local.request_type, confidence: local.confidence, signals: local.signals };
+
+  try {
+    const response = await anthropic.messages.create({
+      ...toRequestParams(getModelConfig('classification', { agent })),
+      messages: [{ role: 'user', content: buildClassificationPrompt(lastUserMessage.content, capabilities, handoffTargets) }]
+    });
+
+    const parsed = parseClassification(response.content[0].text.trim(), capabilities, handoffTargets);
+    if (parsed) {
+      return { ...parsed, stage: 'llm', local: localGuess, model: response.model };
+    }
+    return { ...FALLBACK, stage: 'llm', confidence: 0, local: localGuess };
+  } catch (err) {
+    console.error('Classification error:', err.message);
+    return { ...FALLBACK, stage: 'llm', confidence: 0, local: localGuess };
+  }
+}
+
+module.exports = {
+  REQUEST_TYPES,
+  buildClassificationPrompt,
+  parseClassification,
+  routeClassification,
+  classifyRequest
+};
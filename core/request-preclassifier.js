@@ -0,0 +1,161 @@
+/**
+ * Request Pre-classifier - Cheap local classification before the LLM
+ *
+ * Scores the latest user message against intent patterns (greetings, job
+ * status questions, corrections, standing rules) and against each capability's
+ * triggers and example_requests. When the result is confident enough,
+ * classifyRequest uses it and skips the Claude call entirely.
+ *
+ * Anything that could become a proposal (capability_tweak, new_capability) or
+ * a handoff is never decided locally - those go to the LLM.
+ */
+
+// Below this, classifyRequest asks the LLM
+const LOCAL_CONFIDENCE_THRESHOLD = parseFloat(process.env.CLASSIFIER_LOCAL_THRESHOLD || '0.8');
+
+// Short messages that are only a greeting, thanks or acknowledgement
+const SMALL_TALK_PATTERN = /^(hi|hey|hello|howdy|yo|morning|good (morning|afternoon|evening)|thanks?( you)?|thx|ty|cheers|ok(ay)?|cool|great|perfect|nice|awesome|got it|sounds good|bye|see you|no worries|np)\b[\s\w,!.']*$/i;
+const SMALL_TALK_MAX_WORDS = 5;
+
+const STATUS_PATTERN = /\b(status|progress|how('s| is) (my|the|that) (job|extraction|run)|is (it|my job|the job) (done|finished|running)|still running|done yet|finished yet|how far along)\b/i;
+
+const CORRECTION_PATTERN = /\b(wrong|incorrect|isn'?t right|not right|should (be|say|have been)|shouldn'?t be|mislabel(l)?ed|typo|instead of)\b/i;
+
+const RULE_PATTERN = /\b(always|never|from now on|going forward|in the future|every time)\b/i;
+
+// Phrasing that suggests a change to the system itself - leave it to the LLM
+const CHANGE_REQUEST_PATTERN = /\b(add (a |an )?(new )?(field|feature|option|capability|column|button)|can you (build|make|change|add)|new feature|change how|could you support|feature request|integrate with)\b/i;
+
+// Style numbers, e.g. 1234ABC or style 5678. A bare number needs its letter
+// suffix - "2024", "100 styles" and "1990s" aren't styles.
+const STYLE_PATTERN = /\b(style\s*(no\.?|number)?\s*#?\s*\d[\w-]*|\d{3,6}(?!(st|nd|rd|th|s)\b)[a-z]{1,4})\b/i;
+const JOB_REFERENCE_PATTERN = /\b(last|latest|previous|that) (job|run|extraction|batch)\b|\bthe results?\b/i;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'to', 'for', 'of', 'in', 'on', 'is', 'are', 'it',
+  'i', 'me', 'my', 'you', 'your', 'we', 'can', 'could', 'do', 'does', 'what', 'this',
+  'these', 'that', 'with', 'from', 'be', 'some', 'need', 'have', 'please', 'help'
+]);
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9']+/g) || []).filter(t => !STOP_WORDS.has(t));
+}
+
+function includesPhrase(text, phrase) {
+  const escaped = phrase.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`\\b${escaped}\\b`).test(text);
+}
+
+/**
+ * Score each capability 0..1: a trigger phrase match counts most, then word
+ * overlap with the closest example request. Returns the best { id, score }.
+ */
+function scoreCapabilities(text, capabilities) {
+  const tokens = new Set(tokenize(text));
+  let best = { id: null, score: 0 };
+
+  for (const cap of capabilities) {
+    const triggerHits = (cap.triggers || []).filter(t => includesPhrase(text, t)).length;
+    const triggerScore = triggerHits > 0 ? Math.min(0.6 + 0.15 * (triggerHits - 1), 0.9) : 0;
+
+    let exampleScore = 0;
+    for (const example of cap.example_requests || []) {
+      const exampleTokens = new Set(tokenize(example));
+      if (exampleTokens.size === 0) continue;
+      const overlap = [...exampleTokens].filter(t => tokens.has(t)).length;
+      exampleScore = Math.max(exampleScore, overlap / new Set([...exampleTokens, ...tokens]).size);
+    }
+
+    const score = Math.min(Math.max(triggerScore, exampleScore) + (triggerScore && exampleScore ? exampleScore * 0.2 : 0), 1);
+    if (score > best.score) best = { id: cap.id, score };
+  }
+
+  return best;
+}
+
+function result(requestType, confidence, matchedCapabilityId, signals) {
+  return {
+    request_type: requestType,
+    matched_capability_id: matchedCapabilityId,
+    handoff_agent_id: null,
+    complexity: 'low',
+    change_description: '',
+    affected_files: [],
+    can_auto_pr: false,
+    requires_plan_approval: false,
+    confidence: Math.round(confidence * 100) / 100,
+    signals
+  };
+}
+
+function findCapability(capabilities, id) {
+  return capabilities.some(c => c.id === id) ? id : null;
+}
+
+/**
+ * Classify a message without calling a model. Always returns a classification;
+ * callers check confidence against LOCAL_CONFIDENCE_THRESHOLD.
+ */
+function preclassify(message, capabilities = [], { handoffTargets = [] } = {}) {
+  const text = (typeof message === 'string' ? message : '').trim();
+  if (!text) return result('question', 0, null, []);
+
+  const lower = text.toLowerCase();
+  const words = lower.split(/\s+/).length;
+  const best = scoreCapabilities(lower, capabilities);
+  const capabilityId = best.score >= 0.3 ? best.id : null;
+
+  // "ok that's wrong" starts like small talk, so any other intent wins
+  const otherIntent = [CHANGE_REQUEST_PATTERN, CORRECTION_PATTERN, RULE_PATTERN, STATUS_PATTERN].some(p => p.test(text));
+  if (words <= SMALL_TALK_MAX_WORDS && SMALL_TALK_PATTERN.test(text) && !otherIntent && !capabilityId) {
+    return result('question', 0.95, null, ['small_talk']);
+  }
+
+  if (CHANGE_REQUEST_PATTERN.test(text)) {
+    return result('question', 0, capabilityId, ['change_request']);
+  }
+
+  // Mentions of another agent's area need the LLM to decide on a handoff
+  const mentionsOtherAgent = handoffTargets.some(target =>
+    [target.id, target.name, ...(target.expertise || [])]
+      .filter(Boolean)
+      .some(term => includesPhrase(lower, term))
+  );
+  if (mentionsOtherAgent) {
+    return result('question', 0, capabilityId, ['other_agent']);
+  }
+
+  const signals = [];
+  const referencesData = STYLE_PATTERN.test(text) || JOB_REFERENCE_PATTERN.test(text);
+
+  if (RULE_PATTERN.test(text) && !CORRECTION_PATTERN.test(text) && !referencesData) {
+    signals.push('rule_phrasing');
+    // "always"/"never" alone is common in ordinary sentences, so lean on field words
+    const confidence = /\b(set|mark|use|extract|leave|put|treat|default)\b/i.test(text) ? 0.85 : 0.5;
+    return result('extraction_rule', confidence, findCapability(capabilities, 'feedback-loop') || capabilityId, signals);
+  }
+
+  if (CORRECTION_PATTERN.test(text)) {
+    signals.push('correction_phrasing');
+    if (referencesData) signals.push('data_reference');
+    return result('data_feedback', referencesData ? 0.9 : 0.6, findCapability(capabilities, 'feedback-loop') || capabilityId, signals);
+  }
+
+  if (STATUS_PATTERN.test(text)) {
+    signals.push('status_question');
+    return result('question', 0.85, findCapability(capabilities, 'tech-pack-extraction') || capabilityId, signals);
+  }
+
+  // Plain questions that clearly match one capability
+  if (capabilityId) signals.push(`capability:${best.id}`);
+  const isQuestion = /\?\s*$/.test(text) || /^(what|which|how|who|where|when|why|does|do|is|are|can you tell)\b/i.test(text);
+  if (isQuestion) signals.push('question_form');
+  const confidence = isQuestion && capabilityId ? Math.min(0.5 + best.score * 0.4, 0.85) : best.score * 0.5;
+  return result('question', confidence, capabilityId, signals);
+}
+
+module.exports = {
+  LOCAL_CONFIDENCE_THRESHOLD,
+  preclassify,
+  scoreCapabilities
+};
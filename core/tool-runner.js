@@ -0,0 +1,191 @@
+/**
+ * Tool Runner - Executes capability tools through Anthropic tool use
+ *
+ * Capabilities declare tools in capability.json (name, description, input_schema,
+ * handler). The handler is a module in the capability folder exporting a function
+ * under the tool's name: async (input, context) => result.
+ *
+ * runToolLoop() sends the tools with the chat request, executes any tool_use
+ * blocks Claude returns, feeds the results back, and repeats until Claude
+ * answers in plain text. Pass onText to stream the reply as it's generated.
+ *
+ * A tool runs only for users with its access_level (employee by default), so an
+ * agent open to external users doesn't open its tools to them too.
+ */
+
+const { loadCapabilityConfig } = require('./agent-loader');
+const { isCapabilityUsable } = require('./capability-status');
+const { hasRole, DEFAULT_ACCESS_LEVEL } = require('./auth');
+
+const MAX_TOOL_ROUNDS = 5;
+const MAX_RESULT_CHARS = 20000;
+
+/**
+ * Collect the tools exposed by an agent's usable (beta, active or deprecated) capabilities.
+ * If two capabilities declare the same tool name, the first one wins. With
+ * user, tools above their role are left out.
+ */
+function getAgentTools(agent, { user } = {}) {
+  const tools = [];
+  const seen = new Set();
+
+  for (const cap of agent.capabilities || []) {
+    if (!isCapabilityUsable(cap) || !Array.isArray(cap.tools)) continue;
+
+    for (const tool of cap.tools) {
+      if (seen.has(tool.name)) {
+        console.warn(`[tool-runner] Tool "${tool.name}" in ${cap.id} shadows an earlier definition, skipping`);
+        continue;
+      }
+      seen.add(tool.name);
+      const accessLevel = tool.access_level || DEFAULT_ACCESS_LEVEL;
+      if (user !== undefined && !hasRole(user, accessLevel)) continue;
+      tools.push({ ...tool, access_level: accessLevel, agent_id: agent.id, capability_id: cap.id });
+    }
+  }
+
+  return tools;
+}
+
+/**
+ * Strip our bookkeeping fields to get the definition the Messages API expects
+ */
+function toAnthropicTool(tool) {
+  return {
+    name: tool.name,
+    description: tool.description,
+    input_schema: tool.input_schema
+  };
+}
+
+/**
+ * Run a single tool. Never throws - failures come back as { is_error: true }
+ * so Claude can explain them to the user. A tool with an access_level needs
+ * context.user to have that role.
+ */
+async function executeTool(tool, input, context = {}) {
+  try {
+    if (tool.access_level && !hasRole(context.user, tool.access_level)) {
+      throw new Error(`${tool.name} needs the ${tool.access_level} role`);
+    }
+    const handlerModule = loadCapabilityConfig(tool.agent_id, tool.capability_id, tool.handler);
+    const handler = handlerModule && handlerModule[tool.name];
+
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler ${tool.handler} does not export "${tool.name}"`);
+    }
+
+    const result = await handler(input || {}, { ...context, agentId: tool.agent_id });
+    return { result: result === undefined ? null : result, is_error: false };
+  } catch (err) {
+    console.error(`[tool-runner] ${tool.name} failed: ${err.message}`);
+    return { result: { error: err.message }, is_error: true };
+  }
+}
+
+function serializeResult(result) {
+  const text = typeof result === 'string' ? result : JSON.stringify(result);
+  if (text.length <= MAX_RESULT_CHARS) return text;
+  return `${text.slice(0, MAX_RESULT_CHARS)}... [truncated ${text.length - MAX_RESULT_CHARS} chars]`;
+}
+
+/**
+ * Call the Messages API, streaming text deltas to onText when given
+ */
+async function createMessage(anthropic, request, onText) {
+  if (!onText) return anthropic.messages.create(request);
+
+  const stream = anthropic.messages.stream(request);
+  stream.on('text', onText);
+  return stream.finalMessage();
+}
+
+/**
+ * Run a chat turn with tools available.
+ *
+ * Returns the assistant text from every round, every tool call made along the
+ * way ({ name, input, result, is_error }), and the last API response.
+ * Optional callbacks: onText(delta) for streamed text, onToolCall(call) after
+ * each tool finishes.
+ */
+async function runToolLoop({
+  anthropic,
+  model,
+  maxTokens = 2048,
+  temperature,
+  system,
+  messages,
+  tools = [],
+  context = {},
+  onText = null,
+  onToolCall = null
+}) {
+  const toolsByName = new Map(tools.map(t => [t.name, t]));
+  const conversation = [...messages];
+  const toolCalls = [];
+  const textParts = [];
+  let response = null;
+
+  for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+    const request = { model, max_tokens: maxTokens, system, messages: conversation };
+    if (temperature !== undefined) request.temperature = temperature;
+
+    if (tools.length > 0) {
+      request.tools = tools.map(toAnthropicTool);
+      // Out of rounds - make Claude answer with what it has
+      if (round === MAX_TOOL_ROUNDS) request.tool_choice = { type: 'none' };
+    }
+
+    // Separate text from consecutive rounds the same way the final text is joined
+    let roundStarted = false;
+    const streamText = onText && ((delta) => {
+      if (!roundStarted && textParts.length > 0) onText('\n\n');
+      roundStarted = true;
+      onText(delta);
+    });
+
+    response = await createMessage(anthropic, request, streamText);
+
+    const roundText = response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n')
+      .trim();
+    if (roundText) textParts.push(roundText);
+
+    const toolUses = response.content.filter(block => block.type === 'tool_use');
+    if (response.stop_reason !== 'tool_use' || toolUses.length === 0) break;
+
+    const toolResults = [];
+    for (const use of toolUses) {
+      const tool = toolsByName.get(use.name);
+      const outcome = tool
+        ? await executeTool(tool, use.input, context)
+        : { result: { error: `Unknown tool: ${use.name}` }, is_error: true };
+
+      console.log(`[tool-runner] ${use.name} ${outcome.is_error ? 'failed' : 'ok'}`);
+      const call = { name: use.name, input: use.input, result: outcome.result, is_error: outcome.is_error };
+      toolCalls.push(call);
+      if (onToolCall) onToolCall(call);
+      toolResults.push({
+        type: 'tool_result',
+        tool_use_id: use.id,
+        content: serializeResult(outcome.result),
+        is_error: outcome.is_error
+      });
+    }
+
+    conversation.push({ role: 'assistant', content: response.content });
+    conversation.push({ role: 'user', content: toolResults });
+  }
+
+  return { text: textParts.join('\n\n'), toolCalls, response };
+}
+
+module.exports = {
+  MAX_TOOL_ROUNDS,
+  getAgentTools,
+  toAnthropicTool,
+  executeTool,
+  runToolLoop
+};
@@ -0,0 +1,330 @@
+/**
+ * VCS Backend - Where capability-change branches, commits and PRs go
+ *
+ * VCS_BACKEND picks the implementation:
+ *   github (default) - GitHub REST API (GITHUB_TOKEN, GITHUB_REPO_OWNER, GITHUB_REPO_NAME)
+ *   local            - a local clone (VCS_LOCAL_REPO, default: this checkout). Branches
+ *                      and commits are written with git plumbing, so the clone's working
+ *                      tree and checked-out branch are never touched. "PRs" are rows in
+ *                      local_pull_requests (migration 015_local_pull_requests.sql).
+ *
+ * The local backend lets development, tests and staging run the whole
+ * proposal -> approval -> PR flow without GitHub.
+ *
+ * Every backend has the same async methods:
+ *   getDefaultBranch()                                  -> branch name
+ *   getBranchSha(branch)                                -> commit sha
+ *   createBranch(name, fromBranch)                      -> commit sha
+ *   readFile(branch, filePath)                          -> { content, sha } | null
+ *   commitFile(branch, filePath, content, message, { sha }) -> commit sha
+ *   createPullRequest({ title, body, head, base, draft }) -> { url, number }
+ */
+
+const fs = require('fs');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { getSupabaseClient } = require('../shared/supabase-client');
+
+const VCS_BACKENDS = ['github', 'local'];
+const REPO_ROOT = path.join(__dirname, '..');
+
+// ─── GitHub ───
+
+/**
+ * Make a GitHub API request
+ */
+function githubAPI(method, path, body = null, { token = process.env.GITHUB_TOKEN } = {}) {
+  return new Promise((resolve, reject) => {
+    if (!token) {
+      reject(new Error('GITHUB_TOKEN not configured'));
+      return;
+    }
+
+    const options = {
+      hostname: 'api.github.com',
+      path: path,
+      method: method,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Accept': 'application/vnd.github.v3+json',
+        'User-Agent': 'LAGENCE-Platform',
+        'Content-Type': 'application/json'
+      }
+    };
+
+    const req = https.request(options, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          try {
+            resolve(JSON.parse(data));
+          } catch {
+            resolve(data);
+          }
+        } else {
+          const err = new Error(`GitHub API error: ${res.statusCode} - ${data}`);
+          err.statusCode = res.statusCode;
+          reject(err);
+        }
+      });
+    });
+
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+}
+
+class GitHubBackend {
+  constructor({
+    owner = process.env.GITHUB_REPO_OWNER || 'JadenLevitt',
+    repo = process.env.GITHUB_REPO_NAME || 'lagence-platform',
+    token = process.env.GITHUB_TOKEN,
+    baseBranch = process.env.VCS_BASE_BRANCH || 'main'
+  } = {}) {
+    this.name = 'github';
+    this.owner = owner;
+    this.repo = repo;
+    this.token = token;
+    this.baseBranch = baseBranch;
+  }
+
+  api(method, route, body = null) {
+    return githubAPI(method, `/repos/${this.owner}/${this.repo}${route}`, body, { token: this.token });
+  }
+
+  async getDefaultBranch() {
+    return this.baseBranch;
+  }
+
+  async getBranchSha(branch) {
+    const ref = await this.api('GET', `/git/ref/heads/${branch}`);
+    return ref.object.sha;
+  }
+
+  async createBranch(name, fromBranch) {
+    const sha = await this.getBranchSha(fromBranch);
+    await this.api('POST', '/git/refs', { ref: `refs/heads/${name}`, sha });
+    return sha;
+  }
+
+  async readFile(branch, filePath) {
+    try {
+      const file = await this.api('GET', `/contents/${filePath}?ref=${encodeURIComponent(branch)}`);
+      return { content: Buffer.from(file.content, 'base64').toString('utf-8'), sha: file.sha };
+    } catch (err) {
+      if (err.statusCode === 404) return null;
+      throw err;
+    }
+  }
+
+  async commitFile(branch, filePath, content, message, { sha = null } = {}) {
+    const result = await this.api('PUT', `/contents/${filePath}`, {
+      message,
+      content: Buffer.from(content).toString('base64'),
+      branch,
+      ...(sha ? { sha } : {})
+    });
+    return result.commit.sha;
+  }
+
+  async createPullRequest({ title, body, head, base, draft = false }) {
+    const pr = await this.api('POST', '/pulls', { title, body, head, base, draft });
+    return { url: pr.html_url, number: pr.number };
+  }
+}
+
+// ─── Local git ───
+
+/**
+ * Run git in a repo. Resolves with trimmed stdout; rejects with stderr.
+ */
+function runGit(repoPath, args, { input = null, env = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', args, { cwd: repoPath, env: { ...process.env, ...env } });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => stdout += chunk);
+    child.stderr.on('data', chunk => stderr += chunk);
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code === 0) resolve(stdout.replace(/\n$/, ''));
+      else reject(new Error(`git ${args[0]} failed: ${stderr.trim() || `exit code ${code}`}`));
+    });
+    if (input !== null) child.stdin.end(input);
+    else child.stdin.end();
+  });
+}
+
+class LocalGitBackend {
+  constructor({
+    repoPath = process.env.VCS_LOCAL_REPO || REPO_ROOT,
+    baseBranch = process.env.VCS_BASE_BRANCH || null,
+    authorName = process.env.VCS_AUTHOR_NAME || "L'AGENCE Platform",
+    authorEmail = process.env.VCS_AUTHOR_EMAIL || 'platform@localhost',
+    prUrlBase = process.env.VCS_LOCAL_PR_URL || '/api/vcs/pulls'
+  } = {}) {
+    this.name = 'local';
+    this.repoPath = path.resolve(repoPath);
+    this.baseBranch = baseBranch;
+    this.prUrlBase = prUrlBase.replace(/\/$/, '');
+    this.identity = {
+      GIT_AUTHOR_NAME: authorName,
+      GIT_AUTHOR_EMAIL: authorEmail,
+      GIT_COMMITTER_NAME: authorName,
+      GIT_COMMITTER_EMAIL: authorEmail
+    };
+  }
+
+  git(args, options) {
+    return runGit(this.repoPath, args, options);
+  }
+
+  async getDefaultBranch() {
+    if (!this.baseBranch) this.baseBranch = await this.git(['symbolic-ref', '--short', 'HEAD']);
+    return this.baseBranch;
+  }
+
+  getBranchSha(branch) {
+    return this.git(['rev-parse', '--verify', `refs/heads/${branch}^{commit}`]);
+  }
+
+  async createBranch(name, fromBranch) {
+    const sha = await this.getBranchSha(fromBranch);
+    // The empty old value makes update-ref fail if the branch already exists
+    await this.git(['update-ref', `refs/heads/${name}`, sha, '']);
+    return sha;
+  }
+
+  async readFile(branch, filePath) {
+    let sha;
+    try {
+      sha = await this.git(['rev-parse', '--verify', `refs/heads/${branch}:${filePath}`]);
+    } catch {
+      return null;
+    }
+    return { content: await this.readBlob(sha), sha };
+  }
+
+  /**
+   * Blob contents as-is (runGit strips the trailing newline)
+   */
+  readBlob(sha) {
+    return new Promise((resolve, reject) => {
+      const child = spawn('git', ['cat-file', 'blob', sha], { cwd: this.repoPath });
+      const chunks = [];
+      child.stdout.on('data', chunk => chunks.push(chunk));
+      child.on('error', reject);
+      child.on('close', code => code === 0
+        ? resolve(Buffer.concat(chunks).toString('utf-8'))
+        : reject(new Error(`git cat-file failed for ${sha}`)));
+    });
+  }
+
+  /**
+   * Commit one file to a branch without a checkout, using a scratch index.
+   * sha (the blob sha from readFile) guards against the file having changed.
+   */
+  async commitFile(branch, filePath, content, message, { sha = null } = {}) {
+    const parent = await this.getBranchSha(branch);
+
+    const existing = await this.git(['ls-tree', parent, '--', filePath]);
+    const [mode, , currentSha] = existing ? existing.split(/\s+/) : ['100644', null, null];
+    if (sha && currentSha !== sha) {
+      throw new Error(`${filePath} changed on ${branch} since it was read`);
+    }
+
+    const blob = await this.git(['hash-object', '-w', '--stdin'], { input: content });
+
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vcs-index-'));
+    const env = { GIT_INDEX_FILE: path.join(tmpDir, 'index') };
+    try {
+      await this.git(['read-tree', parent], { env });
+      await this.git(['update-index', '--add', '--cacheinfo', `${mode},${blob},${filePath}`], { env });
+      const tree = await this.git(['write-tree'], { env });
+      const commit = await this.git(['commit-tree', tree, '-p', parent, '-m', message], { env: this.identity });
+      // Only move the branch if nobody else did in the meantime
+      await this.git(['update-ref', `refs/heads/${branch}`, commit, parent]);
+      return commit;
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  }
+
+  async createPullRequest({ title, body, head, base, draft = false }) {
+    const [headSha, baseSha] = await Promise.all([this.getBranchSha(head), this.getBranchSha(base)]);
+
+    const supabase = getSupabaseClient();
+    const { data, error } = await supabase
+      .from('local_pull_requests')
+      .insert({
+        repo_path: this.repoPath,
+        title,
+        body,
+        head,
+        base,
+        head_sha: headSha,
+        base_sha: baseSha,
+        draft
+      })
+      .select('number')
+      .single();
+
+    if (error) throw new Error(`Failed to record pull request: ${error.message}`);
+    return { url: `${this.prUrlBase}/${data.number}`, number: data.number };
+  }
+
+  /**
+   * A recorded pull request with the diff between its base and head
+   */
+  async getPullRequest(number) {
+    const supabase = getSupabaseClient();
+    const { data, error } = await supabase
+      .from('local_pull_requests')
+      .select('*')
+      .eq('number', number)
+      .maybeSingle();
+
+    if (error) throw new Error(`Failed to load pull request: ${error.message}`);
+    if (!data) return null;
+
+    let diff = null;
+    try {
+      diff = await this.git(['diff', `${data.base_sha}...refs/heads/${data.head}`]);
+    } catch (err) {
+      diff = null;
+      console.error(`[vcs-backend] ${err.message}`);
+    }
+    return { ...data, diff };
+  }
+}
+
+// ─── Selection ───
+
+function createVcsBackend(name = process.env.VCS_BACKEND || 'github', options = {}) {
+  if (name === 'github') return new GitHubBackend(options);
+  if (name === 'local') return new LocalGitBackend(options);
+  throw new Error(`Unknown VCS_BACKEND "${name}" (expected one of: ${VCS_BACKENDS.join(', ')})`);
+}
+
+let backend = null;
+
+/**
+ * The backend configured by VCS_BACKEND, created on first use
+ */
+function getVcsBackend() {
+  if (!backend) backend = createVcsBackend();
+  return backend;
+}
+
+module.exports = {
+  VCS_BACKENDS,
+  GitHubBackend,
+  LocalGitBackend,
+  createVcsBackend,
+  getVcsBackend,
+  githubAPI
+};
@@ -0,0 +1,282 @@
+// Offline evaluation for request classification.
+//
+// Replays a labeled corpus (script/fixtures/classification/<agent>.json)
+// through classifyRequest - local pre-classifier, prompt, response parsing and
+// routing - with recorded model responses instead of live Claude calls, then
+// prints a confusion matrix. Exits non-zero when:
+//   - a message that isn't a change request would file a proposal
+//     (routeClassification === "proposal")
+//   - request_type or matched_capability_id accuracy of a corpus is below
+//     --min-accuracy (default 0.95)
+//   - a recording is stale or a case that needs the LLM has none
+//
+//   npm run eval:classification                       replay recordings
+//   npm run eval:classification -- --agent ecommerce  one corpus only
+//   npm run eval:classification -- --llm-only         skip the local stage
+//   npm run eval:classification -- --min-accuracy 1   fail on any mismatch
+//   npm run eval:classification -- --record           re-record with the live API
+//
+// Only cases the local stage can't settle call the model, so only those need
+// recordings; --record --llm-only records every case.
+//
+// Each recording stores a hash of the prompt it answered. After a prompt edit,
+// replay still runs but reports stale recordings and fails; re-record them.
+import { createHash } from "crypto";
+import fs from "fs";
+import path from "path";
+
+const REPO_ROOT = path.resolve(__dirname, "..");
+const FIXTURES_DIR = path.join(REPO_ROOT, "script", "fixtures", "classification");
+const DEFAULT_MIN_ACCURACY = 0.95;
+
+function loadModule(relativePath: string) {
+  return require(path.join(REPO_ROOT, relativePath));
+}
+
+const { loadAllAgents } = loadModule("core/agent-loader");
+const { getHandoffTargets } = loadModule("core/agent-handoff");
+const { REQUEST_TYPES, classifyRequest, routeClassification } = loadModule("core/request-classifier");
+
+interface Recording {
+  prompt_hash: string;
+  model: string | null;
+  text: string;
+}
+
+interface EvalCase {
+  id: string;
+  message: string;
+  expected: { request_type: string; matched_capability_id: string | null };
+  recorded?: Recording | null;
+}
+
+interface Corpus {
+  agent_id: string;
+  cases: EvalCase[];
+}
+
+interface CaseResult {
+  evalCase: EvalCase;
+  status: "ok" | "unrecorded";
+  stale: boolean;
+  classification: any;
+}
+
+function parseArgs(argv: string[]) {
+  const args = { agent: null as string | null, record: false, llmOnly: false, minAccuracy: DEFAULT_MIN_ACCURACY };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--agent") args.agent = argv[++i];
+    else if (argv[i] === "--record") args.record = true;
+    else if (argv[i] === "--llm-only") args.llmOnly = true;
+    else if (argv[i] === "--min-accuracy") args.minAccuracy = parseFloat(argv[++i]);
+    else throw new Error(`Unknown option: ${argv[i]}`);
+  }
+  if (!(args.minAccuracy >= 0 && args.minAccuracy <= 1)) {
+    throw new Error("--min-accuracy must be between 0 and 1");
+  }
+  return args;
+}
+
+function hashPrompt(prompt: string) {
+  return createHash("sha256").update(prompt).digest("hex").slice(0, 16);
+}
+
+// Stands in for the Anthropic client: answers from the case's recording, or
+// (when recording) forwards to the real API and keeps what it returned.
+function createReplayClient(live: any) {
+  const state = { evalCase: null as EvalCase | null, missing: false, stale: false };
+
+  const client = {
+    messages: {
+      create: async (params: any) => {
+        const evalCase = state.evalCase!;
+        const promptHash = hashPrompt(params.messages[0].content);
+
+        if (live) {
+          const response = await live.messages.create(params);
+          evalCase.recorded = { prompt_hash: promptHash, model: response.model, text: response.content[0].text };
+          return response;
+        }
+
+        if (!evalCase.recorded) {
+          state.missing = true;
+          throw new Error(`No recorded response for case "${evalCase.id}"`);
+        }
+        state.stale = evalCase.recorded.prompt_hash !== promptHash;
+        return { model: evalCase.recorded.model, content: [{ type: "text", text: evalCase.recorded.text }] };
+      },
+    },
+  };
+
+  return { client, state };
+}
+
+async function evaluateCorpus(corpus: Corpus, agents: Record<string, any>, options: { live: any; llmOnly: boolean }) {
+  const agent = agents[corpus.agent_id];
+  if (!agent) throw new Error(`Agent "${corpus.agent_id}" isn't loaded`);
+
+  const registry = { getAgent: (id: string) => agents[id] || null };
+  const handoffTargets = getHandoffTargets(agent, registry);
+  const { client, state } = createReplayClient(options.live);
+  const results: CaseResult[] = [];
+
+  for (const evalCase of corpus.cases) {
+    Object.assign(state, { evalCase, missing: false, stale: false });
+    const classification = await classifyRequest(
+      [{ role: "user", content: evalCase.message }],
+      agent.capabilities,
+      client,
+      { handoffTargets, agent, useLocal: !options.llmOnly }
+    );
+    results.push({
+      evalCase,
+      status: state.missing ? "unrecorded" : "ok",
+      stale: state.stale,
+      classification,
+    });
+  }
+
+  return results;
+}
+
+function pad(value: string | number, width: number) {
+  return String(value).padStart(width);
+}
+
+function printConfusionMatrix(results: CaseResult[]) {
+  const types: string[] = REQUEST_TYPES;
+  const matrix: Record<string, Record<string, number>> = {};
+  for (const expected of types) {
+    matrix[expected] = Object.fromEntries(types.map((t) => [t, 0]));
+  }
+  for (const { evalCase, classification } of results) {
+    const expected = evalCase.expected.request_type;
+    const actual = types.includes(classification.request_type) ? classification.request_type : "question";
+    if (matrix[expected]) matrix[expected][actual]++;
+  }
+
+  const labelWidth = Math.max(...types.map((t) => t.length), "expected \\ actual".length);
+  const colWidth = Math.max(...types.map((t) => t.length)) + 2;
+  console.log(`${"expected \\ actual".padEnd(labelWidth)}${types.map((t) => pad(t, colWidth)).join("")}`);
+  for (const expected of types) {
+    const row = types.map((actual) => pad(matrix[expected][actual] || ".", colWidth)).join("");
+    console.log(`${expected.padEnd(labelWidth)}${row}`);
+  }
+}
+
+function summarize(agentId: string, results: CaseResult[]) {
+  const scored = results.filter((r) => r.status === "ok");
+  const unrecorded = results.filter((r) => r.status === "unrecorded");
+  const stale = scored.filter((r) => r.stale);
+
+  const typeCorrect = scored.filter((r) => r.classification.request_type === r.evalCase.expected.request_type);
+  const capabilityCorrect = scored.filter(
+    (r) => (r.classification.matched_capability_id || null) === r.evalCase.expected.matched_capability_id
+  );
+  const bogusProposals = scored.filter(
+    (r) =>
+      routeClassification(r.classification) === "proposal" &&
+      routeClassification(r.evalCase.expected) !== "proposal"
+  );
+  const missedProposals = scored.filter(
+    (r) =>
+      routeClassification(r.classification) !== "proposal" &&
+      routeClassification(r.evalCase.expected) === "proposal"
+  );
+
+  const percent = (n: number) => (scored.length ? `${Math.round((n / scored.length) * 100)}%` : "n/a");
+
+  console.log(`\n=== ${agentId}: ${results.length} cases ===\n`);
+  printConfusionMatrix(scored);
+
+  console.log(`\nrequest_type accuracy:          ${typeCorrect.length}/${scored.length} (${percent(typeCorrect.length)})`);
+  console.log(`matched_capability_id accuracy: ${capabilityCorrect.length}/${scored.length} (${percent(capabilityCorrect.length)})`);
+  for (const stage of ["local", "llm"]) {
+    const inStage = scored.filter((r) => r.classification.stage === stage);
+    const correct = inStage.filter((r) => r.classification.request_type === r.evalCase.expected.request_type);
+    console.log(`  ${stage.padEnd(5)} stage: ${correct.length}/${inStage.length} correct`);
+  }
+  console.log(`bogus proposals (would email the team): ${bogusProposals.length}`);
+  console.log(`missed proposals:                       ${missedProposals.length}`);
+
+  const mismatches = scored.filter((r) => !typeCorrect.includes(r) || !capabilityCorrect.includes(r));
+  if (mismatches.length > 0) {
+    console.log("\nMismatches:");
+    for (const { evalCase, classification } of mismatches) {
+      console.log(
+        `  [${evalCase.id}] "${evalCase.message}"\n` +
+          `    expected ${evalCase.expected.request_type} / ${evalCase.expected.matched_capability_id}, ` +
+          `got ${classification.request_type} / ${classification.matched_capability_id || null} ` +
+          `(${classification.stage} ${classification.confidence ?? "?"})`
+      );
+    }
+  }
+
+  if (stale.length > 0) {
+    console.log(`\n${stale.length} recording(s) answered an older prompt - re-run with --record:`);
+    for (const r of stale) console.log(`  ${r.evalCase.id}`);
+  }
+  if (unrecorded.length > 0) {
+    console.log(`\n${unrecorded.length} case(s) need the LLM but have no recording - re-run with --record:`);
+    for (const r of unrecorded) console.log(`  ${r.evalCase.id}`);
+  }
+
+  return {
+    bogusProposals: bogusProposals.length,
+    typeAccuracy: scored.length ? typeCorrect.length / scored.length : 1,
+    capabilityAccuracy: scored.length ? capabilityCorrect.length / scored.length : 1,
+    stale: stale.length,
+    unrecorded: unrecorded.length,
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const files = fs
+    .readdirSync(FIXTURES_DIR)
+    .filter((f) => f.endsWith(".json"))
+    .filter((f) => !args.agent || f === `${args.agent}.json`);
+  if (files.length === 0) throw new Error(`No classification fixtures found in ${FIXTURES_DIR}`);
+
+  let live = null;
+  if (args.record) {
+    const Anthropic = require("@anthropic-ai/sdk");
+    live = new Anthropic();
+  }
+
+  const agents = loadAllAgents();
+  const failures: string[] = [];
+
+  for (const file of files) {
+    const fixturePath = path.join(FIXTURES_DIR, file);
+    const corpus: Corpus = JSON.parse(fs.readFileSync(fixturePath, "utf-8"));
+    const results = await evaluateCorpus(corpus, agents, { live, llmOnly: args.llmOnly });
+    const summary = summarize(corpus.agent_id, results);
+    const agentId = corpus.agent_id;
+    if (summary.bogusProposals > 0) failures.push(`${agentId}: ${summary.bogusProposals} bogus proposal(s)`);
+    if (summary.typeAccuracy < args.minAccuracy) {
+      failures.push(`${agentId}: request_type accuracy ${Math.round(summary.typeAccuracy * 100)}% is below ${Math.round(args.minAccuracy * 100)}%`);
+    }
+    if (summary.capabilityAccuracy < args.minAccuracy) {
+      failures.push(`${agentId}: matched_capability_id accuracy ${Math.round(summary.capabilityAccuracy * 100)}% is below ${Math.round(args.minAccuracy * 100)}%`);
+    }
+    if (summary.stale > 0) failures.push(`${agentId}: ${summary.stale} stale recording(s)`);
+    if (summary.unrecorded > 0) failures.push(`${agentId}: ${summary.unrecorded} case(s) without a recording`);
+
+    if (args.record) {
+      fs.writeFileSync(fixturePath, JSON.stringify(corpus, null, 2) + "\n");
+      console.log(`\nSaved recordings to ${path.relative(REPO_ROOT, fixturePath)}`);
+    }
+  }
+
+  if (failures.length > 0) {
+    console.log(`\nFAILED:\n${failures.map((f) => `  ${f}`).join("\n")}`);
+    process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
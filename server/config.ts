@@ -1,7 +1,13 @@
 export const config = {
   supabaseUrl: process.env.SUPABASE_URL!,
   supabaseServiceKey: process.env.SUPABASE_SERVICE_KEY!,
+  supabaseAnonKey: process.env.SUPABASE_ANON_KEY,
   bearerToken: process.env.BEARER_TOKEN,
   googleClientId: process.env.GOOGLE_CLIENT_ID,
   port: parseInt(process.env.PORT || '3000', 10),
+  // Pages allowed to embed the chat widget against this server's API
+  widgetAllowedOrigins: (process.env.WIDGET_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map((origin) => origin.trim())
+    .filter(Boolean),
 };
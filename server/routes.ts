@@ -1,4 +1,4 @@
-import type { Express } from "express";
+import type { Express, Request, Response, NextFunction } from "express";
 import { createServer, type Server } from "http";
 import { createClient } from "@supabase/supabase-js";
 import { spawn } from "child_process";
@@ -22,16 +22,59 @@ const Anthropic = require("@anthropic-ai/sdk");
 const anthropic = new Anthropic();
 
 // Load agents from filesystem
-const {
-  loadAllAgents,
-  buildAgentSystemPrompt,
-} = loadModule("core/agent-loader");
+const { createAgentRegistry } = loadModule("core/agent-registry");
 
-const { classifyRequest } = loadModule("core/github-pr-service");
+const { approveProposal } = loadModule("core/github-pr-service");
+const { getVcsBackend } = loadModule("core/vcs-backend");
+const {
+  PROPOSAL_STATUSES,
+  fileProposal,
+  listProposals,
+  getProposal,
+  getProposalRow,
+  addProposalComment,
+  rejectProposal,
+  markProposalImplemented,
+  mergeProposals,
+  splitVote,
+} = loadModule("core/proposal-store");
+const { classifyRequest, routeClassification } = loadModule("core/request-classifier");
+const { getAgentTools, runToolLoop } = loadModule("core/tool-runner");
+const { getHandoffTargets, resolveHandoff } = loadModule("core/agent-handoff");
+const {
+  UUID_PATTERN,
+  getConversation,
+  getConversationAgentId,
+  listConversations,
+  getMessages,
+  beginTurn,
+  recordReply,
+  formatConversationExport,
+} = loadModule("core/conversation-store");
+const { MAX_MESSAGE_TOKENS, buildChatContext } = loadModule("core/conversation-memory");
+const { parseActions, handleAction, listActions, resolveAction, undoAction } = loadModule("core/chat-actions");
+const { getModelConfig } = loadModule("core/model-config");
+const { CAPABILITY_STATUSES } = loadModule("core/capability-status");
+const { jobSummary, watchJobProgress } = loadModule("core/job-progress");
+const {
+  isAuthDisabled,
+  getBearerToken,
+  authenticate,
+  hasRole,
+  canAccessAgent,
+  canAccessConversation,
+  userLabel,
+} = loadModule("core/auth");
 
 const { getAllFieldDefinitions } = loadModule(
   "agents/ecommerce/capabilities/tech-pack-extraction/extraction-config"
 );
+const { TECH_PACK_SOURCES, parseSourceSpecs } = loadModule(
+  "agents/ecommerce/capabilities/tech-pack-extraction/tech-pack-sources"
+);
+const { markRevisionsExported, listChangedSinceExport, changesToCsv } = loadModule(
+  "agents/ecommerce/capabilities/tech-pack-extraction/tech-pack-revisions"
+);
 
 // Shared services
 const { sendEmail, isEmailConfigured } = loadModule("shared/email-service");
@@ -44,19 +87,24 @@ const { processFeedbackPatterns, getActivePreferences } = loadModule(
 const { processDocument } = loadModule(
   "agents/ecommerce/capabilities/pdf-ingestion/pdf-processor"
 );
-const { renderTemplate, getAvailableTemplates } = loadModule(
+const { renderTemplate, textToHtml, getAvailableTemplates } = loadModule(
   "agents/ecommerce/capabilities/email-outreach/email-templates"
 );
 const { groupFieldsByTeam } = loadModule(
   "agents/ecommerce/capabilities/email-outreach/contacts-config"
 );
 
-// Agent auto-reload (hot-reload during development)
-let agents: Record<string, any> = loadAllAgents();
-console.log(`Loaded agents: ${Object.keys(agents).join(", ") || "none"}`);
-setInterval(() => {
-  agents = loadAllAgents();
-}, 30000);
+// Agent registry: watches agents/ and reloads only the agent whose files changed
+const agentRegistry = createAgentRegistry().start();
+console.log(
+  `Loaded agents: ${agentRegistry.getAgentIds().join(", ") || "none"}`
+);
+agentRegistry.on("change", (event: any) => {
+  const errorNote = event.errors.length
+    ? ` (${event.errors.length} manifest error(s))`
+    : "";
+  console.log(`Agent ${event.type}: ${event.agentId}${errorNote}`);
+});
 
 // Configure multer for file uploads (memory storage)
 const upload = multer({
@@ -104,42 +152,98 @@ setInterval(() => {
   });
 }, 60000);
 
+// ─── Auth ───
+// Every /api route needs a Supabase Auth JWT (Authorization: Bearer <token>)
+// except PUBLIC_API_PATHS. Roles: external < employee < admin (see core/auth.js).
+type Role = "external" | "employee" | "admin";
+type AuthUser = { id: string; email: string | null; name: string; role: Role };
+
+declare global {
+  namespace Express {
+    interface Request {
+      user?: AuthUser;
+    }
+  }
+}
+
+const PUBLIC_API_PATHS = new Set(["/api/auth/config"]);
+
+async function authenticateRequest(req: Request, res: Response, next: NextFunction) {
+  if (!req.path.startsWith("/api/") || PUBLIC_API_PATHS.has(req.path)) {
+    return next();
+  }
+
+  try {
+    const user = await authenticate(getBearerToken(req.headers.authorization));
+    if (!user) {
+      return res.status(401).json({ error: "Sign in required" });
+    }
+    req.user = user;
+    next();
+  } catch (e: any) {
+    console.error(`Auth error: ${e.message}`);
+    res.status(401).json({ error: "Could not verify session" });
+  }
+}
+
+function requireRole(role: Role) {
+  return (req: Request, res: Response, next: NextFunction) => {
+    if (!hasRole(req.user, role)) {
+      return res
+        .status(403)
+        .json({ error: `This requires the ${role} role` });
+    }
+    next();
+  };
+}
+
+const requireEmployee = requireRole("employee");
+const requireAdmin = requireRole("admin");
+
 // Email notification for capability change requests
 async function sendCapabilityChangeNotification({
   agentId,
   classification,
   userMessage,
+  conversationId = null,
+  submittedBy = null,
 }: {
   agentId: string;
   classification: any;
   userMessage: string;
+  conversationId?: string | null;
+  submittedBy?: string | null;
 }) {
   console.log(
     `Capability change request: ${classification.request_type} for ${agentId}`
   );
   console.log(`  Description: ${classification.change_description}`);
 
-  const { data, error } = await supabase
-    .from("capability_proposals")
-    .insert({
-      agent_id: agentId,
-      title: classification.change_description,
-      description: userMessage,
-      complexity: classification.complexity,
-      status: "pending_approval",
-      proposed_changes: {
-        request_type: classification.request_type,
-        affected_files: classification.affected_files,
-        matched_capability: classification.matched_capability_id,
-      },
-    })
-    .select()
-    .single();
+  let filed;
+  try {
+    filed = await fileProposal({
+      agentId,
+      classification,
+      userMessage,
+      conversationId,
+      submittedBy,
+    });
+  } catch (e: any) {
+    console.log(e.message);
+    return { success: false, error: e.message };
+  }
 
-  if (error) {
-    console.log(`Failed to save capability proposal: ${error.message}`);
-    return { success: false, error: error.message };
+  // A +1 on an existing proposal - the team already heard about it
+  if (filed.duplicate) {
+    console.log(`  Duplicate of ${filed.proposal.id} (${filed.proposal.vote_count} requests)`);
+    return {
+      success: true,
+      proposalId: filed.proposal.id,
+      duplicate: true,
+      voteCount: filed.proposal.vote_count,
+    };
   }
+  const data = filed.proposal;
 
   // Send email if Resend is configured
   const NOTIFICATION_EMAIL = process.env.NOTIFICATION_EMAIL;
@@ -170,7 +274,260 @@ async function sendCapabilityChangeNotification({
     }
   }
 
-  return { success: true, proposalId: data.id };
+  return { success: true, proposalId: data.id, duplicate: false };
+}
+
+// ─── Chat pipeline ───
+// Shared by /api/chat (one JSON response) and /api/chat/stream (SSE). `emit`
+// receives events as they happen: conversation, classification, handoff,
+// delta, tool_call, action. The return value is the final response payload.
+//
+// Clients send { conversation_id, message } and history is loaded from the
+// conversation store. A { messages } array without conversation_id still works
+// and starts a new thread seeded with that history. Long threads aren't
+// capped: older turns are summarized into a memory block (conversation-memory).
+type ChatEmit = (event: string, data: any) => void;
+type ChatRequest =
+  | { status: number; error: string }
+  | { agent: any; user: AuthUser; conversation: any; messages: any[]; userMessageId: string | null };
+
+async function prepareChatRequest(req: Request): Promise<ChatRequest> {
+  const clientIP = req.ip || req.socket.remoteAddress || "unknown";
+  if (!checkRateLimit(clientIP)) {
+    return {
+      status: 429,
+      error: "Rate limit exceeded. Try again in a minute.",
+    };
+  }
+
+  const body = req.body;
+  if (!body.conversation_id && !body.message && !Array.isArray(body.messages)) {
+    return { status: 400, error: "Missing message or messages array" };
+  }
+
+  const user = req.user!;
+  // Accept both agent_id and agent param; a continued thread stays with the
+  // agent it was handed off to
+  const agentId =
+    body.agent_id ||
+    body.agent ||
+    (await getConversationAgentId(body.conversation_id, {
+      canAccess: (conversation: any) => canAccessConversation(user, conversation),
+    })) ||
+    "ecommerce";
+  const agent = agentRegistry.getAgent(agentId);
+  if (!agent) {
+    return { status: 400, error: `Unknown agent: ${agentId}` };
+  }
+  if (!canAccessAgent(user, agent)) {
+    return { status: 403, error: `You don't have access to ${agent.name}` };
+  }
+
+  const turn = await beginTurn({
+    agentId: agent.id,
+    conversationId: body.conversation_id || null,
+    message: body.message || null,
+    messages: Array.isArray(body.messages) ? body.messages : null,
+    userId: user.id,
+    maxMessageTokens: MAX_MESSAGE_TOKENS,
+    canAccess: (conversation: any) => canAccessConversation(user, conversation),
+  });
+  if (turn.error) return { status: turn.status, error: turn.error };
+
+  return { agent, user, ...turn };
+}
+
+// Runs a turn and stores the reply on the conversation
+async function runStoredChatTurn(
+  request: Exclude<ChatRequest, { error: string }>,
+  emit: ChatEmit = () => {}
+) {
+  const { conversation, userMessageId } = request;
+  if (conversation) {
+    emit("conversation", {
+      conversation_id: conversation.id,
+      user_message_id: userMessageId,
+    });
+  }
+
+  const context = await buildChatContext({
+    conversation,
+    messages: request.messages,
+    anthropic,
+    agent: request.agent,
+  });
+  const result = await runChatTurn(request.agent, context.messages, emit, {
+    memory: context.memory,
+    conversationId: conversation?.id || null,
+    user: request.user,
+  });
+  const messageId = await recordReply(conversation, result);
+
+  return {
+    ...result,
+    conversation_id: conversation?.id || null,
+    message_id: messageId,
+  };
+}
+
+async function runChatTurn(
+  agent: any,
+  messages: any[],
+  emit: ChatEmit = () => {},
+  {
+    memory = "",
+    conversationId = null,
+    user,
+  }: { memory?: string; conversationId?: string | null; user: AuthUser }
+) {
+  console.log(`Chat request for agent: ${agent.name} (${userLabel(user)})`);
+
+  // Only hand off to agents this user is allowed to talk to
+  const canUse = (other: any) => canAccessAgent(user, other);
+  const classification = await classifyRequest(
+    messages,
+    agent.capabilities,
+    anthropic,
+    { handoffTargets: getHandoffTargets(agent, agentRegistry, { canUse }), agent }
+  );
+
+  console.log(
+    `Classification: ${classification.request_type} (${classification.complexity}) [${classification.stage} ${classification.confidence ?? "?"}]`
+  );
+  emit("classification", classification);
+  const route = routeClassification(classification);
+
+  // Handle capability change requests
+  if (route === "proposal") {
+    const lastUserMessage = messages
+      .filter((m: any) => m.role === "user")
+      .pop();
+    const userMessage = lastUserMessage?.content || "";
+
+    const result = await sendCapabilityChangeNotification({
+      agentId: agent.id,
+      classification,
+      userMessage,
+      conversationId,
+      submittedBy: userLabel(user),
+    });
+
+    const responseMessage = !result.success
+      ? `I understood your request but ran into a small issue saving it. Mind trying again?`
+      : result.duplicate
+        ? `Someone has already asked for this, so I've added your vote to that request. The team can see how many people want it.`
+        : `Got it! I've logged your request and sent it to the team for review. We'll follow up once it's ready.`;
+    const actionTaken = !result.success
+      ? null
+      : result.duplicate
+        ? { type: "proposal_voted", proposal_id: result.proposalId, vote_count: result.voteCount }
+        : { type: "proposal_created", proposal_id: result.proposalId };
+
+    emit("delta", { text: responseMessage });
+    if (actionTaken) emit("action", actionTaken);
+
+    return {
+      agent: { id: agent.id, name: agent.name },
+      message: responseMessage,
+      classification,
+      action_taken: actionTaken,
+    };
+  }
+
+  // If the message belongs to another agent, that agent answers from here on
+  const turn = await resolveHandoff({
+    classification,
+    agent,
+    registry: agentRegistry,
+    messages,
+    anthropic,
+    canUse,
+  });
+  const replyAgent = turn.agent;
+  if (turn.handoff) emit("handoff", turn.handoff);
+
+  // For data feedback / extraction rules, load recent job context
+  let jobContext = "";
+  if (route === "feedback") {
+    // Load the most recent completed jobs with extracted data
+    const { data: recentJobs } = await supabase
+      .from("jobs")
+      .select("id, file_name, status, extracted_data, created_at")
+      .eq("status", "completed")
+      .order("created_at", { ascending: false })
+      .limit(3);
+
+    if (recentJobs && recentJobs.length > 0) {
+      jobContext = "\n\n=== RECENT JOBS (for context) ===\n";
+      for (const job of recentJobs) {
+        jobContext += `\nJob ${job.id}: "${job.file_name}" (${job.status}, ${new Date(job.created_at).toLocaleDateString()})\n`;
+        if (job.extracted_data?.headers && job.extracted_data?.rows) {
+          const headers = job.extracted_data.headers as string[];
+          const rows = job.extracted_data.rows as Record<string, any>[];
+          // Show first few styles with their field values
+          const stylesToShow = Math.min(rows.length, 3);
+          for (let i = 0; i < stylesToShow; i++) {
+            const row = rows[i];
+            jobContext += `  Style ${i + 1}:\n`;
+            for (let j = 0; j < headers.length; j++) {
+              const val = row[headers[j]];
+              if (val && val !== "" && val !== "N/A") {
+                const display = typeof val === "object" ? JSON.stringify(val) : String(val);
+                jobContext += `    ${headers[j]}: ${display}\n`;
+              }
+            }
+          }
+          if (rows.length > stylesToShow) {
+            jobContext += `  ... and ${rows.length - stylesToShow} more styles\n`;
+          }
+        }
+      }
+      jobContext += `\nWhen the user points out wrong values, offer a correct_field action (or rerun_styles if a whole style came out wrong). If they describe a pattern that should apply to future extractions, output a set_extraction_rule action.\n`;
+    }
+  }
+
+  // For regular questions, get response from Claude. Capability tools are
+  // executed in a loop until Claude replies with plain text.
+  const chatModel = getModelConfig("chat", { agent: replyAgent });
+  const { text: rawMessage, toolCalls, response } = await runToolLoop({
+    anthropic,
+    model: chatModel.model,
+    maxTokens: chatModel.max_tokens,
+    temperature: chatModel.temperature,
+    system: (memory ? `${memory}\n` : "") + turn.systemPrompt + jobContext,
+    messages: turn.messages,
+    tools: getAgentTools(replyAgent, { user }),
+    context: { userId: userLabel(user), user },
+    onText: (text: string) => emit("delta", { text }),
+    onToolCall: (call: any) => emit("tool_call", call),
+  });
+
+  // Run (or queue for confirmation) any action block at the end of the reply
+  const { message: assistantMessage, actions } = parseActions(rawMessage);
+  let actionTaken: any = null;
+
+  if (actions.length > 1) {
+    console.warn(`[CHAT] ${actions.length} actions in one reply, only the first is used`);
+  }
+  if (actions.length > 0) {
+    actionTaken = await handleAction(replyAgent, actions[0], {
+      conversationId,
+      requestedBy: userLabel(user),
+      user,
+    });
+    emit("action", actionTaken);
+  }
+
+  // Streamed deltas include any action JSON; `message` is the cleaned text
+  return {
+    agent: { id: replyAgent.id, name: replyAgent.name },
+    message: assistantMessage,
+    classification,
+    action_taken: actionTaken,
+    tool_calls: toolCalls,
+    handoff: turn.handoff,
+    model: response?.model || chatModel.model,
+  };
 }
 
 export async function registerRoutes(
@@ -181,32 +538,93 @@ export async function registerRoutes(
   app.get("/health", (_req, res) => {
     res.json({
       status: "ok",
-      agents: Object.keys(agents),
+      agents: agentRegistry.getAgentIds(),
       uptime: process.uptime(),
     });
   });
 
+  // ─── Chat Widget ───
+  // The embeddable <lagence-chat> element (core/chat-widget.js). Other sites
+  // load it from here and call /api from their own origin, so those origins
+  // get CORS when listed in WIDGET_ALLOWED_ORIGINS.
+  app.get("/chat-widget.js", (_req, res) => {
+    res.set({
+      "Access-Control-Allow-Origin": "*",
+      "Cache-Control": "public, max-age=3600",
+    });
+    res.type("application/javascript");
+    res.sendFile(path.join(REPO_ROOT, "core/chat-widget.js"));
+  });
+
+  app.use("/api", (req, res, next) => {
+    const origin = req.headers.origin;
+    if (!origin || !config.widgetAllowedOrigins.includes(origin)) return next();
+
+    res.set({
+      "Access-Control-Allow-Origin": origin,
+      "Access-Control-Allow-Methods": "GET, POST, PUT, PATCH, DELETE, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type, Authorization",
+      Vary: "Origin",
+    });
+    if (req.method === "OPTIONS") {
+      res.sendStatus(204);
+      return;
+    }
+    next();
+  });
+
+  // ─── Auth ───
+  app.use(authenticateRequest);
+
+  // Public: what the client needs to sign in with Supabase Auth
+  app.get("/api/auth/config", (_req, res) => {
+    res.json({
+      supabaseUrl: config.supabaseUrl,
+      supabaseAnonKey: config.supabaseAnonKey || null,
+      authDisabled: isAuthDisabled(),
+    });
+  });
+
+  app.get("/api/auth/me", (req, res) => {
+    res.json({ user: req.user });
+  });
+
   // ─── Agent Routes ───
-  app.get("/api/agents", (_req, res) => {
+  // Only agents whose access_level the user meets are listed
+  app.get("/api/agents", (req, res) => {
     res.json({
-      agents: Object.values(agents).map((a: any) => ({
-        id: a.id,
-        name: a.name,
-        title: a.title,
-        greeting: a.greeting,
-        expertise: a.expertise,
-        url_patterns: a.url_patterns,
-      })),
+      agents: Object.values(agentRegistry.getAgents())
+        .filter((a: any) => canAccessAgent(req.user, a))
+        .map((a: any) => ({
+          id: a.id,
+          name: a.name,
+          title: a.title,
+          greeting: a.greeting,
+          expertise: a.expertise,
+          url_patterns: a.url_patterns || [],
+          branding: a.branding || {},
+          access_level: a.access_level || "employee",
+        })),
     });
   });
 
+  // Manifest load report: every agent.json / capability.json that was skipped and why.
+  // Registered before /api/agents/:id so "_diagnostics" isn't treated as an agent ID.
+  app.get("/api/agents/_diagnostics", requireAdmin, (_req, res) => {
+    const report = agentRegistry.getLoadReport();
+    res.json({ ok: report.errors.length === 0, ...report });
+  });
+
   app.get("/api/agents/:id", (req, res) => {
     const agentId = req.params.id;
-    const agent = agents[agentId];
+    const agent = agentRegistry.getAgent(agentId);
 
     if (!agent) {
       return res.status(404).json({ error: "Agent not found" });
     }
+    if (!canAccessAgent(req.user, agent)) {
+      return res.status(403).json({ error: `You don't have access to ${agent.name}` });
+    }
 
     res.json({
       agent: {
@@ -216,198 +634,256 @@ export async function registerRoutes(
         personality: agent.personality,
         greeting: agent.greeting,
         expertise: agent.expertise,
+        branding: agent.branding || {},
         capabilities: agent.capabilities.map((c: any) => ({
           id: c.id,
           name: c.name,
           description: c.description,
           triggers: c.triggers,
+          status: c.status,
+          manifest_status: c.manifest_status,
+          status_override: c.status_override,
+          ui_path: c.ui_path || null,
         })),
         knows_about_agents: agent.knows_about_agents,
       },
     });
   });
 
-  // ─── Chat with Agent ───
-  app.post("/api/chat", async (req, res) => {
-    const clientIP = req.ip || req.socket.remoteAddress || "unknown";
+  // Change a capability's lifecycle status without a redeploy.
+  // { status: null } reverts to the value in capability.json.
+  const capabilityStatusSchema = z.object({
+    status: z.enum(CAPABILITY_STATUSES).nullable(),
+    reason: z.string().max(500).optional(),
+  });
 
-    if (!checkRateLimit(clientIP)) {
-      return res
-        .status(429)
-        .json({ error: "Rate limit exceeded. Try again in a minute." });
+  app.put("/api/agents/:id/capabilities/:capabilityId/status", requireAdmin, async (req, res) => {
+    const parsed = capabilityStatusSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: `status must be null or one of: ${CAPABILITY_STATUSES.join(", ")}`,
+      });
     }
 
     try {
-      const body = req.body;
-
-      if (!body.messages || !Array.isArray(body.messages)) {
-        return res.status(400).json({ error: "Missing messages array" });
+      const capability = await agentRegistry.setCapabilityStatus(
+        req.params.id,
+        req.params.capabilityId,
+        {
+          status: parsed.data.status,
+          reason: parsed.data.reason || null,
+          updatedBy: userLabel(req.user),
+        }
+      );
+      if (!capability) {
+        return res.status(404).json({ error: "Capability not found" });
       }
 
-      if (body.messages.length > 50) {
-        return res
-          .status(400)
-          .json({ error: "Too many messages in conversation (max 50)" });
+      res.json({
+        capability: {
+          id: capability.id,
+          status: capability.status,
+          manifest_status: capability.manifest_status,
+          status_override: capability.status_override,
+        },
+      });
+    } catch (e: any) {
+      console.error(`Capability status error: ${e.message}`);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // ─── Chat with Agent ───
+  app.post("/api/chat", async (req, res) => {
+    try {
+      const request = await prepareChatRequest(req);
+      if ("error" in request) {
+        return res.status(request.status).json({ error: request.error });
       }
 
-      // Accept both agent_id and agent param
-      const agentId = body.agent_id || body.agent || "ecommerce";
-      const agent = agents[agentId];
+      const result = await runStoredChatTurn(request);
+      res.json(result);
+    } catch (e: any) {
+      console.error(`Chat error: ${e.message}`);
+      res.status(500).json({ error: e.message });
+    }
+  });
 
-      if (!agent) {
-        return res.status(400).json({ error: `Unknown agent: ${agentId}` });
-      }
+  // ─── Chat with Agent (streaming) ───
+  // Same pipeline as /api/chat, sent as Server-Sent Events:
+  //   conversation {conversation_id, user_message_id}, classification, handoff,
+  //   delta {text}, tool_call, action, done {full response}, error {error}
+  app.post("/api/chat/stream", async (req, res) => {
+    let request: ChatRequest;
+    try {
+      request = await prepareChatRequest(req);
+    } catch (e: any) {
+      console.error(`Chat stream error: ${e.message}`);
+      return res.status(500).json({ error: e.message });
+    }
+    if ("error" in request) {
+      return res.status(request.status).json({ error: request.error });
+    }
 
-      console.log(`Chat request for agent: ${agent.name}`);
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
 
-      const systemPrompt = buildAgentSystemPrompt(agentId);
+    let clientGone = false;
+    req.on("close", () => {
+      clientGone = true;
+    });
 
-      const classification = await classifyRequest(
-        body.messages,
-        agent.capabilities,
-        anthropic
-      );
+    const emit: ChatEmit = (event, data) => {
+      if (clientGone) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
 
-      console.log(
-        `Classification: ${classification.request_type} (${classification.complexity})`
-      );
+    try {
+      const result = await runStoredChatTurn(request, emit);
+      emit("done", result);
+    } catch (e: any) {
+      console.error(`Chat stream error: ${e.message}`);
+      emit("error", { error: e.message });
+    } finally {
+      res.end();
+    }
+  });
 
-      // Handle capability change requests
-      if (
-        classification.request_type === "capability_tweak" ||
-        classification.request_type === "new_capability"
-      ) {
-        const lastUserMessage = body.messages
-          .filter((m: any) => m.role === "user")
-          .pop();
-        const userMessage = lastUserMessage?.content || "";
-
-        const result = await sendCapabilityChangeNotification({
-          agentId,
-          classification,
-          userMessage,
-        });
+  // ─── Conversations ───
+  // Users see their own threads; admins can list anyone's with ?user_id=
+  app.get("/api/conversations", async (req, res) => {
+    try {
+      const conversations = await listConversations({
+        agentId: (req.query.agent_id as string) || null,
+        userId: hasRole(req.user, "admin")
+          ? (req.query.user_id as string) || null
+          : req.user!.id,
+        limit: Math.min(parseInt(req.query.limit as string) || 50, 200),
+        offset: parseInt(req.query.offset as string) || 0,
+      });
+      res.json({ conversations });
+    } catch (e: any) {
+      console.error(`Conversation list error: ${e.message}`);
+      res.status(500).json({ error: e.message });
+    }
+  });
 
-        const responseMessage = result.success
-          ? `Got it! I've logged your request and sent it to the team for review. We'll follow up once it's ready.`
-          : `I understood your request but ran into a small issue saving it. Mind trying again?`;
-
-        return res.json({
-          agent: { id: agent.id, name: agent.name },
-          message: responseMessage,
-          classification,
-          action_taken: result.success
-            ? { type: "proposal_created", proposal_id: result.proposalId }
-            : null,
-        });
-      }
+  // Resume a thread: the conversation plus every stored message
+  app.get("/api/conversations/:id", async (req, res) => {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(400).json({ error: "Invalid conversation id" });
+    }
 
-      // For data feedback / extraction rules, load recent job context
-      let jobContext = "";
-      if (
-        classification.request_type === "data_feedback" ||
-        classification.request_type === "extraction_rule"
-      ) {
-        // Load the most recent completed jobs with extracted data
-        const { data: recentJobs } = await supabase
-          .from("jobs")
-          .select("id, file_name, status, extracted_data, created_at")
-          .eq("status", "completed")
-          .order("created_at", { ascending: false })
-          .limit(3);
-
-        if (recentJobs && recentJobs.length > 0) {
-          jobContext = "\n\n=== RECENT JOBS (for context) ===\n";
-          for (const job of recentJobs) {
-            jobContext += `\nJob: "${job.file_name}" (${job.status}, ${new Date(job.created_at).toLocaleDateString()})\n`;
-            if (job.extracted_data?.headers && job.extracted_data?.rows) {
-              const headers = job.extracted_data.headers as string[];
-              const rows = job.extracted_data.rows as any[][];
-              // Show first few styles with their field values
-              const stylesToShow = Math.min(rows.length, 3);
-              for (let i = 0; i < stylesToShow; i++) {
-                const row = rows[i];
-                jobContext += `  Style ${i + 1}:\n`;
-                for (let j = 0; j < headers.length; j++) {
-                  const val = row[j];
-                  if (val && val !== "" && val !== "N/A") {
-                    const display = typeof val === "object" ? JSON.stringify(val) : String(val);
-                    jobContext += `    ${headers[j]}: ${display}\n`;
-                  }
-                }
-              }
-              if (rows.length > stylesToShow) {
-                jobContext += `  ... and ${rows.length - stylesToShow} more styles\n`;
-              }
-            }
-          }
-          jobContext += `\nWhen the user points out issues with specific fields, help them correct values. If they describe a pattern that should apply to future extractions, output a set_extraction_rule JSON action.\n`;
-        }
+    try {
+      const conversation = await getConversation(req.params.id);
+      if (!canAccessConversation(req.user, conversation)) {
+        return res.status(404).json({ error: "Conversation not found" });
       }
 
-      // For regular questions, get response from Claude
-      const response = await anthropic.messages.create({
-        model: "claude-sonnet-4-20250514",
-        max_tokens: 2048,
-        system: systemPrompt + jobContext,
-        messages: body.messages,
-      });
+      const messages = await getMessages(conversation.id);
+      res.json({ conversation, messages });
+    } catch (e: any) {
+      console.error(`Conversation load error: ${e.message}`);
+      res.status(500).json({ error: e.message });
+    }
+  });
 
-      const rawMessage = response.content[0].text;
+  // Download a thread as JSON (default) or Markdown
+  app.get("/api/conversations/:id/export", async (req, res) => {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(400).json({ error: "Invalid conversation id" });
+    }
 
-      // Check if Claude included a rule-setting action in the response
-      let assistantMessage = rawMessage;
-      let actionTaken: any = null;
+    const format = req.query.format === "markdown" ? "markdown" : "json";
 
-      const actionMatch = rawMessage.match(/\{[^{}]*"action_type"\s*:\s*"set_extraction_rule"[^{}]*\}/);
-      if (actionMatch) {
-        try {
-          const action = JSON.parse(actionMatch[0]);
-          if (action.field_name && action.rule_description) {
-            // Strip the JSON block from the visible message
-            assistantMessage = rawMessage.replace(actionMatch[0], "").trim();
-
-            // Save as a learned preference
-            const { error: ruleError } = await supabase
-              .from("learned_preferences")
-              .upsert(
-                {
-                  agent_id: agentId,
-                  preference_type: "extraction_rule",
-                  field_name: action.field_name,
-                  rule: action.rule_description,
-                  evidence_count: 1,
-                  confidence: action.confidence || 0.8,
-                  is_active: true,
-                  source_feedback_ids: [],
-                },
-                { onConflict: "agent_id,preference_type,field_name" }
-              );
-
-            if (!ruleError) {
-              actionTaken = {
-                type: "extraction_rule_created",
-                field_name: action.field_name,
-                rule: action.rule_description,
-              };
-              console.log(`[CHAT] Saved extraction rule for ${action.field_name}: ${action.rule_description}`);
-            } else {
-              console.error(`[CHAT] Failed to save rule: ${ruleError.message}`);
-            }
-          }
-        } catch {
-          // JSON parse failed — not a valid action, return full message as-is
-        }
+    try {
+      const conversation = await getConversation(req.params.id);
+      if (!canAccessConversation(req.user, conversation)) {
+        return res.status(404).json({ error: "Conversation not found" });
       }
 
-      res.json({
-        agent: { id: agent.id, name: agent.name },
-        message: assistantMessage,
-        classification,
-        action_taken: actionTaken,
+      const messages = await getMessages(conversation.id);
+      const ext = format === "markdown" ? "md" : "json";
+      res.setHeader(
+        "Content-Type",
+        format === "markdown" ? "text/markdown; charset=utf-8" : "application/json; charset=utf-8"
+      );
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="conversation-${conversation.id}.${ext}"`
+      );
+      res.send(formatConversationExport(conversation, messages, format));
+    } catch (e: any) {
+      console.error(`Conversation export error: ${e.message}`);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // ─── Chat Actions ───
+  // Destructive actions from chat replies wait here for the user to confirm.
+  // Non-admins only see and resolve actions from their own conversations.
+  const canAccessAction = async (user: AuthUser | undefined, action: any) => {
+    if (hasRole(user, "admin")) return true;
+    if (!action.conversation_id) return false;
+    return canAccessConversation(user, await getConversation(action.conversation_id));
+  };
+
+  app.get("/api/actions", async (req, res) => {
+    const conversationId = (req.query.conversation_id as string) || null;
+    if (!hasRole(req.user, "admin")) {
+      if (!conversationId || !UUID_PATTERN.test(conversationId)) {
+        return res.status(400).json({ error: "conversation_id is required" });
+      }
+      const conversation = await getConversation(conversationId).catch(() => null);
+      if (!canAccessConversation(req.user, conversation)) {
+        return res.status(404).json({ error: "Conversation not found" });
+      }
+    }
+
+    try {
+      const actions = await listActions({
+        status: (req.query.status as string) || null,
+        conversationId,
+        limit: Math.min(parseInt(req.query.limit as string) || 50, 200),
       });
+      res.json({ actions });
     } catch (e: any) {
-      console.error(`Chat error: ${e.message}`);
+      console.error(`Action list error: ${e.message}`);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.post("/api/actions/:id/:decision", async (req, res) => {
+    const { id, decision } = req.params;
+    if (decision !== "confirm" && decision !== "reject" && decision !== "undo") {
+      return res.status(404).json({ error: "Unknown action decision" });
+    }
+    if (!uuidSchema.safeParse(id).success) {
+      return res.status(400).json({ error: "Invalid action ID format" });
+    }
+
+    try {
+      const canAccess = (action: any) => canAccessAction(req.user, action);
+      // undo reverts an executed action that supports it (e.g. a learned rule)
+      const outcome = decision === "undo"
+        ? await undoAction(id, { undoneBy: userLabel(req.user), user: req.user, canAccess })
+        : await resolveAction(id, {
+            accept: decision === "confirm",
+            resolvedBy: userLabel(req.user),
+            user: req.user,
+            canAccess,
+          });
+      if (outcome.error && outcome.status) {
+        return res.status(outcome.status).json({ error: outcome.error });
+      }
+      res.json(outcome);
+    } catch (e: any) {
+      console.error(`Action ${decision} error: ${e.message}`);
       res.status(500).json({ error: e.message });
     }
   });
@@ -417,11 +893,17 @@ export async function registerRoutes(
   // Supplementary files can be sent as named fields (lineSheet, fabricWorkbook)
   // OR as generic "supplementary" files — the backend auto-detects type by extension:
   //   PDF → line_sheet,  CSV → fabric_workbook
-  app.post("/api/start-job", upload.fields([
+  // Tech packs come from "techPackSources" (comma list of gerber, local, supabase -
+  // tried in order, see tech-pack-sources.js) or TECH_PACK_SOURCES. A "techPacks"
+  // zip of PDFs is searched first. Local and zip tech packs are tried before the
+  // shared cache and never stored in it; other cached tech packs are reused unless
+  // "forceRefresh" is "true" or the style is in "forceRefreshStyles" (comma list).
+  app.post("/api/start-job", requireEmployee, upload.fields([
     { name: "file", maxCount: 1 },
     { name: "lineSheet", maxCount: 1 },
     { name: "fabricWorkbook", maxCount: 1 },
     { name: "supplementary", maxCount: 5 },
+    { name: "techPacks", maxCount: 1 },
   ]), async (req, res) => {
     const timestamp = new Date().toISOString();
     console.log(`\n${"=".repeat(60)}`);
@@ -432,6 +914,21 @@ export async function registerRoutes(
       const files = req.files as Record<string, Express.Multer.File[]> | undefined;
       const file = files?.file?.[0];
       const rowCount = parseInt(req.body.rowCount || "0", 10);
+      const techPacksZip = files?.techPacks?.[0];
+      const forceRefresh = String(req.body.forceRefresh || "") === "true";
+      const forceRefreshStyles = String(req.body.forceRefreshStyles || "")
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean);
+
+      let techPackSources: Array<Record<string, any>> | null = null;
+      if (req.body.techPackSources) {
+        try {
+          techPackSources = parseSourceSpecs(String(req.body.techPackSources));
+        } catch (e: any) {
+          return res.status(400).json({ error: e.message, expected: TECH_PACK_SOURCES });
+        }
+      }
 
       // Resolve supplementary files: explicit names take priority, then auto-detect
       let lineSheetFile = files?.lineSheet?.[0];
@@ -463,6 +960,7 @@ export async function registerRoutes(
         lineSheetName: lineSheetFile?.originalname,
         hasFabricWorkbook: !!fabricWorkbookFile,
         fabricWorkbookName: fabricWorkbookFile?.originalname,
+        techPacksName: techPacksZip?.originalname,
         rowCount,
       });
 
@@ -536,6 +1034,26 @@ export async function registerRoutes(
         }
       }
 
+      // Tech pack zip goes ahead of the job's other sources
+      if (techPacksZip) {
+        const tpPath = `${Date.now()}_techpacks_${techPacksZip.originalname}`;
+        const { error: tpError } = await supabase.storage
+          .from("job-inputs")
+          .upload(tpPath, techPacksZip.buffer, {
+            contentType: techPacksZip.mimetype,
+            upsert: false,
+          });
+        if (tpError) {
+          console.error(`[ERROR] Tech pack zip upload failed:`, tpError.message);
+          return res.status(500).json({ error: "Failed to upload tech pack zip", details: tpError.message });
+        }
+        techPackSources = [
+          { type: "local", zip: tpPath },
+          ...(techPackSources || parseSourceSpecs(process.env.TECH_PACK_SOURCES || undefined)),
+        ];
+        console.log(`[STEP 3d] Tech pack zip uploaded: ${tpPath}`);
+      }
+
       // Create job record
       const jobId = randomUUID();
       console.log(`[STEP 4] Generated job ID: ${jobId}`);
@@ -549,11 +1067,20 @@ export async function registerRoutes(
         status: "pending",
         progress_percent: 0,
         input_file_name: filePath,
-        submitted_by: "web-user",
+        submitted_by: userLabel(req.user),
       };
       if (Object.keys(supplementaryFiles).length > 0) {
         jobRecord.supplementary_files = supplementaryFiles;
       }
+      if (techPackSources) {
+        jobRecord.tech_pack_sources = techPackSources;
+      }
+      if (forceRefresh) {
+        jobRecord.force_refresh = true;
+      }
+      if (forceRefreshStyles.length > 0) {
+        jobRecord.force_refresh_styles = forceRefreshStyles;
+      }
       const { error: insertError } = await supabase.from("jobs").insert(jobRecord);
 
       if (insertError) {
@@ -598,6 +1125,7 @@ export async function registerRoutes(
         vmTriggered: true,
         message: "Job queued successfully",
         supplementaryFiles: Object.keys(supplementaryFiles),
+        techPackSources: (techPackSources || []).map((source) => source.type),
       });
     } catch (error: any) {
       console.error(`[FATAL ERROR] Start job failed:`, {
@@ -613,7 +1141,7 @@ export async function registerRoutes(
   // ─── Add Supplementary Files to Existing Job ───
   // Accepts any files; auto-classifies PDF → line_sheet, CSV → fabric_workbook.
   // Merges into existing supplementary_files, resets status to pending, re-spawns processor.
-  app.post("/api/jobs/:id/supplementary", upload.fields([
+  app.post("/api/jobs/:id/supplementary", requireEmployee, upload.fields([
     { name: "supplementary", maxCount: 5 },
   ]), async (req, res) => {
     try {
@@ -707,7 +1235,7 @@ export async function registerRoutes(
   });
 
   // ─── Job Status ───
-  app.get("/api/job-status/:id", async (req, res) => {
+  app.get("/api/job-status/:id", requireEmployee, async (req, res) => {
     try {
       const { id } = req.params;
 
@@ -727,34 +1255,60 @@ export async function registerRoutes(
         return res.status(404).json({ error: "Job not found" });
       }
 
-      // Extract clean file name (remove timestamp prefix if present)
-      let fileName = data.input_file_name || data.file_name || "Untitled";
-      const underscoreIndex = fileName.indexOf("_");
-      if (
-        underscoreIndex > 0 &&
-        /^\d+$/.test(fileName.substring(0, underscoreIndex))
-      ) {
-        fileName = fileName.substring(underscoreIndex + 1);
-      }
-
-      return res.json({
-        id: data.id,
-        status: data.status,
-        progressPercent: data.progress_percent || 0,
-        currentStyle: data.current_style || null,
-        outputSheetUrl: data.output_sheet_url || null,
-        fileName,
-        createdAt: data.created_at,
-        errorMessage: data.error_message || null,
-      });
+      return res.json(jobSummary(data));
     } catch (error) {
       console.error("Job status error:", error);
       return res.status(500).json({ error: "Internal server error" });
     }
   });
 
+  // ─── Job Events (live progress for chat job cards) ───
+  // Server-sent events: "job" whenever the row changes, then "done" (or
+  // "error") and the stream closes
+  const JOB_EVENTS_KEEPALIVE_MS = 15000;
+
+  app.get("/api/jobs/:id/events", requireEmployee, (req, res) => {
+    const { id } = req.params;
+    if (!uuidSchema.safeParse(id).success) {
+      return res.status(400).json({ error: "Invalid job ID format" });
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    const emit = (event: string, data: unknown) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    // Keeps proxies from closing a quiet stream while a long extraction runs
+    const keepalive = setInterval(() => res.write(": keepalive\n\n"), JOB_EVENTS_KEEPALIVE_MS);
+
+    const stop = watchJobProgress(id, {
+      onJob: (job: any) => emit("job", job),
+      onEnd: (end: { status?: string; error?: string }) => {
+        clearInterval(keepalive);
+        if (end.error) {
+          console.error(`[JOB EVENTS] ${id}: ${end.error}`);
+          emit("error", { error: end.error });
+        } else {
+          emit("done", { id, status: end.status });
+        }
+        res.end();
+      },
+    });
+
+    res.on("close", () => {
+      clearInterval(keepalive);
+      stop();
+    });
+  });
+
   // ─── Job Extracted Data (for review/correction UI) ───
-  app.get("/api/jobs/:id/extracted", async (req, res) => {
+  app.get("/api/jobs/:id/extracted", requireEmployee, async (req, res) => {
     try {
       const { id } = req.params;
 
@@ -809,7 +1363,7 @@ export async function registerRoutes(
   });
 
   // ─── Jobs List ───
-  app.get("/api/jobs", async (_req, res) => {
+  app.get("/api/jobs", requireEmployee, async (_req, res) => {
     try {
       const { data, error } = await supabase
         .from("jobs")
@@ -822,29 +1376,7 @@ export async function registerRoutes(
         return res.status(500).json({ error: "Failed to fetch jobs" });
       }
 
-      return res.json(
-        data.map((job: any) => {
-          let fileName =
-            job.input_file_name || job.file_name || "Untitled";
-          const underscoreIndex = fileName.indexOf("_");
-          if (
-            underscoreIndex > 0 &&
-            /^\d+$/.test(fileName.substring(0, underscoreIndex))
-          ) {
-            fileName = fileName.substring(underscoreIndex + 1);
-          }
-          return {
-            id: job.id,
-            status: job.status,
-            progressPercent: job.progress_percent || 0,
-            currentStyle: job.current_style || null,
-            outputSheetUrl: job.output_sheet_url || null,
-            fileName,
-            createdAt: job.created_at,
-            errorMessage: job.error_message || null,
-          };
-        })
-      );
+      return res.json(data.map((job: any) => jobSummary(job)));
     } catch (error) {
       console.error("Jobs list error:", error);
       return res.status(500).json({ error: "Internal server error" });
@@ -852,7 +1384,7 @@ export async function registerRoutes(
   });
 
   // ─── Create Google Sheet ───
-  app.post("/api/create-google-sheet", async (req, res) => {
+  app.post("/api/create-google-sheet", requireEmployee, async (req, res) => {
     try {
       const { accessToken, jobId, existingSpreadsheetId } = req.body;
 
@@ -1043,6 +1575,13 @@ export async function registerRoutes(
         .update({ status: "completed", output_sheet_url: sheetUrl })
         .eq("id", jobId);
 
+      // These tech pack revisions are now what was last exported
+      try {
+        await markRevisionsExported((extractedData as any)?.revisions, { supabase, jobId });
+      } catch (e: any) {
+        console.error("[Create Sheet] Failed to mark revisions exported:", e.message);
+      }
+
       console.log("[Create Sheet] Done, returning sheetUrl");
       return res.json({ sheetUrl });
     } catch (error) {
@@ -1054,7 +1593,7 @@ export async function registerRoutes(
   });
 
   // ─── Google Client ID ───
-  app.get("/api/google-client-id", (_req, res) => {
+  app.get("/api/google-client-id", requireEmployee, (_req, res) => {
     const clientId = config.googleClientId;
     if (!clientId) {
       return res
@@ -1065,7 +1604,7 @@ export async function registerRoutes(
   });
 
   // ─── Field Definitions (direct, no proxy) ───
-  app.get("/api/field-definitions", (_req, res) => {
+  app.get("/api/field-definitions", requireEmployee, (_req, res) => {
     res.json({
       capability: "tech-pack-extraction",
       fields: getAllFieldDefinitions(),
@@ -1073,7 +1612,7 @@ export async function registerRoutes(
   });
 
   // ─── CSV Download ───
-  app.get("/api/jobs/:id/csv", async (req, res) => {
+  app.get("/api/jobs/:id/csv", requireEmployee, async (req, res) => {
     try {
       const jobId = req.params.id;
       const { data: job, error: jobErr } = await supabase
@@ -1119,6 +1658,12 @@ export async function registerRoutes(
         (job.input_file_name || "export").replace(/\.[^.]+$/, "") +
         "_extracted.csv";
 
+      try {
+        await markRevisionsExported(job.extracted_data.revisions, { supabase, jobId });
+      } catch (e: any) {
+        console.error(`[CSV] Failed to mark revisions exported: ${e.message}`);
+      }
+
       res.set({
         "Content-Type": "text/csv",
         "Content-Disposition": `attachment; filename="${filename}"`,
@@ -1130,12 +1675,62 @@ export async function registerRoutes(
     }
   });
 
+  // ─── Tech Pack Changes Since Last Export ───
+  // Styles whose re-downloaded tech pack changed fields we'd already exported
+  // (see tech-pack-revisions.js). ?format=csv downloads one line per field.
+  const sendChanges = (res: Response, changedStyles: any[], filename: string, format: unknown) => {
+    if (format === "csv") {
+      res.set({
+        "Content-Type": "text/csv",
+        "Content-Disposition": `attachment; filename="${filename}"`,
+      });
+      return res.send(changesToCsv(changedStyles));
+    }
+    return res.json({ count: changedStyles.length, styles: changedStyles });
+  };
+
+  // Every style, across jobs, not exported since
+  app.get("/api/tech-pack-changes", requireEmployee, async (req, res) => {
+    try {
+      const changedStyles = await listChangedSinceExport({ supabase });
+      return sendChanges(res, changedStyles, "tech_pack_changes.csv", req.query.format);
+    } catch (e: any) {
+      console.error(`Tech pack changes error: ${e.message}`);
+      return res.status(500).json({ error: e.message });
+    }
+  });
+
+  // The styles one job flagged, kept after export (each has exported_at then)
+  app.get("/api/jobs/:id/changes", requireEmployee, async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!uuidSchema.safeParse(id).success) {
+        return res.status(400).json({ error: "Invalid job ID format" });
+      }
+
+      const { data: job, error } = await supabase
+        .from("jobs")
+        .select("id, changed_styles")
+        .eq("id", id)
+        .maybeSingle();
+      if (error || !job) {
+        return res.status(404).json({ error: "Job not found" });
+      }
+
+      const changedStyles = (job.changed_styles || []).map((style: any) => ({ ...style, job_id: id }));
+      return sendChanges(res, changedStyles, `job_${id}_changes.csv`, req.query.format);
+    } catch (e: any) {
+      console.error(`Job changes error: ${e.message}`);
+      return res.status(500).json({ error: e.message });
+    }
+  });
+
   // ═══════════════════════════════════════════════════
   // ─── Feedback Loop Endpoints ───
   // ═══════════════════════════════════════════════════
 
   // Submit feedback (response rating or field correction)
-  app.post("/api/feedback", async (req, res) => {
+  app.post("/api/feedback", requireEmployee, async (req, res) => {
     try {
       const {
         feedback_type,
@@ -1148,6 +1743,8 @@ export async function registerRoutes(
         user_comment,
         chat_context,
         agent_id,
+        message_id,
+        conversation_id,
       } = req.body;
 
       if (!feedback_type) {
@@ -1168,7 +1765,13 @@ export async function registerRoutes(
           corrected_value: corrected_value || null,
           style_number: style_number || null,
           user_comment: user_comment || null,
-          chat_context: chat_context || {},
+          chat_context: {
+            ...(chat_context || {}),
+            ...(conversation_id ? { conversation_id } : {}),
+            ...(message_id ? { message_id } : {}),
+          },
+          message_id: message_id || null,
+          submitted_by: userLabel(req.user),
         })
         .select()
         .single();
@@ -1205,7 +1808,7 @@ export async function registerRoutes(
   });
 
   // List feedback
-  app.get("/api/feedback", async (req, res) => {
+  app.get("/api/feedback", requireEmployee, async (req, res) => {
     try {
       let query = supabase
         .from("user_feedback")
@@ -1229,7 +1832,7 @@ export async function registerRoutes(
   });
 
   // Get active learned preferences
-  app.get("/api/learned-preferences", async (req, res) => {
+  app.get("/api/learned-preferences", requireEmployee, async (req, res) => {
     try {
       const agentId = (req.query.agent_id as string) || "ecommerce";
       const preferences = await getActivePreferences(agentId);
@@ -1240,7 +1843,7 @@ export async function registerRoutes(
   });
 
   // Toggle a learned preference on/off
-  app.post("/api/learned-preferences/:id/toggle", async (req, res) => {
+  app.post("/api/learned-preferences/:id/toggle", requireAdmin, async (req, res) => {
     try {
       const { id } = req.params;
 
@@ -1257,7 +1860,7 @@ export async function registerRoutes(
 
       const { data, error } = await supabase
         .from("learned_preferences")
-        .update({ is_active: !pref.is_active })
+        .update({ is_active: !pref.is_active, updated_by: userLabel(req.user) })
         .eq("id", id)
         .select()
         .single();
@@ -1270,7 +1873,7 @@ export async function registerRoutes(
   });
 
   // Manually trigger feedback pattern analysis
-  app.post("/api/feedback/process", async (req, res) => {
+  app.post("/api/feedback/process", requireAdmin, async (req, res) => {
     try {
       const agentId = req.body.agent_id || "ecommerce";
       const result = await processFeedbackPatterns(agentId);
@@ -1280,12 +1883,233 @@ export async function registerRoutes(
     }
   });
 
+  // ─── Capability Proposals ───
+  // Admin review queue for change requests filed from chat (core/proposal-store).
+  // Approving a proposal opens a PR for it.
+  const proposalListSchema = z.object({
+    status: z.enum(["open", ...PROPOSAL_STATUSES] as [string, ...string[]]).optional(),
+    agent_id: z.string().optional(),
+    request_type: z.enum(["capability_tweak", "new_capability"]).optional(),
+    q: z.string().max(200).optional(),
+    sort: z.enum(["newest", "demand"]).default("newest"),
+    limit: z.coerce.number().int().min(1).max(200).default(50),
+    offset: z.coerce.number().int().min(0).default(0),
+  });
+
+  app.get("/api/proposals", requireAdmin, async (req, res) => {
+    const parsed = proposalListSchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+
+    try {
+      const { status, agent_id, request_type, q, sort, limit, offset } = parsed.data;
+      const result = await listProposals({
+        status: status || null,
+        agentId: agent_id || null,
+        requestType: request_type || null,
+        search: q || null,
+        sort,
+        limit,
+        offset,
+      });
+      res.json(result);
+    } catch (e: any) {
+      console.error(`Proposal list error: ${e.message}`);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.get("/api/proposals/:id", requireAdmin, async (req, res) => {
+    if (!uuidSchema.safeParse(req.params.id).success) {
+      return res.status(400).json({ error: "Invalid proposal ID format" });
+    }
+
+    try {
+      const proposal = await getProposal(req.params.id);
+      if (!proposal) {
+        return res.status(404).json({ error: "Proposal not found" });
+      }
+      res.json({ proposal });
+    } catch (e: any) {
+      console.error(`Proposal error: ${e.message}`);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  const proposalCommentSchema = z.object({
+    body: z.string().trim().min(1).max(5000),
+  });
+
+  app.post("/api/proposals/:id/comments", requireAdmin, async (req, res) => {
+    if (!uuidSchema.safeParse(req.params.id).success) {
+      return res.status(400).json({ error: "Invalid proposal ID format" });
+    }
+    const parsed = proposalCommentSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: "Comment body is required" });
+    }
+
+    try {
+      if (!(await getProposalRow(req.params.id))) {
+        return res.status(404).json({ error: "Proposal not found" });
+      }
+      const comment = await addProposalComment(req.params.id, {
+        author: userLabel(req.user),
+        body: parsed.data.body,
+      });
+      res.status(201).json({ comment });
+    } catch (e: any) {
+      console.error(`Proposal comment error: ${e.message}`);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  app.post("/api/proposals/:id/approve", requireAdmin, async (req, res) => {
+    if (!uuidSchema.safeParse(req.params.id).success) {
+      return res.status(400).json({ error: "Invalid proposal ID format" });
+    }
+
+    const result = await approveProposal(req.params.id, {
+      reviewedBy: userLabel(req.user),
+      anthropic,
+    });
+    if (!result.success) {
+      return res.status(result.status || 500).json({ error: result.error });
+    }
+    return res.json(result);
+  });
+
+  const proposalRejectSchema = z.object({
+    reason: z.string().trim().max(2000).optional(),
+  });
+
+  app.post("/api/proposals/:id/reject", requireAdmin, async (req, res) => {
+    if (!uuidSchema.safeParse(req.params.id).success) {
+      return res.status(400).json({ error: "Invalid proposal ID format" });
+    }
+    const parsed = proposalRejectSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ error: "reason must be a string" });
+    }
+
+    try {
+      const outcome = await rejectProposal(req.params.id, {
+        reviewedBy: userLabel(req.user),
+        reason: parsed.data.reason || null,
+      });
+      if (outcome.error) {
+        return res.status(outcome.status).json({ error: outcome.error });
+      }
+      res.json(outcome);
+    } catch (e: any) {
+      console.error(`Proposal reject error: ${e.message}`);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  const proposalImplementedSchema = z.object({
+    pr_url: z.string().url().optional(),
+  });
+
+  app.post("/api/proposals/:id/implemented", requireAdmin, async (req, res) => {
+    if (!uuidSchema.safeParse(req.params.id).success) {
+      return res.status(400).json({ error: "Invalid proposal ID format" });
+    }
+    const parsed = proposalImplementedSchema.safeParse(req.body || {});
+    if (!parsed.success) {
+      return res.status(400).json({ error: "pr_url must be a URL" });
+    }
+
+    try {
+      const outcome = await markProposalImplemented(req.params.id, {
+        implementedBy: userLabel(req.user),
+        prUrl: parsed.data.pr_url || null,
+      });
+      if (outcome.error) {
+        return res.status(outcome.status).json({ error: outcome.error });
+      }
+      res.json(outcome);
+    } catch (e: any) {
+      console.error(`Proposal update error: ${e.message}`);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  const proposalMergeSchema = z.object({
+    proposal_ids: z.array(uuidSchema).min(1).max(50),
+  });
+
+  // Fold other proposals into this one as +1 votes
+  app.post("/api/proposals/:id/merge", requireAdmin, async (req, res) => {
+    if (!uuidSchema.safeParse(req.params.id).success) {
+      return res.status(400).json({ error: "Invalid proposal ID format" });
+    }
+    const parsed = proposalMergeSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: "proposal_ids must be a list of proposal IDs" });
+    }
+
+    try {
+      const outcome = await mergeProposals(req.params.id, parsed.data.proposal_ids, {
+        mergedBy: userLabel(req.user),
+      });
+      if (outcome.error) {
+        return res.status(outcome.status).json({ error: outcome.error });
+      }
+      res.json(outcome);
+    } catch (e: any) {
+      console.error(`Proposal merge error: ${e.message}`);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // Take a vote (or a merged proposal) back out of this proposal's cluster
+  app.post("/api/proposals/:id/votes/:voteId/split", requireAdmin, async (req, res) => {
+    if (!uuidSchema.safeParse(req.params.id).success || !uuidSchema.safeParse(req.params.voteId).success) {
+      return res.status(400).json({ error: "Invalid ID format" });
+    }
+
+    try {
+      const outcome = await splitVote(req.params.id, req.params.voteId);
+      if (outcome.error) {
+        return res.status(outcome.status).json({ error: outcome.error });
+      }
+      res.json(outcome);
+    } catch (e: any) {
+      console.error(`Proposal split error: ${e.message}`);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // A pull request recorded by the local git backend, with its diff
+  app.get("/api/vcs/pulls/:number", requireAdmin, async (req, res) => {
+    const number = Number(req.params.number);
+    if (!Number.isInteger(number) || number < 1) {
+      return res.status(400).json({ error: "Invalid pull request number" });
+    }
+
+    const vcs = getVcsBackend();
+    if (vcs.name !== "local") {
+      return res.status(404).json({ error: "Pull requests are only recorded locally when VCS_BACKEND=local" });
+    }
+
+    try {
+      const pull = await vcs.getPullRequest(number);
+      if (!pull) return res.status(404).json({ error: "Pull request not found" });
+      res.json({ pull });
+    } catch (e: any) {
+      console.error(`Local pull request error: ${e.message}`);
+      res.status(500).json({ error: e.message });
+    }
+  });
+
   // ═══════════════════════════════════════════════════
   // ─── PDF Ingestion Endpoints ───
   // ═══════════════════════════════════════════════════
 
   // Upload a PDF document
-  app.post("/api/documents/upload", upload.single("file"), async (req, res) => {
+  app.post("/api/documents/upload", requireEmployee, upload.single("file"), async (req, res) => {
     try {
       const file = req.file;
       if (!file) {
@@ -1324,6 +2148,7 @@ export async function registerRoutes(
           document_type: req.body.document_type || null,
           job_id: req.body.job_id || null,
           agent_id: req.body.agent_id || "ecommerce",
+          uploaded_by: userLabel(req.user),
         })
         .select()
         .single();
@@ -1343,7 +2168,7 @@ export async function registerRoutes(
   });
 
   // Trigger extraction on an uploaded document
-  app.post("/api/documents/:id/extract", async (req, res) => {
+  app.post("/api/documents/:id/extract", requireEmployee, async (req, res) => {
     try {
       const { id } = req.params;
       const result = await processDocument(id);
@@ -1355,7 +2180,7 @@ export async function registerRoutes(
   });
 
   // Get a document and its extracted data
-  app.get("/api/documents/:id", async (req, res) => {
+  app.get("/api/documents/:id", requireEmployee, async (req, res) => {
     try {
       const { id } = req.params;
       const { data, error } = await supabase
@@ -1375,7 +2200,7 @@ export async function registerRoutes(
   });
 
   // List uploaded documents
-  app.get("/api/documents", async (req, res) => {
+  app.get("/api/documents", requireEmployee, async (req, res) => {
     try {
       let query = supabase
         .from("uploaded_documents")
@@ -1396,7 +2221,7 @@ export async function registerRoutes(
   });
 
   // Merge extracted PDF data into a job using data-merger
-  app.post("/api/documents/:id/merge/:jobId", async (req, res) => {
+  app.post("/api/documents/:id/merge/:jobId", requireEmployee, async (req, res) => {
     try {
       const { id, jobId } = req.params;
 
@@ -1451,7 +2276,7 @@ export async function registerRoutes(
   });
 
   // Get data sources for a job
-  app.get("/api/jobs/:id/sources", async (req, res) => {
+  app.get("/api/jobs/:id/sources", requireEmployee, async (req, res) => {
     try {
       const { id } = req.params;
       const validId = uuidSchema.safeParse(id);
@@ -1522,7 +2347,7 @@ export async function registerRoutes(
   });
 
   // Update source priority for a job
-  app.put("/api/jobs/:id/priority", async (req, res) => {
+  app.put("/api/jobs/:id/priority", requireEmployee, async (req, res) => {
     try {
       const { id } = req.params;
       const { priority } = req.body;
@@ -1553,7 +2378,7 @@ export async function registerRoutes(
   // ═══════════════════════════════════════════════════
 
   // List team contacts
-  app.get("/api/team-contacts", async (_req, res) => {
+  app.get("/api/team-contacts", requireEmployee, async (_req, res) => {
     try {
       const { data, error } = await supabase
         .from("team_contacts")
@@ -1569,7 +2394,7 @@ export async function registerRoutes(
   });
 
   // Add or update a team contact
-  app.post("/api/team-contacts", async (req, res) => {
+  app.post("/api/team-contacts", requireEmployee, async (req, res) => {
     try {
       const { team_name, contact_name, email, data_domains, agent_id } =
         req.body;
@@ -1604,7 +2429,7 @@ export async function registerRoutes(
   });
 
   // Draft an outreach email
-  app.post("/api/outreach/draft", async (req, res) => {
+  app.post("/api/outreach/draft", requireEmployee, async (req, res) => {
     try {
       const {
         template_id,
@@ -1697,7 +2522,7 @@ export async function registerRoutes(
   });
 
   // Approve and send an outreach email
-  app.post("/api/outreach/:id/approve", async (req, res) => {
+  app.post("/api/outreach/:id/approve", requireAdmin, async (req, res) => {
     try {
       const { id } = req.params;
 
@@ -1732,7 +2557,7 @@ export async function registerRoutes(
         .update({
           status: "sent",
           sent_at: new Date().toISOString(),
-          approved_by: req.body.approved_by || "web-user",
+          approved_by: userLabel(req.user),
           resend_message_id: sendResult.id || null,
         })
         .eq("id", id)
@@ -1748,7 +2573,7 @@ export async function registerRoutes(
   });
 
   // List outreach email history
-  app.get("/api/outreach", async (req, res) => {
+  app.get("/api/outreach", requireEmployee, async (req, res) => {
     try {
       let query = supabase
         .from("outreach_emails")
@@ -1768,9 +2593,75 @@ export async function registerRoutes(
   });
 
   // Get available email templates
-  app.get("/api/outreach/templates", (_req, res) => {
+  app.get("/api/outreach/templates", requireEmployee, (_req, res) => {
     res.json({ templates: getAvailableTemplates() });
   });
 
+  // Get one outreach email (the chat widget's draft card)
+  app.get("/api/outreach/:id", requireEmployee, async (req, res) => {
+    if (!uuidSchema.safeParse(req.params.id).success) {
+      return res.status(400).json({ error: "Invalid email ID format" });
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from("outreach_emails")
+        .select("*")
+        .eq("id", req.params.id)
+        .maybeSingle();
+
+      if (error) return res.status(500).json({ error: error.message });
+      if (!data) return res.status(404).json({ error: "Email not found" });
+      return res.json(data);
+    } catch (e: any) {
+      return res.status(500).json({ error: e.message });
+    }
+  });
+
+  // Edit a draft before it's approved. body_text is plain text and replaces
+  // the rendered template body.
+  const outreachEditSchema = z
+    .object({
+      subject: z.string().trim().min(1).max(300).optional(),
+      body_text: z.string().trim().min(1).max(20000).optional(),
+    })
+    .refine((body) => body.subject || body.body_text, {
+      message: "Provide subject or body_text",
+    });
+
+  app.patch("/api/outreach/:id", requireEmployee, async (req, res) => {
+    if (!uuidSchema.safeParse(req.params.id).success) {
+      return res.status(400).json({ error: "Invalid email ID format" });
+    }
+    const parsed = outreachEditSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: parsed.error.issues[0].message });
+    }
+
+    try {
+      const updates: Record<string, string> = {};
+      if (parsed.data.subject) updates.subject = parsed.data.subject;
+      if (parsed.data.body_text) updates.html_body = textToHtml(parsed.data.body_text);
+
+      // Sent emails can't change
+      const { data, error } = await supabase
+        .from("outreach_emails")
+        .update(updates)
+        .eq("id", req.params.id)
+        .neq("status", "sent")
+        .select()
+        .maybeSingle();
+
+      if (error) return res.status(500).json({ error: error.message });
+      if (!data) {
+        return res.status(409).json({ error: "Email not found or already sent" });
+      }
+      console.log(`[outreach] Draft ${data.id} edited by ${userLabel(req.user)}`);
+      return res.json({ success: true, email: data });
+    } catch (e: any) {
+      return res.status(500).json({ error: e.message });
+    }
+  });
+
   return httpServer;
 }
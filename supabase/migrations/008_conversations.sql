@@ -0,0 +1,40 @@
+-- Persistent chat threads
+-- A conversation is one thread with an agent; messages are its turns.
+CREATE TABLE IF NOT EXISTS conversations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  agent_id TEXT NOT NULL DEFAULT 'ecommerce',  -- agent the thread was started with
+  current_agent_id TEXT,                       -- agent answering now (changes on handoff)
+  title TEXT,                                  -- first user message, truncated
+  user_id TEXT,
+  message_count INTEGER DEFAULT 0,
+  last_message_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  role TEXT NOT NULL,                          -- 'user' or 'assistant'
+  content TEXT NOT NULL,
+  agent_id TEXT,                               -- agent that wrote an assistant message
+  classification JSONB,                        -- classifier output for the turn
+  action_taken JSONB,                          -- e.g. extraction_rule_created, proposal_created
+  tool_calls JSONB,                            -- tools run while generating the reply
+  handoff JSONB,                               -- set when this reply came from a handoff
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversations_agent ON conversations(agent_id);
+CREATE INDEX IF NOT EXISTS idx_conversations_user ON conversations(user_id);
+CREATE INDEX IF NOT EXISTS idx_conversations_last_message ON conversations(last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id, created_at);
+
+DROP TRIGGER IF EXISTS update_conversations_updated_at ON conversations;
+CREATE TRIGGER update_conversations_updated_at
+  BEFORE UPDATE ON conversations
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Feedback on a chat response can now point at the stored message
+ALTER TABLE user_feedback ADD COLUMN IF NOT EXISTS message_id UUID REFERENCES messages(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_user_feedback_message ON user_feedback(message_id);
@@ -0,0 +1,5 @@
+-- Rolling memory for long conversations
+-- Older messages are folded into `summary`; pinned facts are kept as structured data.
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS summary TEXT;                       -- running summary of summarized messages
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS summarized_count INTEGER DEFAULT 0;  -- messages (oldest first) covered by summary
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS pinned_facts JSONB DEFAULT '{}';     -- {jobs, rules, proposals, outreach_drafts}
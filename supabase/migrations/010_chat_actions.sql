@@ -0,0 +1,26 @@
+-- Actions taken from chat replies (see core/chat-actions.js)
+-- Destructive actions wait here as 'pending' until the user confirms or rejects them.
+CREATE TABLE IF NOT EXISTS chat_actions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+  agent_id TEXT NOT NULL DEFAULT 'ecommerce',
+  action_type TEXT NOT NULL,                   -- set_extraction_rule, correct_field, rerun_styles, draft_outreach, deactivate_rule
+  params JSONB NOT NULL DEFAULT '{}',          -- validated parameters
+  summary TEXT,                                -- one-line description shown to the user
+  destructive BOOLEAN DEFAULT FALSE,
+  status TEXT NOT NULL DEFAULT 'pending',      -- pending, running, executed, failed, rejected, undoing, undone
+  result JSONB,                                -- handler result, or {error}
+  requested_by TEXT,
+  resolved_by TEXT,
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_actions_status ON chat_actions(status);
+CREATE INDEX IF NOT EXISTS idx_chat_actions_conversation ON chat_actions(conversation_id);
+
+DROP TRIGGER IF EXISTS update_chat_actions_updated_at ON chat_actions;
+CREATE TRIGGER update_chat_actions_updated_at
+  BEFORE UPDATE ON chat_actions
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,5 @@
+-- Record which Claude model actually served each call (see core/model-config.js)
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS model TEXT;                     -- chat reply
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS summary_model TEXT;        -- latest memory summary
+ALTER TABLE uploaded_documents ADD COLUMN IF NOT EXISTS model_used TEXT;      -- document extraction
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS models_used JSONB DEFAULT '{}';     -- { task: [models] } for the job's run
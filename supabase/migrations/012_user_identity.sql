@@ -0,0 +1,6 @@
+-- Record who did what now that requests are authenticated (see core/auth.js)
+-- uploaded_documents.uploaded_by, outreach_emails.approved_by and
+-- capability_proposals.reviewed_by already exist and now hold the user's email.
+ALTER TABLE user_feedback ADD COLUMN IF NOT EXISTS submitted_by TEXT;
+ALTER TABLE learned_preferences ADD COLUMN IF NOT EXISTS updated_by TEXT;  -- last admin to toggle the rule
+ALTER TABLE uploaded_documents ALTER COLUMN uploaded_by DROP DEFAULT;
@@ -0,0 +1,11 @@
+-- Runtime capability status overrides (see core/capability-status.js)
+-- A row here wins over "status" in capability.json; deleting it reverts to the manifest.
+CREATE TABLE IF NOT EXISTS capability_status (
+  agent_id TEXT NOT NULL,
+  capability_id TEXT NOT NULL,
+  status TEXT NOT NULL,          -- planned, beta, active, deprecated, disabled
+  reason TEXT,
+  updated_by TEXT,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (agent_id, capability_id)
+);
@@ -0,0 +1,20 @@
+-- Review queue for capability proposals (see core/proposal-store.js)
+-- Links each proposal to the chat it came from and keeps reviewer comments.
+ALTER TABLE capability_proposals ADD COLUMN IF NOT EXISTS conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL;
+ALTER TABLE capability_proposals ADD COLUMN IF NOT EXISTS classification JSONB;  -- classifier output for the request
+ALTER TABLE capability_proposals ADD COLUMN IF NOT EXISTS submitted_by TEXT;
+ALTER TABLE capability_proposals ADD COLUMN IF NOT EXISTS review_note TEXT;       -- reason given when rejecting
+ALTER TABLE capability_proposals ADD COLUMN IF NOT EXISTS implemented_at TIMESTAMPTZ;
+ALTER TABLE capability_proposals ADD COLUMN IF NOT EXISTS implemented_by TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_capability_proposals_created_at ON capability_proposals(created_at DESC);
+
+CREATE TABLE IF NOT EXISTS proposal_comments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  proposal_id UUID NOT NULL REFERENCES capability_proposals(id) ON DELETE CASCADE,
+  author TEXT NOT NULL,
+  body TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_proposal_comments_proposal_id ON proposal_comments(proposal_id, created_at);
@@ -0,0 +1,17 @@
+-- Pull requests opened by the local git backend (VCS_BACKEND=local, see core/vcs-backend.js)
+-- Branches and commits live in the local clone; this table stands in for the PR itself.
+CREATE TABLE IF NOT EXISTS local_pull_requests (
+  number BIGSERIAL PRIMARY KEY,
+  repo_path TEXT NOT NULL,
+  title TEXT NOT NULL,
+  body TEXT,
+  head TEXT NOT NULL,           -- branch with the change
+  base TEXT NOT NULL,           -- branch it would merge into
+  head_sha TEXT,
+  base_sha TEXT,                -- base commit when the PR was opened (diff is base_sha...head)
+  draft BOOLEAN DEFAULT FALSE,
+  status TEXT DEFAULT 'open',   -- 'open', 'merged', 'closed'
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_local_pull_requests_created_at ON local_pull_requests(created_at DESC);
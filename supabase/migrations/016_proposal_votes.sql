@@ -0,0 +1,23 @@
+-- Duplicate capability requests as +1 votes (see core/proposal-store.js fileProposal)
+-- A request that closely matches an open proposal is stored here instead of
+-- becoming a new proposal. Merging proposals moves their requests here too.
+ALTER TABLE capability_proposals ADD COLUMN IF NOT EXISTS vote_count INTEGER DEFAULT 1;  -- original request + votes
+ALTER TABLE capability_proposals ADD COLUMN IF NOT EXISTS merged_into UUID REFERENCES capability_proposals(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_capability_proposals_vote_count ON capability_proposals(vote_count DESC, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS proposal_votes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  proposal_id UUID NOT NULL REFERENCES capability_proposals(id) ON DELETE CASCADE,
+  submitted_by TEXT,
+  user_message TEXT,
+  conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+  classification JSONB,
+  origin TEXT DEFAULT 'duplicate',  -- 'duplicate' (matched when filed) or 'merged' (a merged proposal's own request)
+  similarity JSONB,              -- { score, text, capability, files } at the time it was matched
+  merged_from UUID REFERENCES capability_proposals(id) ON DELETE SET NULL,  -- proposal it came from, when merged
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_proposal_votes_proposal_id ON proposal_votes(proposal_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_proposal_votes_merged_from ON proposal_votes(merged_from);
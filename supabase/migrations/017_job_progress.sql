@@ -0,0 +1,5 @@
+-- Live job progress for chat cards (see core/job-progress.js)
+-- successful_count / failed_count are now kept current while the job runs, not only at the end
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS phase TEXT;                        -- line_sheet | fabric_workbook | download | extract | save
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS failed_styles JSONB DEFAULT '[]';  -- styles given up on so far
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ;            -- when the processor picked the job up, for ETA
@@ -0,0 +1,4 @@
+-- Where each job gets its tech pack PDFs (see tech-pack-extraction/tech-pack-sources.js)
+-- Ordered fallback chain, e.g. ["supabase", {"type": "local", "zip": "..._techpacks_FA24.zip"}, "gerber"]
+-- NULL uses TECH_PACK_SOURCES, or Gerber alone
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS tech_pack_sources JSONB DEFAULT NULL;
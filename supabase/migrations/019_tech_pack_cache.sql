@@ -0,0 +1,20 @@
+-- Tech pack cache shared by every job and host (see tech-pack-extraction/tech-pack-cache.js)
+-- PDFs are stored once per content hash in the tech-packs bucket; this table says
+-- which one is current for a style and PLM season, and when it was fetched.
+CREATE TABLE IF NOT EXISTS tech_pack_cache (
+  style_no TEXT NOT NULL,
+  season TEXT NOT NULL DEFAULT '',   -- PLM season the PDF came from ("FALL 2024"); '' when the source doesn't say
+  content_hash TEXT NOT NULL,        -- sha256 of the PDF
+  storage_path TEXT NOT NULL,        -- tech-packs bucket, by-hash/<content_hash>.pdf
+  size_bytes INTEGER,
+  source TEXT,                       -- 'gerber', 'local' or 'supabase'
+  job_id UUID,                       -- job that downloaded it
+  downloaded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (style_no, season)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tech_pack_cache_style_downloaded ON tech_pack_cache(style_no, downloaded_at DESC);
+
+-- Skip the cache and fetch again: every style, or just these
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS force_refresh BOOLEAN DEFAULT FALSE;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS force_refresh_styles JSONB DEFAULT '[]';
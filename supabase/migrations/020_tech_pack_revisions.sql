@@ -0,0 +1,23 @@
+-- Tech pack revisions and changes since the last export (see tech-pack-extraction/tech-pack-revisions.js)
+-- One row per distinct PDF a style has had, with what was extracted from it
+CREATE TABLE IF NOT EXISTS tech_pack_revisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  style_no TEXT NOT NULL,
+  season TEXT NOT NULL DEFAULT '',
+  content_hash TEXT NOT NULL,          -- sha256 of the PDF (tech_pack_cache.content_hash)
+  job_id UUID,                         -- job that first extracted it
+  extracted_values JSONB DEFAULT '{}', -- { field: value }
+  previous_revision_id UUID REFERENCES tech_pack_revisions(id) ON DELETE SET NULL,  -- last exported revision when this one arrived
+  changes JSONB DEFAULT '[]',          -- [{ field, before, after }] against previous_revision_id
+  change_count INTEGER DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  exported_at TIMESTAMPTZ,             -- last time a job with this revision went to a sheet or CSV
+  export_job_id UUID,
+  UNIQUE (style_no, content_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tech_pack_revisions_exported ON tech_pack_revisions(style_no, exported_at DESC);
+CREATE INDEX IF NOT EXISTS idx_tech_pack_revisions_changed ON tech_pack_revisions(created_at DESC) WHERE change_count > 0 AND exported_at IS NULL;
+
+-- Styles whose tech pack changed exported fields, found by this job's run
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS changed_styles JSONB DEFAULT '[]';